@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const Cart = require('../models/Cart')
 const logger = require('../utils/logger')
 
 let isConnecting = false
@@ -6,6 +7,20 @@ let connectionRetries = 0
 const MAX_RETRIES = 5
 const RETRY_DELAY = 5000 // 5 seconds
 
+/**
+ * Replace indexes older databases still have in a form the schema no longer uses
+ * Failures are logged - the server still starts.
+ */
+const migrateIndexes = async () => {
+  try {
+    if (await Cart.replaceLegacyIndexes()) {
+      logger.info('✅ Replaced legacy unique cart userId index')
+    }
+  } catch (error) {
+    logger.error('❌ Cart index migration failed:', error.message)
+  }
+}
+
 /**
  * Attempt MongoDB connection with retry logic
  */
@@ -33,6 +48,7 @@ const attemptConnection = async () => {
     logger.info(`✅ Database: ${conn.connection.name}`)
     connectionRetries = 0 // Reset on success
     isConnecting = false
+    await migrateIndexes()
     return true
   } catch (error) {
     isConnecting = false
@@ -5,6 +5,7 @@ const Review = require('../models/Review')
 const Contact = require('../models/Contact')
 const Quote = require('../models/Quote')
 const Newsletter = require('../models/Newsletter')
+const { transitionOrder, getOrderTimeline } = require('../services/orderStatusService')
 const logger = require('../utils/logger')
 
 /**
@@ -36,7 +37,8 @@ const getDashboardStats = async (req, res, next) => {
         .sort({ createdAt: -1 })
         .limit(10)
         .select('orderNumber total orderStatus paymentStatus createdAt'),
-      Product.find({ stock: { $lte: 10 }, active: true })
+      // Bundles hold no stock of their own
+      Product.find({ stock: { $lte: 10 }, active: true, isBundle: { $ne: true } })
         .select('name stock')
         .limit(10)
     ])
@@ -248,7 +250,7 @@ const getOrders = async (req, res, next) => {
  */
 const updateOrderStatus = async (req, res, next) => {
   try {
-    const { orderStatus, trackingNumber } = req.body
+    const { orderStatus, trackingNumber, note } = req.body
 
     const order = await Order.findById(req.params.id)
 
@@ -262,23 +264,38 @@ const updateOrderStatus = async (req, res, next) => {
       })
     }
 
-    const updateData = {}
-    if (orderStatus) {
-      updateData.orderStatus = orderStatus
-    }
-    if (trackingNumber) {
-      updateData.trackingNumber = trackingNumber
+    // Status changes go through the state machine (allowed transitions, side effects, history)
+    if (orderStatus && orderStatus !== order.orderStatus) {
+      const result = await transitionOrder(order, orderStatus, {
+        actor: req.user.id,
+        actorType: 'admin',
+        note,
+        trackingNumber
+      })
+      if (result.error) {
+        return res.status(result.error.status).json({
+          success: false,
+          error: {
+            message: result.error.message,
+            code: result.error.code,
+            allowed: result.error.allowed
+          }
+        })
+      }
+    } else if (trackingNumber) {
+      order.trackingNumber = trackingNumber
+      await order.save()
     }
 
-    const updatedOrder = await Order.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('userId', 'firstName lastName email')
+    await order.populate('userId', 'firstName lastName email')
+    await order.populate('statusHistory.actor', 'firstName lastName')
 
     res.json({
       success: true,
-      data: { order: updatedOrder }
+      data: {
+        order,
+        timeline: getOrderTimeline(order)
+      }
     })
   } catch (error) {
     logger.error('Update order status error:', error)
@@ -3,6 +3,8 @@ const mongoose = require('mongoose')
 const User = require('../models/User')
 const { generateToken, generateRefreshToken } = require('../utils/generateToken')
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emailService')
+const { mergeGuestCartOnLogin } = require('../services/cartService')
+const { linkGuestOrdersSafely } = require('../services/guestOrderService')
 const logger = require('../utils/logger')
 
 /**
@@ -51,6 +53,9 @@ const register = async (req, res, next) => {
       // Don't fail registration if email fails
     }
 
+    // Carry over anything added to the cart before signing in
+    const cartMerge = await mergeGuestCartOnLogin(req, res, user._id)
+
     // Set refresh token in cookie
     res.cookie('refreshToken', refreshToken, {
       httpOnly: true,
@@ -72,6 +77,7 @@ const register = async (req, res, next) => {
           emailVerified: user.emailVerified
         },
         token,
+        cartMerge,
         message: 'Registration successful. Please check your email to verify your account.'
       }
     })
@@ -134,6 +140,12 @@ const login = async (req, res, next) => {
     const token = generateToken(user._id)
     const refreshToken = generateRefreshToken(user._id)
 
+    // Carry over anything added to the cart before signing in
+    const cartMerge = await mergeGuestCartOnLogin(req, res, user._id)
+
+    // Pick up guest orders placed since the last sign-in (verified accounts only)
+    await linkGuestOrdersSafely(user)
+
     // Set refresh token in cookie
     res.cookie('refreshToken', refreshToken, {
       httpOnly: true,
@@ -154,7 +166,8 @@ const login = async (req, res, next) => {
           role: user.role,
           emailVerified: user.emailVerified
         },
-        token
+        token,
+        cartMerge
       }
     })
   } catch (error) {
@@ -349,9 +362,15 @@ const verifyEmail = async (req, res, next) => {
     user.emailVerificationToken = undefined
     await user.save()
 
+    // Orders placed as a guest with this address now belong to the account
+    const linkedOrders = await linkGuestOrdersSafely(user)
+
     res.json({
       success: true,
-      message: 'Email verified successfully'
+      message: 'Email verified successfully',
+      data: {
+        linkedOrders
+      }
     })
   } catch (error) {
     next(error)
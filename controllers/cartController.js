@@ -1,55 +1,72 @@
 const Cart = require('../models/Cart')
 const Product = require('../models/Product')
+const { priceCartItems } = require('../services/pricingService')
+const { normalizeCode } = require('../services/promotionService')
+const {
+  findCart,
+  findOrCreateCart,
+  describeCartOwner,
+  defaultCartFilter,
+  revalidateCart,
+  dismissLineChanges,
+  checkCartLine
+} = require('../services/cartService')
 const logger = require('../utils/logger')
 
 /**
- * @desc    Get user's cart
- * @route   GET /api/cart
- * @access  Private
+ * Empty cart response for visitors who have not added anything yet
+ * (no guest cart is created until the first item is added)
+ */
+const emptyCartResponse = {
+  success: true,
+  data: {
+    cart: {
+      items: [],
+      total: 0,
+      itemCount: 0,
+      couponCode: null,
+      changes: []
+    }
+  }
+}
+
+/**
+ * @desc    Get user's or guest's cart
+ * @route   GET /api/cart (default cart), GET /api/carts/:cartId
+ * @access  Public (guest cart token or signed in)
  */
 const getCart = async (req, res, next) => {
   try {
-    let cart = await Cart.findOne({ userId: req.user.id })
-      .populate('items.productId', 'name price images category stock active')
+    let cart = await findCart(req, {
+      populate: 'name price images category stock reserved active variants sku isBundle bundle'
+    })
 
     if (!cart) {
-      cart = await Cart.create({ userId: req.user.id, items: [] })
+      if (req.params.cartId) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Cart not found',
+            code: 'CART_NOT_FOUND'
+          }
+        })
+      }
+      if (!req.user) {
+        return res.json(emptyCartResponse)
+      }
+      cart = await findOrCreateCart(req, res)
     }
 
     /**
-     * CART INTEGRITY: Filter out invalid cart items
-     * 
-     * Removes items where:
-     * 1. productId is null (product was deleted from database)
-     * 2. productId.active is false (product was deactivated)
-     * 
-     * This prevents:
-     * - Order creation failures due to null product references
-     * - Frontend errors when rendering cart items
-     * - Cart corruption from deleted products
+     * CART INTEGRITY: Revalidate lines against the catalogue
+     *
+     * Deleted/inactive products and removed variants are dropped, prices are
+     * refreshed and quantities lowered to available stock. Every change is
+     * reported in `changes` until the customer acknowledges it.
      */
-    const validItems = cart.items.filter(item => {
-      // CRITICAL: Check if productId exists (not null) - handles deleted products
-      if (!item.productId) {
-        logger.warn(`Cart item ${item._id} has null productId - product was deleted. Removing from cart.`)
-        return false
-      }
-      
-      // Check if product is active - handles deactivated products
-      if (item.productId.active === false) {
-        logger.info(`Cart item ${item._id} references inactive product ${item.productId._id}. Removing from cart.`)
-        return false
-      }
-      
-      return true
-    })
-
-    // Update cart if items were filtered (sanitize cart integrity)
-    if (validItems.length !== cart.items.length) {
-      const removedCount = cart.items.length - validItems.length
-      logger.info(`Cart sanitized: Removed ${removedCount} invalid item(s) from cart for user ${req.user.id}`)
-      cart.items = validItems
-      await cart.save()
+    const newChanges = await revalidateCart(cart)
+    if (newChanges.length > 0) {
+      logger.info(`Cart revalidated: ${newChanges.length} change(s) for ${describeCartOwner(req)}`)
     }
 
     const total = cart.calculateTotal()
@@ -58,9 +75,15 @@ const getCart = async (req, res, next) => {
       success: true,
       data: {
         cart: {
+          _id: cart._id,
+          name: cart.name,
+          isDefault: cart.isDefault,
           items: cart.items,
+          savedItems: cart.savedItems,
           total,
-          itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0)
+          itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+          couponCode: cart.couponCode || null,
+          changes: cart.changes
         }
       }
     })
@@ -71,45 +94,43 @@ const getCart = async (req, res, next) => {
 
 /**
  * @desc    Add item to cart
- * @route   POST /api/cart
- * @access  Private
+ * @route   POST /api/cart, POST /api/carts/:cartId/items
+ * @access  Public (guest cart token or signed in)
  */
 const addToCart = async (req, res, next) => {
   try {
-    const { productId, quantity = 1 } = req.body
+    const { productId, variantId = null, quantity = 1 } = req.body
 
-    // Validate product exists and is active
+    // Validate product is active, the variant exists and stock covers the quantity
     const product = await Product.findById(productId)
-    if (!product || !product.active) {
-      return res.status(404).json({
+    const check = checkCartLine(product, variantId, quantity)
+    if (check.error) {
+      return res.status(check.error.status).json({
         success: false,
         error: {
-          message: 'Product not found or unavailable',
-          code: 'PRODUCT_NOT_FOUND'
+          message: check.error.message,
+          code: check.error.code
         }
       })
     }
+    const { purchasable } = check
 
-    // Check stock availability
-    if (product.stock < quantity) {
-      return res.status(400).json({
+    // Find or create cart (first item for a guest issues the cart token)
+    const cart = await findOrCreateCart(req, res)
+    if (!cart) {
+      return res.status(404).json({
         success: false,
         error: {
-          message: `Only ${product.stock} items available in stock`,
-          code: 'INSUFFICIENT_STOCK'
+          message: 'Cart not found',
+          code: 'CART_NOT_FOUND'
         }
       })
     }
 
-    // Find or create cart
-    let cart = await Cart.findOne({ userId: req.user.id })
-    if (!cart) {
-      cart = await Cart.create({ userId: req.user.id, items: [] })
-    }
-
-    // Check if item already exists in cart
+    // Check if item (same product and variant) already exists in cart
     const existingItemIndex = cart.items.findIndex(
-      item => item.productId.toString() === productId
+      item => item.productId.toString() === productId &&
+        String(item.variantId || '') === String(variantId || '')
     )
 
     if (existingItemIndex > -1) {
@@ -117,24 +138,25 @@ const addToCart = async (req, res, next) => {
       const newQuantity = cart.items[existingItemIndex].quantity + quantity
       
       // Check stock for new total quantity
-      if (product.stock < newQuantity) {
+      if (purchasable.stock < newQuantity) {
         return res.status(400).json({
           success: false,
           error: {
-            message: `Only ${product.stock} items available in stock`,
+            message: `Only ${purchasable.stock} items available in stock`,
             code: 'INSUFFICIENT_STOCK'
           }
         })
       }
 
       cart.items[existingItemIndex].quantity = newQuantity
-      cart.items[existingItemIndex].price = product.price // Update price in case it changed
+      cart.items[existingItemIndex].price = purchasable.price // Update price in case it changed
     } else {
       // Add new item
       cart.items.push({
         productId,
+        variantId,
         quantity,
-        price: product.price
+        price: purchasable.price
       })
     }
 
@@ -150,6 +172,8 @@ const addToCart = async (req, res, next) => {
           total,
           itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0)
         },
+        // Returned once, when a guest cart is created, for clients using the X-Cart-Token header
+        ...(res.locals.cartToken && { cartToken: res.locals.cartToken }),
         message: 'Item added to cart'
       }
     })
@@ -160,8 +184,8 @@ const addToCart = async (req, res, next) => {
 
 /**
  * @desc    Update cart item quantity
- * @route   PUT /api/cart/:itemId
- * @access  Private
+ * @route   PUT /api/cart/:itemId, PUT /api/carts/:cartId/items/:itemId
+ * @access  Public (guest cart token or signed in)
  */
 const updateCartItem = async (req, res, next) => {
   try {
@@ -178,7 +202,7 @@ const updateCartItem = async (req, res, next) => {
       })
     }
 
-    const cart = await Cart.findOne({ userId: req.user.id })
+    const cart = await findCart(req)
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -202,28 +226,21 @@ const updateCartItem = async (req, res, next) => {
 
     // Check stock availability
     const product = await Product.findById(item.productId)
-    if (!product || !product.active) {
-      return res.status(404).json({
-        success: false,
-        error: {
-          message: 'Product not found or unavailable',
-          code: 'PRODUCT_NOT_FOUND'
-        }
-      })
-    }
-
-    if (product.stock < quantity) {
-      return res.status(400).json({
+    const check = checkCartLine(product, item.variantId, quantity)
+    if (check.error) {
+      return res.status(check.error.status).json({
         success: false,
         error: {
-          message: `Only ${product.stock} items available in stock`,
-          code: 'INSUFFICIENT_STOCK'
+          message: check.error.message,
+          code: check.error.code
         }
       })
     }
+    const { purchasable } = check
 
     item.quantity = quantity
-    item.price = product.price // Update price in case it changed
+    item.price = purchasable.price // Update price in case it changed
+    dismissLineChanges(cart, item) // The customer has seen the line again
     await cart.save()
 
     const total = cart.calculateTotal()
@@ -246,14 +263,14 @@ const updateCartItem = async (req, res, next) => {
 
 /**
  * @desc    Remove item from cart
- * @route   DELETE /api/cart/:itemId
- * @access  Private
+ * @route   DELETE /api/cart/:itemId, DELETE /api/carts/:cartId/items/:itemId
+ * @access  Public (guest cart token or signed in)
  */
 const removeFromCart = async (req, res, next) => {
   try {
     const { itemId } = req.params
 
-    const cart = await Cart.findOne({ userId: req.user.id })
+    const cart = await findCart(req)
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -275,6 +292,7 @@ const removeFromCart = async (req, res, next) => {
       })
     }
 
+    dismissLineChanges(cart, item)
     cart.items.pull(itemId)
     await cart.save()
 
@@ -298,12 +316,12 @@ const removeFromCart = async (req, res, next) => {
 
 /**
  * @desc    Clear entire cart
- * @route   DELETE /api/cart
- * @access  Private
+ * @route   DELETE /api/cart, DELETE /api/carts/:cartId/items
+ * @access  Public (guest cart token or signed in)
  */
 const clearCart = async (req, res, next) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user.id })
+    const cart = await findCart(req)
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -315,6 +333,8 @@ const clearCart = async (req, res, next) => {
     }
 
     cart.items = []
+    cart.couponCode = undefined
+    cart.changes = []
     await cart.save()
 
     res.json({
@@ -326,11 +346,653 @@ const clearCart = async (req, res, next) => {
   }
 }
 
+/**
+ * Cart lines that would survive checkout's integrity filter
+ * (product exists and is active, selected variant exists and is active)
+ * @param {Object} cart - Cart with items.productId populated
+ * @returns {Array} Cart items
+ */
+const getPurchasableItems = (cart) => {
+  return cart.items.filter(item => {
+    if (!item.productId || item.productId.active === false) return false
+    if (!item.variantId) return true
+    const variant = item.productId.findVariant(item.variantId)
+    return Boolean(variant && variant.active !== false)
+  })
+}
+
+/**
+ * @desc    Preview cart totals (discounts, shipping and VAT breakdown)
+ * @route   POST /api/cart/preview, POST /api/carts/:cartId/preview
+ * @access  Public (guest cart token or signed in)
+ */
+const previewCart = async (req, res, next) => {
+  try {
+    const { shippingAddress, deliveryMethod = 'home' } = req.body
+
+    const cart = await findCart(req, { populate: true })
+
+    const items = cart ? getPurchasableItems(cart) : []
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Cart is empty',
+          code: 'EMPTY_CART'
+        }
+      })
+    }
+
+    const pricing = await priceCartItems({
+      items,
+      shippingAddress,
+      deliveryMethod,
+      couponCode: cart.couponCode,
+      userId: req.user?.id
+    })
+    if (pricing.error) {
+      return res.status(pricing.error.status).json({
+        success: false,
+        error: {
+          message: pricing.error.message,
+          code: pricing.error.code
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        preview: {
+          items: pricing.items,
+          subtotal: pricing.subtotal,
+          couponCode: pricing.couponCode,
+          couponError: pricing.couponError,
+          discounts: pricing.discounts,
+          discountTotal: pricing.discountTotal,
+          shipping: pricing.shipping,
+          shippingQuote: pricing.shippingQuote,
+          tax: pricing.tax,
+          taxBreakdown: pricing.taxBreakdown,
+          pricesIncludeTax: pricing.pricesIncludeTax,
+          total: pricing.total
+        },
+        currency: 'KES'
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Apply coupon code to cart
+ * @route   POST /api/cart/coupon, POST /api/carts/:cartId/coupon
+ * @access  Public (guest cart token or signed in)
+ */
+const applyCoupon = async (req, res, next) => {
+  try {
+    const code = normalizeCode(req.body.code)
+
+    const cart = await findCart(req, { populate: true })
+
+    const items = cart ? getPurchasableItems(cart) : []
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Add items to your cart before applying a coupon',
+          code: 'EMPTY_CART'
+        }
+      })
+    }
+
+    const pricing = await priceCartItems({ items, couponCode: code, userId: req.user?.id })
+    if (pricing.error) {
+      return res.status(pricing.error.status).json({
+        success: false,
+        error: {
+          message: pricing.error.message,
+          code: pricing.error.code
+        }
+      })
+    }
+
+    if (pricing.couponError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: pricing.couponError.message,
+          code: pricing.couponError.code
+        }
+      })
+    }
+
+    cart.couponCode = code
+    await cart.save()
+
+    res.json({
+      success: true,
+      data: {
+        couponCode: code,
+        discounts: pricing.discounts,
+        discountTotal: pricing.discountTotal,
+        message: 'Coupon applied'
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Remove coupon code from cart
+ * @route   DELETE /api/cart/coupon, DELETE /api/carts/:cartId/coupon
+ * @access  Public (guest cart token or signed in)
+ */
+const removeCoupon = async (req, res, next) => {
+  try {
+    const cart = await findCart(req)
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Cart not found',
+          code: 'CART_NOT_FOUND'
+        }
+      })
+    }
+
+    cart.couponCode = undefined
+    await cart.save()
+
+    res.json({
+      success: true,
+      message: 'Coupon removed'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Revalidate cart against current prices and stock
+ * @route   POST /api/cart/revalidate, POST /api/carts/:cartId/revalidate
+ * @access  Public (guest cart token or signed in)
+ */
+const revalidateCartItems = async (req, res, next) => {
+  try {
+    const cart = await findCart(req, { populate: true })
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Cart not found',
+          code: 'CART_NOT_FOUND'
+        }
+      })
+    }
+
+    const newChanges = await revalidateCart(cart)
+
+    res.json({
+      success: true,
+      data: {
+        cart: {
+          items: cart.items,
+          total: cart.calculateTotal(),
+          itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0)
+        },
+        changes: cart.changes, // All unacknowledged changes
+        newChanges,
+        requiresAcknowledgement: cart.changes.length > 0
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Acknowledge cart changes (allows checkout to continue)
+ * @route   POST /api/cart/changes/acknowledge, POST /api/carts/:cartId/changes/acknowledge
+ * @access  Public (guest cart token or signed in)
+ */
+const acknowledgeCartChanges = async (req, res, next) => {
+  try {
+    const { changeIds } = req.body
+
+    const cart = await findCart(req)
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Cart not found',
+          code: 'CART_NOT_FOUND'
+        }
+      })
+    }
+
+    // No ids: acknowledge everything the customer was shown
+    cart.changes = changeIds
+      ? cart.changes.filter(change => !changeIds.includes(change._id.toString()))
+      : []
+    await cart.save()
+
+    res.json({
+      success: true,
+      data: {
+        changes: cart.changes
+      },
+      message: 'Cart changes acknowledged'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+const MAX_CARTS_PER_USER = parseInt(process.env.MAX_CARTS_PER_USER) || 20
+
+const cartNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Cart not found',
+    code: 'CART_NOT_FOUND'
+  }
+})
+
+/**
+ * Cart with its saved-for-later list, as returned by the named cart endpoints
+ */
+const formatCart = (cart) => ({
+  _id: cart._id,
+  name: cart.name,
+  isDefault: cart.isDefault,
+  items: cart.items,
+  savedItems: cart.savedItems,
+  total: cart.calculateTotal(),
+  itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+  savedCount: cart.savedItems.length,
+  couponCode: cart.couponCode || null,
+  changes: cart.changes
+})
+
+/**
+ * Whether two cart lines are the same product and variant
+ */
+const isSameProductLine = (a, b) => {
+  return a.productId.toString() === b.productId.toString() &&
+    String(a.variantId || '') === String(b.variantId || '')
+}
+
+/**
+ * @desc    List user's carts
+ * @route   GET /api/carts
+ * @access  Private
+ */
+const listCarts = async (req, res, next) => {
+  try {
+    let carts = await Cart.find({ userId: req.user.id })
+      .sort({ isDefault: -1, updatedAt: -1 })
+
+    if (carts.length === 0) {
+      carts = [await Cart.create({ userId: req.user.id, items: [] })]
+    }
+
+    res.json({
+      success: true,
+      data: {
+        carts: carts.map(cart => ({
+          _id: cart._id,
+          name: cart.name,
+          isDefault: cart.isDefault,
+          itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+          savedCount: cart.savedItems.length,
+          total: cart.calculateTotal(),
+          updatedAt: cart.updatedAt
+        })),
+        maxCarts: MAX_CARTS_PER_USER
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Create named cart
+ * @route   POST /api/carts
+ * @access  Private
+ */
+const createNamedCart = async (req, res, next) => {
+  try {
+    const { name } = req.body
+
+    const count = await Cart.countDocuments({ userId: req.user.id })
+    if (count >= MAX_CARTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `You can keep up to ${MAX_CARTS_PER_USER} carts. Delete one to create another.`,
+          code: 'CART_LIMIT_REACHED'
+        }
+      })
+    }
+
+    // The first cart a user creates becomes their default cart
+    const hasDefault = await Cart.exists(defaultCartFilter(req.user.id))
+    const cart = await Cart.create({
+      userId: req.user.id,
+      name,
+      isDefault: !hasDefault,
+      items: []
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        cart: formatCart(cart)
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Rename cart or make it the default cart
+ * @route   PUT /api/carts/:cartId
+ * @access  Private
+ */
+const updateNamedCart = async (req, res, next) => {
+  try {
+    const { name, isDefault } = req.body
+
+    const cart = await findCart(req)
+    if (!cart) {
+      return cartNotFound(res)
+    }
+
+    if (name !== undefined) {
+      cart.name = name
+    }
+
+    // Only one default cart - the previous one becomes a named cart
+    if (isDefault && !cart.isDefault) {
+      await Cart.updateMany(
+        { ...defaultCartFilter(req.user.id), _id: { $ne: cart._id } },
+        { $set: { isDefault: false } }
+      )
+      cart.isDefault = true
+    }
+
+    await cart.save()
+
+    res.json({
+      success: true,
+      data: {
+        cart: formatCart(cart)
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Delete named cart
+ * @route   DELETE /api/carts/:cartId
+ * @access  Private
+ */
+const deleteNamedCart = async (req, res, next) => {
+  try {
+    const cart = await findCart(req)
+    if (!cart) {
+      return cartNotFound(res)
+    }
+
+    if (cart.isDefault) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'The default cart cannot be deleted. Make another cart the default first.',
+          code: 'CANNOT_DELETE_DEFAULT_CART'
+        }
+      })
+    }
+
+    await cart.deleteOne()
+
+    res.json({
+      success: true,
+      message: 'Cart deleted'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Duplicate cart (items and saved-for-later list)
+ * @route   POST /api/carts/:cartId/duplicate
+ * @access  Private
+ */
+const duplicateCart = async (req, res, next) => {
+  try {
+    const source = await findCart(req)
+    if (!source) {
+      return cartNotFound(res)
+    }
+
+    const count = await Cart.countDocuments({ userId: req.user.id })
+    if (count >= MAX_CARTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `You can keep up to ${MAX_CARTS_PER_USER} carts. Delete one to create another.`,
+          code: 'CART_LIMIT_REACHED'
+        }
+      })
+    }
+
+    // Lines are copied as they are; revalidation flags anything that has since changed
+    const copyLine = ({ productId, variantId, quantity, price }) => ({ productId, variantId, quantity, price })
+
+    const cart = await Cart.create({
+      userId: req.user.id,
+      name: req.body.name || `${source.name} (copy)`.slice(0, 100),
+      isDefault: false,
+      items: source.items.map(copyLine),
+      savedItems: source.savedItems.map(copyLine)
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        cart: formatCart(cart)
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Move cart line to the saved-for-later list
+ * @route   POST /api/cart/:itemId/save-for-later, POST /api/carts/:cartId/items/:itemId/save-for-later
+ * @access  Public (guest cart token or signed in)
+ */
+const saveForLater = async (req, res, next) => {
+  try {
+    const cart = await findCart(req)
+    if (!cart) {
+      return cartNotFound(res)
+    }
+
+    const item = cart.items.id(req.params.itemId)
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Cart item not found',
+          code: 'ITEM_NOT_FOUND'
+        }
+      })
+    }
+
+    const saved = cart.savedItems.find(savedItem => isSameProductLine(savedItem, item))
+    if (saved) {
+      saved.quantity += item.quantity
+      saved.price = item.price
+    } else {
+      cart.savedItems.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        price: item.price
+      })
+    }
+
+    dismissLineChanges(cart, item)
+    cart.items.pull(item._id)
+    await cart.save()
+
+    res.json({
+      success: true,
+      data: {
+        cart: formatCart(cart),
+        message: 'Item saved for later'
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Move saved-for-later line back into the cart
+ * @route   POST /api/cart/saved/:itemId/move-to-cart, POST /api/carts/:cartId/saved/:itemId/move-to-cart
+ * @access  Public (guest cart token or signed in)
+ */
+const moveToCart = async (req, res, next) => {
+  try {
+    const cart = await findCart(req)
+    if (!cart) {
+      return cartNotFound(res)
+    }
+
+    const saved = cart.savedItems.id(req.params.itemId)
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Saved item not found',
+          code: 'ITEM_NOT_FOUND'
+        }
+      })
+    }
+
+    const existing = cart.items.find(item => isSameProductLine(item, saved))
+    const newQuantity = (existing ? existing.quantity : 0) + saved.quantity
+
+    // Same checks as adding a new item - the product may have changed while saved
+    const product = await Product.findById(saved.productId)
+    const check = checkCartLine(product, saved.variantId, newQuantity)
+    if (check.error) {
+      return res.status(check.error.status).json({
+        success: false,
+        error: {
+          message: check.error.message,
+          code: check.error.code
+        }
+      })
+    }
+    const { purchasable } = check
+
+    if (existing) {
+      existing.quantity = newQuantity
+      existing.price = purchasable.price
+    } else {
+      cart.items.push({
+        productId: saved.productId,
+        variantId: saved.variantId,
+        quantity: saved.quantity,
+        price: purchasable.price
+      })
+    }
+
+    cart.savedItems.pull(saved._id)
+    await cart.save()
+
+    res.json({
+      success: true,
+      data: {
+        cart: formatCart(cart),
+        message: 'Item moved to cart'
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Remove saved-for-later line
+ * @route   DELETE /api/cart/saved/:itemId, DELETE /api/carts/:cartId/saved/:itemId
+ * @access  Public (guest cart token or signed in)
+ */
+const removeSavedItem = async (req, res, next) => {
+  try {
+    const cart = await findCart(req)
+    if (!cart) {
+      return cartNotFound(res)
+    }
+
+    const saved = cart.savedItems.id(req.params.itemId)
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Saved item not found',
+          code: 'ITEM_NOT_FOUND'
+        }
+      })
+    }
+
+    cart.savedItems.pull(saved._id)
+    await cart.save()
+
+    res.json({
+      success: true,
+      data: {
+        cart: formatCart(cart),
+        message: 'Saved item removed'
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 module.exports = {
   getCart,
+  revalidateCartItems,
+  acknowledgeCartChanges,
+  previewCart,
+  applyCoupon,
+  removeCoupon,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  listCarts,
+  createNamedCart,
+  updateNamedCart,
+  deleteNamedCart,
+  duplicateCart,
+  saveForLater,
+  moveToCart,
+  removeSavedItem
 }
 
@@ -0,0 +1,268 @@
+const Claim = require('../models/Claim')
+const Order = require('../models/Order')
+const { findOrderForRequest } = require('../services/guestOrderService')
+const { openClaim, transitionClaim, CLAIM_TRANSITIONS } = require('../services/claimService')
+const { getFileUrl, verifyFileExists } = require('../middleware/upload')
+const logger = require('../utils/logger')
+
+/**
+ * @desc    Open a return or warranty claim for a delivered order line
+ * @route   POST /api/claims
+ * @access  Public (signed in, or guest with the order's guestToken)
+ *
+ * multipart/form-data: orderId, orderItemId, type, quantity, reason,
+ * description, serialNumber, photos (up to 5 images)
+ */
+const createClaim = async (req, res, next) => {
+  try {
+    const { orderId, orderItemId, type, quantity, reason, description, serialNumber } = req.body
+
+    const order = await findOrderForRequest(req, { _id: orderId })
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Order not found',
+          code: 'ORDER_NOT_FOUND'
+        }
+      })
+    }
+
+    const photos = (req.files || [])
+      .filter(file => {
+        const exists = verifyFileExists(file.filename)
+        if (!exists) {
+          logger.error(`Uploaded claim photo not found: ${file.filename}`)
+        }
+        return exists
+      })
+      .map(file => getFileUrl(file.filename))
+
+    const result = await openClaim(order, {
+      orderItemId,
+      type,
+      quantity,
+      reason,
+      description,
+      serialNumber,
+      photos,
+      actor: req.user ? req.user.id : null
+    })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        claim: result.claim
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get the signed-in user's claims
+ * @route   GET /api/claims
+ * @access  Private
+ */
+const getMyClaims = async (req, res, next) => {
+  try {
+    const claims = await Claim.find({ userId: req.user.id }).sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      data: {
+        claims
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get a claim
+ * @route   GET /api/claims/:id
+ * @access  Public (claim owner, or guest with the order's lookup token)
+ */
+const getClaim = async (req, res, next) => {
+  try {
+    const claim = await Claim.findById(req.params.id)
+    const order = claim ? await findOrderForRequest(req, { _id: claim.orderId }) : null
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Claim not found',
+          code: 'CLAIM_NOT_FOUND'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        claim
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    List claims
+ * @route   GET /api/admin/claims
+ * @access  Private/Admin
+ */
+const getClaims = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = parseInt(req.query.limit) || 20
+    const { status, type, orderId } = req.query
+    const search = req.query.search || ''
+
+    const query = {}
+    if (status) query.status = status
+    if (type) query.type = type
+    if (orderId) query.orderId = orderId
+    if (search) {
+      query.$or = [
+        { claimNumber: { $regex: search, $options: 'i' } },
+        { orderNumber: { $regex: search, $options: 'i' } },
+        { serialNumber: { $regex: search, $options: 'i' } },
+        { 'contact.email': { $regex: search, $options: 'i' } }
+      ]
+    }
+
+    const skip = (page - 1) * limit
+
+    const [claims, total] = await Promise.all([
+      Claim.find(query)
+        .populate('userId', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Claim.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        claims,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    logger.error('Get claims error:', error)
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get a claim with its history (admin)
+ * @route   GET /api/admin/claims/:id
+ * @access  Private/Admin
+ */
+const getAdminClaim = async (req, res, next) => {
+  try {
+    const claim = await Claim.findById(req.params.id)
+      .populate('userId', 'firstName lastName email')
+      .populate('history.actor', 'firstName lastName')
+      .populate('refundId', 'creditNoteNumber amount status')
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Claim not found',
+          code: 'CLAIM_NOT_FOUND'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        claim,
+        allowedStatuses: CLAIM_TRANSITIONS[claim.status] || []
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Move a claim through the workflow
+ * @route   PUT /api/admin/claims/:id/status
+ * @access  Private/Admin
+ */
+const updateClaimStatus = async (req, res, next) => {
+  try {
+    const { status, note, restock } = req.body
+
+    const claim = await Claim.findById(req.params.id)
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Claim not found',
+          code: 'CLAIM_NOT_FOUND'
+        }
+      })
+    }
+
+    const order = status === 'refunding' ? await Order.findById(claim.orderId) : null
+    const result = await transitionClaim(claim, status, {
+      actor: { id: req.user.id, email: req.user.email },
+      note,
+      order,
+      restock
+    })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code,
+          ...(result.error.allowed && { allowed: result.error.allowed })
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        claim: result.claim,
+        refund: result.refund
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  createClaim,
+  getMyClaims,
+  getClaim,
+  getClaims,
+  getAdminClaim,
+  updateClaimStatus
+}
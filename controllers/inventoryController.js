@@ -0,0 +1,472 @@
+const mongoose = require('mongoose')
+const Product = require('../models/Product')
+const InventoryMovement = require('../models/InventoryMovement')
+const Location = require('../models/Location')
+const LocationStock = require('../models/LocationStock')
+const { adjustStock, getUnallocatedStock, transferStock } = require('../services/inventoryService')
+const logger = require('../utils/logger')
+
+/**
+ * Validate that a product (and variant, when given) exists
+ * @returns {Promise<Object>} { product } or { error: { status, message, code } }
+ */
+const findStockTarget = async (productId, variantId) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return { error: { status: 404, message: 'Product not found', code: 'PRODUCT_NOT_FOUND' } }
+  }
+
+  const product = await Product.findById(productId).select('name sku stock reserved variants isBundle')
+  if (!product) {
+    return { error: { status: 404, message: 'Product not found', code: 'PRODUCT_NOT_FOUND' } }
+  }
+
+  if (product.isBundle) {
+    return { error: { status: 400, message: `${product.name} is a bundle - adjust the stock of its components`, code: 'BUNDLE_STOCK_DERIVED' } }
+  }
+
+  if (product.variants.length > 0 && !variantId) {
+    return { error: { status: 400, message: `${product.name} has variants - variantId is required`, code: 'VARIANT_REQUIRED' } }
+  }
+
+  if (variantId && !product.findVariant(variantId)) {
+    return { error: { status: 404, message: 'Variant not found', code: 'VARIANT_NOT_FOUND' } }
+  }
+
+  return { product }
+}
+
+/**
+ * Resolve the location a stock change is booked against
+ * Falls back to the default location when none is given (null if there is none).
+ * @returns {Promise<Object>} { locationId } or { error: { status, message, code } }
+ */
+const resolveStockLocation = async (locationId) => {
+  if (!locationId) {
+    const defaultLocation = await Location.findOne({ isDefault: true, active: true }).select('_id')
+    return { locationId: defaultLocation ? defaultLocation._id : null }
+  }
+
+  const location = await Location.findOne({ _id: locationId, active: true }).select('_id')
+  if (!location) {
+    return { error: { status: 404, message: 'Location not found or inactive', code: 'LOCATION_NOT_FOUND' } }
+  }
+
+  return { locationId: location._id }
+}
+
+/**
+ * @desc    Post a manual stock adjustment (count correction, damage, return to stock)
+ * @route   POST /api/admin/inventory/adjustments
+ * @access  Private/Admin
+ */
+const createAdjustment = async (req, res, next) => {
+  try {
+    const { productId, variantId = null, quantity, reason, orderId, note } = req.body
+
+    const target = await findStockTarget(productId, variantId)
+    const location = target.error ? null : await resolveStockLocation(req.body.locationId)
+    const failure = target.error || location.error
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        error: {
+          message: failure.message,
+          code: failure.code
+        }
+      })
+    }
+
+    const result = await adjustStock({
+      productId,
+      variantId,
+      quantity,
+      reason,
+      actor: req.user.id,
+      actorType: 'admin',
+      orderId,
+      locationId: location.locationId,
+      note,
+      preventNegative: true
+    })
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: location.locationId
+            ? 'Adjustment would take stock at this location below zero'
+            : 'Adjustment would take stock below zero',
+          code: 'NEGATIVE_STOCK'
+        }
+      })
+    }
+
+    logger.info('Inventory adjustment posted:', {
+      productId,
+      variantId,
+      quantity,
+      reason,
+      locationId: location.locationId,
+      balanceAfter: result.movement.balanceAfter,
+      actor: req.user.id
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        movement: result.movement
+      }
+    })
+  } catch (error) {
+    logger.error('Create inventory adjustment error:', error)
+    next(error)
+  }
+}
+
+/**
+ * @desc    Post a stock receipt (goods received from a supplier)
+ * @route   POST /api/admin/inventory/receipts
+ * @access  Private/Admin
+ */
+const createReceipt = async (req, res, next) => {
+  try {
+    const { items, reference, note } = req.body
+
+    const location = await resolveStockLocation(req.body.locationId)
+    if (location.error) {
+      return res.status(location.error.status).json({
+        success: false,
+        error: {
+          message: location.error.message,
+          code: location.error.code
+        }
+      })
+    }
+
+    // Validate every line before booking anything
+    for (const item of items) {
+      const target = await findStockTarget(item.productId, item.variantId)
+      if (target.error) {
+        return res.status(target.error.status).json({
+          success: false,
+          error: {
+            message: target.error.message,
+            code: target.error.code,
+            productId: item.productId
+          }
+        })
+      }
+    }
+
+    const movements = []
+    for (const item of items) {
+      const result = await adjustStock({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: item.quantity,
+        reason: 'restock',
+        actor: req.user.id,
+        actorType: 'admin',
+        locationId: location.locationId,
+        reference,
+        note
+      })
+      movements.push(result.movement)
+    }
+
+    logger.info('Inventory receipt posted:', {
+      reference,
+      locationId: location.locationId,
+      lines: movements.length,
+      actor: req.user.id
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        movements
+      }
+    })
+  } catch (error) {
+    logger.error('Create inventory receipt error:', error)
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get a product's stock movement history
+ * @route   GET /api/admin/inventory/products/:productId/movements
+ * @access  Private/Admin
+ */
+const getProductMovements = async (req, res, next) => {
+  try {
+    const { productId } = req.params
+    const page = parseInt(req.query.page) || 1
+    const limit = parseInt(req.query.limit) || 50
+    const { variantId, reason, locationId } = req.query
+
+    const product = mongoose.Types.ObjectId.isValid(productId)
+      ? await Product.findById(productId).select('name sku stock reserved variants')
+      : null
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found',
+          code: 'PRODUCT_NOT_FOUND'
+        }
+      })
+    }
+
+    const query = { productId }
+    if (variantId) query.variantId = variantId
+    if (reason) query.reason = reason
+    if (locationId) query.locationId = locationId
+
+    const skip = (page - 1) * limit
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(query)
+        .populate('actor', 'firstName lastName email')
+        .populate('orderId', 'orderNumber')
+        .populate('locationId', 'name code')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      InventoryMovement.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        movements,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    logger.error('Get product movements error:', error)
+    next(error)
+  }
+}
+
+/**
+ * @desc    Transfer stock between locations
+ * @route   POST /api/admin/inventory/transfers
+ * @access  Private/Admin
+ */
+const createTransfer = async (req, res, next) => {
+  try {
+    const { productId, variantId = null, fromLocationId = null, toLocationId, quantity, reference, note } = req.body
+
+    if (fromLocationId && String(fromLocationId) === String(toLocationId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Source and destination locations must differ',
+          code: 'SAME_LOCATION'
+        }
+      })
+    }
+
+    const target = await findStockTarget(productId, variantId)
+    if (target.error) {
+      return res.status(target.error.status).json({
+        success: false,
+        error: {
+          message: target.error.message,
+          code: target.error.code
+        }
+      })
+    }
+
+    const activeLocations = await Location.countDocuments({
+      _id: { $in: [fromLocationId, toLocationId].filter(Boolean) },
+      active: true
+    })
+    if (activeLocations !== (fromLocationId ? 2 : 1)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Location not found or inactive',
+          code: 'LOCATION_NOT_FOUND'
+        }
+      })
+    }
+
+    const result = await transferStock({
+      productId,
+      variantId,
+      fromLocationId,
+      toLocationId,
+      quantity,
+      actor: req.user.id,
+      reference,
+      note
+    })
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
+
+    logger.info('Inventory transfer posted:', {
+      productId,
+      variantId,
+      fromLocationId,
+      toLocationId,
+      quantity,
+      actor: req.user.id
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        movements: result.movements
+      }
+    })
+  } catch (error) {
+    logger.error('Create inventory transfer error:', error)
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get all locations (including inactive) with unit totals
+ * @route   GET /api/admin/inventory/locations
+ * @access  Private/Admin
+ */
+const getLocationsWithStock = async (req, res, next) => {
+  try {
+    const [locations, totals] = await Promise.all([
+      Location.find().sort({ active: -1, name: 1 }).lean(),
+      LocationStock.aggregate([
+        { $group: { _id: '$locationId', quantity: { $sum: '$quantity' }, reserved: { $sum: '$reserved' } } }
+      ])
+    ])
+
+    const totalsByLocation = new Map(totals.map(total => [String(total._id), total]))
+
+    res.json({
+      success: true,
+      data: {
+        locations: locations.map(location => {
+          const total = totalsByLocation.get(String(location._id))
+          return {
+            ...location,
+            units: total ? total.quantity : 0,
+            reserved: total ? total.reserved : 0
+          }
+        })
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get stock levels held at a location
+ * @route   GET /api/admin/inventory/locations/:locationId/stock
+ * @access  Private/Admin
+ */
+const getLocationStock = async (req, res, next) => {
+  try {
+    const location = mongoose.Types.ObjectId.isValid(req.params.locationId)
+      ? await Location.findById(req.params.locationId).lean()
+      : null
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Location not found',
+          code: 'LOCATION_NOT_FOUND'
+        }
+      })
+    }
+
+    const stock = await LocationStock.find({ locationId: location._id })
+      .populate('productId', 'name sku variants.name variants.sku variants._id')
+      .sort({ updatedAt: -1 })
+      .lean()
+
+    res.json({
+      success: true,
+      data: {
+        location,
+        stock
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get a product's stock split across locations
+ * @route   GET /api/admin/inventory/products/:productId/locations
+ * @access  Private/Admin
+ */
+const getProductLocations = async (req, res, next) => {
+  try {
+    const product = mongoose.Types.ObjectId.isValid(req.params.productId)
+      ? await Product.findById(req.params.productId).select('name sku stock reserved variants')
+      : null
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found',
+          code: 'PRODUCT_NOT_FOUND'
+        }
+      })
+    }
+
+    const levels = await LocationStock.find({ productId: product._id })
+      .populate('locationId', 'name code type active')
+      .lean()
+
+    // Unallocated units per product / variant (company total minus units at locations)
+    const targets = product.variants.length > 0
+      ? product.variants.map(variant => ({ variantId: variant._id, target: variant }))
+      : [{ variantId: null, target: product }]
+
+    const unallocated = await Promise.all(targets.map(async ({ variantId, target }) => ({
+      variantId,
+      quantity: await getUnallocatedStock(target, product._id, variantId)
+    })))
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        levels,
+        unallocated
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  createAdjustment,
+  createReceipt,
+  createTransfer,
+  getProductMovements,
+  getProductLocations,
+  getLocationsWithStock,
+  getLocationStock
+}
@@ -0,0 +1,259 @@
+const Order = require('../models/Order')
+const Invoice = require('../models/Invoice')
+const { findOrderForRequest } = require('../services/guestOrderService')
+const {
+  findCurrentInvoice,
+  getOrCreateInvoice,
+  voidInvoice,
+  regenerateInvoice,
+  renderInvoicePdf
+} = require('../services/invoiceService')
+const logger = require('../utils/logger')
+
+const sendPdf = async (res, invoice) => {
+  const pdf = await renderInvoicePdf(invoice)
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+    'Content-Length': pdf.length
+  })
+  res.send(pdf)
+}
+
+/**
+ * @desc    Download the tax invoice of a paid order
+ * @route   GET /api/orders/:id/invoice
+ * @access  Public (signed in, guest with the order's lookup token, or admin)
+ */
+const getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = req.user && req.user.role === 'admin'
+      ? await Order.findById(req.params.id)
+      : await findOrderForRequest(req, { _id: req.params.id })
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Order not found',
+          code: 'ORDER_NOT_FOUND'
+        }
+      })
+    }
+
+    const result = await getOrCreateInvoice(order)
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
+
+    const invoice = await result.invoice.populate('replaces', 'invoiceNumber')
+    await sendPdf(res, invoice)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    List invoices
+ * @route   GET /api/admin/invoices
+ * @access  Private/Admin
+ */
+const getInvoices = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = parseInt(req.query.limit) || 20
+    const { orderId, status } = req.query
+    const search = req.query.search || ''
+
+    const query = {}
+    if (orderId) query.orderId = orderId
+    if (status) query.status = status
+    if (search) {
+      query.$or = [
+        { invoiceNumber: { $regex: search, $options: 'i' } },
+        { orderNumber: { $regex: search, $options: 'i' } },
+        { 'buyer.companyName': { $regex: search, $options: 'i' } }
+      ]
+    }
+
+    const skip = (page - 1) * limit
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .populate('replaces', 'invoiceNumber')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Invoice.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Download any invoice, including voided ones
+ * @route   GET /api/admin/invoices/:id/pdf
+ * @access  Private/Admin
+ */
+const getInvoicePdf = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id).populate('replaces', 'invoiceNumber')
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Invoice not found',
+          code: 'INVOICE_NOT_FOUND'
+        }
+      })
+    }
+
+    await sendPdf(res, invoice)
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Void an invoice and issue a replacement from the order
+ * @route   POST /api/admin/invoices/:id/regenerate
+ * @access  Private/Admin
+ */
+const regenerate = async (req, res, next) => {
+  try {
+    const { billingDetails, reason } = req.body
+
+    const invoice = await Invoice.findById(req.params.id)
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Invoice not found',
+          code: 'INVOICE_NOT_FOUND'
+        }
+      })
+    }
+
+    // A voided invoice that was already replaced - regenerate the current one instead
+    if (invoice.status === 'void') {
+      const current = await findCurrentInvoice(invoice.orderId)
+      if (current) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: `Invoice ${invoice.invoiceNumber} was replaced by ${current.invoiceNumber}`,
+            code: 'INVOICE_SUPERSEDED'
+          }
+        })
+      }
+    }
+
+    const order = await Order.findById(invoice.orderId)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Order not found',
+          code: 'ORDER_NOT_FOUND'
+        }
+      })
+    }
+
+    const result = await regenerateInvoice(order, { actor: req.user.id, reason, billingDetails })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
+
+    logger.info('Invoice regenerated:', {
+      orderNumber: order.orderNumber,
+      invoiceNumber: result.invoice.invoiceNumber,
+      voided: result.voided ? result.voided.invoiceNumber : null,
+      actor: req.user.id
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        invoice: result.invoice,
+        voided: result.voided
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Void an invoice
+ * @route   POST /api/admin/invoices/:id/void
+ * @access  Private/Admin
+ */
+const voidOne = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Invoice not found',
+          code: 'INVOICE_NOT_FOUND'
+        }
+      })
+    }
+
+    const result = await voidInvoice(invoice, { actor: req.user.id, reason: req.body.reason })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invoice: result.invoice
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getOrderInvoice,
+  getInvoices,
+  getInvoicePdf,
+  regenerate,
+  voidOne
+}
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose')
+const Location = require('../models/Location')
+const LocationStock = require('../models/LocationStock')
+const { getPickupAvailability, resolvePurchasable } = require('../services/inventoryService')
+const { findCart } = require('../services/cartService')
+const logger = require('../utils/logger')
+
+/**
+ * @desc    Get active locations
+ * @route   GET /api/locations
+ * @access  Public
+ */
+const getLocations = async (req, res, next) => {
+  try {
+    const query = { active: true }
+    if (req.query.pickup === 'true') {
+      query.pickupEnabled = true
+    }
+
+    const locations = await Location.find(query)
+      .sort({ isDefault: -1, name: 1 })
+      .lean()
+
+    res.json({
+      success: true,
+      data: {
+        locations
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get single active location
+ * @route   GET /api/locations/:id
+ * @access  Public
+ */
+const getLocation = async (req, res, next) => {
+  try {
+    const location = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Location.findOne({ _id: req.params.id, active: true }).lean()
+      : null
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Location not found',
+          code: 'LOCATION_NOT_FOUND'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        location
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get pickup locations that can supply the user's or guest's cart
+ * @route   GET /api/locations/pickup-options
+ * @access  Public (guest cart token or signed in)
+ */
+const getPickupOptions = async (req, res, next) => {
+  try {
+    const cart = await findCart(req, { populate: 'isBundle bundle', cartId: req.query.cartId })
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Cart is empty',
+          code: 'EMPTY_CART'
+        }
+      })
+    }
+
+    // Bundles are checked as their components
+    const lines = cart.items
+      .filter(item => item.productId)
+      .map(item => {
+        const purchasable = item.productId.isBundle ? resolvePurchasable(item.productId) : null
+        return {
+          productId: item.productId._id,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          bundleComponents: purchasable && !purchasable.error ? purchasable.components : undefined
+        }
+      })
+
+    const locations = await getPickupAvailability(lines)
+
+    res.json({
+      success: true,
+      data: {
+        locations
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Create location
+ * @route   POST /api/locations
+ * @access  Private/Admin
+ */
+const createLocation = async (req, res, next) => {
+  try {
+    const existing = await Location.findOne({ code: req.body.code.toUpperCase() })
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A location with this code already exists',
+          code: 'DUPLICATE_LOCATION_CODE'
+        }
+      })
+    }
+
+    const location = await Location.create(req.body)
+
+    logger.info('Location created:', { locationId: location._id, code: location.code, actor: req.user.id })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        location
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Update location
+ * @route   PUT /api/locations/:id
+ * @access  Private/Admin
+ */
+const updateLocation = async (req, res, next) => {
+  try {
+    const location = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Location.findById(req.params.id)
+      : null
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Location not found',
+          code: 'LOCATION_NOT_FOUND'
+        }
+      })
+    }
+
+    if (req.body.code && req.body.code.toUpperCase() !== location.code) {
+      const existing = await Location.findOne({ code: req.body.code.toUpperCase() })
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'A location with this code already exists',
+            code: 'DUPLICATE_LOCATION_CODE'
+          }
+        })
+      }
+    }
+
+    // save() rather than findByIdAndUpdate so the single-default hook runs
+    location.set(req.body)
+    await location.save()
+
+    res.json({
+      success: true,
+      data: {
+        location
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Deactivate location
+ * @route   DELETE /api/locations/:id
+ * @access  Private/Admin
+ */
+const deleteLocation = async (req, res, next) => {
+  try {
+    const location = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Location.findById(req.params.id)
+      : null
+
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Location not found',
+          code: 'LOCATION_NOT_FOUND'
+        }
+      })
+    }
+
+    // Locations are deactivated, not deleted - stock rows and ledger entries reference them
+    const [stockHeld] = await LocationStock.aggregate([
+      { $match: { locationId: location._id } },
+      { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+    ])
+
+    if (stockHeld && stockHeld.quantity > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Location still holds ${stockHeld.quantity} unit(s). Transfer them out first.`,
+          code: 'LOCATION_HAS_STOCK'
+        }
+      })
+    }
+
+    location.active = false
+    location.pickupEnabled = false
+    location.isDefault = false
+    await location.save()
+
+    res.json({
+      success: true,
+      message: 'Location deactivated'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getLocations,
+  getLocation,
+  getPickupOptions,
+  createLocation,
+  updateLocation,
+  deleteLocation
+}
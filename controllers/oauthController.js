@@ -1,5 +1,7 @@
 const User = require('../models/User')
 const { generateToken, generateRefreshToken } = require('../utils/generateToken')
+const { mergeGuestCartOnLogin } = require('../services/cartService')
+const { linkGuestOrdersSafely } = require('../services/guestOrderService')
 const logger = require('../utils/logger')
 
 /**
@@ -77,6 +79,12 @@ const handleOAuthCallback = async (req, res, next) => {
     const token = generateToken(user._id)
     const refreshToken = generateRefreshToken(user._id)
 
+    // OAuth emails are verified, so guest orders with this address belong to the user
+    await linkGuestOrdersSafely(user)
+
+    // Carry over the guest cart (cartToken cookie survives the provider redirect)
+    const cartMerge = await mergeGuestCartOnLogin(req, res, user._id)
+
     // Set refresh token in HttpOnly cookie for security
     res.cookie('refreshToken', refreshToken, {
       httpOnly: true,
@@ -86,7 +94,7 @@ const handleOAuthCallback = async (req, res, next) => {
     })
 
     // Redirect to frontend with access token
-    const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?token=${encodeURIComponent(token)}&refreshToken=${encodeURIComponent(refreshToken)}`
+    const redirectUrl = `${process.env.FRONTEND_URL}/auth/callback?token=${encodeURIComponent(token)}&refreshToken=${encodeURIComponent(refreshToken)}${cartMerge ? '&cartMerged=true' : ''}`
 
     res.redirect(redirectUrl)
   } catch (error) {
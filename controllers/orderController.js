@@ -1,12 +1,27 @@
+const mongoose = require('mongoose')
 const Order = require('../models/Order')
-const Cart = require('../models/Cart')
-const Product = require('../models/Product')
+const Location = require('../models/Location')
+const { priceCartItems } = require('../services/pricingService')
+const { reserveOrderItems, releaseOrderItems } = require('../services/inventoryService')
+const { transitionOrder, getOrderTimeline } = require('../services/orderStatusService')
+const { getOrderShipments } = require('../services/shipmentService')
+const { findCart, revalidateCart } = require('../services/cartService')
+const {
+  GUEST_ORDER_ACCESS_DAYS,
+  createGuestAccess,
+  getOrderAccessToken,
+  findGuestOrder
+} = require('../services/guestOrderService')
+const { sendGuestOrderAccessEmail } = require('../utils/emailService')
 const logger = require('../utils/logger')
 
+// How long checkout holds stock for an unpaid order
+const STOCK_HOLD_MINUTES = parseInt(process.env.STOCK_HOLD_MINUTES) || 30
+
 /**
  * @desc    Create order from cart
  * @route   POST /api/orders
- * @access  Private
+ * @access  Public (signed in, or guest checkout from a guest cart)
  */
 const createOrder = async (req, res, next) => {
   try {
@@ -22,7 +37,13 @@ const createOrder = async (req, res, next) => {
      * 
      * Optional fields:
      * - deliveryMethod: 'home' | 'pickup' (default: 'home')
+     * - pickupLocationId: required for pickup orders (see GET /api/locations/pickup-options)
      * - notes: string (max 1000 chars)
+     * - cartId: named cart to check out (default cart when omitted)
+     * - billingDetails: { companyName, kraPin, address } for the tax invoice
+     *
+     * Guest checkout: shippingAddress.email and phone are the guest's contact
+     * details; the order-lookup token is emailed and returned once as guestAccessToken.
      * - shippingAddress.state: string (optional)
      * - shippingAddress.zipCode: string (optional)
      * - shippingAddress.country: string (default: 'Kenya')
@@ -30,8 +51,10 @@ const createOrder = async (req, res, next) => {
     const {
       shippingAddress,
       deliveryMethod = 'home',
+      pickupLocationId = null,
       paymentMethod,
-      notes
+      notes,
+      billingDetails
     } = req.body
 
     // DEFENSIVE VALIDATION: Ensure shippingAddress exists (should be caught by Joi, but fail fast if not)
@@ -103,10 +126,36 @@ const createOrder = async (req, res, next) => {
       })
     }
 
-    // Re-fetch user's cart immediately before validation
+    /**
+     * FULFILMENT LOCATION: Pickup orders are fulfilled from the chosen pickup
+     * location; home deliveries ship from the default location (if one is set up)
+     */
+    let fulfillmentLocationId = null
+    let pickupLocation = null
+    if (deliveryMethod === 'pickup') {
+      pickupLocation = pickupLocationId
+        ? await Location.findOne({ _id: pickupLocationId, active: true, pickupEnabled: true })
+        : null
+
+      if (!pickupLocation) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Please choose an available pickup location',
+            code: 'INVALID_PICKUP_LOCATION',
+            field: 'pickupLocationId'
+          }
+        })
+      }
+      fulfillmentLocationId = pickupLocation._id
+    } else {
+      const defaultLocation = await Location.findOne({ isDefault: true, active: true }).select('_id')
+      fulfillmentLocationId = defaultLocation ? defaultLocation._id : null
+    }
+
+    // Re-fetch the user's (or guest's) cart immediately before validation
     // CART INTEGRITY: Populate products to validate they still exist
-    const cart = await Cart.findOne({ userId: req.user.id })
-      .populate('items.productId')
+    const cart = await findCart(req, { populate: true, cartId: req.body.cartId })
 
     if (!cart || cart.items.length === 0) {
       return res.status(400).json({
@@ -119,115 +168,206 @@ const createOrder = async (req, res, next) => {
     }
 
     /**
-     * CART INTEGRITY: Filter out invalid items before order creation
-     * 
-     * Prevents order creation failures due to:
-     * - Deleted products (productId is null)
-     * - Inactive products (product.active is false)
-     * 
-     * If cart becomes empty after filtering, return error
+     * CART INTEGRITY: Revalidate against current prices and stock
+     *
+     * Unavailable lines are removed, prices refreshed and quantities lowered to
+     * available stock (see revalidateCart). The order is refused while any such
+     * change is unacknowledged, so the customer never pays a total they have not
+     * seen - they review the changes and call POST /api/cart/changes/acknowledge.
      */
-    const validCartItems = cart.items.filter(item => {
-      if (!item.productId) {
-        logger.warn(`Order creation blocked: Cart item ${item._id} has null productId (product deleted)`)
-        return false
-      }
-      if (item.productId.active === false) {
-        logger.warn(`Order creation blocked: Cart item ${item._id} references inactive product ${item.productId._id}`)
-        return false
-      }
-      return true
-    })
+    const newChanges = await revalidateCart(cart)
+    if (cart.changes.length > 0) {
+      logger.info('Order creation blocked: unacknowledged cart changes', {
+        cartId: cart._id,
+        changes: cart.changes.length,
+        newChanges: newChanges.length
+      })
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Your cart has changed since you last reviewed it. Please review the changes before placing your order.',
+          code: 'CART_CHANGED',
+          changes: cart.changes
+        }
+      })
+    }
 
-    // If all items are invalid, return error (cart corruption detected)
+    const validCartItems = cart.items
     if (validCartItems.length === 0) {
-      // Sanitize cart by removing invalid items
-      cart.items = []
-      await cart.save()
-      
       return res.status(400).json({
         success: false,
         error: {
-          message: 'Cart contains only unavailable products. Please add valid products to your cart.',
-          code: 'CART_CORRUPTED'
+          message: 'Cart is empty',
+          code: 'EMPTY_CART'
         }
       })
     }
 
-    // If some items are invalid, sanitize cart but continue with valid items
-    if (validCartItems.length < cart.items.length) {
-      const removedCount = cart.items.length - validCartItems.length
-      logger.warn(`Order creation: Removed ${removedCount} invalid item(s) from cart. Continuing with ${validCartItems.length} valid item(s).`)
-      cart.items = validCartItems
-      await cart.save()
+    /**
+     * PRICING: Catalogue prices, shipping and VAT from the shared pricing pipeline
+     * (the same one behind POST /api/cart/preview), so the order total matches
+     * what the customer saw in the cart
+     */
+    const pricing = await priceCartItems({
+      items: validCartItems,
+      shippingAddress,
+      deliveryMethod,
+      couponCode: cart.couponCode,
+      userId: req.user?.id
+    })
+    if (pricing.error) {
+      return res.status(pricing.error.status).json({
+        success: false,
+        error: {
+          message: pricing.error.message,
+          code: pricing.error.code
+        }
+      })
     }
 
-    const orderItems = []
-    let subtotal = 0
-
-    // Use sanitized cart items (already validated above)
-    for (const cartItem of validCartItems) {
-      const product = cartItem.productId
+    // Never charge a different amount than the customer expects - make them remove a dead code first
+    if (pricing.couponError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Coupon ${cart.couponCode} can no longer be applied: ${pricing.couponError.message}. Remove it to continue.`,
+          code: pricing.couponError.code
+        }
+      })
+    }
 
-      if (!product || !product.active) {
+    for (const line of pricing.lines) {
+      if (line.purchasable.stock < line.quantity) {
         return res.status(400).json({
           success: false,
           error: {
-            message: `Product ${product?.name || 'Unknown'} is no longer available`,
-            code: 'PRODUCT_UNAVAILABLE'
+            message: `Insufficient stock for ${line.purchasable.name}. Available: ${line.purchasable.stock}, Requested: ${line.quantity}`,
+            code: 'INSUFFICIENT_STOCK'
           }
         })
       }
+    }
 
-      if (product.stock < cartItem.quantity) {
-        return res.status(400).json({
+    const orderItems = pricing.items
+    const { subtotal, shipping, tax, total } = pricing
+
+    /**
+     * STOCK RESERVATION: Hold the units until payment is confirmed
+     *
+     * The hold is all-or-nothing across lines. It turns into a sale when the
+     * payment IPN/callback confirms payment, and is released by the reservation
+     * sweeper if the order is abandoned (see jobs/reservationSweeper.js).
+     * Pickup orders are also held at the pickup location, so the customer only
+     * gets a location that actually has every item.
+     */
+    const reservation = await reserveOrderItems(orderItems, {
+      locationId: pickupLocation ? pickupLocation._id : null
+    })
+    if (!reservation.success) {
+      const itemName = reservation.item.variantName
+        ? `${reservation.item.name} - ${reservation.item.variantName}`
+        : reservation.item.name
+
+      if (reservation.atLocation) {
+        return res.status(409).json({
           success: false,
           error: {
-            message: `Insufficient stock for ${product.name}. Available: ${product.stock}, Requested: ${cartItem.quantity}`,
-            code: 'INSUFFICIENT_STOCK'
+            message: `${itemName} is not available for pickup at ${pickupLocation.name}. Please choose another location.`,
+            code: 'PICKUP_LOCATION_OUT_OF_STOCK'
           }
         })
       }
 
-      // ✅ Backend-authoritative pricing
-      const itemPrice = product.price
-      const itemTotal = itemPrice * cartItem.quantity
-      subtotal += itemTotal
-
-      orderItems.push({
-        productId: product._id,
-        name: product.name,
-        quantity: cartItem.quantity,
-        price: itemPrice,
-        total: itemTotal
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Insufficient stock for ${itemName}. It may have just been bought by another customer.`,
+          code: 'INSUFFICIENT_STOCK'
+        }
       })
     }
 
-    const shipping = deliveryMethod === 'pickup' ? 0 : 50
-    const tax = 0
-    const total = subtotal + shipping + tax
-
-    const order = await Order.create({
-      userId: req.user.id,
-      items: orderItems,
-      subtotal,
-      shipping,
-      tax,
-      total,
-      shippingAddress,
-      deliveryMethod,
-      paymentMethod,
-      notes,
-      paymentStatus: 'pending',
-      orderStatus: 'pending'
-    })
+    // Guests get a lookup token instead of an account
+    const guest = req.user ? null : createGuestAccess()
+
+    let order
+    try {
+      // Created in a transaction so the order number goes back to the sequence if the create fails
+      await mongoose.connection.transaction(async (session) => {
+        [order] = await Order.create([{
+          userId: req.user ? req.user.id : null,
+          guestAccess: guest ? guest.guestAccess : undefined,
+          cartId: cart._id,
+          items: orderItems,
+          subtotal,
+          discounts: pricing.discounts,
+          discountTotal: pricing.discountTotal,
+          shipping,
+          tax,
+          taxBreakdown: pricing.taxBreakdown,
+          pricesIncludeTax: pricing.pricesIncludeTax,
+          total,
+          shippingAddress,
+          billingDetails,
+          deliveryMethod,
+          shippingZone: pricing.shippingQuote.zone ? pricing.shippingQuote.zone.name : undefined,
+          pickupLocationId: pickupLocation ? pickupLocation._id : null,
+          pickupLocation: pickupLocation
+            ? {
+                name: pickupLocation.name,
+                street: pickupLocation.address.street,
+                city: pickupLocation.address.city,
+                county: pickupLocation.address.county,
+                phone: pickupLocation.phone
+              }
+            : undefined,
+          fulfillmentLocationId,
+          paymentMethod,
+          notes,
+          paymentStatus: 'pending',
+          orderStatus: 'pending',
+          statusHistory: [{
+            from: null,
+            to: 'pending',
+            actor: req.user ? req.user.id : null,
+            actorType: 'customer',
+            note: 'Order placed'
+          }],
+          reservation: {
+            status: 'held',
+            expiresAt: new Date(Date.now() + STOCK_HOLD_MINUTES * 60 * 1000)
+          }
+        }], { session })
+      })
+    } catch (createError) {
+      // Order was not created - give the held units back
+      await releaseOrderItems(orderItems, { locationId: pickupLocation ? pickupLocation._id : null })
+      throw createError
+    }
+
+    if (guest) {
+      try {
+        await sendGuestOrderAccessEmail(order, guest.token, GUEST_ORDER_ACCESS_DAYS)
+      } catch (emailError) {
+        // The token is also in the response, so the guest can still pay
+        logger.error('Error sending guest order email:', emailError)
+      }
+    }
+
+    // Never echo the stored token hash
+    const orderData = order.toObject()
+    if (orderData.guestAccess) {
+      delete orderData.guestAccess.tokenHash
+    }
 
     res.status(201).json({
       success: true,
       data: {
-        order,
+        order: orderData,
         payableAmount: order.total,
-        currency: 'KES'
+        currency: 'KES',
+        reservationExpiresAt: order.reservation.expiresAt,
+        ...(guest && { guestAccessToken: guest.token })
       }
     })
   } catch (error) {
@@ -253,8 +393,8 @@ const getOrders = async (req, res, next) => {
     const limitNum = parseInt(limit)
     const skip = (pageNum - 1) * limitNum
 
+    // Line details come from the order's own snapshot, not the live product
     const orders = await Order.find(query)
-      .populate('items.productId', 'name images')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limitNum)
@@ -291,8 +431,7 @@ const getOrder = async (req, res, next) => {
     const order = await Order.findOne({
       _id: id,
       userId: req.user.id
-    })
-      .populate('items.productId', 'name images description')
+    }).populate('pickupLocationId', 'name address phone hours')
 
     if (!order) {
       return res.status(404).json({
@@ -307,7 +446,9 @@ const getOrder = async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        order
+        order,
+        timeline: getOrderTimeline(order),
+        shipments: await getOrderShipments(order._id)
       }
     })
   } catch (error) {
@@ -323,7 +464,7 @@ const getOrder = async (req, res, next) => {
 const updateOrderStatus = async (req, res, next) => {
   try {
     const { id } = req.params
-    const { orderStatus, trackingNumber } = req.body
+    const { orderStatus, trackingNumber, note } = req.body
 
     const order = await Order.findById(id)
     if (!order) {
@@ -336,20 +477,33 @@ const updateOrderStatus = async (req, res, next) => {
       })
     }
 
-    if (orderStatus) {
-      order.orderStatus = orderStatus
-    }
-
-    if (trackingNumber) {
+    if (orderStatus && orderStatus !== order.orderStatus) {
+      const result = await transitionOrder(order, orderStatus, {
+        actor: req.user.id,
+        actorType: 'admin',
+        note,
+        trackingNumber
+      })
+      if (result.error) {
+        return res.status(result.error.status).json({
+          success: false,
+          error: {
+            message: result.error.message,
+            code: result.error.code,
+            allowed: result.error.allowed
+          }
+        })
+      }
+    } else if (trackingNumber) {
       order.trackingNumber = trackingNumber
+      await order.save()
     }
 
-    await order.save()
-
     res.json({
       success: true,
       data: {
         order,
+        timeline: getOrderTimeline(order),
         message: 'Order status updated'
       }
     })
@@ -359,14 +513,13 @@ const updateOrderStatus = async (req, res, next) => {
 }
 
 /**
- * @desc    Update payment status
- * @route   PUT /api/orders/:id/payment
+ * @desc    Cancel order
+ * @route   PUT /api/orders/:id/cancel
  * @access  Private
  */
-const updatePaymentStatus = async (req, res, next) => {
+const cancelOrder = async (req, res, next) => {
   try {
     const { id } = req.params
-    const { paymentStatus, paymentId } = req.body
 
     const order = await Order.findOne({
       _id: id,
@@ -383,21 +536,39 @@ const updatePaymentStatus = async (req, res, next) => {
       })
     }
 
-    if (paymentStatus) {
-      order.paymentStatus = paymentStatus
+    // Only allow cancellation if order is pending or confirmed
+    if (!['pending', 'confirmed'].includes(order.orderStatus)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Order cannot be cancelled at this stage',
+          code: 'CANCEL_NOT_ALLOWED'
+        }
+      })
     }
 
-    if (paymentId) {
-      order.paymentId = paymentId
+    // Stock taken or held by the order is given back by the state machine
+    const result = await transitionOrder(order, 'cancelled', {
+      actor: req.user.id,
+      actorType: 'customer',
+      note: 'Cancelled by customer'
+    })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
     }
 
-    await order.save()
-
     res.json({
       success: true,
       data: {
         order,
-        message: 'Payment status updated'
+        timeline: getOrderTimeline(order),
+        message: 'Order cancelled successfully'
       }
     })
   } catch (error) {
@@ -406,56 +577,75 @@ const updatePaymentStatus = async (req, res, next) => {
 }
 
 /**
- * @desc    Cancel order
- * @route   PUT /api/orders/:id/cancel
- * @access  Private
+ * @desc    Get a guest order with its lookup token
+ * @route   GET /api/orders/guest/:orderNumber
+ * @access  Public (X-Order-Token header or ?token=)
  */
-const cancelOrder = async (req, res, next) => {
+const getGuestOrder = async (req, res, next) => {
   try {
-    const { id } = req.params
-
-    const order = await Order.findOne({
-      _id: id,
-      userId: req.user.id
-    })
+    const token = getOrderAccessToken(req)
+    const order = token
+      ? await findGuestOrder({ orderNumber: req.params.orderNumber.toUpperCase() }, token)
+        .populate('pickupLocationId', 'name address phone hours')
+      : null
 
+    // Same response for a wrong token and a wrong order number
     if (!order) {
       return res.status(404).json({
         success: false,
         error: {
-          message: 'Order not found',
+          message: 'Order not found or link has expired',
           code: 'ORDER_NOT_FOUND'
         }
       })
     }
 
-    // Only allow cancellation if order is pending or confirmed
-    if (!['pending', 'confirmed'].includes(order.orderStatus)) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Order cannot be cancelled at this stage',
-          code: 'CANCEL_NOT_ALLOWED'
-        }
-      })
-    }
-
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { stock: item.quantity }
-      })
-    }
-
-    order.orderStatus = 'cancelled'
-    await order.save()
-
     res.json({
       success: true,
       data: {
         order,
-        message: 'Order cancelled successfully'
+        timeline: getOrderTimeline(order),
+        shipments: await getOrderShipments(order._id)
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Email a new lookup link for a guest order
+ * @route   POST /api/orders/guest/access-link
+ * @access  Public
+ */
+const requestGuestOrderAccess = async (req, res, next) => {
+  try {
+    const { orderNumber, email } = req.body
+
+    // Account orders are looked up by signing in
+    const order = await Order.findOne({
+      orderNumber: orderNumber.toUpperCase(),
+      'shippingAddress.email': email,
+      userId: null
+    })
+
+    // A new link replaces the previous one
+    if (order) {
+      const guest = createGuestAccess()
+      order.guestAccess = guest.guestAccess
+      await order.save()
+
+      try {
+        await sendGuestOrderAccessEmail(order, guest.token, GUEST_ORDER_ACCESS_DAYS)
+      } catch (emailError) {
+        logger.error('Error sending guest order email:', emailError)
       }
+    }
+
+    // Don't reveal whether the order/email pair exists
+    res.json({
+      success: true,
+      message: 'If an order matches those details, a link to it has been emailed.'
     })
   } catch (error) {
     next(error)
@@ -464,10 +654,11 @@ const cancelOrder = async (req, res, next) => {
 
 module.exports = {
   createOrder,
+  getGuestOrder,
+  requestGuestOrderAccess,
   getOrders,
   getOrder,
   updateOrderStatus,
-  updatePaymentStatus,
   cancelOrder
 }
 
@@ -1,26 +1,34 @@
-const mongoose = require('mongoose')
-const Order = require('../models/Order')
-const Cart = require('../models/Cart')
-const Product = require('../models/Product')
-const User = require('../models/User')
-const { submitOrder, getPaymentStatus, verifyIPN } = require('../services/pesapalService')
-const { sendOrderConfirmationEmail } = require('../utils/emailService')
+const Payment = require('../models/Payment')
+const { getPaymentProvider } = require('../services/paymentProviders')
+const {
+  getRegisteredIPNs,
+  getIPNRegistration,
+  ensureIPNRegistration
+} = require('../services/pesapalService')
+const {
+  initiatePayment: startPayment,
+  handleWebhook,
+  checkPayment,
+  confirmManualPayment
+} = require('../services/paymentService')
+const {
+  getReportDate,
+  buildReconciliationReport
+} = require('../services/paymentReconciliationService')
+const { findOrderForRequest } = require('../services/guestOrderService')
 const logger = require('../utils/logger')
 
 /**
  * @desc    Initiate payment for order
  * @route   POST /api/payments/initiate
- * @access  Private
+ * @access  Public (signed in, or guest with the order's guestToken)
  */
 const initiatePayment = async (req, res, next) => {
   try {
     const { orderId } = req.body
 
-    // Get order
-    const order = await Order.findOne({
-      _id: orderId,
-      userId: req.user.id
-    }).populate('userId')
+    // Get order (own order, or guest order unlocked by its lookup token)
+    const order = await findOrderForRequest(req, { _id: orderId })
 
     if (!order) {
       return res.status(404).json({
@@ -54,33 +62,39 @@ const initiatePayment = async (req, res, next) => {
       })
     }
 
-    // Prepare order data for Pesapal
-    const orderData = {
-      orderId: order._id.toString(),
-      amount: order.total,
-      currency: 'KES',
-      description: `Payment for order ${order.orderNumber}`,
-      customerEmail: order.shippingAddress.email,
-      customerPhone: order.shippingAddress.phone,
-      customerName: order.shippingAddress.name,
-      reference: order.orderNumber
+    // Check the stock hold is still valid (the sweeper may not have cancelled it yet)
+    if (order.reservation && order.reservation.status === 'held' &&
+        order.reservation.expiresAt && order.reservation.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'This order has expired. Please place your order again.',
+          code: 'RESERVATION_EXPIRED'
+        }
+      })
     }
 
-    // Submit to Pesapal
-    const paymentResponse = await submitOrder(orderData)
-
-    // Update order with tracking ID
-    order.paymentId = paymentResponse.orderTrackingId
-    order.paymentStatus = 'processing'
-    await order.save()
+    const result = await startPayment(order, {
+      params: { phoneNumber: req.body.phoneNumber },
+      actor: req.user ? req.user.id : null
+    })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
 
     res.json({
       success: true,
       data: {
-        redirectUrl: paymentResponse.redirectUrl,
-        orderTrackingId: paymentResponse.orderTrackingId,
+        ...result.response,
         orderId: order._id,
-        message: 'Payment initiated successfully. Redirect to Pesapal to complete payment.'
+        paymentId: result.payment._id,
+        provider: result.provider
       }
     })
   } catch (error) {
@@ -90,134 +104,22 @@ const initiatePayment = async (req, res, next) => {
 }
 
 /**
- * @desc    Handle Pesapal callback
+ * @desc    Handle Pesapal callback (customer's browser returning from Pesapal)
  * @route   GET /api/payments/pesapal/callback
  * @access  Public
  */
 const pesapalCallback = async (req, res, _next) => {
   try {
-    const { OrderTrackingId, OrderMerchantReference } = req.query
+    const result = await handleWebhook('pesapal', { query: req.query, type: 'callback' })
 
-    if (!OrderTrackingId) {
-      return res.redirect(`${process.env.FRONTEND_URL}/payment?status=error&message=Missing tracking ID`)
-    }
-
-    // Get order by order number
-    const order = await Order.findOne({ orderNumber: OrderMerchantReference })
-
-    if (!order) {
-      return res.redirect(`${process.env.FRONTEND_URL}/payment?status=error&message=Order not found`)
-    }
-
-    // IDEMPOTENCY CHECK: If order is already paid, redirect to success (idempotent)
-    if (order.paymentStatus === 'paid') {
-      logger.info('Order already fulfilled (idempotent check in callback):', {
-        orderId: order._id,
-        orderNumber: OrderMerchantReference
-      })
-      return res.redirect(`${process.env.FRONTEND_URL}/payment?status=success&orderId=${order._id}`)
-    }
-
-    // Verify payment status with Pesapal
-    const paymentStatus = await getPaymentStatus(OrderTrackingId)
-
-    // Update order payment status (Pesapal returns status as string like "COMPLETED", "FAILED")
-    const statusUpper = paymentStatus.paymentStatus?.toUpperCase() || ''
-    if (statusUpper === 'COMPLETED') {
-      // AMOUNT VERIFICATION: Verify payment amount matches order total
-      const paidAmount = parseFloat(paymentStatus.amount || 0)
-      const orderTotal = parseFloat(order.total)
-      const amountDifference = Math.abs(paidAmount - orderTotal)
-      const tolerance = 0.01 // Allow 0.01 tolerance for rounding
-
-      if (amountDifference > tolerance) {
-        logger.error('Amount mismatch in Pesapal callback:', {
-          paidAmount,
-          orderTotal,
-          difference: amountDifference,
-          orderId: order._id,
-          orderNumber: OrderMerchantReference
-        })
-        order.paymentStatus = 'failed'
-        order.paymentId = OrderTrackingId
-        await order.save()
-        return res.redirect(`${process.env.FRONTEND_URL}/payment?status=error&message=Payment amount mismatch`)
-      }
-
-      // FULFILLMENT: Use MongoDB transaction for atomic operations
-      const session = await mongoose.startSession()
-      session.startTransaction()
-
-      try {
-        // 1. Update order status (within transaction)
-      order.paymentStatus = 'paid'
-      if (order.orderStatus === 'pending') {
-        order.orderStatus = 'confirmed'
-      }
-        order.paymentId = OrderTrackingId
-        await order.save({ session })
-
-        // 2. Reduce product stock (atomic within transaction)
-        for (const item of order.items) {
-          await Product.findByIdAndUpdate(
-            item.productId,
-            { $inc: { stock: -item.quantity } },
-            { session }
-          )
-        }
-
-        // 3. Clear user's cart (atomic within transaction)
-        const cart = await Cart.findOne({ userId: order.userId }).session(session)
-        if (cart) {
-          cart.items = []
-          await cart.save({ session })
-        }
-
-        // Commit transaction - all or nothing
-        await session.commitTransaction()
-        logger.info('Pesapal callback fulfillment completed (transaction committed):', {
-          orderId: order._id,
-          orderNumber: OrderMerchantReference,
-          amount: paidAmount
-        })
-      } catch (transactionError) {
-        // Rollback transaction on any error
-        await session.abortTransaction()
-        logger.error('CRITICAL: Pesapal callback fulfillment transaction failed:', {
-          orderId: order._id,
-          orderNumber: OrderMerchantReference,
-          error: transactionError
-        })
-        throw transactionError
-      } finally {
-        session.endSession()
-      }
-
-      // 4. Send order confirmation email (outside transaction - non-critical)
-      try {
-          const user = await User.findById(order.userId)
-          if (user && user.email) {
-            await sendOrderConfirmationEmail(order, user)
-          }
-        } catch (emailError) {
-        // Email failure should not fail the payment
-          logger.error('Error sending order confirmation email:', emailError)
-      }
-    } else if (statusUpper === 'FAILED') {
-      order.paymentStatus = 'failed'
-      order.paymentId = OrderTrackingId
-      await order.save()
-    } else {
-      // Other statuses (e.g., PENDING) - just update tracking ID and status
-      order.paymentStatus = 'processing'
-      order.paymentId = OrderTrackingId
-      await order.save()
+    if (result.error && !result.order) {
+      return res.redirect(`${process.env.FRONTEND_URL}/payment?status=error&message=${encodeURIComponent(result.error.message)}`)
     }
 
     // Redirect to frontend
-    const redirectUrl = paymentStatus.paymentStatus === 'COMPLETED'
-      ? `${process.env.FRONTEND_URL}/payment?status=success&orderId=${order._id}`
-      : `${process.env.FRONTEND_URL}/payment?status=failed&orderId=${order._id}`
+    const redirectUrl = result.order.paymentStatus === 'paid'
+      ? `${process.env.FRONTEND_URL}/payment?status=success&orderId=${result.order._id}`
+      : `${process.env.FRONTEND_URL}/payment?status=failed&orderId=${result.order._id}`
 
     res.redirect(redirectUrl)
   } catch (error) {
@@ -227,24 +129,62 @@ const pesapalCallback = async (req, res, _next) => {
 }
 
 /**
- * @desc    Handle Pesapal IPN (Instant Payment Notification)
+ * @desc    Handle a payment provider notification (Pesapal IPN, M-Pesa callback, ...)
+ * @route   POST /api/payments/:provider/webhook
  * @route   POST /api/payments/pesapal/ipn
- * @access  Public
+ * @route   POST /api/payments/mpesa/callback?token=
+ * @access  Public (verified with the provider)
  */
-const pesapalIPN = async (req, res, next) => {
+const paymentWebhook = async (req, res, next) => {
   try {
-    const { OrderTrackingId, OrderMerchantReference, OrderNotificationType } = req.body
+    const provider = getPaymentProvider(req.params.provider)
+    const result = await handleWebhook(req.params.provider, {
+      query: req.query,
+      body: req.body,
+      headers: req.headers,
+      type: 'webhook'
+    })
+
+    // Providers that expect their own reply format
+    if (provider && provider.webhookResponse) {
+      const reply = provider.webhookResponse(result)
+      return res.status(reply.status).json(reply.body)
+    }
 
-    logger.info('Pesapal IPN received:', { OrderTrackingId, OrderMerchantReference, OrderNotificationType })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      message: result.duplicate || result.outcome === 'already_paid'
+        ? 'Notification processed successfully (order already fulfilled)'
+        : 'Notification processed successfully'
+    })
+  } catch (error) {
+    logger.error('Payment webhook error:', { provider: req.params.provider, error })
+    next(error)
+  }
+}
 
-    // Verify IPN
-    const verification = await verifyIPN(OrderTrackingId, OrderMerchantReference)
+/**
+ * @desc    Check payment status (READ-ONLY)
+ * @route   GET /api/payments/status/:orderId
+ * @access  Public (signed in, or guest with X-Order-Token)
+ */
+const checkPaymentStatus = async (req, res, next) => {
+  try {
+    const { orderId } = req.params
 
-    // Get order
-    const order = await Order.findOne({ orderNumber: OrderMerchantReference })
+    const order = await findOrderForRequest(req, { _id: orderId })
 
     if (!order) {
-      logger.error('Order not found for IPN:', OrderMerchantReference)
       return res.status(404).json({
         success: false,
         error: {
@@ -254,179 +194,255 @@ const pesapalIPN = async (req, res, next) => {
       })
     }
 
-    // IDEMPOTENCY CHECK: If order is already paid, exit immediately
-    if (order.paymentStatus === 'paid') {
-      logger.info('Order already fulfilled (idempotent check):', {
-        orderId: order._id,
-        orderNumber: OrderMerchantReference
-      })
-      return res.json({
-        success: true,
-        message: 'IPN processed successfully (order already fulfilled)'
-      })
-    }
+    const { payment, providerStatus } = await checkPayment(order)
 
-    // Update order based on payment status (Pesapal returns status as string)
-    const statusUpper = verification.paymentStatus?.toUpperCase() || ''
-    if (statusUpper === 'COMPLETED') {
-      // AMOUNT VERIFICATION: Verify payment amount matches order total
-      const paidAmount = parseFloat(verification.amount || 0)
-      const orderTotal = parseFloat(order.total)
-      const amountDifference = Math.abs(paidAmount - orderTotal)
-      const tolerance = 0.01 // Allow 0.01 tolerance for rounding
-
-      if (amountDifference > tolerance) {
-        logger.error('Amount mismatch in Pesapal IPN:', {
-          paidAmount,
-          orderTotal,
-          difference: amountDifference,
-          orderId: order._id,
-          orderNumber: OrderMerchantReference
-        })
-        order.paymentStatus = 'failed'
-        await order.save()
-        return res.status(400).json({
-          success: false,
-          error: {
-            message: 'Payment amount does not match order total',
-            code: 'AMOUNT_MISMATCH'
-          }
-        })
+    // IMPORTANT: No state mutation here
+    return res.json({
+      success: true,
+      data: {
+        order: {
+          _id: order._id,
+          orderNumber: order.orderNumber,
+          paymentStatus: order.paymentStatus,
+          orderStatus: order.orderStatus,
+          total: order.total
+        },
+        payment: payment && {
+          _id: payment._id,
+          provider: payment.provider,
+          attempt: payment.attempt,
+          status: payment.status,
+          amount: payment.amount,
+          failureReason: payment.failureReason
+        },
+        providerStatus
       }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
 
-      // FULFILLMENT: Use MongoDB transaction for atomic operations
-      const session = await mongoose.startSession()
-      session.startTransaction()
+/**
+ * @desc    List payment attempts
+ * @route   GET /api/admin/payments
+ * @access  Private/Admin
+ */
+const getPayments = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = parseInt(req.query.limit) || 20
+    const { status, provider, orderId } = req.query
+    const search = req.query.search || ''
+
+    const query = {}
+    if (status) query.status = status
+    if (provider) query.provider = provider
+    if (orderId) query.orderId = orderId
+    if (search) {
+      query.$or = [
+        { orderNumber: { $regex: search, $options: 'i' } },
+        { trackingId: { $regex: search, $options: 'i' } },
+        { providerReference: { $regex: search, $options: 'i' } }
+      ]
+    }
 
-      try {
-        // 1. Update order status (within transaction)
-      order.paymentStatus = 'paid'
-      if (order.orderStatus === 'pending') {
-        order.orderStatus = 'confirmed'
-      }
-        order.paymentId = OrderTrackingId
-        await order.save({ session })
-
-        // 2. Reduce product stock (atomic within transaction)
-        for (const item of order.items) {
-          await Product.findByIdAndUpdate(
-            item.productId,
-            { $inc: { stock: -item.quantity } },
-            { session }
-          )
+    const skip = (page - 1) * limit
+
+    const [payments, total] = await Promise.all([
+      Payment.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Payment.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
         }
+      }
+    })
+  } catch (error) {
+    logger.error('Get payments error:', error)
+    next(error)
+  }
+}
 
-        // 3. Clear user's cart (atomic within transaction)
-        const cart = await Cart.findOne({ userId: order.userId }).session(session)
-        if (cart) {
-          cart.items = []
-          await cart.save({ session })
+/**
+ * @desc    Get a payment attempt
+ * @route   GET /api/admin/payments/:id
+ * @access  Private/Admin
+ */
+const getPayment = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('initiatedBy', 'firstName lastName email')
+      .populate('confirmedBy', 'firstName lastName')
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Payment not found',
+          code: 'PAYMENT_NOT_FOUND'
         }
+      })
+    }
 
-        // Commit transaction - all or nothing
-        await session.commitTransaction()
-        logger.info('Pesapal IPN fulfillment completed (transaction committed):', {
-          orderId: order._id,
-          orderNumber: OrderMerchantReference,
-          amount: paidAmount
-        })
-      } catch (transactionError) {
-        // Rollback transaction on any error
-        await session.abortTransaction()
-        logger.error('CRITICAL: Pesapal IPN fulfillment transaction failed:', {
-          orderId: order._id,
-          orderNumber: OrderMerchantReference,
-          error: transactionError
-        })
-        throw transactionError
-      } finally {
-        session.endSession()
+    res.json({
+      success: true,
+      data: {
+        payment
       }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
 
-      // 4. Send order confirmation email (outside transaction - non-critical)
-      try {
-          const user = await User.findById(order.userId)
-          if (user && user.email) {
-            await sendOrderConfirmationEmail(order, user)
-          }
-        } catch (emailError) {
-        // Email failure should not fail the payment
-          logger.error('Error sending order confirmation email:', emailError)
-      }
-    } else if (statusUpper === 'FAILED') {
-      order.paymentStatus = 'failed'
-      order.paymentId = OrderTrackingId
-      await order.save()
-    } else {
-      // Other statuses (e.g., PENDING) - just update tracking ID
-    order.paymentId = OrderTrackingId
-    await order.save()
+/**
+ * @desc    Record a cash on delivery payment as collected
+ * @route   POST /api/admin/payments/:id/confirm
+ * @access  Private/Admin
+ */
+const confirmPayment = async (req, res, next) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Payment not found',
+          code: 'PAYMENT_NOT_FOUND'
+        }
+      })
     }
 
-    logger.info('Order payment status updated:', {
-      orderId: order._id,
-      paymentStatus: order.paymentStatus,
-      orderStatus: order.orderStatus
+    const result = await confirmManualPayment(payment, {
+      actor: { id: req.user.id, email: req.user.email },
+      reference: req.body.reference,
+      amount: req.body.amount
     })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
 
     res.json({
       success: true,
-      message: 'IPN processed successfully'
+      data: {
+        payment: result.payment,
+        order: {
+          _id: result.order._id,
+          orderNumber: result.order.orderNumber,
+          paymentStatus: result.order.paymentStatus,
+          orderStatus: result.order.orderStatus
+        }
+      }
     })
   } catch (error) {
-    logger.error('Pesapal IPN error:', error)
     next(error)
   }
 }
 
 /**
- * @desc    Check payment status (READ-ONLY)
- * @route   GET /api/payments/status/:orderId
- * @access  Private
+ * @desc    Get the Pesapal IPN registration orders are sent with
+ * @route   GET /api/admin/payments/pesapal/ipn
+ * @access  Private/Admin
  */
-const checkPaymentStatus = async (req, res, next) => {
+const getPesapalIPN = async (req, res, next) => {
   try {
-    const { orderId } = req.params
+    const registration = await getIPNRegistration()
+
+    let registered = null
+    try {
+      registered = await getRegisteredIPNs()
+    } catch (error) {
+      // Still show the stored registration when Pesapal cannot be reached
+      logger.error('Error listing Pesapal IPN URLs:', error.message)
+    }
 
-    const order = await Order.findOne({
-      _id: orderId,
-      userId: req.user.id
+    res.json({
+      success: true,
+      data: {
+        registration,
+        registered
+      }
     })
+  } catch (error) {
+    next(error)
+  }
+}
 
-    if (!order) {
-      return res.status(404).json({
+/**
+ * @desc    Register the IPN URL with Pesapal again and use the new ID for new orders
+ * @route   POST /api/admin/payments/pesapal/ipn
+ * @access  Private/Admin
+ */
+const registerPesapalIPN = async (req, res, next) => {
+  try {
+    let registration
+    try {
+      registration = await ensureIPNRegistration({ force: true })
+    } catch (error) {
+      return res.status(502).json({
         success: false,
         error: {
-          message: 'Order not found',
-          code: 'ORDER_NOT_FOUND'
+          message: `IPN registration failed: ${error.response?.data?.error?.message || error.message}`,
+          code: 'IPN_REGISTRATION_FAILED'
         }
       })
     }
 
-    let pesapalStatus = null
+    logger.info('Pesapal IPN re-registered:', { ipnId: registration.ipnId, actor: req.user.id })
 
-    // READ-ONLY: query Pesapal if paymentId exists
-    if (order.paymentId) {
-      try {
-        pesapalStatus = await getPaymentStatus(order.paymentId)
-      } catch (error) {
-        logger.error('Error checking payment status with Pesapal:', error)
-        // Do NOT fail — backend order state is still authoritative
+    res.json({
+      success: true,
+      data: {
+        registration
       }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Reconciliation report of a day's paid orders against Pesapal
+ * @route   GET /api/admin/payments/reconciliation?date=YYYY-MM-DD
+ * @access  Private/Admin
+ */
+const getReconciliationReport = async (req, res, next) => {
+  try {
+    const date = req.query.date || getReportDate()
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'date must be a valid YYYY-MM-DD date',
+          code: 'INVALID_DATE'
+        }
+      })
     }
 
-    // IMPORTANT: No state mutation here
-    return res.json({
+    const report = await buildReconciliationReport(date)
+
+    res.json({
       success: true,
       data: {
-        order: {
-          _id: order._id,
-          orderNumber: order.orderNumber,
-          paymentStatus: order.paymentStatus,
-          orderStatus: order.orderStatus,
-          total: order.total
-        },
-        pesapalStatus
+        report
       }
     })
   } catch (error) {
@@ -437,7 +453,12 @@ const checkPaymentStatus = async (req, res, next) => {
 module.exports = {
   initiatePayment,
   pesapalCallback,
-  pesapalIPN,
-  checkPaymentStatus
+  paymentWebhook,
+  checkPaymentStatus,
+  getPayments,
+  getPayment,
+  confirmPayment,
+  getPesapalIPN,
+  registerPesapalIPN,
+  getReconciliationReport
 }
-
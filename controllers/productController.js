@@ -1,4 +1,6 @@
 const Product = require('../models/Product')
+const { toStorefrontStock, adjustStock, setStockLevel, replaceVariants } = require('../services/inventoryService')
+const { prepareBundle, refreshBundlePrices } = require('../services/bundleService')
 const logger = require('../utils/logger')
 
 /**
@@ -116,7 +118,8 @@ const getProducts = async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        products,
+        // Storefront shows available stock (units held by unpaid orders excluded)
+        products: products.map(toStorefrontStock),
         pagination: {
           page: pageNum,
           limit: limitNum,
@@ -161,7 +164,8 @@ const getProduct = async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        product
+        product: toStorefrontStock(product.toObject({ flattenMaps: true })),
+        variantMatrix: product.getVariantMatrix()
       }
     })
   } catch (error) {
@@ -200,7 +204,8 @@ const getProductsByCategory = async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        products,
+        // Storefront shows available stock (units held by unpaid orders excluded)
+        products: products.map(toStorefrontStock),
         pagination: {
           page: pageNum,
           limit: limitNum,
@@ -254,7 +259,7 @@ const searchProducts = async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        products,
+        products: products.map(toStorefrontStock),
         query: q,
         pagination: {
           page: pageNum,
@@ -291,7 +296,7 @@ const getFeaturedProducts = async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        products
+        products: products.map(toStorefrontStock)
       }
     })
   } catch (error) {
@@ -384,19 +389,86 @@ const createProduct = async (req, res, next) => {
         productData.specifications = {}
       }
     }
+
+    // Ensure variants is an array (FormData sends it as a JSON string)
+    if (productData.variants && typeof productData.variants === 'string') {
+      try {
+        productData.variants = JSON.parse(productData.variants)
+      } catch (e) {
+        productData.variants = []
+      }
+    }
     
+    // Bundles take their stock from their components and cannot have variants
+    if (productData.bundle) {
+      if (Array.isArray(productData.variants) && productData.variants.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Bundles cannot have variants',
+            code: 'BUNDLE_VARIANTS_NOT_SUPPORTED'
+          }
+        })
+      }
+
+      const prepared = await prepareBundle(productData.bundle)
+      if (prepared.error) {
+        return res.status(prepared.error.status).json({
+          success: false,
+          error: {
+            message: prepared.error.message,
+            code: prepared.error.code
+          }
+        })
+      }
+
+      productData.isBundle = true
+      productData.bundle = prepared.bundle
+      productData.stock = 0
+      productData.variants = []
+      if (prepared.price !== null) {
+        productData.price = prepared.price
+      }
+    }
+
     // Auto-generate unique slug from product name (server-side only)
     const uniqueSlug = await generateProductSlug(productData.name)
     
+    /**
+     * STOCK LEDGER: Opening stock is booked as a restock movement after the
+     * product exists, so the product is created with zero stock
+     */
+    const openingStock = parseInt(productData.stock) || 0
+    const variants = Array.isArray(productData.variants) ? productData.variants : []
+    const variantOpeningStock = variants.map(variant => parseInt(variant.stock) || 0)
+    productData.stock = 0
+    productData.variants = variants.map(variant => ({ ...variant, stock: 0 }))
+    
     // Create product with auto-generated slug
     // Ensure active defaults to true if not explicitly set
-    const product = await Product.create({
+    let product = await Product.create({
       ...productData,
       slug: uniqueSlug, // Server-generated slug
       images: images,
       active: productData.active !== undefined ? productData.active : true // Explicitly set active: true if not provided
     })
 
+    const openingMovements = product.variants.length > 0
+      ? product.variants.map((variant, index) => ({ variantId: variant._id, quantity: variantOpeningStock[index] }))
+      : [{ variantId: null, quantity: openingStock }]
+
+    for (const { variantId, quantity } of openingMovements.filter(m => m.quantity > 0)) {
+      await adjustStock({
+        productId: product._id,
+        variantId,
+        quantity,
+        reason: 'restock',
+        actor: req.user.id,
+        note: 'Opening stock'
+      })
+    }
+    product = await Product.findById(product._id)
+
     res.status(201).json({
       success: true,
       data: {
@@ -520,14 +592,118 @@ const updateProduct = async (req, res, next) => {
       }
     }
 
-    const product = await Product.findByIdAndUpdate(
-      id,
-      updateData,
-      {
-        new: true,
-        runValidators: true
+    // Ensure variants is an array if provided (FormData sends it as a JSON string)
+    if (updateData.variants && typeof updateData.variants === 'string') {
+      try {
+        updateData.variants = JSON.parse(updateData.variants)
+      } catch (e) {
+        // If parsing fails, keep existing variants
+        delete updateData.variants
+      }
+    }
+
+    if (updateData.bundle !== undefined && !existingProduct.isBundle) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only bundle products have bundle components',
+          code: 'NOT_A_BUNDLE'
+        }
+      })
+    }
+
+    if (existingProduct.isBundle) {
+      if (updateData.variants !== undefined && updateData.variants.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Bundles cannot have variants',
+            code: 'BUNDLE_VARIANTS_NOT_SUPPORTED'
+          }
+        })
+      }
+      // Bundle stock comes from the components
+      delete updateData.variants
+      delete updateData.stock
+
+      if (updateData.bundle !== undefined) {
+        const prepared = await prepareBundle(updateData.bundle, { productId: id })
+        if (prepared.error) {
+          return res.status(prepared.error.status).json({
+            success: false,
+            error: {
+              message: prepared.error.message,
+              code: prepared.error.code
+            }
+          })
+        }
+
+        updateData.bundle = prepared.bundle
+        if (prepared.price !== null) {
+          updateData.price = prepared.price
+        }
+      }
+    }
+
+    /**
+     * STOCK LEDGER: Stock edits are never written directly. The product is saved
+     * with its current stock, then each requested level is booked as a manual
+     * adjustment movement (only the difference is recorded).
+     */
+    const stockLevels = []
+    let product
+    if (updateData.variants !== undefined) {
+      for (const variant of updateData.variants) {
+        if (variant.stock !== undefined) {
+          stockLevels.push({ sku: variant.sku, level: variant.stock })
+        }
       }
-    ).select('-__v')
+
+      delete updateData.stock // Product stock is the sum of its variants
+      const { variants, ...updates } = updateData
+      const result = await replaceVariants(id, { variants, updates, actor: req.user.id })
+      if (result.error) {
+        return res.status(result.error.status).json({
+          success: false,
+          error: {
+            message: result.error.message,
+            code: result.error.code
+          }
+        })
+      }
+      product = await Product.findById(id).select('-__v')
+    } else {
+      if (updateData.stock !== undefined) {
+        if (existingProduct.variants.length === 0) {
+          stockLevels.push({ sku: null, level: updateData.stock })
+        }
+        delete updateData.stock
+      }
+
+      product = await Product.findByIdAndUpdate(
+        id,
+        updateData,
+        {
+          new: true,
+          runValidators: true
+        }
+      ).select('-__v')
+    }
+
+    if (product && stockLevels.length > 0) {
+      for (const { sku, level } of stockLevels) {
+        const variant = sku ? product.variants.find(v => v.sku === sku) : null
+        if (sku && !variant) continue
+        await setStockLevel({
+          productId: id,
+          variantId: variant ? variant._id : null,
+          level,
+          actor: req.user.id,
+          note: 'Stock edited on product'
+        })
+      }
+      product = await Product.findById(id).select('-__v')
+    }
 
     if (!product) {
       return res.status(404).json({
@@ -539,6 +715,11 @@ const updateProduct = async (req, res, next) => {
       })
     }
 
+    // Sum-priced bundles containing this product follow its price
+    if (!product.isBundle && (updateData.price !== undefined || updateData.variants !== undefined)) {
+      await refreshBundlePrices(id)
+    }
+
     res.json({
       success: true,
       data: {
@@ -0,0 +1,258 @@
+const mongoose = require('mongoose')
+const Promotion = require('../models/Promotion')
+const PromotionRedemption = require('../models/PromotionRedemption')
+const logger = require('../utils/logger')
+
+/**
+ * Load a promotion by ID, or send 404
+ * @returns {Promise<Object|null>} Promotion document or null (response already sent)
+ */
+const findPromotionOr404 = async (req, res) => {
+  const promotion = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Promotion.findById(req.params.id)
+    : null
+
+  if (!promotion) {
+    res.status(404).json({
+      success: false,
+      error: {
+        message: 'Promotion not found',
+        code: 'PROMOTION_NOT_FOUND'
+      }
+    })
+    return null
+  }
+
+  return promotion
+}
+
+/**
+ * Reject a coupon code already used by another promotion
+ * @returns {Promise<Boolean>} true if the code is free
+ */
+const isCodeAvailable = async (code, excludeId) => {
+  if (!code) return true
+  const existing = await Promotion.findOne({ code: code.toUpperCase(), _id: { $ne: excludeId } })
+  return !existing
+}
+
+/**
+ * @desc    Get all promotions
+ * @route   GET /api/admin/promotions
+ * @access  Private/Admin
+ */
+const getPromotions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, active, kind, search } = req.query
+
+    const query = {}
+    if (active !== undefined) {
+      query.active = active === 'true'
+    }
+    if (kind === 'coupon') {
+      query.code = { $type: 'string', $ne: '' }
+    } else if (kind === 'automatic') {
+      query.code = { $in: [null, ''] }
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+      query.$or = [{ name: pattern }, { code: pattern }]
+    }
+
+    const pageNum = parseInt(page)
+    const limitNum = parseInt(limit)
+    const skip = (pageNum - 1) * limitNum
+
+    const [promotions, total] = await Promise.all([
+      Promotion.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Promotion.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        promotions,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get single promotion with redemption summary
+ * @route   GET /api/admin/promotions/:id
+ * @access  Private/Admin
+ */
+const getPromotion = async (req, res, next) => {
+  try {
+    const promotion = await findPromotionOr404(req, res)
+    if (!promotion) return
+
+    const [summary, recentRedemptions] = await Promise.all([
+      PromotionRedemption.aggregate([
+        { $match: { promotionId: promotion._id } },
+        {
+          $group: {
+            _id: null,
+            redemptions: { $sum: 1 },
+            totalDiscount: { $sum: '$discountAmount' },
+            customers: { $addToSet: '$userId' }
+          }
+        }
+      ]),
+      PromotionRedemption.find({ promotionId: promotion._id })
+        .populate('userId', 'firstName lastName email')
+        .populate('orderId', 'orderNumber total')
+        .sort({ createdAt: -1 })
+        .limit(20)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        promotion,
+        stats: {
+          redemptions: summary[0]?.redemptions || 0,
+          totalDiscount: summary[0]?.totalDiscount || 0,
+          uniqueCustomers: summary[0]?.customers.length || 0
+        },
+        recentRedemptions
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Create promotion
+ * @route   POST /api/admin/promotions
+ * @access  Private/Admin
+ */
+const createPromotion = async (req, res, next) => {
+  try {
+    if (!await isCodeAvailable(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A promotion with this code already exists',
+          code: 'DUPLICATE_PROMOTION_CODE'
+        }
+      })
+    }
+
+    const promotion = await Promotion.create({
+      ...req.body,
+      code: req.body.code || undefined,
+      createdBy: req.user.id
+    })
+
+    logger.info('Promotion created:', {
+      promotionId: promotion._id,
+      code: promotion.code,
+      discountType: promotion.discountType,
+      actor: req.user.id
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        promotion
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Update promotion
+ * @route   PUT /api/admin/promotions/:id
+ * @access  Private/Admin
+ */
+const updatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await findPromotionOr404(req, res)
+    if (!promotion) return
+
+    if (!await isCodeAvailable(req.body.code, promotion._id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A promotion with this code already exists',
+          code: 'DUPLICATE_PROMOTION_CODE'
+        }
+      })
+    }
+
+    promotion.set(req.body)
+    if (req.body.code === null) {
+      promotion.code = undefined // Turn a coupon into an automatic promotion
+    }
+    await promotion.save()
+
+    logger.info('Promotion updated:', { promotionId: promotion._id, actor: req.user.id })
+
+    res.json({
+      success: true,
+      data: {
+        promotion
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Delete promotion (deactivates it once it has been redeemed)
+ * @route   DELETE /api/admin/promotions/:id
+ * @access  Private/Admin
+ */
+const deletePromotion = async (req, res, next) => {
+  try {
+    const promotion = await findPromotionOr404(req, res)
+    if (!promotion) return
+
+    // Paid orders reference redeemed promotions - keep them for reporting
+    const redeemed = await PromotionRedemption.exists({ promotionId: promotion._id })
+    if (redeemed) {
+      promotion.active = false
+      await promotion.save()
+
+      return res.json({
+        success: true,
+        message: 'Promotion has redemptions and was deactivated instead of deleted'
+      })
+    }
+
+    await promotion.deleteOne()
+
+    logger.info('Promotion deleted:', { promotionId: promotion._id, code: promotion.code, actor: req.user.id })
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+}
@@ -58,7 +58,7 @@ const submitQuote = async (req, res, next) => {
 
     // Send notification email (optional - failures don't break user flow)
     try {
-      await sendQuoteNotification({ name, email, phone, location, systemSize, installationDate, contact, type })
+      await sendQuoteNotification({ quoteNumber: quote.quoteNumber, name, email, phone, location, systemSize, installationDate, contact, type })
     } catch (emailError) {
       logger.error('Error sending quote notification email:', emailError)
       // Don't fail the request if email fails
@@ -69,6 +69,7 @@ const submitQuote = async (req, res, next) => {
       data: {
         quote: {
           id: quote._id,
+          quoteNumber: quote.quoteNumber,
           location: quote.location,
           type: quote.type,
           status: quote.status
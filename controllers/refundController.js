@@ -0,0 +1,186 @@
+const Order = require('../models/Order')
+const Refund = require('../models/Refund')
+const Invoice = require('../models/Invoice')
+const { createRefund } = require('../services/refundService')
+const { renderCreditNotePdf } = require('../services/invoiceService')
+
+/**
+ * @desc    Refund an order (full, per line, or an amount)
+ * @route   POST /api/admin/refunds
+ * @access  Private/Admin
+ */
+const refundOrder = async (req, res, next) => {
+  try {
+    const { orderId, full, items, amount, reason, note, restock } = req.body
+
+    const order = await Order.findById(orderId)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Order not found',
+          code: 'ORDER_NOT_FOUND'
+        }
+      })
+    }
+
+    const result = await createRefund(order, {
+      full,
+      items,
+      amount,
+      reason,
+      note,
+      restock,
+      actor: { id: req.user.id, email: req.user.email }
+    })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
+
+    const updated = await Order.findById(orderId).select('orderNumber total refundedTotal paymentStatus')
+
+    res.status(201).json({
+      success: true,
+      data: {
+        refund: result.refund,
+        order: updated
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    List refunds
+ * @route   GET /api/admin/refunds
+ * @access  Private/Admin
+ */
+const getRefunds = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = parseInt(req.query.limit) || 20
+    const { orderId, status } = req.query
+
+    const query = {}
+    if (orderId) query.orderId = orderId
+    if (status) query.status = status
+
+    const skip = (page - 1) * limit
+
+    const [refunds, total] = await Promise.all([
+      Refund.find(query)
+        .populate('requestedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Refund.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get a refund
+ * @route   GET /api/admin/refunds/:id
+ * @access  Private/Admin
+ */
+const getRefund = async (req, res, next) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+      .populate('requestedBy', 'firstName lastName email')
+      .populate('invoiceId', 'invoiceNumber status')
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Refund not found',
+          code: 'REFUND_NOT_FOUND'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        refund
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Download a refund's credit note
+ * @route   GET /api/admin/refunds/:id/credit-note
+ * @access  Private/Admin
+ */
+const getCreditNote = async (req, res, next) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Refund not found',
+          code: 'REFUND_NOT_FOUND'
+        }
+      })
+    }
+
+    if (refund.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Only completed refunds have a credit note',
+          code: 'REFUND_NOT_COMPLETED'
+        }
+      })
+    }
+
+    const [order, invoice] = await Promise.all([
+      Order.findById(refund.orderId),
+      refund.invoiceId ? Invoice.findById(refund.invoiceId) : null
+    ])
+
+    const pdf = await renderCreditNotePdf(refund, { order, invoice })
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${refund.creditNoteNumber}.pdf"`,
+      'Content-Length': pdf.length
+    })
+    res.send(pdf)
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  refundOrder,
+  getRefunds,
+  getRefund,
+  getCreditNote
+}
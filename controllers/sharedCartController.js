@@ -0,0 +1,273 @@
+const crypto = require('crypto')
+const Product = require('../models/Product')
+const SharedCart = require('../models/SharedCart')
+const {
+  findCart,
+  findOrCreateCart,
+  checkCartLine,
+  addLinesToCart
+} = require('../services/cartService')
+const logger = require('../utils/logger')
+
+const DEFAULT_SHARE_DAYS = 14
+
+/**
+ * Load a shared cart that has not expired
+ * @param {String} token - Share token
+ * @returns {Promise<Object>} { sharedCart } or { error: { status, message, code } }
+ */
+const loadSharedCart = async (token) => {
+  const sharedCart = await SharedCart.findOne({ token })
+
+  if (!sharedCart) {
+    return {
+      error: { status: 404, message: 'Shared cart not found', code: 'SHARED_CART_NOT_FOUND' }
+    }
+  }
+
+  // The TTL index removes expired links eventually, not immediately
+  if (sharedCart.expiresAt <= new Date()) {
+    return {
+      error: { status: 410, message: 'This cart link has expired', code: 'SHARED_CART_EXPIRED' }
+    }
+  }
+
+  return { sharedCart }
+}
+
+/**
+ * Current products for shared cart lines
+ * @param {Object} sharedCart - Shared cart
+ * @returns {Promise<Map>} productId -> Product
+ */
+const loadProducts = async (sharedCart) => {
+  const products = await Product.find({ _id: { $in: sharedCart.items.map(item => item.productId) } })
+  return new Map(products.map(product => [String(product._id), product]))
+}
+
+/**
+ * @desc    Share a cart as a link
+ * @route   POST /api/shared-carts
+ * @access  Private
+ */
+const createSharedCart = async (req, res, next) => {
+  try {
+    const { cartId, name, note, expiresInDays = DEFAULT_SHARE_DAYS } = req.body
+
+    const cart = await findCart(req, { populate: true, cartId })
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Cart is empty',
+          code: 'EMPTY_CART'
+        }
+      })
+    }
+
+    // Only share what the customer can actually buy right now
+    const unavailable = []
+    for (const item of cart.items) {
+      const check = checkCartLine(item.productId, item.variantId, item.quantity)
+      if (check.error) {
+        unavailable.push({
+          itemId: item._id,
+          name: item.productId ? item.productId.name : 'Unavailable product',
+          message: check.error.message,
+          code: check.error.code
+        })
+      }
+    }
+
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Some items in this cart cannot be bought right now. Update the cart before sharing it.',
+          code: 'CART_LINE_UNAVAILABLE',
+          items: unavailable
+        }
+      })
+    }
+
+    const sharedCart = await SharedCart.create({
+      token: crypto.randomBytes(16).toString('hex'),
+      name: name || cart.name,
+      note,
+      items: cart.items.map(item => ({
+        productId: item.productId._id,
+        variantId: item.variantId || null,
+        quantity: item.quantity,
+        name: checkCartLine(item.productId, item.variantId, 0).purchasable.name
+      })),
+      createdBy: req.user.id,
+      sourceCartId: cart._id,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    })
+
+    logger.info('Cart shared:', {
+      sharedCartId: sharedCart._id,
+      cartId: cart._id,
+      items: sharedCart.items.length,
+      actor: req.user.id
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        token: sharedCart.token,
+        url: `${process.env.FRONTEND_URL}/cart/shared/${sharedCart.token}`,
+        expiresAt: sharedCart.expiresAt,
+        itemCount: sharedCart.items.reduce((sum, item) => sum + item.quantity, 0)
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Preview shared cart with current prices and stock
+ * @route   GET /api/shared-carts/:token
+ * @access  Public
+ */
+const getSharedCart = async (req, res, next) => {
+  try {
+    const { sharedCart, error } = await loadSharedCart(req.params.token)
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      })
+    }
+
+    const productsById = await loadProducts(sharedCart)
+
+    const items = sharedCart.items.map(item => {
+      const product = productsById.get(String(item.productId)) || null
+      const check = checkCartLine(product, item.variantId, item.quantity)
+      const purchasable = check.purchasable
+
+      return {
+        productId: item.productId,
+        variantId: item.variantId,
+        name: purchasable ? purchasable.name : item.name,
+        sku: purchasable ? purchasable.sku : undefined,
+        image: product && product.images.length ? product.images[0] : null,
+        quantity: item.quantity,
+        price: purchasable ? purchasable.price : null,
+        total: purchasable ? purchasable.price * item.quantity : 0,
+        available: !check.error,
+        availableQuantity: purchasable ? purchasable.stock : 0,
+        issue: check.error ? { message: check.error.message, code: check.error.code } : null
+      }
+    })
+
+    res.json({
+      success: true,
+      data: {
+        sharedCart: {
+          name: sharedCart.name,
+          note: sharedCart.note,
+          expiresAt: sharedCart.expiresAt,
+          items,
+          // Lines that cannot be bought in full are left out of the total
+          total: items.filter(item => item.available).reduce((sum, item) => sum + item.total, 0),
+          unavailableCount: items.filter(item => !item.available).length
+        },
+        currency: 'KES'
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Add shared cart lines to the visitor's cart
+ * @route   POST /api/shared-carts/:token/import
+ * @access  Public (guest cart token or signed in)
+ */
+const importSharedCart = async (req, res, next) => {
+  try {
+    const { sharedCart, error } = await loadSharedCart(req.params.token)
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        error: {
+          message: error.message,
+          code: error.code
+        }
+      })
+    }
+
+    // Named cart when given, otherwise the default (or a new guest) cart
+    const cart = req.body.cartId
+      ? await findCart(req, { cartId: req.body.cartId })
+      : await findOrCreateCart(req, res)
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Cart not found',
+          code: 'CART_NOT_FOUND'
+        }
+      })
+    }
+
+    const productsById = await loadProducts(sharedCart)
+    const result = addLinesToCart(cart, sharedCart.items.map(item => ({
+      product: productsById.get(String(item.productId)) || null,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      name: item.name
+    })))
+
+    if (result.mergedItems === 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'None of the items in this cart are available right now',
+          code: 'SHARED_CART_UNAVAILABLE',
+          dropped: result.dropped
+        }
+      })
+    }
+
+    await cart.save()
+
+    await SharedCart.updateOne(
+      { _id: sharedCart._id },
+      { $inc: { importCount: 1 }, $set: { lastImportedAt: new Date() } }
+    )
+
+    res.json({
+      success: true,
+      data: {
+        cart: {
+          _id: cart._id,
+          items: cart.items,
+          total: cart.calculateTotal(),
+          itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0)
+        },
+        added: result.mergedItems,
+        adjusted: result.adjusted,
+        dropped: result.dropped,
+        // Returned once, when a guest cart is created, for clients using the X-Cart-Token header
+        ...(res.locals.cartToken && { cartToken: res.locals.cartToken }),
+        message: 'Items added to cart'
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  createSharedCart,
+  getSharedCart,
+  importSharedCart
+}
@@ -0,0 +1,257 @@
+const Order = require('../models/Order')
+const Shipment = require('../models/Shipment')
+const { listCarriers } = require('../services/courierService')
+const {
+  createShipment: shipOrder,
+  addTrackingEvent,
+  syncShipmentTracking
+} = require('../services/shipmentService')
+const logger = require('../utils/logger')
+
+/**
+ * @desc    List couriers available for shipping
+ * @route   GET /api/admin/shipments/carriers
+ * @access  Private/Admin
+ */
+const getCarriers = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        carriers: listCarriers()
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Ship some or all of an order's remaining items
+ * @route   POST /api/admin/shipments
+ * @access  Private/Admin
+ */
+const createShipment = async (req, res, next) => {
+  try {
+    const { orderId, carrier, trackingNumber, items, note } = req.body
+
+    const order = await Order.findById(orderId)
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Order not found',
+          code: 'ORDER_NOT_FOUND'
+        }
+      })
+    }
+
+    const result = await shipOrder(order, {
+      carrier,
+      trackingNumber,
+      items,
+      note,
+      actor: { id: req.user.id, email: req.user.email }
+    })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code,
+          ...(result.error.allowed && { allowed: result.error.allowed })
+        }
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        shipment: result.shipment,
+        order: {
+          _id: order._id,
+          orderNumber: order.orderNumber,
+          orderStatus: order.orderStatus,
+          trackingNumber: order.trackingNumber
+        }
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    List shipments
+ * @route   GET /api/admin/shipments
+ * @access  Private/Admin
+ */
+const getShipments = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = parseInt(req.query.limit) || 20
+    const { status, carrier, orderId } = req.query
+    const search = req.query.search || ''
+
+    const query = {}
+    if (status) query.status = status
+    if (carrier) query.carrier = carrier
+    if (orderId) query.orderId = orderId
+    if (search) {
+      query.$or = [
+        { trackingNumber: { $regex: search, $options: 'i' } },
+        { orderNumber: { $regex: search, $options: 'i' } }
+      ]
+    }
+
+    const skip = (page - 1) * limit
+
+    const [shipments, total] = await Promise.all([
+      Shipment.find(query)
+        .populate('createdBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Shipment.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        shipments,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    })
+  } catch (error) {
+    logger.error('Get shipments error:', error)
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get a shipment with its tracking events
+ * @route   GET /api/admin/shipments/:id
+ * @access  Private/Admin
+ */
+const getShipment = async (req, res, next) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName')
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Shipment not found',
+          code: 'SHIPMENT_NOT_FOUND'
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        shipment
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Add a tracking event by hand (couriers without tracking lookups)
+ * @route   POST /api/admin/shipments/:id/events
+ * @access  Private/Admin
+ */
+const addShipmentEvent = async (req, res, next) => {
+  try {
+    const { status, description, location, at } = req.body
+
+    const shipment = await Shipment.findById(req.params.id)
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Shipment not found',
+          code: 'SHIPMENT_NOT_FOUND'
+        }
+      })
+    }
+
+    const result = await addTrackingEvent(shipment, { status, description, location, at })
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        shipment: result.shipment
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Pull the latest tracking events from the courier
+ * @route   POST /api/admin/shipments/:id/sync
+ * @access  Private/Admin
+ */
+const syncShipment = async (req, res, next) => {
+  try {
+    const shipment = await Shipment.findById(req.params.id)
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Shipment not found',
+          code: 'SHIPMENT_NOT_FOUND'
+        }
+      })
+    }
+
+    const result = await syncShipmentTracking(shipment)
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        error: {
+          message: result.error.message,
+          code: result.error.code
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        shipment: result.shipment,
+        added: result.added
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getCarriers,
+  createShipment,
+  getShipments,
+  getShipment,
+  addShipmentEvent,
+  syncShipment
+}
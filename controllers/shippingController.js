@@ -0,0 +1,174 @@
+const mongoose = require('mongoose')
+const ShippingZone = require('../models/ShippingZone')
+const { calculateShipping, buildShippingLines } = require('../services/shippingService')
+const logger = require('../utils/logger')
+
+/**
+ * @desc    Quote shipping for a basket and address
+ * @route   POST /api/shipping/quote
+ * @access  Public
+ */
+const getShippingQuote = async (req, res, next) => {
+  try {
+    const { items, shippingAddress = {}, deliveryMethod = 'home' } = req.body
+
+    const built = await buildShippingLines(items)
+    if (built.error) {
+      return res.status(built.error.status).json({
+        success: false,
+        error: {
+          message: built.error.message,
+          code: built.error.code
+        }
+      })
+    }
+
+    const quote = await calculateShipping({
+      lines: built.lines,
+      address: shippingAddress,
+      deliveryMethod
+    })
+
+    if (quote.error) {
+      return res.status(quote.error.status).json({
+        success: false,
+        error: {
+          message: quote.error.message,
+          code: quote.error.code
+        }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        quote,
+        currency: 'KES'
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get all shipping zones
+ * @route   GET /api/shipping/zones
+ * @access  Private/Admin
+ */
+const getZones = async (req, res, next) => {
+  try {
+    const zones = await ShippingZone.find()
+      .sort({ isDefault: 1, name: 1 })
+      .lean()
+
+    res.json({
+      success: true,
+      data: {
+        zones
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Create shipping zone
+ * @route   POST /api/shipping/zones
+ * @access  Private/Admin
+ */
+const createZone = async (req, res, next) => {
+  try {
+    const zone = await ShippingZone.create(req.body)
+
+    logger.info('Shipping zone created:', { zoneId: zone._id, name: zone.name, actor: req.user.id })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        zone
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Update shipping zone
+ * @route   PUT /api/shipping/zones/:id
+ * @access  Private/Admin
+ */
+const updateZone = async (req, res, next) => {
+  try {
+    const zone = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ShippingZone.findById(req.params.id)
+      : null
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Shipping zone not found',
+          code: 'ZONE_NOT_FOUND'
+        }
+      })
+    }
+
+    // save() rather than findByIdAndUpdate so the single-default hook runs
+    zone.set(req.body)
+    await zone.save()
+
+    logger.info('Shipping zone updated:', { zoneId: zone._id, actor: req.user.id })
+
+    res.json({
+      success: true,
+      data: {
+        zone
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Delete shipping zone
+ * @route   DELETE /api/shipping/zones/:id
+ * @access  Private/Admin
+ */
+const deleteZone = async (req, res, next) => {
+  try {
+    const zone = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ShippingZone.findByIdAndDelete(req.params.id)
+      : null
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Shipping zone not found',
+          code: 'ZONE_NOT_FOUND'
+        }
+      })
+    }
+
+    logger.info('Shipping zone deleted:', { zoneId: zone._id, name: zone.name, actor: req.user.id })
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deleted'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getShippingQuote,
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone
+}
@@ -0,0 +1,68 @@
+const TaxRate = require('../models/TaxRate')
+const { getTaxRates, pricesIncludeTax } = require('../services/taxService')
+const logger = require('../utils/logger')
+
+/**
+ * @desc    Get VAT rates for every tax class
+ * @route   GET /api/admin/tax-rates
+ * @access  Private/Admin
+ */
+const getRates = async (req, res, next) => {
+  try {
+    const rates = await getTaxRates()
+
+    res.json({
+      success: true,
+      data: {
+        rates: Object.entries(rates).map(([taxClass, rate]) => ({ taxClass, ...rate })),
+        pricesIncludeTax: pricesIncludeTax()
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * @desc    Set the VAT rate for a tax class
+ * @route   PUT /api/admin/tax-rates/:taxClass
+ * @access  Private/Admin
+ */
+const updateRate = async (req, res, next) => {
+  try {
+    const { taxClass } = req.params
+    const { name, rate } = req.body
+
+    if (!TaxRate.schema.path('taxClass').enumValues.includes(taxClass)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Tax class not found',
+          code: 'TAX_CLASS_NOT_FOUND'
+        }
+      })
+    }
+
+    const taxRate = await TaxRate.findOneAndUpdate(
+      { taxClass },
+      { name, rate },
+      { new: true, upsert: true, runValidators: true }
+    )
+
+    logger.info('Tax rate updated:', { taxClass, rate, actor: req.user.id })
+
+    res.json({
+      success: true,
+      data: {
+        rate: taxRate
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getRates,
+  updateRate
+}
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose')
+const Payment = require('../models/Payment')
+const Setting = require('../models/Setting')
+const User = require('../models/User')
+const {
+  getReconcileCutoff,
+  recordUntrackedPayments,
+  reconcilePayment,
+  getReportDate,
+  getReportHour,
+  buildReconciliationReport
+} = require('../services/paymentReconciliationService')
+const { acquireLock } = require('../services/lockService')
+const { sendPaymentReconciliationEmail } = require('../utils/emailService')
+const logger = require('../utils/logger')
+
+/**
+ * Payment Reconciliation
+ * Checks payment attempts still pending after PAYMENT_RECONCILE_AFTER_MINUTES
+ * with their provider, so orders whose IPN never came are paid, failed or
+ * (after PAYMENT_EXPIRE_AFTER_HOURS) cancelled without anyone polling by hand.
+ * Least recently checked attempts go first.
+ *
+ * Once a day, after PAYMENT_REPORT_HOUR (East Africa Time), admins are emailed
+ * the previous day's reconciliation report. The last report sent is kept in
+ * settings so restarts and other instances do not send it twice.
+ */
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MS) || 5 * 60 * 1000
+const REPORT_CHECK_INTERVAL_MS = 15 * 60 * 1000
+// Hour 0 (midnight) is a valid setting, so only a missing or out-of-range value falls back
+const configuredReportHour = parseInt(process.env.PAYMENT_REPORT_HOUR)
+const REPORT_HOUR = Number.isInteger(configuredReportHour) && configuredReportHour >= 0 && configuredReportHour <= 23 ? configuredReportHour : 6
+const REPORT_SETTING_KEY = 'payment_reconciliation_report'
+const BATCH_SIZE = 50
+
+let reconcileTimer = null
+let reportTimer = null
+let reconciling = false
+
+/**
+ * Run one reconciliation
+ * @returns {Promise<Object>} Count of attempts per outcome
+ */
+const reconcilePendingPayments = async () => {
+  const counts = {}
+  if (reconciling || mongoose.connection.readyState !== 1) {
+    return counts
+  }
+
+  reconciling = true
+
+  try {
+    const cutoff = getReconcileCutoff()
+    await recordUntrackedPayments(cutoff)
+
+    // Pay-on-delivery attempts have no tracking ID - staff confirm those
+    const payments = await Payment.find({
+      status: 'pending',
+      trackingId: { $type: 'string' },
+      createdAt: { $lte: cutoff }
+    })
+      .sort({ lastCheckedAt: 1 })
+      .limit(BATCH_SIZE)
+
+    for (const payment of payments) {
+      try {
+        const result = await reconcilePayment(payment)
+        const outcome = result.error ? result.error.code : (result.expired ? 'expired' : result.outcome)
+        counts[outcome] = (counts[outcome] || 0) + 1
+      } catch (error) {
+        // Provider unreachable - try again next run
+        logger.error('Payment reconciliation failed:', {
+          paymentId: payment._id,
+          provider: payment.provider,
+          trackingId: payment.trackingId,
+          error: error.response?.data || error.message
+        })
+      }
+    }
+
+    if (payments.length > 0) {
+      logger.info('Payment reconciliation completed:', { checked: payments.length, ...counts })
+    }
+  } catch (error) {
+    logger.error('Payment reconciliation run failed:', error)
+  } finally {
+    reconciling = false
+  }
+
+  return counts
+}
+
+/**
+ * Email yesterday's reconciliation report once it is due
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} The report, if one was sent
+ */
+const sendDailyReconciliationReport = async (now = new Date()) => {
+  if (mongoose.connection.readyState !== 1) {
+    return null
+  }
+
+  if (getReportHour(now) < REPORT_HOUR) {
+    return null
+  }
+  const date = getReportDate(now)
+
+  const release = await acquireLock(REPORT_SETTING_KEY, { ttlMs: 10 * 60 * 1000, waitMs: 0 })
+  if (!release) {
+    return null
+  }
+
+  try {
+    const lastSent = await Setting.findById(REPORT_SETTING_KEY).lean()
+    if (lastSent && lastSent.value.date >= date) {
+      return null
+    }
+
+    const report = await buildReconciliationReport(date)
+    const admins = await User.find({ role: 'admin' }).select('email').lean()
+    if (admins.length > 0) {
+      await sendPaymentReconciliationEmail(admins.map(admin => admin.email), report)
+    }
+    await Setting.findByIdAndUpdate(REPORT_SETTING_KEY, { value: { date, sentAt: new Date() } }, { upsert: true })
+
+    logger.info('Payment reconciliation report sent:', {
+      date,
+      orders: report.pesapal.orders,
+      difference: report.pesapal.difference,
+      discrepancies: report.pesapal.discrepancies.length
+    })
+    return report
+  } catch (error) {
+    logger.error('Payment reconciliation report failed:', error)
+    return null
+  } finally {
+    await release()
+  }
+}
+
+/**
+ * Start the periodic reconciliation and the daily report check
+ */
+const startPaymentReconciliation = () => {
+  if (reconcileTimer) return
+
+  reconcileTimer = setInterval(reconcilePendingPayments, RECONCILE_INTERVAL_MS)
+  reportTimer = setInterval(sendDailyReconciliationReport, REPORT_CHECK_INTERVAL_MS)
+  // Don't keep the process alive just for reconciliation
+  reconcileTimer.unref()
+  reportTimer.unref()
+  logger.info(`Payment reconciliation started (interval: ${RECONCILE_INTERVAL_MS / 1000}s)`)
+}
+
+/**
+ * Stop the periodic reconciliation
+ */
+const stopPaymentReconciliation = () => {
+  if (reconcileTimer) {
+    clearInterval(reconcileTimer)
+    clearInterval(reportTimer)
+    reconcileTimer = null
+    reportTimer = null
+  }
+}
+
+module.exports = {
+  reconcilePendingPayments,
+  sendDailyReconciliationReport,
+  startPaymentReconciliation,
+  stopPaymentReconciliation
+}
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose')
+const Order = require('../models/Order')
+const { releaseOrderItems } = require('../services/inventoryService')
+const logger = require('../utils/logger')
+
+/**
+ * Reservation Sweeper
+ * Releases expired checkout stock holds and cancels the abandoned orders behind them.
+ *
+ * Only orders that never reached the payment provider (pending) or whose payment
+ * failed are swept. Orders in 'processing' keep their hold until the provider
+ * confirms or rejects the payment, or payment reconciliation gives up on it.
+ */
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000
+const BATCH_SIZE = 100
+
+let sweepTimer = null
+let sweeping = false
+
+/**
+ * Run one sweep
+ * @returns {Promise<Number>} Number of orders released
+ */
+const sweepExpiredReservations = async () => {
+  if (sweeping || mongoose.connection.readyState !== 1) {
+    return 0
+  }
+
+  sweeping = true
+  let released = 0
+
+  try {
+    const expiredOrders = await Order.find({
+      'reservation.status': 'held',
+      'reservation.expiresAt': { $lte: new Date() },
+      paymentStatus: { $in: ['pending', 'failed'] }
+    })
+      .select('_id')
+      .limit(BATCH_SIZE)
+      .lean()
+
+    for (const { _id } of expiredOrders) {
+      // Claim the order atomically so a concurrent payment or a second sweeper
+      // instance cannot release the same hold twice
+      const order = await Order.findOneAndUpdate(
+        {
+          _id,
+          'reservation.status': 'held',
+          paymentStatus: { $in: ['pending', 'failed'] }
+        },
+        // Pipeline update so the timeline entry records the status being left
+        [{
+          $set: {
+            'reservation.status': 'released',
+            orderStatus: 'cancelled',
+            cancelledAt: '$$NOW',
+            statusHistory: {
+              $concatArrays: [
+                { $ifNull: ['$statusHistory', []] },
+                [{
+                  from: '$orderStatus',
+                  to: 'cancelled',
+                  actor: null,
+                  actorType: 'system',
+                  note: 'Not paid in time - stock hold expired',
+                  at: '$$NOW'
+                }]
+              ]
+            }
+          }
+        }],
+        { new: true }
+      )
+
+      if (!order) continue
+
+      try {
+        await releaseOrderItems(order.items, { locationId: order.pickupLocationId })
+        released++
+        logger.info('Released expired stock reservation:', {
+          orderId: order._id,
+          orderNumber: order.orderNumber
+        })
+      } catch (releaseError) {
+        logger.error('CRITICAL: Failed to release stock for expired order:', {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          error: releaseError
+        })
+      }
+    }
+  } catch (error) {
+    logger.error('Reservation sweep failed:', error)
+  } finally {
+    sweeping = false
+  }
+
+  return released
+}
+
+/**
+ * Start the periodic sweeper
+ */
+const startReservationSweeper = () => {
+  if (sweepTimer) return
+
+  sweepTimer = setInterval(sweepExpiredReservations, SWEEP_INTERVAL_MS)
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref()
+  logger.info(`Reservation sweeper started (interval: ${SWEEP_INTERVAL_MS / 1000}s)`)
+}
+
+/**
+ * Stop the periodic sweeper
+ */
+const stopReservationSweeper = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer)
+    sweepTimer = null
+  }
+}
+
+module.exports = {
+  sweepExpiredReservations,
+  startReservationSweeper,
+  stopReservationSweeper
+}
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose')
+const Shipment = require('../models/Shipment')
+const { listCarriers } = require('../services/courierService')
+const { CLOSED_STATUSES, syncShipmentTracking } = require('../services/shipmentService')
+const logger = require('../utils/logger')
+
+/**
+ * Shipment Tracking Sync
+ * Pulls tracking events for parcels still on the road from couriers whose
+ * adapter supports tracking lookups. Least recently synced shipments go first,
+ * so a large backlog is worked through over several runs.
+ */
+
+const SYNC_INTERVAL_MS = parseInt(process.env.SHIPMENT_TRACKING_SYNC_INTERVAL_MS) || 15 * 60 * 1000
+const BATCH_SIZE = 50
+
+let syncTimer = null
+let syncing = false
+
+/**
+ * Run one sync
+ * @returns {Promise<Number>} Number of shipments with new events
+ */
+const syncOpenShipments = async () => {
+  if (syncing || mongoose.connection.readyState !== 1) {
+    return 0
+  }
+
+  const carriers = listCarriers().filter(carrier => carrier.tracking).map(carrier => carrier.code)
+  if (carriers.length === 0) {
+    return 0
+  }
+
+  syncing = true
+  let updated = 0
+
+  try {
+    const shipments = await Shipment.find({
+      carrier: { $in: carriers },
+      status: { $nin: CLOSED_STATUSES }
+    })
+      .sort({ lastSyncedAt: 1 })
+      .limit(BATCH_SIZE)
+
+    for (const shipment of shipments) {
+      try {
+        const result = await syncShipmentTracking(shipment)
+        if (result.added > 0) updated++
+      } catch (syncError) {
+        logger.error('Shipment tracking sync failed:', {
+          shipmentId: shipment._id,
+          trackingNumber: shipment.trackingNumber,
+          error: syncError
+        })
+      }
+    }
+  } catch (error) {
+    logger.error('Shipment tracking sync failed:', error)
+  } finally {
+    syncing = false
+  }
+
+  return updated
+}
+
+/**
+ * Start the periodic sync
+ */
+const startShipmentTrackingSync = () => {
+  if (syncTimer) return
+
+  syncTimer = setInterval(syncOpenShipments, SYNC_INTERVAL_MS)
+  syncTimer.unref()
+  logger.info(`Shipment tracking sync started (interval: ${SYNC_INTERVAL_MS / 1000}s)`)
+}
+
+/**
+ * Stop the periodic sync
+ */
+const stopShipmentTrackingSync = () => {
+  if (syncTimer) {
+    clearInterval(syncTimer)
+    syncTimer = null
+  }
+}
+
+module.exports = {
+  syncOpenShipments,
+  startShipmentTrackingSync,
+  stopShipmentTrackingSync
+}
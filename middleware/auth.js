@@ -2,16 +2,20 @@ const jwt = require('jsonwebtoken')
 const User = require('../models/User')
 const logger = require('../utils/logger')
 
-// Protect routes - require authentication
-const protect = async (req, res, next) => {
-  let token
-
-  // Check for token in cookies first, then in Authorization header
+// Read the access token - cookie first, then Authorization header
+const getRequestToken = (req) => {
   if (req.cookies.token) {
-    token = req.cookies.token
-  } else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1]
+    return req.cookies.token
   }
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1]
+  }
+  return undefined
+}
+
+// Protect routes - require authentication
+const protect = async (req, res, next) => {
+  const token = getRequestToken(req)
 
   if (!token) {
     return res.status(401).json({
@@ -53,5 +57,15 @@ const protect = async (req, res, next) => {
   }
 }
 
-module.exports = { protect }
+// Optional authentication - sets req.user when a valid token is sent, lets
+// anonymous requests through. A token that is sent but invalid is still rejected
+// so an expired session does not silently turn into a guest session.
+const optionalAuth = async (req, res, next) => {
+  if (!getRequestToken(req)) {
+    return next()
+  }
+  return protect(req, res, next)
+}
+
+module.exports = { protect, optionalAuth }
 
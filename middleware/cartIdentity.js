@@ -0,0 +1,12 @@
+const { readCartToken } = require('../services/cartService')
+
+// Identify the guest cart - runs after optionalAuth. Signed-in users are
+// identified by req.user; anonymous visitors by their signed cart token.
+const identifyCart = (req, res, next) => {
+  if (!req.user) {
+    req.guestCartToken = readCartToken(req)
+  }
+  next()
+}
+
+module.exports = { identifyCart }
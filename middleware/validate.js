@@ -30,6 +30,24 @@ const validate = (schema) => {
       }
     }
     
+    // Parse variants JSON string from FormData
+    if (dataToValidate.variants && typeof dataToValidate.variants === 'string') {
+      try {
+        dataToValidate.variants = JSON.parse(dataToValidate.variants)
+      } catch (e) {
+        // Leave as-is so the schema reports it as invalid
+      }
+    }
+    
+    // Parse bundle JSON string from FormData
+    if (dataToValidate.bundle && typeof dataToValidate.bundle === 'string') {
+      try {
+        dataToValidate.bundle = JSON.parse(dataToValidate.bundle)
+      } catch (e) {
+        // Leave as-is so the schema reports it as invalid
+      }
+    }
+
     // Convert string numbers to actual numbers for FormData
     if (dataToValidate.price && typeof dataToValidate.price === 'string') {
       dataToValidate.price = parseFloat(dataToValidate.price)
@@ -75,6 +93,138 @@ const validate = (schema) => {
   }
 }
 
+// Product variant schema (shared by create/update product)
+const variantSchema = Joi.object({
+  _id: Joi.string().hex().length(24), // Present when updating an existing variant
+  name: Joi.string().trim().min(1).max(100).required()
+    .messages({
+      'string.empty': 'Variant name is required',
+      'string.max': 'Variant name cannot exceed 100 characters'
+    }),
+  options: Joi.object().pattern(Joi.string().trim().max(50), Joi.string().trim().max(100)).default({}),
+  price: Joi.number().min(0.01).required()
+    .messages({
+      'number.base': 'Variant price must be a number',
+      'number.min': 'Variant price must be greater than zero',
+      'any.required': 'Variant price is required'
+    }),
+  compareAtPrice: Joi.number().min(0),
+  stock: Joi.number().integer().min(0), // Omit on update to leave stock unchanged
+  sku: Joi.string().trim().uppercase().required()
+    .messages({
+      'string.empty': 'Variant SKU is required',
+      'any.required': 'Variant SKU is required'
+    }),
+  images: Joi.array().items(Joi.string()).default([]),
+  active: Joi.boolean().default(true)
+})
+
+// Bundle definition (shared by create/update product)
+const bundleSchema = Joi.object({
+  components: Joi.array().items(Joi.object({
+    productId: Joi.string().hex().length(24).required(),
+    variantId: Joi.string().hex().length(24).allow(null),
+    quantity: Joi.number().integer().min(1).max(1000).required()
+  })).min(1).max(50).required()
+    .messages({
+      'array.min': 'A bundle needs at least one component'
+    }),
+  pricing: Joi.string().valid('fixed', 'sum_minus_discount').default('fixed'),
+  discountType: Joi.string().valid('percentage', 'fixed_amount')
+    .when('pricing', { is: 'sum_minus_discount', then: Joi.required(), otherwise: Joi.strip() }),
+  discountValue: Joi.number().min(0)
+    .when('discountType', { is: 'percentage', then: Joi.number().max(100) })
+    .when('pricing', { is: 'sum_minus_discount', then: Joi.required(), otherwise: Joi.strip() })
+    .messages({
+      'number.max': 'Percentage discount cannot exceed 100'
+    })
+})
+
+// Buyer details printed on tax invoices (checkout and invoice regeneration)
+const billingDetailsSchema = Joi.object({
+  companyName: Joi.string().trim().max(200).allow(''),
+  kraPin: Joi.string().trim().uppercase().pattern(/^[A-Z]\d{9}[A-Z]$/).allow('')
+    .messages({
+      'string.pattern.base': 'KRA PIN must be a letter, 9 digits and a letter (e.g. P051234567X)'
+    }),
+  address: Joi.string().trim().max(300).allow('')
+})
+
+// Location sub-schemas
+const locationAddressSchema = Joi.object({
+  street: Joi.string().trim().min(1).max(200).required(),
+  city: Joi.string().trim().min(1).max(100).required(),
+  county: Joi.string().trim().max(100).allow(''),
+  country: Joi.string().trim().max(100).default('Kenya')
+})
+
+const locationHoursSchema = Joi.object({
+  day: Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday').required(),
+  open: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .when('closed', { is: true, otherwise: Joi.required() })
+    .messages({ 'string.pattern.base': 'Opening time must be HH:mm' }),
+  close: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .when('closed', { is: true, otherwise: Joi.required() })
+    .messages({ 'string.pattern.base': 'Closing time must be HH:mm' }),
+  closed: Joi.boolean().default(false)
+})
+
+// Shipping zone sub-schemas
+const shippingClassSurchargesSchema = Joi.array().items(
+  Joi.object({
+    shippingClass: Joi.string().valid('standard', 'bulky', 'fragile', 'dangerous_goods').required(),
+    amount: Joi.number().min(0).required()
+  })
+).unique('shippingClass')
+  .messages({
+    'array.unique': 'Each shipping class can only have one surcharge'
+  })
+
+const shippingEstimatedDaysSchema = Joi.object({
+  min: Joi.number().integer().min(0),
+  max: Joi.number().integer().min(Joi.ref('min'))
+})
+
+// Promotion schema (create requires name and discountType on top of this)
+const promotionCategories = ['Batteries', 'Inverters', 'Energy Storage Systems', 'Converters', 'Controllers', 'Portable Power', 'Solar Kits']
+const promotionSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  description: Joi.string().trim().max(500).allow(''),
+  code: Joi.string().trim().uppercase().min(3).max(30).pattern(/^[A-Z0-9_-]+$/).allow(null)
+    .messages({
+      'string.pattern.base': 'Code can only contain letters, numbers, hyphens and underscores'
+    }),
+  discountType: Joi.string().valid('percentage', 'fixed_amount', 'free_shipping'),
+  value: Joi.number().min(0)
+    .when('discountType', { is: 'percentage', then: Joi.number().greater(0).max(100).required() })
+    .when('discountType', { is: 'fixed_amount', then: Joi.number().greater(0).required() })
+    .messages({
+      'number.max': 'Percentage discounts cannot exceed 100'
+    }),
+  maxDiscount: Joi.number().min(0).allow(null),
+  scope: Joi.object({
+    appliesTo: Joi.string().valid('order', 'categories', 'products').default('order'),
+    categories: Joi.array().items(Joi.string().valid(...promotionCategories))
+      .when('appliesTo', { is: 'categories', then: Joi.array().min(1).required() }),
+    productIds: Joi.array().items(Joi.string().hex().length(24))
+      .when('appliesTo', { is: 'products', then: Joi.array().min(1).required() })
+  }),
+  conditions: Joi.object({
+    minSubtotal: Joi.number().min(0),
+    requiredCategories: Joi.array().items(Joi.string().valid(...promotionCategories)),
+    requiredProductIds: Joi.array().items(Joi.string().hex().length(24))
+  }),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  usageLimitPerUser: Joi.number().integer().min(1).allow(null),
+  startsAt: Joi.date().iso().allow(null),
+  endsAt: Joi.date().iso().allow(null)
+    .when('startsAt', { is: Joi.date().required(), then: Joi.date().greater(Joi.ref('startsAt')) })
+    .messages({
+      'date.greater': 'End date must be after the start date'
+    }),
+  active: Joi.boolean()
+})
+
 // Validation schemas
 const schemas = {
   register: Joi.object({
@@ -179,7 +329,7 @@ const schemas = {
         }
         return num
       })
-    ).required()
+    ).when('bundle.pricing', { is: 'sum_minus_discount', then: Joi.optional(), otherwise: Joi.required() })
       .messages({
         'number.base': 'Price must be a number',
         'number.min': 'Price must be greater than zero',
@@ -191,7 +341,7 @@ const schemas = {
       Joi.string().pattern(/^\d+(\.\d+)?$/).custom((value) => parseFloat(value)),
       Joi.string().allow('')
     ).optional(),
-    category: Joi.string().valid('Batteries', 'Inverters', 'Energy Storage Systems', 'Converters', 'Controllers', 'Portable Power').required()
+    category: Joi.string().valid('Batteries', 'Inverters', 'Energy Storage Systems', 'Converters', 'Controllers', 'Portable Power', 'Solar Kits').required()
       .messages({
         'any.only': 'Invalid product category',
         'any.required': 'Category is required'
@@ -216,7 +366,21 @@ const schemas = {
       Joi.number().integer().min(0),
       Joi.string().pattern(/^\d+$/).custom((value) => parseInt(value))
     ).optional().default(0),
+    variants: Joi.array().items(variantSchema).unique('sku')
+      .messages({
+        'array.unique': 'Variant SKUs must be unique'
+      }),
+    // Present for bundle products (price and stock then come from the components)
+    bundle: bundleSchema,
     sku: Joi.string().trim().uppercase().allow(''),
+    shippingClass: Joi.string().valid('standard', 'bulky', 'fragile', 'dangerous_goods')
+      .messages({
+        'any.only': 'Shipping class must be one of: standard, bulky, fragile, dangerous_goods'
+      }),
+    taxClass: Joi.string().valid('standard', 'zero_rated', 'exempt')
+      .messages({
+        'any.only': 'Tax class must be one of: standard, zero_rated, exempt'
+      }),
     featured: Joi.alternatives().try(
       Joi.boolean(),
       Joi.string().valid('true', 'false', '1', '0').custom((value) => value === 'true' || value === '1')
@@ -246,7 +410,7 @@ const schemas = {
       Joi.string().pattern(/^\d+(\.\d+)?$/).custom((value) => parseFloat(value)),
       Joi.string().allow('')
     ).optional(),
-    category: Joi.string().valid('Batteries', 'Inverters', 'Energy Storage Systems', 'Converters', 'Controllers', 'Portable Power'),
+    category: Joi.string().valid('Batteries', 'Inverters', 'Energy Storage Systems', 'Converters', 'Controllers', 'Portable Power', 'Solar Kits'),
     // Slug is auto-generated server-side when name changes, so it should not be in the request
     slug: Joi.string().optional().strip(), // Strip slug if sent by client
     images: Joi.array().items(Joi.string()).min(1),
@@ -264,7 +428,21 @@ const schemas = {
       Joi.number().integer().min(0),
       Joi.string().pattern(/^\d+$/).custom((value) => parseInt(value))
     ).optional(),
+    variants: Joi.array().items(variantSchema).unique('sku')
+      .messages({
+        'array.unique': 'Variant SKUs must be unique'
+      }),
+    // Present for bundle products (price and stock then come from the components)
+    bundle: bundleSchema,
     sku: Joi.string().trim().uppercase().allow(''),
+    shippingClass: Joi.string().valid('standard', 'bulky', 'fragile', 'dangerous_goods')
+      .messages({
+        'any.only': 'Shipping class must be one of: standard, bulky, fragile, dangerous_goods'
+      }),
+    taxClass: Joi.string().valid('standard', 'zero_rated', 'exempt')
+      .messages({
+        'any.only': 'Tax class must be one of: standard, zero_rated, exempt'
+      }),
     featured: Joi.alternatives().try(
       Joi.boolean(),
       Joi.string().valid('true', 'false', '1', '0').custom((value) => value === 'true' || value === '1')
@@ -281,6 +459,10 @@ const schemas = {
         'string.empty': 'Product ID is required',
         'any.required': 'Product ID is required'
       }),
+    variantId: Joi.string().hex().length(24).allow(null)
+      .messages({
+        'string.length': 'Invalid variant ID'
+      }),
     quantity: Joi.number().integer().min(1).default(1)
       .messages({
         'number.base': 'Quantity must be a number',
@@ -353,10 +535,18 @@ const schemas = {
         'object.base': 'Shipping address is required',
         'any.required': 'Shipping address is required'
       }),
+    billingDetails: billingDetailsSchema,
     deliveryMethod: Joi.string().valid('home', 'pickup').default('home')
       .messages({
         'any.only': 'Delivery method must be either "home" or "pickup"'
       }),
+    pickupLocationId: Joi.string().hex().length(24)
+      .when('deliveryMethod', { is: 'pickup', then: Joi.required(), otherwise: Joi.valid(null) })
+      .messages({
+        'string.length': 'Invalid pickup location',
+        'any.required': 'Please choose a pickup location',
+        'any.only': 'A pickup location can only be chosen for pickup orders'
+      }),
     paymentMethod: Joi.string().valid('pesapal', 'mpesa', 'card', 'cash').required()
       .messages({
         'any.only': 'Payment method must be one of: pesapal, mpesa, card, cash',
@@ -366,6 +556,10 @@ const schemas = {
     notes: Joi.string().trim().max(1000).allow('', null)
       .messages({
         'string.max': 'Notes cannot exceed 1000 characters'
+      }),
+    cartId: Joi.string().hex().length(24) // Named cart to check out; default cart when omitted
+      .messages({
+        'string.length': 'Invalid cart ID'
       })
   }).strict() // Reject unknown fields
     .messages({
@@ -374,12 +568,113 @@ const schemas = {
 
   updateOrderStatus: Joi.object({
     orderStatus: Joi.string().valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'),
-    trackingNumber: Joi.string().trim()
+    trackingNumber: Joi.string().trim(),
+    note: Joi.string().trim().max(500).allow('') // Shown on the order's status timeline
+  }),
+
+  regenerateInvoice: Joi.object({
+    billingDetails: billingDetailsSchema, // Replaces the order's billing details before reissuing
+    reason: Joi.string().trim().max(500).allow('')
   }),
 
-  updatePaymentStatus: Joi.object({
-    paymentStatus: Joi.string().valid('pending', 'processing', 'paid', 'failed', 'refunded'),
-    paymentId: Joi.string().trim()
+  voidInvoice: Joi.object({
+    reason: Joi.string().trim().min(1).max(500).required()
+      .messages({
+        'string.empty': 'Please give a reason for voiding the invoice',
+        'any.required': 'Please give a reason for voiding the invoice'
+      })
+  }),
+
+  createRefund: Joi.object({
+    orderId: Joi.string().hex().length(24).required()
+      .messages({
+        'string.length': 'Invalid order ID',
+        'any.required': 'Order ID is required'
+      }),
+    full: Joi.boolean().valid(true), // Everything not refunded yet, including shipping
+    items: Joi.array().items(Joi.object({
+      itemId: Joi.string().hex().length(24).required(), // Order line _id
+      quantity: Joi.number().integer().min(1).required()
+    })).min(1).unique('itemId')
+      .messages({
+        'array.unique': 'Each order line can only be listed once'
+      }),
+    amount: Joi.number().positive().precision(2), // With items: overrides their value
+    reason: Joi.string().trim().min(1).max(500).required()
+      .messages({
+        'string.empty': 'Please give a reason for the refund',
+        'any.required': 'Please give a reason for the refund'
+      }),
+    note: Joi.string().trim().max(1000).allow(''),
+    restock: Joi.boolean().default(false)
+  }).or('full', 'items', 'amount').nand('full', 'items').nand('full', 'amount')
+    .messages({
+      'object.missing': 'Choose a full refund, order lines or an amount to refund'
+    }),
+
+  createShipment: Joi.object({
+    orderId: Joi.string().hex().length(24).required()
+      .messages({
+        'string.length': 'Invalid order ID',
+        'any.required': 'Order ID is required'
+      }),
+    carrier: Joi.string().trim().required()
+      .messages({
+        'any.required': 'Please choose a carrier'
+      }),
+    trackingNumber: Joi.string().trim().max(100), // Booked with the carrier when omitted (if it supports booking)
+    items: Joi.array().items(Joi.object({
+      itemId: Joi.string().hex().length(24).required(), // Order line _id
+      quantity: Joi.number().integer().min(1).required()
+    })).min(1).unique('itemId') // Everything not shipped yet when omitted
+      .messages({
+        'array.unique': 'Each order line can only be listed once'
+      }),
+    note: Joi.string().trim().max(500).allow('') // Shown on the order's status timeline
+  }),
+
+  addShipmentEvent: Joi.object({
+    status: Joi.string().valid('in_transit', 'out_for_delivery', 'failed_attempt', 'delivered', 'returned').required(),
+    description: Joi.string().trim().max(500).allow(''),
+    location: Joi.string().trim().max(200).allow(''),
+    at: Joi.date().iso().max('now') // When it happened; defaults to now
+  }),
+
+  createClaim: Joi.object({
+    orderId: Joi.string().hex().length(24).required()
+      .messages({
+        'string.length': 'Invalid order ID',
+        'any.required': 'Order ID is required'
+      }),
+    orderItemId: Joi.string().hex().length(24).required()
+      .messages({
+        'string.length': 'Invalid order line',
+        'any.required': 'Please choose the item you are claiming for'
+      }),
+    type: Joi.string().valid('return', 'warranty').required()
+      .messages({
+        'any.only': 'Claim type must be either "return" or "warranty"',
+        'any.required': 'Claim type is required'
+      }),
+    quantity: Joi.number().integer().min(1).default(1),
+    reason: Joi.string().valid('defective', 'damaged', 'wrong_item', 'not_as_described', 'changed_mind', 'other').required()
+      .messages({
+        'any.only': 'Invalid claim reason',
+        'any.required': 'Please choose a reason'
+      }),
+    description: Joi.string().trim().min(10).max(2000).required()
+      .messages({
+        'string.min': 'Please describe the problem in at least 10 characters',
+        'any.required': 'Please describe the problem'
+      }),
+    serialNumber: Joi.string().trim().max(100).allow(''),
+    guestToken: Joi.string().hex().length(64) // Guest orders: order-lookup token
+  }),
+
+  updateClaimStatus: Joi.object({
+    status: Joi.string().valid('approved', 'rejected', 'inspecting', 'repairing', 'replacing', 'refunding', 'closed').required(),
+    note: Joi.string().trim().max(1000).allow(''), // Emailed to the customer
+    restock: Joi.boolean().default(false) // refunding: put the returned units back into stock
   }),
 
   initiatePayment: Joi.object({
@@ -387,6 +682,293 @@ const schemas = {
       .messages({
         'string.empty': 'Order ID is required',
         'any.required': 'Order ID is required'
+      }),
+    guestToken: Joi.string().hex().length(64) // Guest checkout: order-lookup token
+      .messages({
+        'string.hex': 'Invalid order access token',
+        'string.length': 'Invalid order access token'
+      }),
+    phoneNumber: Joi.string().trim().max(20) // M-Pesa: phone to prompt; the delivery phone when omitted
+  }),
+
+  confirmPayment: Joi.object({
+    reference: Joi.string().trim().max(100).allow(''), // Receipt number
+    amount: Joi.number().min(0) // Amount collected; the amount due when omitted
+  }),
+
+  guestOrderAccess: Joi.object({
+    orderNumber: Joi.string().trim().max(30).required()
+      .messages({
+        'string.empty': 'Order number is required',
+        'any.required': 'Order number is required'
+      }),
+    email: Joi.string().email().lowercase().trim().required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
+  inventoryAdjustment: Joi.object({
+    productId: Joi.string().hex().length(24).required()
+      .messages({
+        'string.length': 'Invalid product ID',
+        'any.required': 'Product ID is required'
+      }),
+    variantId: Joi.string().hex().length(24).allow(null)
+      .messages({
+        'string.length': 'Invalid variant ID'
+      }),
+    quantity: Joi.number().integer().invalid(0).required()
+      .messages({
+        'number.base': 'Quantity must be a number',
+        'any.invalid': 'Quantity cannot be zero',
+        'any.required': 'Quantity is required'
+      }),
+    reason: Joi.string().valid('manual_adjustment', 'return').default('manual_adjustment')
+      .messages({
+        'any.only': 'Reason must be one of: manual_adjustment, return'
+      }),
+    orderId: Joi.string().hex().length(24).allow(null)
+      .messages({
+        'string.length': 'Invalid order ID'
+      }),
+    locationId: Joi.string().hex().length(24).allow(null)
+      .messages({
+        'string.length': 'Invalid location ID'
+      }),
+    note: Joi.string().trim().min(1).max(500).required()
+      .messages({
+        'string.empty': 'A note explaining the adjustment is required',
+        'any.required': 'A note explaining the adjustment is required'
+      })
+  }),
+
+  inventoryReceipt: Joi.object({
+    items: Joi.array().items(
+      Joi.object({
+        productId: Joi.string().hex().length(24).required(),
+        variantId: Joi.string().hex().length(24).allow(null),
+        quantity: Joi.number().integer().min(1).required()
+      })
+    ).min(1).required()
+      .messages({
+        'array.min': 'At least one item is required',
+        'any.required': 'Items are required'
+      }),
+    locationId: Joi.string().hex().length(24).allow(null)
+      .messages({
+        'string.length': 'Invalid location ID'
+      }),
+    reference: Joi.string().trim().max(100).allow(''),
+    note: Joi.string().trim().max(500).allow('')
+  }),
+
+  inventoryTransfer: Joi.object({
+    productId: Joi.string().hex().length(24).required()
+      .messages({
+        'string.length': 'Invalid product ID',
+        'any.required': 'Product ID is required'
+      }),
+    variantId: Joi.string().hex().length(24).allow(null)
+      .messages({
+        'string.length': 'Invalid variant ID'
+      }),
+    fromLocationId: Joi.string().hex().length(24).allow(null)
+      .messages({
+        'string.length': 'Invalid source location ID'
+      }),
+    toLocationId: Joi.string().hex().length(24).required()
+      .messages({
+        'string.length': 'Invalid destination location ID',
+        'any.required': 'Destination location is required'
+      }),
+    quantity: Joi.number().integer().min(1).required()
+      .messages({
+        'number.base': 'Quantity must be a number',
+        'number.min': 'Quantity must be at least 1',
+        'any.required': 'Quantity is required'
+      }),
+    reference: Joi.string().trim().max(100).allow(''),
+    note: Joi.string().trim().max(500).allow('')
+  }),
+
+  createLocation: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required()
+      .messages({
+        'string.empty': 'Location name is required',
+        'any.required': 'Location name is required'
+      }),
+    code: Joi.string().trim().uppercase().max(20).pattern(/^[A-Z0-9-]+$/).required()
+      .messages({
+        'string.pattern.base': 'Location code can only contain letters, numbers and hyphens',
+        'any.required': 'Location code is required'
+      }),
+    type: Joi.string().valid('warehouse', 'branch', 'pickup_point').default('branch'),
+    pickupEnabled: Joi.boolean().default(false),
+    isDefault: Joi.boolean().default(false),
+    address: locationAddressSchema.required(),
+    phone: Joi.string().trim().max(20).pattern(/^[\d\s+\-()]+$/).allow(''),
+    hours: Joi.array().items(locationHoursSchema).max(7).unique('day'),
+    active: Joi.boolean().default(true)
+  }),
+
+  updateLocation: Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    code: Joi.string().trim().uppercase().max(20).pattern(/^[A-Z0-9-]+$/)
+      .messages({
+        'string.pattern.base': 'Location code can only contain letters, numbers and hyphens'
+      }),
+    type: Joi.string().valid('warehouse', 'branch', 'pickup_point'),
+    pickupEnabled: Joi.boolean(),
+    isDefault: Joi.boolean(),
+    address: locationAddressSchema,
+    phone: Joi.string().trim().max(20).pattern(/^[\d\s+\-()]+$/).allow(''),
+    hours: Joi.array().items(locationHoursSchema).max(7).unique('day'),
+    active: Joi.boolean()
+  }),
+
+  shippingQuote: Joi.object({
+    items: Joi.array().items(
+      Joi.object({
+        productId: Joi.string().hex().length(24).required(),
+        variantId: Joi.string().hex().length(24).allow(null),
+        quantity: Joi.number().integer().min(1).required()
+      })
+    ).min(1).required()
+      .messages({
+        'array.min': 'At least one item is required',
+        'any.required': 'Items are required'
+      }),
+    shippingAddress: Joi.object({
+      city: Joi.string().trim().max(100).allow(''),
+      state: Joi.string().trim().max(100).allow('', null),
+      country: Joi.string().trim().max(100).default('Kenya')
+    }).when('deliveryMethod', { is: 'home', then: Joi.required() })
+      .messages({
+        'any.required': 'Shipping address is required for home delivery'
+      }),
+    deliveryMethod: Joi.string().valid('home', 'pickup').default('home')
+  }),
+
+  createShippingZone: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    counties: Joi.array().items(Joi.string().trim().min(1).max(100)).default([]),
+    cities: Joi.array().items(Joi.string().trim().min(1).max(100)).default([]),
+    isDefault: Joi.boolean().default(false),
+    baseRate: Joi.number().min(0).required()
+      .messages({
+        'any.required': 'Base rate is required'
+      }),
+    includedWeightKg: Joi.number().min(0).default(0),
+    perKgRate: Joi.number().min(0).default(0),
+    maxWeightKg: Joi.number().min(0).allow(null),
+    freeShippingThreshold: Joi.number().min(0).allow(null),
+    classSurcharges: shippingClassSurchargesSchema,
+    estimatedDays: shippingEstimatedDaysSchema,
+    active: Joi.boolean().default(true)
+  }),
+
+  updateShippingZone: Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    counties: Joi.array().items(Joi.string().trim().min(1).max(100)),
+    cities: Joi.array().items(Joi.string().trim().min(1).max(100)),
+    isDefault: Joi.boolean(),
+    baseRate: Joi.number().min(0),
+    includedWeightKg: Joi.number().min(0),
+    perKgRate: Joi.number().min(0),
+    maxWeightKg: Joi.number().min(0).allow(null),
+    freeShippingThreshold: Joi.number().min(0).allow(null),
+    classSurcharges: shippingClassSurchargesSchema,
+    estimatedDays: shippingEstimatedDaysSchema,
+    active: Joi.boolean()
+  }),
+
+  previewCart: Joi.object({
+    shippingAddress: Joi.object({
+      city: Joi.string().trim().max(100).allow(''),
+      state: Joi.string().trim().max(100).allow('', null),
+      country: Joi.string().trim().max(100).default('Kenya')
+    }),
+    deliveryMethod: Joi.string().valid('home', 'pickup').default('home')
+  }),
+
+  applyCoupon: Joi.object({
+    code: Joi.string().trim().uppercase().min(3).max(30).required()
+      .messages({
+        'string.empty': 'Coupon code is required',
+        'any.required': 'Coupon code is required'
+      })
+  }),
+
+  createNamedCart: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required()
+      .messages({
+        'string.empty': 'Cart name is required',
+        'string.max': 'Cart name cannot exceed 100 characters',
+        'any.required': 'Cart name is required'
+      })
+  }),
+
+  updateNamedCart: Joi.object({
+    name: Joi.string().trim().min(1).max(100)
+      .messages({
+        'string.empty': 'Cart name cannot be empty',
+        'string.max': 'Cart name cannot exceed 100 characters'
+      }),
+    isDefault: Joi.boolean().valid(true)
+      .messages({
+        'any.only': 'Make another cart the default instead'
+      })
+  }).min(1),
+
+  duplicateCart: Joi.object({
+    name: Joi.string().trim().min(1).max(100)
+      .messages({
+        'string.max': 'Cart name cannot exceed 100 characters'
+      })
+  }),
+
+  createSharedCart: Joi.object({
+    cartId: Joi.string().hex().length(24) // Named cart to share; default cart when omitted
+      .messages({
+        'string.length': 'Invalid cart ID'
+      }),
+    name: Joi.string().trim().max(100),
+    note: Joi.string().trim().max(1000).allow(''),
+    expiresInDays: Joi.number().integer().min(1).max(90)
+      .messages({
+        'number.min': 'Link must be valid for at least 1 day',
+        'number.max': 'Link cannot be valid for more than 90 days'
+      })
+  }),
+
+  importSharedCart: Joi.object({
+    cartId: Joi.string().hex().length(24) // Signed-in users: named cart to import into
+      .messages({
+        'string.length': 'Invalid cart ID'
+      })
+  }),
+
+  acknowledgeCartChanges: Joi.object({
+    changeIds: Joi.array().items(Joi.string().hex().length(24)).min(1)
+      .messages({
+        'string.length': 'Invalid change ID'
+      })
+  }),
+
+  createPromotion: promotionSchema.keys({
+    name: Joi.string().trim().min(2).max(100).required(),
+    discountType: Joi.string().valid('percentage', 'fixed_amount', 'free_shipping').required()
+  }),
+
+  updatePromotion: promotionSchema,
+
+  updateTaxRate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    rate: Joi.number().min(0).max(100).required()
+      .messages({
+        'number.max': 'Rate is a percentage and cannot exceed 100'
       })
   }),
 
@@ -1,33 +1,155 @@
 const mongoose = require('mongoose')
 
+// A cart line - shared by the cart itself and its saved-for-later list
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // Set when the product is sold in variants
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  }
+})
+
+/**
+ * Cart
+ * Belongs either to a user (userId) or to an anonymous visitor (guestToken).
+ * Guest carts expire GUEST_CART_TTL_DAYS after their last change and are merged
+ * into the user's default cart on login (see services/cartService.js).
+ *
+ * Users can keep several named carts (e.g. one per client site). Exactly one is
+ * the default cart, which the /api/cart endpoints work on.
+ */
 const cartSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    default: undefined // Unset for guest carts
+  },
+  guestToken: {
+    type: String,
+    default: undefined, // Random ID carried in the signed cart token; unset for user carts
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    default: undefined // Guest carts only - removed by the TTL index once passed
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Cart name cannot exceed 100 characters'],
+    default: 'My cart'
   },
-  items: [{
+  isDefault: {
+    type: Boolean,
+    default: true // Named carts are created with false; carts from before named carts count as default
+  },
+  items: [cartItemSchema],
+  savedItems: [cartItemSchema], // Saved for later - not priced or checked out
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: undefined // Applied at preview/checkout by the pricing pipeline
+  },
+  changes: [{
+    // Price/stock changes found by revalidation that the customer has not acknowledged yet.
+    // Checkout is refused while any are pending (see services/cartService.js revalidateCart).
+    type: {
+      type: String,
+      enum: ['price_increased', 'price_decreased', 'quantity_reduced', 'item_removed'],
+      required: true
+    },
     productId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
-      required: true
+      default: null // null when the product was deleted
     },
-    quantity: {
-      type: Number,
-      required: true,
-      min: [1, 'Quantity must be at least 1']
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
     },
-    price: {
-      type: Number,
-      required: true,
-      min: [0, 'Price cannot be negative']
+    name: String,
+    oldPrice: Number,
+    newPrice: Number,
+    oldQuantity: Number,
+    newQuantity: Number,
+    reason: String, // item_removed: PRODUCT_UNAVAILABLE, VARIANT_NOT_FOUND, OUT_OF_STOCK, ...
+    message: String,
+    detectedAt: {
+      type: Date,
+      default: Date.now
     }
   }]
 }, {
   timestamps: true
 })
 
+// Indexes
+// One default cart per user and one cart per guest. Partial rather than sparse
+// unique so guest carts (no userId) and named carts never collide. Databases
+// created before that still have a plain unique userId_1 - replaceLegacyIndexes
+// swaps it out at startup.
+cartSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $type: 'objectId' }, isDefault: true } }
+)
+cartSchema.index({ userId: 1, updatedAt: -1 }) // Listing a user's carts
+cartSchema.index({ guestToken: 1 }, { unique: true, partialFilterExpression: { guestToken: { $type: 'string' } } })
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }) // Stale guest carts
+
+/**
+ * Guest carts live for GUEST_CART_TTL_DAYS after their last change
+ */
+cartSchema.pre('save', function(next) {
+  // guestToken is select:false, so a loaded guest cart is recognised by its missing userId
+  if (!this.userId) {
+    const ttlDays = parseInt(process.env.GUEST_CART_TTL_DAYS) || 30
+    this.expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+  } else if (this.userId && this.expiresAt) {
+    this.expiresAt = undefined
+  }
+  next()
+})
+
+/**
+ * Replace the plain unique userId index from before guest and named carts
+ * It has the same name as the partial index, so it is never rebuilt on its own
+ * and makes every second cart with the same (or no) userId fail. Safe to run on
+ * every startup: does nothing once the partial index is in place.
+ *
+ * @returns {Promise<Boolean>} Whether the index was replaced
+ */
+cartSchema.statics.replaceLegacyIndexes = async function() {
+  let indexes
+  try {
+    indexes = await this.collection.indexes()
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return false // No carts yet
+    throw error
+  }
+
+  const legacy = indexes.find(index => index.name === 'userId_1' && !index.partialFilterExpression)
+  if (!legacy) return false
+
+  await this.collection.dropIndex('userId_1')
+  await this.createIndexes()
+  return true
+}
+
 // Calculate total before saving
 cartSchema.methods.calculateTotal = function() {
   return this.items.reduce((total, item) => {
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose')
+const { nextNumber } = require('../services/sequenceService')
+
+/**
+ * Claim
+ * A return or warranty claim against one line of a delivered order (RMA).
+ * Moves through the states in services/claimService.js; every change is
+ * appended to history and emailed to the customer.
+ */
+const claimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ['return', 'warranty'],
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true // Order line claimed against
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for guest orders
+  },
+  contact: {
+    name: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    }
+  },
+  // Line as ordered (from the order snapshot)
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  sku: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: ['defective', 'damaged', 'wrong_item', 'not_as_described', 'changed_mind', 'other'],
+      message: 'Invalid claim reason'
+    },
+    required: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Please describe the problem'],
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  serialNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Serial number cannot exceed 100 characters']
+  },
+  photos: [String],
+  deliveredAt: Date,
+  warranty: {
+    period: String, // As sold, e.g. "5 years"
+    expiresAt: Date
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'approved', 'rejected', 'inspecting', 'repairing', 'replacing', 'refunding', 'closed'],
+    default: 'submitted' // Changed through services/claimService.js only
+  },
+  resolution: {
+    type: String,
+    enum: ['repair', 'replace', 'refund', 'rejected']
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    default: null // Refund issued when the claim was resolved by refund
+  },
+  history: [{
+    _id: false,
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    actorType: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters'] // Shown to the customer
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  closedAt: Date
+}, {
+  timestamps: true
+})
+
+// Sequential claim number (e.g. RMA-2026-000012)
+claimSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.claimNumber) {
+    this.claimNumber = await nextNumber('claim', { session: this.$session() })
+  }
+  next()
+})
+
+// Indexes
+// Note: claimNumber index is automatically created by unique: true
+claimSchema.index({ userId: 1, createdAt: -1 })
+claimSchema.index({ orderId: 1, orderItemId: 1 })
+claimSchema.index({ status: 1, createdAt: -1 })
+
+module.exports = mongoose.model('Claim', claimSchema)
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose')
+
+/**
+ * Counter
+ * Last number handed out for one sequence (e.g. "order:2026"). Only ever
+ * changed with an atomic $inc - see services/sequenceService.js.
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Sequence key
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sequence cannot be negative']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+module.exports = mongoose.model('Counter', counterSchema)
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose')
+
+/**
+ * Inventory Movement
+ * Append-only ledger entry for every change to on-hand stock.
+ * Holds placed at checkout do not change on-hand stock and are not recorded here.
+ * Transfers between locations leave the product total unchanged and are recorded
+ * as a transfer_out / transfer_in pair.
+ */
+const inventoryMovementSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['sale', 'cancellation_restore', 'manual_adjustment', 'restock', 'return', 'refund_restock', 'transfer_out', 'transfer_in'],
+      message: 'Invalid inventory movement reason'
+    }
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return Number.isInteger(v) && v !== 0
+      },
+      message: 'Movement quantity must be a non-zero whole number'
+    }
+  },
+  balanceAfter: {
+    type: Number,
+    required: true // Product (or variant) on-hand total after the change
+  },
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null // null when the change was not booked against a location
+  },
+  locationBalanceAfter: {
+    type: Number // Units at locationId after the change
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for system changes (payment IPN, sweeper)
+  },
+  actorType: {
+    type: String,
+    enum: ['admin', 'customer', 'system'],
+    default: 'system'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters'] // e.g. supplier delivery note
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+// Indexes
+inventoryMovementSchema.index({ productId: 1, variantId: 1, createdAt: -1 }) // Product history
+inventoryMovementSchema.index({ orderId: 1 })
+inventoryMovementSchema.index({ reason: 1, createdAt: -1 })
+inventoryMovementSchema.index({ locationId: 1, createdAt: -1 })
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema)
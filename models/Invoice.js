@@ -0,0 +1,144 @@
+const mongoose = require('mongoose')
+const { nextNumber } = require('../services/sequenceService')
+
+/**
+ * Invoice
+ * Tax invoice for a paid order. Seller, buyer, lines and totals are copied in
+ * when the invoice is issued, so the document can be reproduced exactly later.
+ * Invoices are never edited: a correction voids the invoice and issues a new
+ * one that `replaces` it (see services/invoiceService.js).
+ */
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'void'],
+    default: 'issued'
+  },
+  seller: {
+    name: { type: String, required: true },
+    kraPin: String,
+    address: String,
+    phone: String,
+    email: String
+  },
+  buyer: {
+    name: { type: String, required: true },
+    companyName: String,
+    kraPin: String,
+    address: String,
+    email: String,
+    phone: String
+  },
+  items: [{
+    _id: false,
+    name: { type: String, required: true },
+    sku: String,
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    taxClass: String,
+    taxRate: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 }
+  }],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  shipping: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  pricesIncludeTax: {
+    type: Boolean,
+    default: true
+  },
+  taxBreakdown: [{
+    _id: false,
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    tax: Number
+  }],
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  payment: {
+    method: String,
+    reference: String, // Provider transaction / tracking ID
+    paidAt: Date
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null when issued automatically on payment
+  },
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null // Voided invoice this one was regenerated from
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Void reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+})
+
+// Sequential invoice number (e.g. INV-2026-000042)
+invoiceSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.invoiceNumber) {
+    this.invoiceNumber = await nextNumber('invoice', { session: this.$session() })
+  }
+  next()
+})
+
+// Indexes
+// Note: invoiceNumber index is automatically created by unique: true
+invoiceSchema.index({ orderId: 1, createdAt: -1 })
+invoiceSchema.index(
+  { orderId: 1 },
+  { unique: true, partialFilterExpression: { status: 'issued' } } // One current invoice per order
+)
+invoiceSchema.index({ createdAt: -1 })
+
+module.exports = mongoose.model('Invoice', invoiceSchema)
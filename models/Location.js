@@ -0,0 +1,108 @@
+const mongoose = require('mongoose')
+
+/**
+ * Location
+ * A warehouse, branch or pickup point that holds stock.
+ * Pickup-enabled locations are offered to customers at checkout; the default
+ * location fulfils home-delivery orders.
+ */
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a location name'],
+    trim: true,
+    maxlength: [100, 'Location name cannot exceed 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Please provide a location code'],
+    unique: true, // unique: true automatically creates an index
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Location code cannot exceed 20 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['warehouse', 'branch', 'pickup_point'],
+      message: 'Invalid location type'
+    },
+    default: 'branch'
+  },
+  pickupEnabled: {
+    type: Boolean,
+    default: false
+  },
+  isDefault: {
+    type: Boolean,
+    default: false // Fulfils home-delivery orders
+  },
+  address: {
+    street: {
+      type: String,
+      required: [true, 'Please provide a street address'],
+      trim: true
+    },
+    city: {
+      type: String,
+      required: [true, 'Please provide a city'],
+      trim: true
+    },
+    county: {
+      type: String,
+      trim: true
+    },
+    country: {
+      type: String,
+      default: 'Kenya',
+      trim: true
+    }
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  hours: [{
+    day: {
+      type: String,
+      enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+      required: true
+    },
+    open: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Opening time must be HH:mm']
+    },
+    close: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Closing time must be HH:mm']
+    },
+    closed: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+})
+
+// Indexes
+locationSchema.index({ active: 1, pickupEnabled: 1 })
+
+/**
+ * Only one location can be the default fulfilment location
+ */
+locationSchema.pre('save', async function(next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await mongoose.model('Location').updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    )
+  }
+  next()
+})
+
+module.exports = mongoose.model('Location', locationSchema)
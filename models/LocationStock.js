@@ -0,0 +1,44 @@
+const mongoose = require('mongoose')
+
+/**
+ * Location Stock
+ * Units of a product (or variant) held at one location.
+ *
+ * The product-level stock stays the company-wide total; location rows break it
+ * down. Units not assigned to any location are "unallocated" and can be moved
+ * onto a location with a transfer.
+ */
+const locationStockSchema = new mongoose.Schema({
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Location stock cannot be negative']
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative'] // Units held by unpaid pickup orders
+  }
+}, {
+  timestamps: true
+})
+
+// Indexes
+locationStockSchema.index({ locationId: 1, productId: 1, variantId: 1 }, { unique: true })
+locationStockSchema.index({ productId: 1, variantId: 1 })
+
+module.exports = mongoose.model('LocationStock', locationStockSchema)
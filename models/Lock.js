@@ -0,0 +1,28 @@
+const mongoose = require('mongoose')
+
+/**
+ * Lock
+ * Short-lived mutual exclusion between server instances when Redis is not
+ * available - see services/lockService.js. Expired locks can be taken over
+ * straight away; the TTL index only clears them out.
+ */
+const lockSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Lock key
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true // Random token of the holder, so only it can release the lock
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+})
+
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('Lock', lockSchema)
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const { nextNumber } = require('../services/sequenceService')
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -10,100 +11,317 @@ const orderSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null // null for guest checkout until the customer verifies an account with the same email
+  },
+  guestAccess: {
+    // Guest order lookup link (see services/guestOrderService.js); only the hash is stored
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
+  },
+  cartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    default: null // Cart the order was placed from - emptied once payment is confirmed
   },
   items: [{
     productId: {
       type: mongoose.Schema.Types.ObjectId,
+      immutable: true,
       ref: 'Product',
       required: true
     },
     name: {
       type: String,
+      immutable: true,
       required: true
     },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      immutable: true,
+      default: null
+    },
+    variantName: {
+      type: String,
+      immutable: true,
+      trim: true
+    },
+    sku: {
+      type: String,
+      immutable: true,
+      trim: true
+    },
+    // Product details as they were when ordered - order views, emails and invoices
+    // read these, so editing or deleting the product never changes the order.
+    // Line and total fields are immutable: corrections (refunds, returns) are
+    // recorded alongside the order, never by editing what was bought.
+    slug: {
+      type: String,
+      immutable: true
+    },
+    image: {
+      type: String,
+      immutable: true
+    },
+    category: {
+      type: String,
+      immutable: true
+    },
+    specifications: {
+      type: Map,
+      immutable: true,
+      of: String
+    },
+    variantOptions: {
+      type: Map,
+      immutable: true,
+      of: String
+    },
+    shippingClass: {
+      type: String,
+      immutable: true
+    },
     quantity: {
       type: Number,
+      immutable: true,
       required: true,
       min: [1, 'Quantity must be at least 1']
     },
     price: {
       type: Number,
+      immutable: true,
       required: true,
       min: [0, 'Price cannot be negative']
     },
     total: {
       type: Number,
+      immutable: true,
       required: true,
       min: [0, 'Total cannot be negative']
+    },
+    discount: {
+      type: Number,
+      immutable: true,
+      default: 0,
+      min: [0, 'Discount cannot be negative'] // Share of promotion discounts taken from this line
+    },
+    taxClass: {
+      type: String,
+      immutable: true,
+      enum: ['standard', 'zero_rated', 'exempt'],
+      default: 'standard'
+    },
+    taxRate: {
+      type: Number,
+      immutable: true,
+      default: 0 // Percentage applied to this line
+    },
+    taxAmount: {
+      type: Number,
+      immutable: true,
+      default: 0 // VAT contained in (inclusive) or added to (exclusive) the line total
+    },
+    // Bundle lines: what one bundle contained when ordered. Stock holds, sales and
+    // restores are applied to these products, so later bundle edits don't affect the order.
+    bundleComponents: {
+      type: [{
+        _id: false,
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Product',
+          required: true
+        },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, 'Component quantity must be at least 1']
+        },
+        name: String,
+        sku: String
+      }],
+      default: undefined,
+      immutable: true
     }
   }],
   subtotal: {
     type: Number,
+    immutable: true,
     required: true,
     min: [0, 'Subtotal cannot be negative']
   },
+  discounts: [{
+    promotionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    code: String, // Empty for automatic promotions
+    name: {
+      type: String,
+      required: true
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed_amount', 'free_shipping'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Discount cannot be negative']
+    }
+  }],
+  discountTotal: {
+    type: Number,
+    immutable: true,
+    default: 0,
+    min: [0, 'Discount total cannot be negative']
+  },
   shipping: {
     type: Number,
+    immutable: true,
     default: 0,
     min: [0, 'Shipping cannot be negative']
   },
+  shippingZone: {
+    type: String,
+    trim: true // Name of the zone the fee was calculated for
+  },
   tax: {
     type: Number,
+    immutable: true,
     default: 0,
     min: [0, 'Tax cannot be negative']
   },
+  pricesIncludeTax: {
+    type: Boolean,
+    immutable: true,
+    default: true // true: subtotal and shipping include the VAT; false: tax was added on top
+  },
+  taxBreakdown: [{
+    taxClass: {
+      type: String,
+      enum: ['standard', 'zero_rated', 'exempt'],
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    rate: {
+      type: Number,
+      required: true
+    },
+    taxableAmount: {
+      type: Number,
+      required: true // Net amount the rate applies to (lines and shipping)
+    },
+    tax: {
+      type: Number,
+      required: true
+    }
+  }],
   total: {
     type: Number,
+    immutable: true,
     required: true,
     min: [0, 'Total cannot be negative']
   },
   shippingAddress: {
     name: {
       type: String,
+      immutable: true,
       required: true,
       trim: true
     },
     phone: {
       type: String,
+      immutable: true,
       required: true,
       trim: true
     },
     email: {
       type: String,
+      immutable: true,
       required: true,
       trim: true,
       lowercase: true
     },
     street: {
       type: String,
+      immutable: true,
       required: true,
       trim: true
     },
     city: {
       type: String,
+      immutable: true,
       required: true,
       trim: true
     },
     state: {
       type: String,
+      immutable: true,
       trim: true
     },
     zipCode: {
       type: String,
+      immutable: true,
       trim: true
     },
     country: {
       type: String,
+      immutable: true,
       default: 'Kenya',
       trim: true
     }
   },
+  billingDetails: {
+    // Business customers: printed on the tax invoice as the buyer
+    companyName: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Company name cannot exceed 200 characters']
+    },
+    kraPin: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Billing address cannot exceed 300 characters']
+    }
+  },
   deliveryMethod: {
     type: String,
     enum: ['home', 'pickup'],
     default: 'home'
   },
+  pickupLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null // Set for pickup orders
+  },
+  pickupLocation: {
+    // Where to collect, as it was when the order was placed
+    name: { type: String, immutable: true },
+    street: { type: String, immutable: true },
+    city: { type: String, immutable: true },
+    county: { type: String, immutable: true },
+    phone: { type: String, immutable: true }
+  },
+  fulfillmentLocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null // Location stock is deducted from (pickup location, or the default location)
+  },
   paymentMethod: {
     type: String,
     enum: ['pesapal', 'mpesa', 'card', 'cash'],
@@ -114,10 +332,59 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'paid', 'failed', 'refunded'],
     default: 'pending'
   },
+  paidAt: Date,
+  refundedTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded total cannot be negative'] // Sum of pending and completed refunds (see models/Refund.js)
+  },
   orderStatus: {
     type: String,
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
-    default: 'pending'
+    default: 'pending' // Changed through services/orderStatusService.js only
+  },
+  statusHistory: [{
+    // One entry per status change, oldest first (the customer's tracking timeline)
+    _id: false,
+    from: {
+      type: String,
+      default: null // null for the entry written when the order is placed
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    actorType: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Status note cannot exceed 500 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  reservation: {
+    // Inventory hold placed at checkout, turned into a sale when payment is confirmed
+    status: {
+      type: String,
+      enum: ['none', 'held', 'committed', 'released'],
+      default: 'none'
+    },
+    expiresAt: Date
   },
   trackingNumber: {
     type: String,
@@ -127,6 +394,10 @@ const orderSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  paymentReference: {
+    type: String,
+    trim: true // Receipt from the provider (M-Pesa receipt number, Pesapal confirmation code)
+  },
   notes: {
     type: String,
     trim: true,
@@ -136,12 +407,11 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 })
 
-// Generate order number before saving
-orderSchema.pre('save', async function(next) {
+// Sequential order number (e.g. SM-2026-000123), taken in the creating transaction when there is one.
+// Runs on validate - orderNumber is required, and validation happens before pre-save hooks.
+orderSchema.pre('validate', async function(next) {
   if (this.isNew && !this.orderNumber) {
-    const count = await mongoose.model('Order').countDocuments()
-    const timestamp = Date.now().toString().slice(-6)
-    this.orderNumber = `SM${timestamp}${String(count + 1).padStart(4, '0')}`
+    this.orderNumber = await nextNumber('order', { session: this.$session() })
   }
   next()
 })
@@ -149,9 +419,14 @@ orderSchema.pre('save', async function(next) {
 // Indexes
 // Note: orderNumber index is automatically created by unique: true
 orderSchema.index({ userId: 1 })
+orderSchema.index({ 'shippingAddress.email': 1, userId: 1 }) // Linking guest orders to new accounts
+orderSchema.index({ 'guestAccess.tokenHash': 1 }, { sparse: true })
 orderSchema.index({ orderStatus: 1 })
 orderSchema.index({ paymentStatus: 1 })
 orderSchema.index({ createdAt: -1 })
+orderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 }) // Reservation sweeper
+orderSchema.index({ pickupLocationId: 1, orderStatus: 1 }) // Pickup queue per location
+orderSchema.index({ paymentId: 1 }, { sparse: true }) // Matching provider callbacks (M-Pesa CheckoutRequestID)
 
 module.exports = mongoose.model('Order', orderSchema)
 
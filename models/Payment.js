@@ -0,0 +1,88 @@
+const mongoose = require('mongoose')
+
+/**
+ * Payment
+ * One attempt to pay for an order through a payment provider
+ * (services/paymentProviders). Every initiation creates a new attempt, so
+ * retries and failures stay visible; the order's paymentId points at the
+ * latest one. Versioned - concurrent updates to the same attempt fail instead
+ * of overwriting each other.
+ */
+const paymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true // Provider registry key (pesapal, mpesa, cash)
+  },
+  method: {
+    type: String,
+    required: true // Order.paymentMethod the customer chose
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative'] // Amount requested from the customer
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  status: {
+    type: String,
+    enum: ['initiated', 'pending', 'completed', 'failed', 'cancelled'],
+    default: 'initiated'
+  },
+  trackingId: {
+    type: String,
+    trim: true // Provider's transaction ID (Pesapal OrderTrackingId, M-Pesa CheckoutRequestID)
+  },
+  providerStatus: {
+    type: String,
+    trim: true // Status exactly as the provider last reported it
+  },
+  providerReference: {
+    type: String,
+    trim: true // Receipt or confirmation code
+  },
+  paidAmount: Number, // Amount the provider reported as paid
+  phoneNumber: String, // Mobile money payments
+  failureReason: String,
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for guest checkout
+  },
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Staff who recorded a manual payment (cash on delivery)
+  },
+  lastCheckedAt: Date,
+  completedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+})
+
+// Indexes
+paymentSchema.index(
+  { provider: 1, trackingId: 1 },
+  { unique: true, partialFilterExpression: { trackingId: { $type: 'string' } } }
+)
+paymentSchema.index({ orderId: 1, createdAt: -1 })
+paymentSchema.index({ status: 1, createdAt: -1 })
+
+module.exports = mongoose.model('Payment', paymentSchema)
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose')
+
+/**
+ * ProcessedEvent
+ * A payment provider event that has been applied, keyed on provider +
+ * tracking ID + settled status (e.g. "pesapal:abc-123:completed"). Repeats of
+ * the same event (IPN retries, the browser callback) are answered from here
+ * instead of being applied again.
+ */
+const processedEventSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Event key
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  trackingId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    required: true // Settled payment status the event reported
+  },
+  outcome: {
+    type: String,
+    required: true // What applying it did (paymentService.applyPaymentResult)
+  },
+  source: String, // First entry point that applied it (e.g. 'Pesapal webhook')
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+})
+
+// Providers stop retrying long before this; a later repeat finds the payment already applied
+processedEventSchema.index({ processedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 })
+
+module.exports = mongoose.model('ProcessedEvent', processedEventSchema)
@@ -1,5 +1,80 @@
 const mongoose = require('mongoose')
 
+/**
+ * Variant sub-document
+ * One purchasable option of a product (e.g. 200Ah / 48V) with its own
+ * price, stock, SKU and images. Option values live in `options` so new
+ * option dimensions (power, phase, ...) don't need a schema change.
+ */
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a variant name'],
+    trim: true,
+    maxlength: [100, 'Variant name cannot exceed 100 characters']
+  },
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please provide a variant price'],
+    min: [0, 'Price cannot be negative']
+  },
+  compareAtPrice: {
+    type: Number,
+    min: [0, 'Compare at price cannot be negative']
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative'] // Units held by unpaid orders
+  },
+  sku: {
+    type: String,
+    required: [true, 'Please provide a variant SKU'],
+    trim: true,
+    uppercase: true
+  },
+  images: {
+    type: [String],
+    default: []
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+})
+
+/**
+ * Bundle component sub-document
+ * One product (or variant) inside a bundle and how many units of it go into one
+ * bundle, e.g. 4 x 200Ah battery in a home solar kit.
+ */
+const bundleComponentSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Component quantity must be at least 1']
+  }
+}, { _id: false })
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -37,7 +112,7 @@ const productSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please provide a product category'],
     enum: {
-      values: ['Batteries', 'Inverters', 'Energy Storage Systems', 'Converters', 'Controllers', 'Portable Power'],
+      values: ['Batteries', 'Inverters', 'Energy Storage Systems', 'Converters', 'Controllers', 'Portable Power', 'Solar Kits'],
       message: 'Invalid product category'
     }
   },
@@ -61,11 +136,71 @@ const productSchema = new mongoose.Schema({
     efficiency: String,
     temperatureRange: String
   },
+  shippingClass: {
+    type: String,
+    enum: {
+      values: ['standard', 'bulky', 'fragile', 'dangerous_goods'],
+      message: 'Invalid shipping class'
+    },
+    default: 'standard' // Zones can charge a per-unit surcharge per class (see ShippingZone)
+  },
+  taxClass: {
+    type: String,
+    enum: {
+      values: ['standard', 'zero_rated', 'exempt'],
+      message: 'Invalid tax class'
+    },
+    default: 'standard' // VAT rate per class is configured in TaxRate
+  },
   stock: {
     type: Number,
     default: 0,
     min: [0, 'Stock cannot be negative']
   },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative'] // Units held by unpaid orders
+  },
+  variants: {
+    type: [variantSchema],
+    default: [],
+    validate: {
+      validator: function(v) {
+        const skus = v.map(variant => variant.sku)
+        return new Set(skus).size === skus.length
+      },
+      message: 'Variant SKUs must be unique within a product'
+    }
+  },
+  isBundle: {
+    type: Boolean,
+    default: false
+  },
+  bundle: {
+    components: {
+      type: [bundleComponentSchema],
+      default: undefined
+    },
+    pricing: {
+      type: String,
+      enum: {
+        values: ['fixed', 'sum_minus_discount'],
+        message: 'Invalid bundle pricing'
+      }
+    },
+    discountType: {
+      type: String,
+      enum: {
+        values: ['percentage', 'fixed_amount'],
+        message: 'Invalid bundle discount type'
+      }
+    },
+    discountValue: {
+      type: Number,
+      min: [0, 'Bundle discount cannot be negative']
+    }
+  },
   sku: {
     type: String,
     unique: true,
@@ -103,6 +238,127 @@ productSchema.index({ featured: 1 })
 productSchema.index({ active: 1 })
 productSchema.index({ price: 1 })
 productSchema.index({ rating: -1 })
+// Variant SKUs are unique across the catalogue (only indexed when variants exist)
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+)
+
+/**
+ * VARIANT ROLL-UP: Keep product-level price and stock consistent with variants
+ *
+ * - price becomes the lowest active variant price ("from" price used for listing,
+ *   sorting and the minPrice/maxPrice filters)
+ * - stock and reserved become the sums over all variants (inventory $inc on a
+ *   variant also increments the product totals, so the two never drift)
+ */
+productSchema.pre('validate', function(next) {
+  if (this.variants && this.variants.length > 0) {
+    const activeVariants = this.variants.filter(variant => variant.active !== false)
+    if (activeVariants.length > 0) {
+      this.price = Math.min(...activeVariants.map(variant => variant.price))
+    }
+    this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0)
+    this.reserved = this.variants.reduce((sum, variant) => sum + (variant.reserved || 0), 0)
+  }
+  next()
+})
+
+/**
+ * BUNDLES: A bundle is sold as one SKU but holds no stock of its own - its
+ * availability (and, with sum_minus_discount pricing, its price) comes from
+ * the component products. See resolvePurchasable in services/inventoryService.js.
+ */
+productSchema.pre('validate', function(next) {
+  if (this.isBundle) {
+    if (!this.bundle || !this.bundle.components || this.bundle.components.length === 0) {
+      this.invalidate('bundle.components', 'A bundle needs at least one component')
+    }
+    if (this.variants && this.variants.length > 0) {
+      this.invalidate('variants', 'Bundles cannot have variants')
+    }
+    if (!this.bundle.pricing) {
+      this.bundle.pricing = 'fixed'
+    }
+    this.stock = 0
+    this.reserved = 0
+  }
+  next()
+})
+
+// Fields of component products needed to price a bundle and work out its availability
+const BUNDLE_COMPONENT_FIELDS = 'name price stock reserved variants sku active'
+
+/**
+ * Whether a query's projection returns the bundle definition
+ * Inclusive projections (e.g. select('stock variants')) that leave it out skip
+ * loading the components.
+ */
+const selectsBundle = (query) => {
+  const projection = query.projection()
+  if (!projection) return true
+
+  const included = Object.entries(projection).filter(([path, value]) => path !== '_id' && (value === 1 || value === true))
+  return included.length === 0 || included.some(([path]) => path === 'bundle' || path.startsWith('bundle.'))
+}
+
+// Load bundle components with every product query (including cart populates), so
+// resolvePurchasable always has what it needs. Components cannot be bundles, so
+// this never nests.
+productSchema.pre(['find', 'findOne'], function() {
+  if (selectsBundle(this)) {
+    this.populate({ path: 'bundle.components.productId', select: BUNDLE_COMPONENT_FIELDS })
+  }
+})
+
+/**
+ * Find a variant by ID
+ * @param {String|ObjectId} variantId - Variant ID
+ * @returns {Object|null} Variant sub-document
+ */
+productSchema.methods.findVariant = function(variantId) {
+  if (!variantId || !this.variants || this.variants.length === 0) {
+    return null
+  }
+  return this.variants.id(variantId) || null
+}
+
+/**
+ * Build the variant matrix for the storefront
+ * Lists every option dimension with its values, and every active variant
+ * with the option combination it represents. Stock is the available quantity
+ * (units held by unpaid orders are excluded).
+ * @returns {Object|null} { options: [{ name, values }], variants: [...] } or null if no variants
+ */
+productSchema.methods.getVariantMatrix = function() {
+  const activeVariants = (this.variants || []).filter(variant => variant.active !== false)
+  if (activeVariants.length === 0) {
+    return null
+  }
+
+  const optionValues = new Map()
+  activeVariants.forEach(variant => {
+    for (const [name, value] of variant.options || new Map()) {
+      if (!optionValues.has(name)) optionValues.set(name, new Set())
+      optionValues.get(name).add(value)
+    }
+  })
+
+  return {
+    options: Array.from(optionValues, ([name, values]) => ({ name, values: Array.from(values) })),
+    variants: activeVariants.map(variant => ({
+      _id: variant._id,
+      name: variant.name,
+      options: Object.fromEntries(variant.options || new Map()),
+      price: variant.price,
+      compareAtPrice: variant.compareAtPrice,
+      stock: Math.max(0, variant.stock - (variant.reserved || 0)),
+      sku: variant.sku,
+      images: variant.images && variant.images.length > 0 ? variant.images : this.images,
+      inStock: variant.stock - (variant.reserved || 0) > 0
+    }))
+  }
+}
 
 // Note: slug index is automatically created by unique: true above
 
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose')
+
+const PRODUCT_CATEGORIES = ['Batteries', 'Inverters', 'Energy Storage Systems', 'Converters', 'Controllers', 'Portable Power', 'Solar Kits']
+
+/**
+ * Promotion
+ * A coupon code (customer enters `code`) or an automatic promotion (no code,
+ * applied to every cart that qualifies).
+ *
+ * - discountType: percentage | fixed_amount | free_shipping
+ * - scope: which lines the discount is taken from (whole order, categories or products)
+ * - conditions: what the cart must contain before the promotion applies, e.g.
+ *   "buy an inverter, get 10% off batteries" = scope categories ['Batteries'],
+ *   conditions.requiredCategories ['Inverters']
+ *
+ * redemptionCount only counts paid orders (see PromotionRedemption).
+ */
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a promotion name'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: undefined // Omitted for automatic promotions
+  },
+  discountType: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['percentage', 'fixed_amount', 'free_shipping'],
+      message: 'Invalid discount type'
+    }
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount value cannot be negative'] // Percentage, or KES for fixed_amount
+  },
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum discount cannot be negative'] // Cap for percentage discounts
+  },
+  scope: {
+    appliesTo: {
+      type: String,
+      enum: ['order', 'categories', 'products'],
+      default: 'order'
+    },
+    categories: {
+      type: [String],
+      enum: PRODUCT_CATEGORIES,
+      default: []
+    },
+    productIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  conditions: {
+    minSubtotal: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum spend cannot be negative']
+    },
+    requiredCategories: {
+      type: [String],
+      enum: PRODUCT_CATEGORIES,
+      default: []
+    },
+    requiredProductIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }]
+  },
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1'] // null = unlimited
+  },
+  usageLimitPerUser: {
+    type: Number,
+    default: null,
+    min: [1, 'Per-user limit must be at least 1'] // null = unlimited
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+})
+
+// Indexes
+promotionSchema.index(
+  { code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+)
+promotionSchema.index({ active: 1, code: 1, startsAt: 1, endsAt: 1 })
+
+/**
+ * Whether the promotion is automatic (applies without a code)
+ */
+promotionSchema.virtual('isAutomatic').get(function() {
+  return !this.code
+})
+
+promotionSchema.set('toJSON', { virtuals: true })
+
+module.exports = mongoose.model('Promotion', promotionSchema)
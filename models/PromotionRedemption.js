@@ -0,0 +1,42 @@
+const mongoose = require('mongoose')
+
+/**
+ * Promotion Redemption
+ * One promotion used on one paid order. Written when payment is confirmed,
+ * so abandoned and unpaid orders never use up a code.
+ */
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Guest checkout
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount amount cannot be negative']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+// Indexes
+promotionRedemptionSchema.index({ promotionId: 1, orderId: 1 }, { unique: true }) // One redemption per order
+promotionRedemptionSchema.index({ promotionId: 1, userId: 1 }) // Per-user limits
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema)
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose')
+const { nextNumber } = require('../services/sequenceService')
 
 const quoteSchema = new mongoose.Schema({
+  quoteNumber: {
+    type: String,
+    unique: true,
+    sparse: true // Quotes submitted before numbering was added have none
+  },
   name: {
     type: String,
     trim: true,
@@ -57,7 +63,16 @@ const quoteSchema = new mongoose.Schema({
   timestamps: true
 })
 
+// Sequential quote number (e.g. QT-2026-000042)
+quoteSchema.pre('save', async function(next) {
+  if (this.isNew && !this.quoteNumber) {
+    this.quoteNumber = await nextNumber('quote', { session: this.$session() })
+  }
+  next()
+})
+
 // Indexes
+// Note: quoteNumber index is automatically created by unique: true
 quoteSchema.index({ status: 1 })
 quoteSchema.index({ createdAt: -1 })
 quoteSchema.index({ contact: 1 })
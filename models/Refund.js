@@ -0,0 +1,146 @@
+const mongoose = require('mongoose')
+
+/**
+ * Refund
+ * Money given back on a paid order, full or partial. Completed refunds carry a
+ * credit note number and are printed as a credit note against the order's
+ * invoice. Order totals are never changed - Order.refundedTotal sums the
+ * refunds instead (see services/refundService.js).
+ */
+const refundSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    unique: true,
+    sparse: true // Assigned when the refund completes; failed refunds have none
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null // Invoice the credit note is raised against
+  },
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  items: [{
+    // Lines refunded; empty for amount-only refunds
+    _id: false,
+    orderItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    sku: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Amount cannot be negative']
+    },
+    tax: {
+      type: Number,
+      default: 0
+    },
+    bundleComponents: {
+      type: [{
+        _id: false,
+        productId: mongoose.Schema.Types.ObjectId,
+        variantId: mongoose.Schema.Types.ObjectId,
+        quantity: Number,
+        name: String
+      }],
+      default: undefined
+    }
+  }],
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be greater than zero']
+  },
+  tax: {
+    type: Number,
+    default: 0 // VAT contained in the refunded amount
+  },
+  currency: {
+    type: String,
+    default: 'KES'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please give a reason for the refund'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  restock: {
+    type: Boolean,
+    default: false // Put the refunded items back into stock
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  provider: {
+    type: String,
+    required: true // Refund provider used (pesapal, manual)
+  },
+  paymentReference: {
+    type: String,
+    trim: true // The order's payment transaction (Pesapal order tracking ID)
+  },
+  providerReference: {
+    type: String,
+    trim: true // Provider's reference for the refund itself
+  },
+  failureReason: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+})
+
+// Indexes
+// Note: creditNoteNumber index is automatically created by unique: true
+refundSchema.index({ orderId: 1, createdAt: -1 })
+refundSchema.index({ status: 1, createdAt: -1 })
+
+module.exports = mongoose.model('Refund', refundSchema)
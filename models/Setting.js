@@ -0,0 +1,23 @@
+const mongoose = require('mongoose')
+
+/**
+ * Setting
+ * Configuration the application manages itself at runtime, one document per
+ * key (e.g. "pesapal_ipn" - the IPN registration payments are sent with).
+ * Settings an operator chooses belong in environment variables instead.
+ */
+const settingSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Setting key
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+})
+
+module.exports = mongoose.model('Setting', settingSchema)
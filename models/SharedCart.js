@@ -0,0 +1,74 @@
+const mongoose = require('mongoose')
+
+/**
+ * Shared cart
+ * Snapshot of a cart's lines behind a link (e.g. a full solar kit put together
+ * by a sales rep). Prices are not stored - the preview and import always use
+ * current catalogue prices. Removed by the TTL index once expired.
+ */
+const sharedCartSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot exceed 1000 characters']
+  },
+  items: [{
+    _id: false,
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    name: {
+      type: String,
+      trim: true // Shown if the product is later removed
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sourceCartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  importCount: {
+    type: Number,
+    default: 0
+  },
+  lastImportedAt: Date
+}, {
+  timestamps: true
+})
+
+// Indexes
+// Note: token index is automatically created by unique: true
+sharedCartSchema.index({ createdBy: 1, createdAt: -1 })
+sharedCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('SharedCart', sharedCartSchema)
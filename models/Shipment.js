@@ -0,0 +1,120 @@
+const mongoose = require('mongoose')
+
+const SHIPMENT_STATUSES = ['shipped', 'in_transit', 'out_for_delivery', 'failed_attempt', 'delivered', 'returned']
+
+/**
+ * Shipment
+ * One parcel of an order handed to a courier. An order can go out in several
+ * shipments (partial fulfilment); each carries its own tracking number and
+ * tracking events, pulled from the courier adapter or added by staff
+ * (see services/shipmentService.js).
+ */
+const shipmentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  items: {
+    type: [{
+      _id: false,
+      orderItemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+      },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
+      name: {
+        type: String,
+        required: true
+      },
+      sku: String,
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+      }
+    }],
+    validate: [items => items.length > 0, 'A shipment must contain at least one item']
+  },
+  carrier: {
+    type: String,
+    required: true // Courier adapter code (services/courierService.js)
+  },
+  carrierName: {
+    type: String,
+    required: true // Display name at the time of shipping
+  },
+  trackingNumber: {
+    type: String,
+    required: [true, 'Tracking number is required'],
+    trim: true
+  },
+  trackingUrl: String,
+  carrierReference: {
+    type: String,
+    trim: true // Courier's own booking ID, when it differs from the tracking number
+  },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'shipped'
+  },
+  shippedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date,
+  events: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: SHIPMENT_STATUSES,
+      required: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    location: {
+      type: String,
+      trim: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    source: {
+      type: String,
+      enum: ['carrier', 'admin'],
+      default: 'carrier'
+    }
+  }],
+  lastSyncedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+// Indexes
+shipmentSchema.index({ orderId: 1, createdAt: 1 })
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 })
+shipmentSchema.index({ status: 1, lastSyncedAt: 1 })
+
+module.exports = mongoose.model('Shipment', shipmentSchema)
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose')
+
+/**
+ * Shipping Zone
+ * Delivery rates for a set of counties / cities.
+ *
+ * An address matches a zone by city first, then by county. Addresses that match
+ * no zone fall back to the default zone; if there is none, home delivery is not
+ * offered for that address.
+ */
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a zone name'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  counties: {
+    type: [String],
+    default: [],
+    set: values => values.map(value => value.trim().toLowerCase())
+  },
+  cities: {
+    type: [String],
+    default: [],
+    set: values => values.map(value => value.trim().toLowerCase())
+  },
+  isDefault: {
+    type: Boolean,
+    default: false // Catch-all for addresses outside every other zone
+  },
+  baseRate: {
+    type: Number,
+    required: [true, 'Please provide a base rate'],
+    min: [0, 'Base rate cannot be negative']
+  },
+  includedWeightKg: {
+    type: Number,
+    default: 0,
+    min: [0, 'Included weight cannot be negative'] // Weight covered by the base rate
+  },
+  perKgRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Per-kg rate cannot be negative']
+  },
+  maxWeightKg: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum weight cannot be negative'] // null = no limit
+  },
+  freeShippingThreshold: {
+    type: Number,
+    default: null,
+    min: [0, 'Free shipping threshold cannot be negative'] // null = never free
+  },
+  classSurcharges: [{
+    shippingClass: {
+      type: String,
+      enum: ['standard', 'bulky', 'fragile', 'dangerous_goods'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Surcharge cannot be negative'] // Per unit, charged even when shipping is free
+    }
+  }],
+  estimatedDays: {
+    min: {
+      type: Number,
+      min: 0
+    },
+    max: {
+      type: Number,
+      min: 0
+    }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+})
+
+// Indexes
+shippingZoneSchema.index({ active: 1, cities: 1 })
+shippingZoneSchema.index({ active: 1, counties: 1 })
+
+/**
+ * Only one zone can be the default zone
+ */
+shippingZoneSchema.pre('save', async function(next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await mongoose.model('ShippingZone').updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    )
+  }
+  next()
+})
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema)
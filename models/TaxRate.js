@@ -0,0 +1,34 @@
+const mongoose = require('mongoose')
+
+/**
+ * Tax Rate
+ * The VAT rate charged for one tax class. Classes without a stored rate use the
+ * statutory defaults in services/taxService.js.
+ */
+const taxRateSchema = new mongoose.Schema({
+  taxClass: {
+    type: String,
+    required: true,
+    unique: true, // unique: true automatically creates an index
+    enum: {
+      values: ['standard', 'zero_rated', 'exempt'],
+      message: 'Invalid tax class'
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a tax rate name'],
+    trim: true,
+    maxlength: [100, 'Tax rate name cannot exceed 100 characters'] // Shown on orders and invoices, e.g. "VAT 16%"
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Please provide a rate'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot exceed 100%'] // Percentage
+  }
+}, {
+  timestamps: true
+})
+
+module.exports = mongoose.model('TaxRate', taxRateSchema)
@@ -2,6 +2,7 @@ const express = require('express')
 const router = express.Router()
 const { protect } = require('../middleware/auth')
 const authorize = require('../middleware/authorize')
+const { validate, schemas } = require('../middleware/validate')
 const {
   getDashboardStats,
   getUsers,
@@ -13,6 +14,19 @@ const {
   getReviews,
   updateReviewStatus
 } = require('../controllers/adminController')
+const {
+  getClaims,
+  getAdminClaim,
+  updateClaimStatus
+} = require('../controllers/claimController')
+const {
+  getPayments,
+  getPayment,
+  confirmPayment,
+  getPesapalIPN,
+  registerPesapalIPN,
+  getReconciliationReport
+} = require('../controllers/paymentController')
 
 // All admin routes require authentication and admin role
 router.use(protect)
@@ -28,7 +42,20 @@ router.put('/users/:id', updateUser)
 
 // Orders
 router.get('/orders', getOrders)
-router.put('/orders/:id/status', updateOrderStatus)
+router.put('/orders/:id/status', validate(schemas.updateOrderStatus), updateOrderStatus)
+
+// Payments
+router.get('/payments', getPayments)
+router.get('/payments/pesapal/ipn', getPesapalIPN)
+router.post('/payments/pesapal/ipn', registerPesapalIPN)
+router.get('/payments/reconciliation', getReconciliationReport)
+router.get('/payments/:id', getPayment)
+router.post('/payments/:id/confirm', validate(schemas.confirmPayment), confirmPayment)
+
+// Returns and warranty claims
+router.get('/claims', getClaims)
+router.get('/claims/:id', getAdminClaim)
+router.put('/claims/:id/status', validate(schemas.updateClaimStatus), updateClaimStatus)
 
 // Products
 router.get('/products', getProducts)
@@ -1,20 +1,37 @@
 const express = require('express')
 const router = express.Router()
-const { protect } = require('../middleware/auth')
+const { optionalAuth } = require('../middleware/auth')
+const { identifyCart } = require('../middleware/cartIdentity')
 const { validate, schemas } = require('../middleware/validate')
 const {
   getCart,
+  revalidateCartItems,
+  acknowledgeCartChanges,
+  previewCart,
+  applyCoupon,
+  removeCoupon,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  saveForLater,
+  moveToCart,
+  removeSavedItem
 } = require('../controllers/cartController')
 
-// All cart routes require authentication
-router.use(protect)
+// Signed-in users work on their own cart; guests on the cart named by their cart token
+router.use(optionalAuth, identifyCart)
 
 router.get('/', getCart)
 router.post('/', validate(schemas.addToCart), addToCart)
+router.post('/preview', validate(schemas.previewCart), previewCart)
+router.post('/revalidate', revalidateCartItems)
+router.post('/changes/acknowledge', validate(schemas.acknowledgeCartChanges), acknowledgeCartChanges)
+router.post('/coupon', validate(schemas.applyCoupon), applyCoupon)
+router.delete('/coupon', removeCoupon)
+router.post('/saved/:itemId/move-to-cart', moveToCart)
+router.delete('/saved/:itemId', removeSavedItem)
+router.post('/:itemId/save-for-later', saveForLater)
 router.put('/:itemId', validate(schemas.updateCartItem), updateCartItem)
 router.delete('/:itemId', removeFromCart)
 router.delete('/', clearCart)
@@ -0,0 +1,17 @@
+const express = require('express')
+const router = express.Router()
+const { protect, optionalAuth } = require('../middleware/auth')
+const { uploadMultiple } = require('../middleware/upload')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  createClaim,
+  getMyClaims,
+  getClaim
+} = require('../controllers/claimController')
+
+// Returns and warranty claims - signed-in customers, or guests with their order-lookup token
+router.post('/', optionalAuth, uploadMultiple('photos', 5), validate(schemas.createClaim), createClaim)
+router.get('/', protect, getMyClaims)
+router.get('/:id', optionalAuth, getClaim)
+
+module.exports = router
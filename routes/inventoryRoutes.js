@@ -0,0 +1,28 @@
+const express = require('express')
+const router = express.Router()
+const { protect } = require('../middleware/auth')
+const authorize = require('../middleware/authorize')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  createAdjustment,
+  createReceipt,
+  createTransfer,
+  getProductMovements,
+  getProductLocations,
+  getLocationsWithStock,
+  getLocationStock
+} = require('../controllers/inventoryController')
+
+// All inventory routes require authentication and admin role
+router.use(protect)
+router.use(authorize('admin'))
+
+router.post('/adjustments', validate(schemas.inventoryAdjustment), createAdjustment)
+router.post('/receipts', validate(schemas.inventoryReceipt), createReceipt)
+router.post('/transfers', validate(schemas.inventoryTransfer), createTransfer)
+router.get('/products/:productId/movements', getProductMovements)
+router.get('/products/:productId/locations', getProductLocations)
+router.get('/locations', getLocationsWithStock)
+router.get('/locations/:locationId/stock', getLocationStock)
+
+module.exports = router
@@ -0,0 +1,22 @@
+const express = require('express')
+const router = express.Router()
+const { protect } = require('../middleware/auth')
+const authorize = require('../middleware/authorize')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  getInvoices,
+  getInvoicePdf,
+  regenerate,
+  voidOne
+} = require('../controllers/invoiceController')
+
+// All invoice management routes require authentication and admin role
+router.use(protect)
+router.use(authorize('admin'))
+
+router.get('/', getInvoices)
+router.get('/:id/pdf', getInvoicePdf)
+router.post('/:id/regenerate', validate(schemas.regenerateInvoice), regenerate)
+router.post('/:id/void', validate(schemas.voidInvoice), voidOne)
+
+module.exports = router
@@ -0,0 +1,26 @@
+const express = require('express')
+const router = express.Router()
+const { protect, optionalAuth } = require('../middleware/auth')
+const { identifyCart } = require('../middleware/cartIdentity')
+const authorize = require('../middleware/authorize')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  getLocations,
+  getLocation,
+  getPickupOptions,
+  createLocation,
+  updateLocation,
+  deleteLocation
+} = require('../controllers/locationController')
+
+// Public routes
+router.get('/', getLocations)
+router.get('/pickup-options', optionalAuth, identifyCart, getPickupOptions)
+router.get('/:id', getLocation)
+
+// Protected routes (Admin only)
+router.post('/', protect, authorize('admin'), validate(schemas.createLocation), createLocation)
+router.put('/:id', protect, authorize('admin'), validate(schemas.updateLocation), updateLocation)
+router.delete('/:id', protect, authorize('admin'), deleteLocation)
+
+module.exports = router
@@ -0,0 +1,50 @@
+const express = require('express')
+const router = express.Router()
+const { protect } = require('../middleware/auth')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  listCarts,
+  createNamedCart,
+  updateNamedCart,
+  deleteNamedCart,
+  duplicateCart,
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart,
+  saveForLater,
+  moveToCart,
+  removeSavedItem,
+  previewCart,
+  applyCoupon,
+  removeCoupon,
+  revalidateCartItems,
+  acknowledgeCartChanges
+} = require('../controllers/cartController')
+
+// Named carts belong to accounts
+router.use(protect)
+
+router.get('/', listCarts)
+router.post('/', validate(schemas.createNamedCart), createNamedCart)
+router.get('/:cartId', getCart)
+router.put('/:cartId', validate(schemas.updateNamedCart), updateNamedCart)
+router.delete('/:cartId', deleteNamedCart)
+router.post('/:cartId/duplicate', validate(schemas.duplicateCart), duplicateCart)
+
+// Same operations as /api/cart, on a named cart
+router.post('/:cartId/items', validate(schemas.addToCart), addToCart)
+router.delete('/:cartId/items', clearCart)
+router.put('/:cartId/items/:itemId', validate(schemas.updateCartItem), updateCartItem)
+router.delete('/:cartId/items/:itemId', removeFromCart)
+router.post('/:cartId/items/:itemId/save-for-later', saveForLater)
+router.post('/:cartId/saved/:itemId/move-to-cart', moveToCart)
+router.delete('/:cartId/saved/:itemId', removeSavedItem)
+router.post('/:cartId/preview', validate(schemas.previewCart), previewCart)
+router.post('/:cartId/coupon', validate(schemas.applyCoupon), applyCoupon)
+router.delete('/:cartId/coupon', removeCoupon)
+router.post('/:cartId/revalidate', revalidateCartItems)
+router.post('/:cartId/changes/acknowledge', validate(schemas.acknowledgeCartChanges), acknowledgeCartChanges)
+
+module.exports = router
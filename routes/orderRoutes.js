@@ -1,25 +1,37 @@
 const express = require('express')
 const router = express.Router()
-const { protect } = require('../middleware/auth')
+const { protect, optionalAuth } = require('../middleware/auth')
+const { identifyCart } = require('../middleware/cartIdentity')
+const { formLimiter } = require('../middleware/rateLimiter')
 const authorize = require('../middleware/authorize')
 const { validate, schemas } = require('../middleware/validate')
 const {
   createOrder,
+  getGuestOrder,
+  requestGuestOrderAccess,
   getOrders,
   getOrder,
   updateOrderStatus,
-  updatePaymentStatus,
   cancelOrder
 } = require('../controllers/orderController')
+const { getOrderInvoice } = require('../controllers/invoiceController')
 
-// All order routes require authentication
+// Checkout works for signed-in users and guests (guest cart token)
+router.post('/', optionalAuth, identifyCart, validate(schemas.createOrder), createOrder)
+
+// Guest order lookup
+router.post('/guest/access-link', formLimiter, validate(schemas.guestOrderAccess), requestGuestOrderAccess)
+router.get('/guest/:orderNumber', getGuestOrder)
+
+// Tax invoice PDF (owner, guest with lookup token, or admin)
+router.get('/:id/invoice', optionalAuth, getOrderInvoice)
+
+// All other order routes require authentication
 router.use(protect)
 
-router.post('/', validate(schemas.createOrder), createOrder)
 router.get('/', getOrders)
 router.get('/:id', getOrder)
 router.put('/:id/status', authorize('admin'), validate(schemas.updateOrderStatus), updateOrderStatus)
-router.put('/:id/payment', validate(schemas.updatePaymentStatus), updatePaymentStatus)
 router.put('/:id/cancel', cancelOrder)
 
 module.exports = router
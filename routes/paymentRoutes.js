@@ -1,21 +1,23 @@
 const express = require('express')
 const router = express.Router()
-const { protect } = require('../middleware/auth')
+const { optionalAuth } = require('../middleware/auth')
 const { validate, schemas } = require('../middleware/validate')
 const {
   initiatePayment,
   pesapalCallback,
-  pesapalIPN,
+  paymentWebhook,
   checkPaymentStatus
 } = require('../controllers/paymentController')
 
-// Public routes (for Pesapal callbacks)
+// Public routes (for payment provider callbacks)
 router.get('/pesapal/callback', pesapalCallback)
-router.post('/pesapal/ipn', pesapalIPN)
+router.post('/:provider(pesapal)/ipn', paymentWebhook) // URL registered with Pesapal
+router.post('/:provider(mpesa)/callback', paymentWebhook) // URL sent with each STK Push
+router.post('/:provider/webhook', paymentWebhook)
 
-// Protected routes
-router.post('/initiate', protect, validate(schemas.initiatePayment), initiatePayment)
-router.get('/status/:orderId', protect, checkPaymentStatus)
+// Customer routes - signed in, or guest checkout with the order's lookup token
+router.post('/initiate', optionalAuth, validate(schemas.initiatePayment), initiatePayment)
+router.get('/status/:orderId', optionalAuth, checkPaymentStatus)
 
 module.exports = router
 
@@ -0,0 +1,24 @@
+const express = require('express')
+const router = express.Router()
+const { protect } = require('../middleware/auth')
+const authorize = require('../middleware/authorize')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} = require('../controllers/promotionController')
+
+// All promotion routes require authentication and admin role
+router.use(protect)
+router.use(authorize('admin'))
+
+router.get('/', getPromotions)
+router.get('/:id', getPromotion)
+router.post('/', validate(schemas.createPromotion), createPromotion)
+router.put('/:id', validate(schemas.updatePromotion), updatePromotion)
+router.delete('/:id', deletePromotion)
+
+module.exports = router
@@ -0,0 +1,22 @@
+const express = require('express')
+const router = express.Router()
+const { protect } = require('../middleware/auth')
+const authorize = require('../middleware/authorize')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  refundOrder,
+  getRefunds,
+  getRefund,
+  getCreditNote
+} = require('../controllers/refundController')
+
+// All refund routes require authentication and admin role
+router.use(protect)
+router.use(authorize('admin'))
+
+router.get('/', getRefunds)
+router.post('/', validate(schemas.createRefund), refundOrder)
+router.get('/:id', getRefund)
+router.get('/:id/credit-note', getCreditNote)
+
+module.exports = router
@@ -0,0 +1,16 @@
+const express = require('express')
+const router = express.Router()
+const { protect, optionalAuth } = require('../middleware/auth')
+const { identifyCart } = require('../middleware/cartIdentity')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  createSharedCart,
+  getSharedCart,
+  importSharedCart
+} = require('../controllers/sharedCartController')
+
+router.post('/', protect, validate(schemas.createSharedCart), createSharedCart)
+router.get('/:token', getSharedCart)
+router.post('/:token/import', optionalAuth, identifyCart, validate(schemas.importSharedCart), importSharedCart)
+
+module.exports = router
@@ -0,0 +1,26 @@
+const express = require('express')
+const router = express.Router()
+const { protect } = require('../middleware/auth')
+const authorize = require('../middleware/authorize')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  getCarriers,
+  createShipment,
+  getShipments,
+  getShipment,
+  addShipmentEvent,
+  syncShipment
+} = require('../controllers/shipmentController')
+
+// All shipment routes require authentication and admin role
+router.use(protect)
+router.use(authorize('admin'))
+
+router.get('/carriers', getCarriers)
+router.get('/', getShipments)
+router.post('/', validate(schemas.createShipment), createShipment)
+router.get('/:id', getShipment)
+router.post('/:id/events', validate(schemas.addShipmentEvent), addShipmentEvent)
+router.post('/:id/sync', syncShipment)
+
+module.exports = router
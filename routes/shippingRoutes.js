@@ -0,0 +1,23 @@
+const express = require('express')
+const router = express.Router()
+const { protect } = require('../middleware/auth')
+const authorize = require('../middleware/authorize')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  getShippingQuote,
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone
+} = require('../controllers/shippingController')
+
+// Public routes
+router.post('/quote', validate(schemas.shippingQuote), getShippingQuote)
+
+// Protected routes (Admin only)
+router.get('/zones', protect, authorize('admin'), getZones)
+router.post('/zones', protect, authorize('admin'), validate(schemas.createShippingZone), createZone)
+router.put('/zones/:id', protect, authorize('admin'), validate(schemas.updateShippingZone), updateZone)
+router.delete('/zones/:id', protect, authorize('admin'), deleteZone)
+
+module.exports = router
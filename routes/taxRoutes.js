@@ -0,0 +1,18 @@
+const express = require('express')
+const router = express.Router()
+const { protect } = require('../middleware/auth')
+const authorize = require('../middleware/authorize')
+const { validate, schemas } = require('../middleware/validate')
+const {
+  getRates,
+  updateRate
+} = require('../controllers/taxController')
+
+// All tax routes require authentication and admin role
+router.use(protect)
+router.use(authorize('admin'))
+
+router.get('/', getRates)
+router.put('/:taxClass', validate(schemas.updateTaxRate), updateRate)
+
+module.exports = router
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose')
+const path = require('path')
+require('dotenv').config({ path: path.join(__dirname, '../.env') })
+const Order = require('../models/Order')
+const Product = require('../models/Product')
+const Location = require('../models/Location')
+const { snapshotProduct } = require('../services/pricingService')
+
+/**
+ * Backfill order snapshots
+ * Orders placed before line snapshots were stored only have name, price and
+ * quantity. This copies the remaining details (SKU, image, category, specs,
+ * variant options) from the products that still exist, and the pickup location
+ * address. Lines whose product was already deleted keep what they have.
+ *
+ * Snapshot paths are immutable on the model, so the update goes through the
+ * native collection. Safe to re-run: only lines without a snapshot are touched.
+ */
+async function backfillOrderSnapshots() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Connected to MongoDB')
+
+    const products = new Map()
+    const loadProduct = async (productId) => {
+      const key = String(productId)
+      if (!products.has(key)) {
+        products.set(key, await Product.findById(productId).select('-bundle').lean())
+      }
+      return products.get(key)
+    }
+
+    const cursor = Order.find({
+      $or: [
+        { 'items.image': { $exists: false } },
+        { pickupLocationId: { $ne: null }, 'pickupLocation.name': { $exists: false } }
+      ]
+    }).lean().cursor()
+
+    let updated = 0
+    let missingProducts = 0
+    for await (const order of cursor) {
+      const items = []
+      for (const item of order.items) {
+        if (item.image !== undefined) {
+          items.push(item)
+          continue
+        }
+
+        const product = await loadProduct(item.productId)
+        if (!product) {
+          missingProducts++
+          items.push(item)
+          continue
+        }
+
+        const variant = item.variantId
+          ? (product.variants || []).find(v => String(v._id) === String(item.variantId)) || null
+          : null
+        items.push({
+          ...item,
+          ...snapshotProduct(product, variant),
+          sku: item.sku || (variant ? variant.sku : product.sku),
+          variantName: item.variantName || (variant ? variant.name : undefined)
+        })
+      }
+
+      const update = { items }
+      if (order.pickupLocationId && !(order.pickupLocation && order.pickupLocation.name)) {
+        const location = await Location.findById(order.pickupLocationId).lean()
+        if (location) {
+          update.pickupLocation = {
+            name: location.name,
+            street: location.address.street,
+            city: location.address.city,
+            county: location.address.county,
+            phone: location.phone
+          }
+        }
+      }
+
+      await Order.collection.updateOne({ _id: order._id }, { $set: update })
+      updated++
+    }
+
+    console.log(`✅ ${updated} order(s) backfilled`)
+    if (missingProducts > 0) {
+      console.log(`⚠️  ${missingProducts} line(s) reference deleted products and were left as they were`)
+    }
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Error backfilling order snapshots:', error)
+    process.exit(1)
+  } finally {
+    await mongoose.connection.close()
+    console.log('\nDatabase connection closed')
+  }
+}
+
+backfillOrderSnapshots()
@@ -0,0 +1,168 @@
+/**
+ * Mock M-Pesa Daraja Server
+ *
+ * Stands in for Safaricom's Daraja API (OAuth, STK Push, STK query) so the
+ * M-Pesa checkout can be run end to end locally. Each STK Push is answered
+ * like Daraja would, then the result is posted to its CallBackURL after
+ * MOCK_DARAJA_CALLBACK_DELAY_MS (default 3000).
+ *
+ * The last four digits of the phone number pick the outcome:
+ *   ...1032  customer cancels the prompt
+ *   ...1037  phone cannot be reached
+ *   ...0001  insufficient funds
+ *   ...2001  wrong PIN
+ *   ...0002  pays one shilling less than requested (amount mismatch)
+ *   ...9999  never answers (no callback, query stays pending)
+ *   anything else pays in full
+ *
+ * Run:  node scripts/mockDarajaServer.js
+ * Then start the API with MPESA_BASE_URL=http://localhost:4010 (MOCK_DARAJA_PORT)
+ */
+
+const express = require('express')
+const axios = require('axios')
+const crypto = require('crypto')
+
+const PORT = parseInt(process.env.MOCK_DARAJA_PORT) || 4010
+const CALLBACK_DELAY_MS = parseInt(process.env.MOCK_DARAJA_CALLBACK_DELAY_MS) || 3000
+
+const OUTCOMES = {
+  1032: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  1037: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' },
+  '0001': { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+  2001: { resultCode: 2001, resultDesc: 'The initiator information is invalid.' },
+  '0002': { resultCode: 0, resultDesc: 'The service request is processed successfully.', shortBy: 1 },
+  9999: null // No answer
+}
+const SUCCESS = { resultCode: 0, resultDesc: 'The service request is processed successfully.' }
+
+const tokens = new Set()
+const requests = new Map() // CheckoutRequestID -> { request, result }
+
+const app = express()
+app.use(express.json())
+
+const badRequest = (res, message) => {
+  return res.status(400).json({
+    requestId: crypto.randomBytes(8).toString('hex'),
+    errorCode: '400.002.02',
+    errorMessage: `Bad Request - Invalid ${message}`
+  })
+}
+
+const requireToken = (req, res, next) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '')
+  if (!tokens.has(token)) {
+    return res.status(401).json({
+      requestId: crypto.randomBytes(8).toString('hex'),
+      errorCode: '404.001.03',
+      errorMessage: 'Invalid Access Token'
+    })
+  }
+  next()
+}
+
+const receiptNumber = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+  return Array.from(crypto.randomBytes(10), byte => chars[byte % chars.length]).join('')
+}
+
+const sendCallback = async (checkoutRequestId) => {
+  const entry = requests.get(checkoutRequestId)
+  const { request, result } = entry
+  const stkCallback = {
+    MerchantRequestID: entry.merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResultCode: result.resultCode,
+    ResultDesc: result.resultDesc
+  }
+
+  if (result.resultCode === 0) {
+    const now = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString().replace(/[-:T]/g, '').slice(0, 14)
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: request.Amount - (result.shortBy || 0) },
+        { Name: 'MpesaReceiptNumber', Value: receiptNumber() },
+        { Name: 'Balance' },
+        { Name: 'TransactionDate', Value: Number(now) },
+        { Name: 'PhoneNumber', Value: Number(request.PhoneNumber) }
+      ]
+    }
+  }
+
+  entry.answered = true
+  try {
+    const response = await axios.post(request.CallBackURL, { Body: { stkCallback } })
+    console.log(`→ Callback ${checkoutRequestId} (ResultCode ${result.resultCode}): ${response.status}`)
+  } catch (error) {
+    console.error(`✗ Callback ${checkoutRequestId} failed: ${error.response?.status || error.message}`)
+  }
+}
+
+app.get('/oauth/v1/generate', (req, res) => {
+  const [scheme, credentials] = (req.headers.authorization || '').split(' ')
+  if (scheme !== 'Basic' || !credentials || req.query.grant_type !== 'client_credentials') {
+    return res.status(400).json({ errorCode: '400.008.02', errorMessage: 'Invalid grant type passed' })
+  }
+
+  const token = crypto.randomBytes(16).toString('hex')
+  tokens.add(token)
+  res.json({ access_token: token, expires_in: '3599' })
+})
+
+app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+  const body = req.body
+  if (!body.BusinessShortCode) return badRequest(res, 'BusinessShortCode')
+  if (!body.Password || !/^\d{14}$/.test(body.Timestamp || '')) return badRequest(res, 'Timestamp')
+  if (!Number.isInteger(body.Amount) || body.Amount < 1) return badRequest(res, 'Amount')
+  if (!/^254\d{9}$/.test(body.PhoneNumber || '')) return badRequest(res, 'PhoneNumber')
+  if (!/^https?:\/\//.test(body.CallBackURL || '')) return badRequest(res, 'CallBackURL')
+
+  const merchantRequestId = `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`
+  const checkoutRequestId = `ws_CO_${body.Timestamp}${crypto.randomInt(100000, 999999)}`
+  const suffix = body.PhoneNumber.slice(-4)
+  const result = suffix in OUTCOMES ? OUTCOMES[suffix] : SUCCESS
+
+  requests.set(checkoutRequestId, { request: body, result, merchantRequestId, answered: false })
+  console.log(`← STK Push ${checkoutRequestId}: KES ${body.Amount} from ${body.PhoneNumber} (${body.AccountReference})`)
+
+  if (result) {
+    setTimeout(() => sendCallback(checkoutRequestId), CALLBACK_DELAY_MS)
+  }
+
+  res.json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing'
+  })
+})
+
+app.post('/mpesa/stkpushquery/v1/query', requireToken, (req, res) => {
+  const entry = requests.get(req.body.CheckoutRequestID)
+  if (!entry) {
+    return badRequest(res, 'CheckoutRequestID')
+  }
+
+  if (!entry.answered) {
+    return res.status(500).json({
+      requestId: crypto.randomBytes(8).toString('hex'),
+      errorCode: '500.001.1001',
+      errorMessage: 'The transaction is being processed'
+    })
+  }
+
+  res.json({
+    ResponseCode: '0',
+    ResponseDescription: 'The service request has been accepted successfully',
+    MerchantRequestID: entry.merchantRequestId,
+    CheckoutRequestID: req.body.CheckoutRequestID,
+    ResultCode: String(entry.result.resultCode),
+    ResultDesc: entry.result.resultDesc
+  })
+})
+
+app.listen(PORT, () => {
+  console.log(`Mock Daraja server listening on http://localhost:${PORT}`)
+})
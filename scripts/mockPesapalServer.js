@@ -0,0 +1,226 @@
+/**
+ * Mock Pesapal Server
+ *
+ * Stands in for the Pesapal v3 API (auth, IPN registration, orders,
+ * transaction status, refunds) so the Pesapal checkout can be run end to end
+ * locally. Orders must carry the notification_id of a registered IPN URL, as
+ * with Pesapal. Each order is paid MOCK_PESAPAL_IPN_DELAY_MS (default 3000)
+ * after it is submitted, and the IPN is sent to its registered URL; the
+ * redirect_url page sends the browser back to the callback_url.
+ *
+ * The last four digits of the billing phone number pick the outcome:
+ *   ...0002  payment fails
+ *   ...0003  payment is invalid
+ *   ...0004  pays one shilling less than requested (amount mismatch)
+ *   ...9999  never paid (no IPN, status stays pending)
+ *   anything else pays in full
+ *
+ * Run:  node scripts/mockPesapalServer.js
+ * Then start the API with PESAPAL_BASE_URL=http://localhost:4020 (MOCK_PESAPAL_PORT)
+ */
+
+const express = require('express')
+const axios = require('axios')
+const crypto = require('crypto')
+
+const PORT = parseInt(process.env.MOCK_PESAPAL_PORT) || 4020
+const IPN_DELAY_MS = parseInt(process.env.MOCK_PESAPAL_IPN_DELAY_MS) || 3000
+
+// payment_status_description and status_code of each outcome
+const OUTCOMES = {
+  '0002': { description: 'Failed', statusCode: 2 },
+  '0003': { description: 'Invalid', statusCode: 0 },
+  '0004': { description: 'Completed', statusCode: 1, shortBy: 1 },
+  9999: null // Never paid
+}
+const COMPLETED = { description: 'Completed', statusCode: 1 }
+
+const tokens = new Set()
+const ipns = new Map() // ipn_id -> { url, notificationType, createdAt }
+const orders = new Map() // order_tracking_id -> { request, ipnId, outcome, paid, confirmationCode }
+
+const app = express()
+app.use(express.json())
+
+const pesapalError = (res, status, code, message) => {
+  return res.status(status).json({
+    error: { error_type: 'api_error', code, message },
+    status: String(status)
+  })
+}
+
+const requireToken = (req, res, next) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '')
+  if (!tokens.has(token)) {
+    return pesapalError(res, 401, 'invalid_access_token', 'Invalid or expired access token')
+  }
+  next()
+}
+
+const confirmationCode = () => crypto.randomBytes(6).toString('hex').toUpperCase()
+
+const sendIPN = async (orderTrackingId) => {
+  const order = orders.get(orderTrackingId)
+  const ipn = ipns.get(order.ipnId)
+  order.paid = true
+
+  const notification = {
+    OrderTrackingId: orderTrackingId,
+    OrderMerchantReference: order.request.id,
+    OrderNotificationType: 'IPNCHANGE'
+  }
+
+  try {
+    const response = ipn.notificationType === 'GET'
+      ? await axios.get(ipn.url, { params: notification })
+      : await axios.post(ipn.url, notification)
+    console.log(`→ IPN ${orderTrackingId} (${order.outcome.description}): ${response.status}`)
+  } catch (error) {
+    console.error(`✗ IPN ${orderTrackingId} failed: ${error.response?.status || error.message}`)
+  }
+}
+
+app.post('/api/Auth/RequestToken', (req, res) => {
+  if (!req.body.consumer_key || !req.body.consumer_secret) {
+    return pesapalError(res, 400, 'invalid_consumer_key_or_secret_provided', 'Invalid consumer_key or consumer_secret provided')
+  }
+
+  const token = crypto.randomBytes(24).toString('hex')
+  tokens.add(token)
+  res.json({
+    token,
+    expiryDate: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+    error: null,
+    status: '200',
+    message: 'Request processed successfully'
+  })
+})
+
+app.post('/api/URLSetup/RegisterIPN', requireToken, (req, res) => {
+  const { url, ipn_notification_type: notificationType } = req.body
+  if (!/^https?:\/\//.test(url || '')) {
+    return pesapalError(res, 400, 'invalid_url', 'Invalid IPN URL')
+  }
+  if (!['GET', 'POST'].includes(notificationType)) {
+    return pesapalError(res, 400, 'invalid_ipn_notification_type', 'ipn_notification_type must be GET or POST')
+  }
+
+  const ipnId = crypto.randomUUID()
+  const createdAt = new Date().toISOString()
+  ipns.set(ipnId, { url, notificationType, createdAt })
+  console.log(`← RegisterIPN ${ipnId}: ${notificationType} ${url}`)
+
+  res.json({
+    url,
+    created_date: createdAt,
+    ipn_id: ipnId,
+    error: null,
+    status: '200'
+  })
+})
+
+app.get('/api/URLSetup/GetIpnList', requireToken, (req, res) => {
+  res.json(Array.from(ipns, ([ipnId, ipn]) => ({
+    url: ipn.url,
+    created_date: ipn.createdAt,
+    ipn_id: ipnId,
+    notification_type: ipn.notificationType === 'GET' ? 0 : 1,
+    ipn_notification_type_description: ipn.notificationType,
+    ipn_status: 1,
+    ipn_status_description: 'Active',
+    error: null,
+    status: '200'
+  })))
+})
+
+app.post('/api/Transactions/SubmitOrderRequest', requireToken, (req, res) => {
+  const body = req.body
+  if (!body.id) return pesapalError(res, 400, 'invalid_merchant_reference', 'Invalid merchant reference')
+  if (!(Number(body.amount) > 0)) return pesapalError(res, 400, 'invalid_amount', 'Invalid amount')
+  if (!/^https?:\/\//.test(body.callback_url || '')) return pesapalError(res, 400, 'invalid_callback_url', 'Invalid callback_url')
+  if (!ipns.has(body.notification_id)) {
+    return pesapalError(res, 400, 'invalid_ipn_id', 'Invalid notification_id. Register your IPN URL first')
+  }
+
+  const orderTrackingId = crypto.randomUUID()
+  const phone = (body.billing_address && body.billing_address.phone_number) || ''
+  const suffix = phone.replace(/\D/g, '').slice(-4)
+  const outcome = suffix in OUTCOMES ? OUTCOMES[suffix] : COMPLETED
+
+  orders.set(orderTrackingId, { request: body, ipnId: body.notification_id, outcome, paid: false })
+  console.log(`← Order ${orderTrackingId}: ${body.currency} ${body.amount} (${body.id})`)
+
+  if (outcome) {
+    setTimeout(() => sendIPN(orderTrackingId), IPN_DELAY_MS)
+  }
+
+  res.json({
+    order_tracking_id: orderTrackingId,
+    merchant_reference: body.id,
+    redirect_url: `http://localhost:${PORT}/iframe?OrderTrackingId=${orderTrackingId}`,
+    error: null,
+    status: '200'
+  })
+})
+
+// Hosted payment page: straight back to the shop
+app.get('/iframe', (req, res) => {
+  const order = orders.get(req.query.OrderTrackingId)
+  if (!order) {
+    return res.status(404).send('Unknown order')
+  }
+
+  const callback = new URL(order.request.callback_url)
+  callback.searchParams.set('OrderTrackingId', req.query.OrderTrackingId)
+  callback.searchParams.set('OrderMerchantReference', order.request.id)
+  callback.searchParams.set('OrderNotificationType', 'CALLBACKURL')
+  res.redirect(callback.toString())
+})
+
+app.get('/api/Transactions/GetTransactionStatus', requireToken, (req, res) => {
+  const order = orders.get(req.query.orderTrackingId)
+  if (!order) {
+    return pesapalError(res, 400, 'invalid_order_tracking_id', 'Invalid orderTrackingId')
+  }
+
+  const { request, outcome } = order
+  const settled = order.paid && outcome
+  if (settled && outcome.statusCode === 1 && !order.confirmationCode) {
+    order.confirmationCode = confirmationCode()
+  }
+
+  res.json({
+    payment_method: settled ? 'MpesaKE' : '',
+    amount: settled ? Number(request.amount) - (outcome.shortBy || 0) : Number(request.amount),
+    created_date: new Date().toISOString(),
+    confirmation_code: order.confirmationCode || '',
+    payment_status_description: settled ? outcome.description : 'Pending',
+    description: request.description,
+    message: 'Request processed successfully',
+    payment_account: request.billing_address && request.billing_address.phone_number,
+    call_back_url: request.callback_url,
+    status_code: settled ? outcome.statusCode : 0,
+    merchant_reference: request.id,
+    currency: request.currency,
+    error: { error_type: null, code: null, message: null, call_back_url: null },
+    status: '200'
+  })
+})
+
+app.post('/api/Transactions/RefundRequest', requireToken, (req, res) => {
+  const { confirmation_code: code, amount } = req.body
+  const order = Array.from(orders.values()).find(entry => entry.confirmationCode && entry.confirmationCode === code)
+  if (!order) {
+    return res.json({ status: '500', message: 'Invalid confirmation code' })
+  }
+  if (!(Number(amount) > 0) || Number(amount) > Number(order.request.amount)) {
+    return res.json({ status: '500', message: 'Refund amount exceeds the amount paid' })
+  }
+
+  console.log(`← Refund ${code}: ${amount} (${req.body.remarks || 'no remarks'})`)
+  res.json({ status: '200', message: 'Refund request successfully' })
+})
+
+app.listen(PORT, () => {
+  console.log(`Mock Pesapal server listening on http://localhost:${PORT}`)
+})
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose')
+const path = require('path')
+require('dotenv').config({ path: path.join(__dirname, '../.env') })
+const ShippingZone = require('../models/ShippingZone')
+
+/**
+ * Starter shipping zones
+ * Checkout refuses home delivery to addresses no zone covers, so run this once
+ * (then tune the rates from the admin API) before enabling the shipping engine.
+ */
+const starterZones = [
+  {
+    name: 'Nairobi Metro',
+    cities: ['Nairobi', 'Westlands', 'Karen', 'Kasarani', 'Embakasi', 'Ruaka', 'Rongai', 'Kitengela', 'Syokimau'],
+    counties: ['Nairobi'],
+    baseRate: 300,
+    includedWeightKg: 10,
+    perKgRate: 20,
+    freeShippingThreshold: 100000,
+    classSurcharges: [
+      { shippingClass: 'bulky', amount: 500 },
+      { shippingClass: 'dangerous_goods', amount: 1000 }
+    ],
+    estimatedDays: { min: 1, max: 2 }
+  },
+  {
+    name: 'Nairobi Environs',
+    counties: ['Kiambu', 'Machakos', 'Kajiado', 'Muranga'],
+    baseRate: 600,
+    includedWeightKg: 10,
+    perKgRate: 35,
+    freeShippingThreshold: 150000,
+    classSurcharges: [
+      { shippingClass: 'bulky', amount: 800 },
+      { shippingClass: 'dangerous_goods', amount: 1500 }
+    ],
+    estimatedDays: { min: 1, max: 3 }
+  },
+  {
+    name: 'Major Towns',
+    cities: ['Mombasa', 'Kisumu', 'Nakuru', 'Eldoret', 'Thika', 'Nyeri', 'Meru', 'Kakamega'],
+    counties: ['Mombasa', 'Kisumu', 'Nakuru', 'Uasin Gishu', 'Nyeri', 'Meru', 'Kakamega'],
+    baseRate: 900,
+    includedWeightKg: 5,
+    perKgRate: 60,
+    freeShippingThreshold: 250000,
+    classSurcharges: [
+      { shippingClass: 'bulky', amount: 1500 },
+      { shippingClass: 'fragile', amount: 500 },
+      { shippingClass: 'dangerous_goods', amount: 2500 }
+    ],
+    estimatedDays: { min: 2, max: 4 }
+  },
+  {
+    name: 'Rest of Kenya',
+    isDefault: true,
+    baseRate: 1500,
+    includedWeightKg: 5,
+    perKgRate: 90,
+    maxWeightKg: 1000,
+    classSurcharges: [
+      { shippingClass: 'bulky', amount: 2500 },
+      { shippingClass: 'fragile', amount: 800 },
+      { shippingClass: 'dangerous_goods', amount: 4000 }
+    ],
+    estimatedDays: { min: 3, max: 7 }
+  }
+]
+
+async function seedShippingZones() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI)
+    console.log('Connected to MongoDB')
+
+    let created = 0
+    for (const zoneData of starterZones) {
+      const existing = await ShippingZone.findOne({ name: zoneData.name })
+      if (existing) {
+        console.log(`✓ Zone "${zoneData.name}" already exists`)
+        continue
+      }
+
+      await ShippingZone.create(zoneData)
+      console.log(`✅ Created zone "${zoneData.name}" - base KES ${zoneData.baseRate.toLocaleString()}`)
+      created++
+    }
+
+    console.log(`\n${created} zone(s) created`)
+    process.exit(0)
+  } catch (error) {
+    console.error('❌ Error seeding shipping zones:', error)
+    process.exit(1)
+  } finally {
+    await mongoose.connection.close()
+    console.log('\nDatabase connection closed')
+  }
+}
+
+// Run the seed function
+seedShippingZones()
@@ -8,9 +8,13 @@ const path = require('path')
 require('dotenv').config()
 
 const connectDB = require('./config/database')
+const { connectRedis } = require('./src/config/redis')
 const errorHandler = require('./middleware/errorHandler')
 const logger = require('./utils/logger')
 const passport = require('./config/passport')
+const { startReservationSweeper } = require('./jobs/reservationSweeper')
+const { startShipmentTrackingSync } = require('./jobs/shipmentTrackingSync')
+const { startPaymentReconciliation } = require('./jobs/paymentReconciliation')
 
 // Environment variable validation - CONTRACT: Fail fast on missing required vars
 const requiredEnvVars = [
@@ -37,6 +41,9 @@ const app = express()
 // Connect to MongoDB
 connectDB()
 
+// Connect to Redis (optional - payment locks fall back to MongoDB)
+connectRedis()
+
 // Security Middleware
 app.use(helmet())
 
@@ -122,12 +129,23 @@ app.use(
 app.use('/api/auth', require('./routes/authRoutes'))
 app.use('/api/products', require('./routes/productRoutes'))
 app.use('/api/cart', require('./routes/cartRoutes'))
+app.use('/api/carts', require('./routes/namedCartRoutes'))
+app.use('/api/shared-carts', require('./routes/sharedCartRoutes'))
 app.use('/api/orders', require('./routes/orderRoutes'))
+app.use('/api/claims', require('./routes/claimRoutes'))
+app.use('/api/locations', require('./routes/locationRoutes'))
+app.use('/api/shipping', require('./routes/shippingRoutes'))
 app.use('/api/payments', require('./routes/paymentRoutes'))
 app.use('/api/contact', require('./routes/contactRoutes'))
 app.use('/api/quotes', require('./routes/quoteRoutes'))
 app.use('/api/newsletter', require('./routes/newsletterRoutes'))
 app.use('/api/users', require('./routes/userRoutes'))
+app.use('/api/admin/inventory', require('./routes/inventoryRoutes'))
+app.use('/api/admin/tax-rates', require('./routes/taxRoutes'))
+app.use('/api/admin/promotions', require('./routes/promotionRoutes'))
+app.use('/api/admin/invoices', require('./routes/invoiceRoutes'))
+app.use('/api/admin/refunds', require('./routes/refundRoutes'))
+app.use('/api/admin/shipments', require('./routes/shipmentRoutes'))
 app.use('/api/admin', require('./routes/adminRoutes'))
 app.use('/api/reviews', require('./routes/reviewRoutes'))
 app.use('/api/wishlist', require('./routes/wishlistRoutes'))
@@ -156,6 +174,11 @@ const PORT = process.env.PORT || 5000
 const server = app.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`)
   logger.info(`CORS origins: ${allowedOrigins.join(', ')}`)
+
+  // Background jobs
+  startReservationSweeper()
+  startShipmentTrackingSync()
+  startPaymentReconciliation()
 })
 
 // Handle unhandled promise rejections
@@ -0,0 +1,129 @@
+const Product = require('../models/Product')
+const { resolvePurchasable } = require('./inventoryService')
+const logger = require('../utils/logger')
+
+/**
+ * BUNDLE SERVICE
+ *
+ * Admin-side checks for bundle products (e.g. a solar kit: panels, inverter,
+ * batteries and a controller sold as one SKU). Storefront pricing and stock for
+ * bundles are worked out in resolvePurchasable; this service makes sure a bundle
+ * definition can be resolved, and keeps the stored price of sum-priced bundles
+ * (used for listing, sorting and price filters) in line with their components.
+ */
+
+/**
+ * Check and normalise a bundle definition
+ *
+ * @param {Object} bundle - { components: [{ productId, variantId, quantity }], pricing, discountType, discountValue }
+ * @param {Object} [options]
+ * @param {String|ObjectId} [options.productId] - The bundle itself when editing (cannot contain itself)
+ * @returns {Promise<Object>} { bundle, price } (price is null for fixed pricing)
+ *   or { error: { status, message, code } }
+ */
+const prepareBundle = async (bundle, { productId } = {}) => {
+  const invalid = (message) => ({ error: { status: 400, message, code: 'INVALID_BUNDLE' } })
+
+  const components = []
+  for (const component of bundle.components) {
+    const variantId = component.variantId || null
+    const existing = components.find(line =>
+      String(line.productId) === String(component.productId) && String(line.variantId) === String(variantId)
+    )
+    // The same item listed twice is one component with the combined quantity
+    if (existing) {
+      existing.quantity += component.quantity
+    } else {
+      components.push({ productId: component.productId, variantId, quantity: component.quantity })
+    }
+  }
+
+  if (productId && components.some(component => String(component.productId) === String(productId))) {
+    return invalid('A bundle cannot contain itself')
+  }
+
+  const products = await Product.find({ _id: { $in: components.map(component => component.productId) } })
+    .select('name price variants isBundle active')
+  const productsById = new Map(products.map(product => [String(product._id), product]))
+
+  for (const component of components) {
+    const product = productsById.get(String(component.productId))
+    if (!product) {
+      return invalid(`Component product ${component.productId} not found`)
+    }
+    if (product.isBundle) {
+      return invalid(`${product.name} is a bundle - bundles cannot contain other bundles`)
+    }
+
+    const hasVariants = product.variants.length > 0
+    if (hasVariants && !component.variantId) {
+      return invalid(`${product.name} has variants - choose one for the bundle`)
+    }
+    if (!hasVariants && component.variantId) {
+      return invalid(`${product.name} has no variants`)
+    }
+    if (component.variantId && !product.findVariant(component.variantId)) {
+      return invalid(`Variant of ${product.name} not found`)
+    }
+  }
+
+  const prepared = {
+    components,
+    pricing: bundle.pricing || 'fixed',
+    discountType: bundle.pricing === 'sum_minus_discount' ? bundle.discountType : undefined,
+    discountValue: bundle.pricing === 'sum_minus_discount' ? bundle.discountValue : undefined
+  }
+
+  if (prepared.pricing !== 'sum_minus_discount') {
+    return { bundle: prepared, price: null }
+  }
+
+  // Price it the way the storefront will, from the loaded components
+  const purchasable = resolvePurchasable({
+    isBundle: true,
+    bundle: {
+      ...prepared,
+      components: components.map(component => ({ ...component, productId: productsById.get(String(component.productId)) }))
+    }
+  })
+  if (purchasable.error) {
+    return invalid('Every component must be active to price the bundle')
+  }
+
+  return { bundle: prepared, price: purchasable.price }
+}
+
+/**
+ * Update the stored price of sum-priced bundles that contain a product
+ * Call after the product's price or variants change.
+ *
+ * @param {String|ObjectId} productId - Component product
+ * @returns {Promise<Number>} Number of bundles repriced
+ */
+const refreshBundlePrices = async (productId) => {
+  const bundles = await Product.find({
+    isBundle: true,
+    'bundle.pricing': 'sum_minus_discount',
+    'bundle.components.productId': productId
+  })
+
+  let repriced = 0
+  for (const bundle of bundles) {
+    const purchasable = resolvePurchasable(bundle)
+    // Bundles with an inactive component keep their last price until it is back
+    if (purchasable.error || purchasable.price === bundle.price) continue
+
+    await Product.updateOne({ _id: bundle._id }, { $set: { price: purchasable.price } })
+    repriced++
+  }
+
+  if (repriced > 0) {
+    logger.info('Bundle prices refreshed:', { productId, repriced })
+  }
+  return repriced
+}
+
+module.exports = {
+  prepareBundle,
+  refreshBundlePrices
+}
@@ -0,0 +1,530 @@
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const Cart = require('../models/Cart')
+const { resolvePurchasable } = require('./inventoryService')
+const logger = require('../utils/logger')
+
+/**
+ * CART SERVICE
+ *
+ * Resolves whose cart a request is working on and merges guest carts into user
+ * carts on login.
+ *
+ * GUEST CARTS: Anonymous visitors get a cart identified by a random guestToken.
+ * The browser holds it as a signed JWT in the `cartToken` cookie (or sends it in
+ * the `X-Cart-Token` header for clients that cannot use cookies). The cart
+ * expires GUEST_CART_TTL_DAYS after its last change.
+ */
+
+const CART_TOKEN_COOKIE = 'cartToken'
+const CART_TOKEN_HEADER = 'x-cart-token'
+const CART_TOKEN_AUDIENCE = 'guest-cart'
+
+const guestCartTtlDays = () => parseInt(process.env.GUEST_CART_TTL_DAYS) || 30
+
+/**
+ * Sign a guest cart token
+ * @param {String} guestToken - Cart guestToken
+ * @returns {String} JWT
+ */
+const signCartToken = (guestToken) => {
+  return jwt.sign({ cart: guestToken }, process.env.JWT_SECRET, {
+    audience: CART_TOKEN_AUDIENCE,
+    expiresIn: `${guestCartTtlDays()}d`
+  })
+}
+
+/**
+ * Read the guest cart token from the request (cookie first, then header)
+ * @param {Object} req - Express request
+ * @returns {String|null} guestToken, or null when missing or not validly signed
+ */
+const readCartToken = (req) => {
+  const token = (req.cookies && req.cookies[CART_TOKEN_COOKIE]) || req.headers[CART_TOKEN_HEADER]
+  if (!token) return null
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CART_TOKEN_AUDIENCE })
+    return typeof decoded.cart === 'string' ? decoded.cart : null
+  } catch (error) {
+    logger.warn('Ignoring invalid guest cart token:', { error: error.message })
+    return null
+  }
+}
+
+/**
+ * Store the guest cart token in a cookie
+ * sameSite 'lax' (not 'strict') so the cookie survives the redirect back from
+ * an OAuth provider, where the cart is merged.
+ */
+const setCartTokenCookie = (res, token) => {
+  res.cookie(CART_TOKEN_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: guestCartTtlDays() * 24 * 60 * 60 * 1000
+  })
+}
+
+const clearCartTokenCookie = (res) => {
+  res.cookie(CART_TOKEN_COOKIE, '', {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    expires: new Date(0)
+  })
+}
+
+/**
+ * Filter for a user's default cart
+ * Carts saved before named carts existed have no isDefault field and count as default.
+ * @param {String|ObjectId} userId
+ * @returns {Object} Cart filter
+ */
+const defaultCartFilter = (userId) => ({ userId, isDefault: { $ne: false } })
+
+/**
+ * Query for the cart the request works on
+ * @param {Object} req - Express request (req.user or req.guestCartToken set by cart identity middleware)
+ * @param {String} [cartId] - Named cart (defaults to the :cartId route param); without it, the default cart
+ * @returns {Object|null} Cart filter, or null for a visitor without a cart yet
+ */
+const cartOwnerQuery = (req, cartId = req.params.cartId) => {
+  if (req.user) {
+    return cartId ? { _id: cartId, userId: req.user.id } : defaultCartFilter(req.user.id)
+  }
+  if (req.guestCartToken) {
+    return {
+      ...(cartId && { _id: cartId }),
+      guestToken: req.guestCartToken,
+      userId: { $exists: false }
+    }
+  }
+  return null
+}
+
+/**
+ * Describe the cart owner for logs
+ */
+const describeCartOwner = (req) => {
+  return req.user ? `user ${req.user.id}` : 'guest'
+}
+
+/**
+ * Find the request's cart
+ * @param {Object} req - Express request
+ * @param {Object} [options]
+ * @param {String} [options.populate] - Product fields to populate on items.productId
+ *   (true populates the whole product)
+ * @param {String} [options.cartId] - Named cart to use instead of the :cartId route param
+ * @returns {Promise<Object|null>} Cart document or null
+ */
+const findCart = async (req, { populate, cartId } = {}) => {
+  const query = cartOwnerQuery(req, cartId || req.params.cartId)
+  if (!query) return null
+
+  const cartQuery = Cart.findOne(query)
+  if (populate) {
+    cartQuery.populate('items.productId', populate === true ? undefined : populate)
+  }
+  return cartQuery
+}
+
+/**
+ * Find the request's cart, creating it on first use
+ * New guest carts get a fresh token, set as a cookie and exposed on
+ * res.locals.cartToken so header-based clients can store it. Named carts
+ * (:cartId) are never created here.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Cart document (null only for an unknown named cart)
+ */
+const findOrCreateCart = async (req, res) => {
+  const existing = await findCart(req)
+  if (existing || req.params.cartId) return existing
+
+  if (req.user) {
+    return Cart.create({ userId: req.user.id, items: [] })
+  }
+
+  // No cart yet, or the guest cart expired - start a new one
+  const guestToken = crypto.randomBytes(24).toString('hex')
+  const cart = await Cart.create({ guestToken, items: [] })
+
+  const token = signCartToken(guestToken)
+  setCartTokenCookie(res, token)
+  res.locals.cartToken = token
+  req.guestCartToken = guestToken
+
+  return cart
+}
+
+/**
+ * Whether a change and a line refer to the same product/variant
+ */
+const isSameLine = (a, b) => {
+  return String(a.productId || '') === String(b.productId || '') &&
+    String(a.variantId || '') === String(b.variantId || '')
+}
+
+const formatKes = (amount) => `KES ${amount.toLocaleString()}`
+
+/**
+ * Add a detected change to the cart's pending changes
+ * Repeated changes to the same line are folded into one, keeping the price or
+ * quantity the customer originally saw, so they acknowledge the net effect.
+ *
+ * @param {Object} cart - Cart document
+ * @param {Object} change - Detected change
+ */
+const recordCartChange = (cart, change) => {
+  if (change.type === 'price_increased' || change.type === 'price_decreased') {
+    const existing = cart.changes.find(
+      pending => pending.type.startsWith('price_') && isSameLine(pending, change)
+    )
+    if (existing) {
+      if (existing.oldPrice === change.newPrice) {
+        cart.changes.pull(existing._id) // Back to the price the customer saw
+        return
+      }
+      existing.type = change.newPrice > existing.oldPrice ? 'price_increased' : 'price_decreased'
+      existing.newPrice = change.newPrice
+      existing.message = `${change.name} ${existing.type === 'price_increased' ? 'went up' : 'went down'} from ${formatKes(existing.oldPrice)} to ${formatKes(change.newPrice)}`
+      existing.detectedAt = new Date()
+      return
+    }
+  }
+
+  if (change.type === 'quantity_reduced') {
+    const existing = cart.changes.find(
+      pending => pending.type === 'quantity_reduced' && isSameLine(pending, change)
+    )
+    if (existing) {
+      existing.newQuantity = change.newQuantity
+      existing.message = change.message
+      existing.detectedAt = new Date()
+      return
+    }
+  }
+
+  cart.changes.push(change)
+}
+
+/**
+ * Revalidate cart lines against the catalogue
+ *
+ * Compares every line with the current product price, available stock and
+ * active flags, then updates the cart:
+ * - price changed: line price updated (price_increased / price_decreased)
+ * - fewer units available than in the cart: quantity lowered (quantity_reduced)
+ * - product/variant gone, inactive or sold out: line removed (item_removed)
+ * Each change is added to cart.changes until the customer acknowledges it.
+ *
+ * @param {Object} cart - Cart with items.productId populated (price, stock, reserved, active, variants)
+ * @returns {Promise<Array>} Changes detected by this run (empty when nothing changed)
+ */
+const revalidateCart = async (cart) => {
+  const detected = []
+  const keptItems = []
+
+  for (const item of cart.items) {
+    const product = item.productId
+    const line = {
+      productId: product ? product._id : null,
+      variantId: item.variantId || null
+    }
+
+    if (!product || !product.active) {
+      const name = product ? product.name : 'A product in your cart'
+      detected.push({
+        ...line,
+        type: 'item_removed',
+        name,
+        oldQuantity: item.quantity,
+        newQuantity: 0,
+        reason: 'PRODUCT_UNAVAILABLE',
+        message: `${name} is no longer available and was removed from your cart`
+      })
+      continue
+    }
+
+    const purchasable = resolvePurchasable(product, item.variantId)
+    if (purchasable.error) {
+      detected.push({
+        ...line,
+        type: 'item_removed',
+        name: product.name,
+        oldQuantity: item.quantity,
+        newQuantity: 0,
+        reason: purchasable.error.code,
+        message: `The option you chose for ${product.name} is no longer available and was removed from your cart`
+      })
+      continue
+    }
+
+    const name = purchasable.name
+
+    if (purchasable.stock <= 0) {
+      detected.push({
+        ...line,
+        type: 'item_removed',
+        name,
+        oldQuantity: item.quantity,
+        newQuantity: 0,
+        reason: 'OUT_OF_STOCK',
+        message: `${name} is out of stock and was removed from your cart`
+      })
+      continue
+    }
+
+    if (item.quantity > purchasable.stock) {
+      detected.push({
+        ...line,
+        type: 'quantity_reduced',
+        name,
+        oldQuantity: item.quantity,
+        newQuantity: purchasable.stock,
+        reason: 'INSUFFICIENT_STOCK',
+        message: `Only ${purchasable.stock} of ${name} available - quantity reduced from ${item.quantity}`
+      })
+      item.quantity = purchasable.stock
+    }
+
+    if (item.price !== purchasable.price) {
+      const increased = purchasable.price > item.price
+      detected.push({
+        ...line,
+        type: increased ? 'price_increased' : 'price_decreased',
+        name,
+        oldPrice: item.price,
+        newPrice: purchasable.price,
+        message: `${name} ${increased ? 'went up' : 'went down'} from ${formatKes(item.price)} to ${formatKes(purchasable.price)}`
+      })
+      item.price = purchasable.price
+    }
+
+    keptItems.push(item)
+  }
+
+  if (detected.length === 0) return detected
+
+  cart.items = keptItems
+  detected.forEach(change => recordCartChange(cart, change))
+  await cart.save()
+
+  return detected
+}
+
+/**
+ * Drop pending changes for one line (the customer has since edited or removed it)
+ * @param {Object} cart - Cart document
+ * @param {Object} item - Cart item ({ productId, variantId })
+ */
+const dismissLineChanges = (cart, item) => {
+  const line = {
+    productId: item.productId && item.productId._id ? item.productId._id : item.productId,
+    variantId: item.variantId
+  }
+  cart.changes = cart.changes.filter(change => !isSameLine(change, line))
+}
+
+/**
+ * Check that a product line can go into a cart
+ * The stock and active-status rules behind every cart write (add, update,
+ * move from saved, shared cart import).
+ *
+ * @param {Object|null} product - Product document
+ * @param {String|ObjectId|null} variantId - Selected variant
+ * @param {Number} quantity - Total quantity the cart line would have
+ * @returns {Object} { purchasable } or { error: { status, message, code }, purchasable? }
+ *   (purchasable is included with INSUFFICIENT_STOCK so callers can cap the quantity)
+ */
+const checkCartLine = (product, variantId, quantity) => {
+  if (!product || !product.active) {
+    return {
+      error: { status: 404, message: 'Product not found or unavailable', code: 'PRODUCT_NOT_FOUND' }
+    }
+  }
+
+  // Resolve the variant being bought (products with variants require one)
+  const purchasable = resolvePurchasable(product, variantId)
+  if (purchasable.error) {
+    return { error: purchasable.error }
+  }
+
+  if (purchasable.stock < quantity) {
+    return {
+      error: {
+        status: 400,
+        message: `Only ${purchasable.stock} items available in stock`,
+        code: 'INSUFFICIENT_STOCK'
+      },
+      purchasable
+    }
+  }
+
+  return { purchasable }
+}
+
+/**
+ * Add lines to a cart, merging with lines already in it
+ *
+ * CONFLICT RULES:
+ * - Same product/variant already in the cart: quantities are added together
+ * - Quantities are capped at the stock currently available
+ * - Lines whose product or variant is gone, inactive or out of stock are dropped
+ * - Prices are refreshed from the catalogue
+ * The cart is not saved.
+ *
+ * @param {Object} cart - Cart document
+ * @param {Array} lines - [{ product (document or null), variantId, quantity, name? }]
+ * @returns {Object} { mergedItems, adjusted, dropped }
+ */
+const addLinesToCart = (cart, lines) => {
+  const adjusted = []
+  const dropped = []
+  let mergedItems = 0
+
+  for (const line of lines) {
+    const { product, quantity } = line
+    const variantId = line.variantId || null
+
+    const existing = product && cart.items.find(item => isSameLine(item, { productId: product._id, variantId }))
+    const requested = (existing ? existing.quantity : 0) + quantity
+
+    const check = checkCartLine(product, variantId, requested)
+    const name = check.purchasable
+      ? check.purchasable.name
+      : (product && product.name) || line.name || 'Unavailable product'
+
+    if (check.error && check.error.code !== 'INSUFFICIENT_STOCK') {
+      dropped.push({ name, quantity, reason: check.error.code })
+      continue
+    }
+
+    const { purchasable } = check
+    const finalQuantity = Math.min(requested, purchasable.stock)
+
+    if (finalQuantity <= 0) {
+      dropped.push({ name, quantity, reason: 'OUT_OF_STOCK' })
+      continue
+    }
+
+    if (finalQuantity < requested) {
+      adjusted.push({ name, requested, quantity: finalQuantity, reason: 'INSUFFICIENT_STOCK' })
+    }
+
+    if (existing) {
+      existing.quantity = finalQuantity
+      existing.price = purchasable.price
+    } else {
+      cart.items.push({
+        productId: product._id,
+        variantId,
+        quantity: finalQuantity,
+        price: purchasable.price
+      })
+    }
+    mergedItems++
+  }
+
+  return { mergedItems, adjusted, dropped }
+}
+
+/**
+ * Merge a guest cart into a user's default cart
+ *
+ * Lines are added with the addLinesToCart rules (quantities summed and capped
+ * at available stock, unavailable lines dropped). The user's own coupon wins;
+ * otherwise the guest cart's coupon carries over. The guest cart is deleted afterwards.
+ *
+ * @param {Object} params
+ * @param {String|ObjectId} params.userId - User logging in
+ * @param {String} params.guestToken - Guest cart token
+ * @returns {Promise<Object|null>} { mergedItems, adjusted, dropped } or null if there was nothing to merge
+ */
+const mergeGuestCart = async ({ userId, guestToken }) => {
+  const guestCart = await Cart.findOne({ guestToken, userId: { $exists: false } })
+    .populate('items.productId')
+
+  if (!guestCart) return null
+
+  if (guestCart.items.length === 0) {
+    await guestCart.deleteOne()
+    return null
+  }
+
+  let userCart = await Cart.findOne(defaultCartFilter(userId))
+  if (!userCart) {
+    userCart = new Cart({ userId, items: [] })
+  }
+
+  const { mergedItems, adjusted, dropped } = addLinesToCart(
+    userCart,
+    guestCart.items.map(item => ({
+      product: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity
+    }))
+  )
+
+  if (!userCart.couponCode && guestCart.couponCode) {
+    userCart.couponCode = guestCart.couponCode
+  }
+
+  await userCart.save()
+  await guestCart.deleteOne()
+
+  logger.info('Guest cart merged:', {
+    userId,
+    mergedItems,
+    adjusted: adjusted.length,
+    dropped: dropped.length
+  })
+
+  return { mergedItems, adjusted, dropped }
+}
+
+/**
+ * Merge the request's guest cart (if any) into a user who just signed in
+ * Never fails the login: merge errors are logged and the guest cart is left alone.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (guest cart cookie is cleared)
+ * @param {String|ObjectId} userId - User who signed in
+ * @returns {Promise<Object|null>} Merge summary or null
+ */
+const mergeGuestCartOnLogin = async (req, res, userId) => {
+  const guestToken = readCartToken(req)
+  if (!guestToken) return null
+
+  try {
+    const summary = await mergeGuestCart({ userId, guestToken })
+    clearCartTokenCookie(res)
+    return summary
+  } catch (error) {
+    logger.error('Guest cart merge failed:', { userId, error })
+    return null
+  }
+}
+
+module.exports = {
+  CART_TOKEN_COOKIE,
+  CART_TOKEN_HEADER,
+  signCartToken,
+  readCartToken,
+  setCartTokenCookie,
+  clearCartTokenCookie,
+  defaultCartFilter,
+  cartOwnerQuery,
+  describeCartOwner,
+  findCart,
+  findOrCreateCart,
+  revalidateCart,
+  dismissLineChanges,
+  checkCartLine,
+  addLinesToCart,
+  mergeGuestCart,
+  mergeGuestCartOnLogin
+}
@@ -0,0 +1,281 @@
+const Claim = require('../models/Claim')
+const User = require('../models/User')
+const { createRefund } = require('./refundService')
+const { sendClaimUpdateEmail } = require('../utils/emailService')
+const logger = require('../utils/logger')
+
+/**
+ * CLAIM SERVICE
+ *
+ * Returns and warranty claims (RMA) against delivered order lines.
+ *
+ * ELIGIBILITY (from the delivery date):
+ * - return: within RETURN_WINDOW_DAYS (default 14)
+ * - warranty: within the warranty sold with the line (the order's
+ *   specifications.warranty snapshot, e.g. "5 years")
+ *
+ * WORKFLOW: submitted -> approved -> inspecting -> repairing | replacing | refunding -> closed.
+ * A claim can be rejected before a resolution is chosen. Entering refunding
+ * refunds the claimed units (services/refundService.js).
+ */
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 14
+
+const CLAIM_TRANSITIONS = {
+  submitted: ['approved', 'rejected'],
+  approved: ['inspecting', 'rejected'],
+  inspecting: ['repairing', 'replacing', 'refunding', 'rejected'],
+  repairing: ['closed'],
+  replacing: ['closed'],
+  refunding: ['closed'],
+  rejected: ['closed'],
+  closed: []
+}
+
+const RESOLUTIONS = {
+  repairing: 'repair',
+  replacing: 'replace',
+  refunding: 'refund',
+  rejected: 'rejected'
+}
+
+// Claims still being worked on - one per order line at a time
+const OPEN_STATUSES = ['submitted', 'approved', 'inspecting', 'repairing', 'replacing', 'refunding']
+
+const claimError = (status, message, code) => ({ error: { status, message, code } })
+
+/**
+ * Parse a warranty description into months
+ * @param {String} period - e.g. "25 years", "1 year", "18 months"
+ * @returns {Number|null} Months, or null if there is no warranty
+ */
+const parseWarrantyMonths = (period) => {
+  const match = /(\d+(?:\.\d+)?)\s*(year|yr|month|mo)/i.exec(period || '')
+  if (!match) return null
+  const value = parseFloat(match[1])
+  return Math.round(/^y/i.test(match[2]) ? value * 12 : value)
+}
+
+const addMonths = (date, months) => {
+  const result = new Date(date)
+  result.setMonth(result.getMonth() + months)
+  return result
+}
+
+/**
+ * When an order was delivered
+ * Orders delivered before deliveredAt was kept use their status history, then
+ * their last update.
+ *
+ * @param {Object} order - Order document
+ * @returns {Date|null}
+ */
+const getDeliveryDate = (order) => {
+  if (order.deliveredAt) return order.deliveredAt
+  const entry = (order.statusHistory || []).find(change => change.to === 'delivered')
+  if (entry) return entry.at
+  return order.orderStatus === 'delivered' ? order.updatedAt : null
+}
+
+/**
+ * Check that a line can be claimed
+ *
+ * @param {Object} order - Order document
+ * @param {Object} item - Order line
+ * @param {String} type - return | warranty
+ * @param {Date} [now]
+ * @returns {Object} { deliveredAt, warranty } or { error }
+ */
+const checkEligibility = (order, item, type, now = new Date()) => {
+  const deliveredAt = getDeliveryDate(order)
+  if (order.orderStatus !== 'delivered' || !deliveredAt) {
+    return claimError(400, 'Claims can only be opened once the order has been delivered', 'ORDER_NOT_DELIVERED')
+  }
+
+  const period = item.specifications ? item.specifications.get('warranty') : undefined
+  const months = parseWarrantyMonths(period)
+  const warranty = months ? { period, expiresAt: addMonths(deliveredAt, months) } : undefined
+
+  if (type === 'return') {
+    const windowEnds = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+    if (now > windowEnds) {
+      return claimError(
+        400,
+        `Returns must be opened within ${RETURN_WINDOW_DAYS} days of delivery${warranty && now <= warranty.expiresAt ? ' - open a warranty claim instead' : ''}`,
+        'RETURN_WINDOW_CLOSED'
+      )
+    }
+  } else {
+    if (!warranty) {
+      return claimError(400, `${item.name} was not sold with a warranty`, 'NO_WARRANTY')
+    }
+    if (now > warranty.expiresAt) {
+      return claimError(
+        400,
+        `The ${period} warranty on ${item.name} expired on ${warranty.expiresAt.toDateString()}`,
+        'WARRANTY_EXPIRED'
+      )
+    }
+  }
+
+  return { deliveredAt, warranty }
+}
+
+/**
+ * Email the customer about a claim's current status (failures are logged)
+ * @param {Object} claim - Claim document
+ * @param {String} [note] - Message from the admin
+ */
+const notifyClaim = async (claim, note) => {
+  try {
+    const user = claim.userId ? await User.findById(claim.userId).select('firstName email') : null
+    const recipient = user && user.email
+      ? user
+      : { firstName: (claim.contact.name || '').split(' ')[0] || 'Customer', email: claim.contact.email }
+    await sendClaimUpdateEmail(claim, recipient, { note })
+  } catch (error) {
+    logger.error('Claim email failed:', { claimId: claim._id, error })
+  }
+}
+
+/**
+ * Open a claim against an order line
+ *
+ * @param {Object} order - Order document
+ * @param {Object} params
+ * @param {String} params.orderItemId - Order line _id
+ * @param {String} params.type - return | warranty
+ * @param {Number} [params.quantity=1]
+ * @param {String} params.reason
+ * @param {String} params.description
+ * @param {String} [params.serialNumber]
+ * @param {Array} [params.photos] - Uploaded photo URLs
+ * @param {String|ObjectId} [params.actor] - Signed-in customer
+ * @returns {Promise<Object>} { claim } or { error }
+ */
+const openClaim = async (order, { orderItemId, type, quantity = 1, reason, description, serialNumber, photos = [], actor }) => {
+  const item = order.items.id(orderItemId)
+  if (!item) {
+    return claimError(404, 'Order line not found', 'ORDER_ITEM_NOT_FOUND')
+  }
+
+  if (quantity > item.quantity) {
+    return claimError(400, `Only ${item.quantity} of ${item.name} were ordered`, 'INVALID_CLAIM_QUANTITY')
+  }
+
+  const eligibility = checkEligibility(order, item, type)
+  if (eligibility.error) return eligibility
+
+  const open = await Claim.findOne({ orderId: order._id, orderItemId: item._id, status: { $in: OPEN_STATUSES } })
+  if (open) {
+    return claimError(409, `Claim ${open.claimNumber} is already open for this item`, 'CLAIM_ALREADY_OPEN')
+  }
+
+  const claim = await Claim.create({
+    type,
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    orderItemId: item._id,
+    userId: order.userId,
+    contact: {
+      name: order.shippingAddress.name,
+      email: order.shippingAddress.email
+    },
+    productId: item.productId,
+    variantId: item.variantId,
+    name: item.variantName ? `${item.name} - ${item.variantName}` : item.name,
+    sku: item.sku,
+    quantity,
+    reason,
+    description,
+    serialNumber,
+    photos,
+    deliveredAt: eligibility.deliveredAt,
+    warranty: eligibility.warranty,
+    history: [{ from: null, to: 'submitted', actor: actor || null, actorType: 'customer' }]
+  })
+
+  logger.info('Claim opened:', {
+    claimNumber: claim.claimNumber,
+    type,
+    orderNumber: order.orderNumber,
+    item: claim.name
+  })
+
+  await notifyClaim(claim)
+  return { claim }
+}
+
+/**
+ * Move a claim to a new status
+ *
+ * @param {Object} claim - Claim document
+ * @param {String} to - Requested status
+ * @param {Object} params
+ * @param {Object} params.actor - Admin user ({ id, email })
+ * @param {String} [params.note] - Shown to the customer
+ * @param {Object} [params.order] - Order document (required to refund)
+ * @param {Boolean} [params.restock] - Refunds: put the returned units back into stock
+ * @returns {Promise<Object>} { claim, refund? } or { error }
+ */
+const transitionClaim = async (claim, to, { actor, note, order, restock = false }) => {
+  const from = claim.status
+  if (!(CLAIM_TRANSITIONS[from] || []).includes(to)) {
+    return {
+      error: {
+        status: 409,
+        message: `Claim cannot move from ${from} to ${to}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        allowed: CLAIM_TRANSITIONS[from] || []
+      }
+    }
+  }
+
+  let refund
+  if (to === 'refunding') {
+    if (!order) {
+      return claimError(404, 'Order not found', 'ORDER_NOT_FOUND')
+    }
+    const result = await createRefund(order, {
+      items: [{ itemId: claim.orderItemId, quantity: claim.quantity }],
+      reason: `Claim ${claim.claimNumber}: ${claim.reason.replace(/_/g, ' ')}`,
+      note,
+      restock,
+      actor
+    })
+    if (result.error) return result
+    refund = result.refund
+    claim.refundId = refund._id
+  }
+
+  if (RESOLUTIONS[to]) {
+    claim.resolution = RESOLUTIONS[to]
+  }
+  if (to === 'closed') {
+    claim.closedAt = new Date()
+  }
+
+  claim.history.push({ from, to, actor: actor.id, actorType: 'admin', note })
+  claim.status = to
+  await claim.save()
+
+  logger.info('Claim status changed:', {
+    claimNumber: claim.claimNumber,
+    from,
+    to,
+    actor: actor.id
+  })
+
+  await notifyClaim(claim, note)
+  return { claim, refund }
+}
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  CLAIM_TRANSITIONS,
+  parseWarrantyMonths,
+  getDeliveryDate,
+  checkEligibility,
+  openClaim,
+  transitionClaim
+}
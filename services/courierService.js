@@ -0,0 +1,117 @@
+const crypto = require('crypto')
+
+/**
+ * COURIER SERVICE
+ *
+ * Registry of courier adapters used by shipments (services/shipmentService.js).
+ *
+ * ADAPTER INTERFACE:
+ * - name: shown to customers and on the admin carrier list
+ * - trackingUrl(trackingNumber) => String|null - public tracking page
+ * - createShipment({ shipment, order }) => { trackingNumber, trackingUrl?, reference? }
+ *   optional - books the parcel with the courier when staff ship without a
+ *   tracking number; throws on failure
+ * - getTracking({ shipment }) => { events: [{ status, description, location, at }] }
+ *   optional - tracking events so far, polled by jobs/shipmentTrackingSync.js;
+ *   statuses are Shipment statuses (in_transit, out_for_delivery, delivered, ...)
+ *
+ * G4S, Sendy and Fargo are link-only until their APIs are integrated: staff
+ * enter the waybill number from the courier and add tracking events by hand.
+ * Their tracking page URLs are configured per courier, with {trackingNumber}
+ * as the placeholder (e.g. COURIER_G4S_TRACKING_URL).
+ *
+ * The mock courier books parcels locally and walks them to delivered over
+ * MOCK_COURIER_STEP_MINUTES per step. It is only available outside production
+ * unless COURIER_MOCK_ENABLED=true.
+ */
+
+/**
+ * Adapter for a courier without an API integration
+ * @param {String} name - Display name
+ * @param {String} [trackingUrlTemplate] - URL with a {trackingNumber} placeholder
+ */
+const createLinkOnlyAdapter = (name, trackingUrlTemplate) => ({
+  name,
+  trackingUrl: (trackingNumber) => {
+    return trackingUrlTemplate
+      ? trackingUrlTemplate.replace('{trackingNumber}', encodeURIComponent(trackingNumber))
+      : null
+  }
+})
+
+const MOCK_STEP_MS = (parseFloat(process.env.MOCK_COURIER_STEP_MINUTES) || 60) * 60 * 1000
+
+const MOCK_STEPS = [
+  { status: 'in_transit', description: 'Parcel received at sorting facility', location: 'Nairobi Hub' },
+  { status: 'in_transit', description: 'Parcel dispatched to destination branch', location: 'Nairobi Hub' },
+  { status: 'out_for_delivery', description: 'Out for delivery with rider', location: 'Destination branch' },
+  { status: 'delivered', description: 'Delivered to recipient', location: 'Delivery address' }
+]
+
+const mockAdapter = {
+  name: 'Mock Courier',
+  trackingUrl: () => null,
+  createShipment: async () => {
+    const trackingNumber = `MOCK${crypto.randomBytes(5).toString('hex').toUpperCase()}`
+    return { trackingNumber, reference: trackingNumber }
+  },
+  getTracking: async ({ shipment }, now = new Date()) => {
+    const elapsed = now.getTime() - new Date(shipment.shippedAt).getTime()
+    const reached = Math.min(Math.floor(elapsed / MOCK_STEP_MS), MOCK_STEPS.length)
+
+    return {
+      events: MOCK_STEPS.slice(0, reached).map((step, index) => ({
+        ...step,
+        at: new Date(new Date(shipment.shippedAt).getTime() + (index + 1) * MOCK_STEP_MS)
+      }))
+    }
+  }
+}
+
+const courierAdapters = {
+  g4s: createLinkOnlyAdapter('G4S Courier', process.env.COURIER_G4S_TRACKING_URL),
+  sendy: createLinkOnlyAdapter('Sendy', process.env.COURIER_SENDY_TRACKING_URL),
+  fargo: createLinkOnlyAdapter('Fargo Courier', process.env.COURIER_FARGO_TRACKING_URL),
+  own_fleet: createLinkOnlyAdapter('Sun Mega Delivery') // Own riders
+}
+
+if (process.env.NODE_ENV !== 'production' || process.env.COURIER_MOCK_ENABLED === 'true') {
+  courierAdapters.mock = mockAdapter
+}
+
+/**
+ * Register (or replace) a courier adapter
+ * @param {String} code - Stored on shipments as Shipment.carrier
+ * @param {Object} adapter - See ADAPTER INTERFACE above
+ */
+const registerCourierAdapter = (code, adapter) => {
+  courierAdapters[code] = adapter
+}
+
+/**
+ * Adapter for a carrier code
+ * @param {String} code
+ * @returns {Object|null}
+ */
+const getCourierAdapter = (code) => {
+  return courierAdapters[code] || null
+}
+
+/**
+ * Carriers staff can ship with
+ * @returns {Array} [{ code, name, booking, tracking }]
+ */
+const listCarriers = () => {
+  return Object.entries(courierAdapters).map(([code, adapter]) => ({
+    code,
+    name: adapter.name,
+    booking: typeof adapter.createShipment === 'function', // Can ship without a tracking number
+    tracking: typeof adapter.getTracking === 'function' // Tracking events are pulled automatically
+  }))
+}
+
+module.exports = {
+  registerCourierAdapter,
+  getCourierAdapter,
+  listCarriers
+}
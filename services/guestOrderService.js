@@ -0,0 +1,141 @@
+const crypto = require('crypto')
+const Order = require('../models/Order')
+const logger = require('../utils/logger')
+
+/**
+ * GUEST ORDER SERVICE
+ *
+ * Guest checkout places orders without an account (Order.userId is null). The
+ * customer gets an order-lookup token by email instead; it is sent back as the
+ * `X-Order-Token` header (or `token` query / `guestToken` body field) to view
+ * and pay for that one order. Only a SHA-256 hash of the token is stored, the
+ * same way password reset tokens are.
+ *
+ * Guest orders move into an account once the customer proves they own the email
+ * address (verified email or OAuth sign-in) - linking on registration alone
+ * would let anyone claim orders by registering someone else's address.
+ */
+
+const GUEST_ORDER_ACCESS_DAYS = parseInt(process.env.GUEST_ORDER_ACCESS_DAYS) || 90
+
+const hashAccessToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * Create a new order-lookup token
+ * @returns {Object} { token (send to the customer), guestAccess (store on the order) }
+ */
+const createGuestAccess = () => {
+  const token = crypto.randomBytes(32).toString('hex')
+  return {
+    token,
+    guestAccess: {
+      tokenHash: hashAccessToken(token),
+      expiresAt: new Date(Date.now() + GUEST_ORDER_ACCESS_DAYS * 24 * 60 * 60 * 1000)
+    }
+  }
+}
+
+/**
+ * Read the order-lookup token from the request
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+const getOrderAccessToken = (req) => {
+  const token = req.headers['x-order-token'] || req.query.token || (req.body && req.body.guestToken)
+  return typeof token === 'string' && token ? token : null
+}
+
+/**
+ * Find a guest order by its lookup token
+ * Orders that belong to an account (placed signed in, or linked when the guest
+ * signed up) are only reachable by signing in, so old tokens stop working.
+ *
+ * @param {Object} query - Extra order filter (e.g. { _id } or { orderNumber })
+ * @param {String} token - Raw lookup token
+ * @returns {Promise<Object|null>} Order document
+ */
+const findGuestOrder = (query, token) => {
+  return Order.findOne({
+    ...query,
+    userId: null,
+    'guestAccess.tokenHash': hashAccessToken(token),
+    'guestAccess.expiresAt': { $gt: new Date() }
+  })
+}
+
+/**
+ * Find an order the request may act on
+ * Signed-in users see their own orders; anyone else needs the order's lookup token.
+ *
+ * @param {Object} req - Express request (req.user set by optionalAuth)
+ * @param {Object} query - Order filter (e.g. { _id: orderId })
+ * @returns {Promise<Object|null>} Order document
+ */
+const findOrderForRequest = async (req, query) => {
+  if (req.user) {
+    return Order.findOne({ ...query, userId: req.user.id })
+  }
+
+  const token = getOrderAccessToken(req)
+  return token ? findGuestOrder(query, token) : null
+}
+
+/**
+ * Attach guest orders placed with a user's email to their account
+ * Only for users who have proven they own the address.
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<Number>} Number of orders linked
+ */
+const linkGuestOrders = async (user) => {
+  if (!user || !user.email || !user.emailVerified) return 0
+
+  const result = await Order.updateMany(
+    { userId: null, 'shippingAddress.email': user.email.toLowerCase() },
+    { $set: { userId: user._id } }
+  )
+
+  if (result.modifiedCount > 0) {
+    logger.info('Guest orders linked to account:', { userId: user._id, count: result.modifiedCount })
+  }
+  return result.modifiedCount
+}
+
+/**
+ * Link guest orders without failing the surrounding auth request
+ * @param {Object} user - User document
+ * @returns {Promise<Number>} Number of orders linked (0 on error)
+ */
+const linkGuestOrdersSafely = async (user) => {
+  try {
+    return await linkGuestOrders(user)
+  } catch (error) {
+    logger.error('Linking guest orders failed:', { userId: user && user._id, error })
+    return 0
+  }
+}
+
+/**
+ * Recipient details for order emails
+ * @param {Object} order - Order
+ * @param {Object|null} user - Order's user, if any
+ * @returns {Object} { firstName, email }
+ */
+const getOrderRecipient = (order, user) => {
+  if (user && user.email) return user
+  return {
+    firstName: (order.shippingAddress.name || '').split(' ')[0] || 'Customer',
+    email: order.shippingAddress.email
+  }
+}
+
+module.exports = {
+  GUEST_ORDER_ACCESS_DAYS,
+  createGuestAccess,
+  getOrderAccessToken,
+  findGuestOrder,
+  findOrderForRequest,
+  linkGuestOrders,
+  linkGuestOrdersSafely,
+  getOrderRecipient
+}
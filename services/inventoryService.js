@@ -0,0 +1,949 @@
+const mongoose = require('mongoose')
+const Product = require('../models/Product')
+const InventoryMovement = require('../models/InventoryMovement')
+const Location = require('../models/Location')
+const LocationStock = require('../models/LocationStock')
+const logger = require('../utils/logger')
+
+/**
+ * Inventory Service
+ * Resolves purchasable units (product or product variant) and applies stock changes
+ *
+ * STOCK MODEL:
+ * - stock:    units physically on hand
+ * - reserved: units held by unpaid orders (see reserveStock)
+ * - available = stock - reserved (what customers can still buy)
+ *
+ * LEDGER: Every change to on-hand stock goes through applyStockChange, which
+ * records an InventoryMovement with the reason, actor and resulting balance.
+ * Never $inc stock directly from a controller.
+ *
+ * LOCATIONS: Product stock is the company-wide total. LocationStock rows break
+ * it down per warehouse / pickup point. Changes booked with a locationId move
+ * both the location row and the product total; transfers move units between
+ * locations without changing the total.
+ *
+ * BUNDLES: Bundles hold no stock. Order lines for a bundle carry a snapshot of
+ * its components (bundleComponents), and every hold, sale and restore is applied
+ * to the component products instead (see toStockLines).
+ */
+
+// Optimistic-update retries when another checkout changes the same product concurrently
+const MAX_RESERVE_ATTEMPTS = 5
+
+/**
+ * Available quantity for a product or variant (on hand minus held)
+ * @param {Object} target - Product or variant (document or plain object)
+ * @returns {Number}
+ */
+const getAvailableStock = (target) => {
+  return Math.max(0, (target.stock || 0) - (target.reserved || 0))
+}
+
+/**
+ * Replace on-hand stock with available stock on a storefront product
+ * Held units are not shown to customers, and the internal reserved counters are dropped.
+ *
+ * @param {Object} product - Plain product object (lean() or toObject())
+ * @returns {Object} Product with available stock
+ */
+const toStorefrontStock = (product) => {
+  const storefrontProduct = { ...product, stock: getAvailableStock(product) }
+  delete storefrontProduct.reserved
+
+  if (product.isBundle) {
+    const purchasable = resolvePurchasable(product)
+    storefrontProduct.stock = purchasable.error ? 0 : purchasable.stock
+    if (!purchasable.error) {
+      storefrontProduct.price = purchasable.price
+    }
+    // Component names only - their stock counters stay internal
+    storefrontProduct.bundle = {
+      ...product.bundle,
+      components: (product.bundle.components || []).map(component => toComponentSummary(component))
+    }
+  }
+
+  if (Array.isArray(product.variants)) {
+    storefrontProduct.variants = product.variants.map(variant => {
+      const storefrontVariant = { ...variant, stock: getAvailableStock(variant) }
+      delete storefrontVariant.reserved
+      return storefrontVariant
+    })
+  }
+
+  return storefrontProduct
+}
+
+/**
+ * Find a variant on a product document or plain object
+ * @returns {Object|null} Variant
+ */
+const findVariantOf = (product, variantId) => {
+  return (product.variants || []).find(variant => String(variant._id) === String(variantId)) || null
+}
+
+/**
+ * Describe a bundle component for storefront and order snapshots
+ * @param {Object} component - Bundle component with productId populated
+ * @returns {Object} { productId, variantId, quantity, name, sku }
+ */
+const toComponentSummary = (component) => {
+  const componentProduct = component.productId && component.productId.name ? component.productId : null
+  const variant = componentProduct && component.variantId ? findVariantOf(componentProduct, component.variantId) : null
+
+  return {
+    productId: componentProduct ? componentProduct._id : component.productId,
+    variantId: component.variantId || null,
+    quantity: component.quantity,
+    name: componentProduct
+      ? (variant ? `${componentProduct.name} - ${variant.name}` : componentProduct.name)
+      : undefined,
+    sku: variant ? variant.sku : (componentProduct ? componentProduct.sku : undefined)
+  }
+}
+
+/**
+ * Bundle price from its components' current prices
+ * fixed: the bundle's own price. sum_minus_discount: the components' total less a
+ * percentage or fixed amount (never below zero).
+ *
+ * @param {Object} product - Bundle product
+ * @param {Number} componentTotal - Sum of component price x quantity
+ * @returns {Number}
+ */
+const getBundlePrice = (product, componentTotal) => {
+  const { pricing, discountType, discountValue = 0 } = product.bundle
+  if (pricing !== 'sum_minus_discount') {
+    return product.price
+  }
+
+  const discount = discountType === 'percentage' ? componentTotal * discountValue / 100 : discountValue
+  return Math.round(Math.max(0, componentTotal - discount) * 100) / 100
+}
+
+/**
+ * Resolve a bundle: available bundles are limited by the scarcest component
+ * Needs bundle.components.productId populated (the Product query hook does this).
+ *
+ * @param {Object} product - Bundle product
+ * @returns {Object} Same shape as resolvePurchasable, plus components (order snapshot)
+ */
+const resolveBundle = (product) => {
+  const unavailable = {
+    error: { status: 400, message: 'Part of this bundle is currently unavailable', code: 'BUNDLE_COMPONENT_UNAVAILABLE' }
+  }
+
+  let stock = Infinity
+  let componentTotal = 0
+  for (const component of product.bundle.components || []) {
+    const componentProduct = component.productId
+    // Missing (deleted) or not loaded
+    if (!componentProduct || !componentProduct.name || componentProduct.active === false) {
+      return unavailable
+    }
+
+    const hasVariants = componentProduct.variants && componentProduct.variants.length > 0
+    const target = component.variantId ? findVariantOf(componentProduct, component.variantId) : componentProduct
+    if (!target || target.active === false || (hasVariants && !component.variantId)) {
+      return unavailable
+    }
+
+    stock = Math.min(stock, Math.floor(getAvailableStock(target) / component.quantity))
+    componentTotal += target.price * component.quantity
+  }
+
+  if (stock === Infinity) {
+    return unavailable
+  }
+
+  return {
+    variant: null,
+    price: getBundlePrice(product, componentTotal),
+    stock,
+    sku: product.sku,
+    name: product.name,
+    components: product.bundle.components.map(component => toComponentSummary(component))
+  }
+}
+
+/**
+ * Resolve what is actually being bought for a product / variant pair
+ * Products with variants must be bought through one of their active variants.
+ * The returned stock is the available quantity (held units excluded). Bundles
+ * are priced and stocked from their components.
+ *
+ * @param {Object} product - Product document
+ * @param {String|ObjectId} [variantId] - Variant ID (required when the product has variants)
+ * @returns {Object} { variant, price, stock, sku, name, components (bundles only) }
+ *   or { error: { status, message, code } }
+ */
+const resolvePurchasable = (product, variantId) => {
+  if (product.isBundle) {
+    if (variantId) {
+      return {
+        error: { status: 400, message: 'This product has no variants', code: 'VARIANT_NOT_SUPPORTED' }
+      }
+    }
+    return resolveBundle(product)
+  }
+
+  const hasVariants = product.variants && product.variants.length > 0
+
+  if (!hasVariants) {
+    if (variantId) {
+      return {
+        error: { status: 400, message: 'This product has no variants', code: 'VARIANT_NOT_SUPPORTED' }
+      }
+    }
+    return {
+      variant: null,
+      price: product.price,
+      stock: getAvailableStock(product),
+      sku: product.sku,
+      name: product.name
+    }
+  }
+
+  if (!variantId) {
+    return {
+      error: { status: 400, message: 'Please select a product option', code: 'VARIANT_REQUIRED' }
+    }
+  }
+
+  const variant = product.findVariant(variantId)
+  if (!variant || variant.active === false) {
+    return {
+      error: { status: 404, message: 'Product option not found or unavailable', code: 'VARIANT_NOT_FOUND' }
+    }
+  }
+
+  return {
+    variant,
+    price: variant.price,
+    stock: getAvailableStock(variant),
+    sku: variant.sku,
+    name: `${product.name} - ${variant.name}`
+  }
+}
+
+/**
+ * Apply an on-hand stock change and record it in the inventory ledger
+ *
+ * @param {Object} params
+ * @param {Object} params.filter - Product filter (must match the product, and the variant when set)
+ * @param {Object} params.update - Update with the stock $inc
+ * @param {String|ObjectId} params.productId - Product ID
+ * @param {String|ObjectId} [params.variantId] - Variant ID
+ * @param {Number} params.quantity - Signed on-hand change
+ * @param {Object} params.movement - Ledger fields (reason, actor, actorType, orderId, locationId, locationBalanceAfter, reference, note)
+ * @param {ClientSession} [params.session] - MongoDB session
+ * @returns {Promise<Object|null>} { product, movement } or null if the filter did not match
+ */
+const applyStockChange = async ({ filter, update, productId, variantId, quantity, movement, session }) => {
+  const product = await Product.findOneAndUpdate(filter, update, {
+    new: true,
+    session,
+    projection: 'name stock variants'
+  })
+
+  if (!product) {
+    return null
+  }
+
+  const target = variantId ? product.findVariant(variantId) : product
+
+  const [ledgerEntry] = await InventoryMovement.create([{
+    productId,
+    variantId: variantId || null,
+    reason: movement.reason,
+    quantity,
+    balanceAfter: target.stock,
+    actor: movement.actor || null,
+    actorType: movement.actorType || (movement.actor ? 'admin' : 'system'),
+    orderId: movement.orderId || null,
+    locationId: movement.locationId || null,
+    locationBalanceAfter: movement.locationBalanceAfter,
+    reference: movement.reference,
+    note: movement.note
+  }], { session })
+
+  return { product, movement: ledgerEntry }
+}
+
+/**
+ * Filter for one product / variant row at a location
+ */
+const locationStockFilter = (locationId, productId, variantId) => ({
+  locationId,
+  productId,
+  variantId: variantId || null
+})
+
+/**
+ * Change the units held at a location
+ * Increments create the row on first use. Decrements only apply when the
+ * location has enough units that are not held for pickup orders.
+ *
+ * @param {Object} params - locationId, productId, variantId, quantity (signed), session
+ * @returns {Promise<Object|null>} Updated LocationStock or null if not enough units
+ */
+const changeLocationStock = async ({ locationId, productId, variantId, quantity, session }) => {
+  const filter = locationStockFilter(locationId, productId, variantId)
+
+  if (quantity > 0) {
+    return LocationStock.findOneAndUpdate(filter, { $inc: { quantity } }, {
+      new: true,
+      upsert: true,
+      setDefaultsOnInsert: true,
+      session
+    })
+  }
+
+  return LocationStock.findOneAndUpdate(
+    { ...filter, $expr: { $gte: [{ $subtract: ['$quantity', '$reserved'] }, -quantity] } },
+    { $inc: { quantity } },
+    { new: true, session }
+  )
+}
+
+/**
+ * Hold units at a location for a pickup order
+ * @param {Object} params - locationId, productId, variantId, quantity, session
+ * @returns {Promise<Boolean>} true if the hold was placed
+ */
+const reserveLocationStock = async ({ locationId, productId, variantId, quantity, session }) => {
+  const result = await LocationStock.updateOne(
+    {
+      ...locationStockFilter(locationId, productId, variantId),
+      $expr: { $gte: [{ $subtract: ['$quantity', '$reserved'] }, quantity] }
+    },
+    { $inc: { reserved: quantity } },
+    { session }
+  )
+  return result.modifiedCount === 1
+}
+
+/**
+ * Release a pickup hold at a location
+ * @param {Object} params - Same as reserveLocationStock
+ * @returns {Promise<Object>} Update result
+ */
+const releaseLocationReservation = async ({ locationId, productId, variantId, quantity, session }) => {
+  return LocationStock.updateOne(
+    { ...locationStockFilter(locationId, productId, variantId), reserved: { $gte: quantity } },
+    { $inc: { reserved: -quantity } },
+    { session }
+  )
+}
+
+/**
+ * Units of a product / variant not assigned to any location
+ * @param {Object} target - Product or variant (stock is the company-wide total)
+ * @param {String|ObjectId} productId - Product ID
+ * @param {String|ObjectId} [variantId] - Variant ID
+ * @param {ClientSession} [session] - MongoDB session
+ * @returns {Promise<Number>}
+ */
+const getUnallocatedStock = async (target, productId, variantId, session) => {
+  const [allocated] = await LocationStock.aggregate([
+    {
+      $match: {
+        productId: new mongoose.Types.ObjectId(String(productId)),
+        variantId: variantId ? new mongoose.Types.ObjectId(String(variantId)) : null
+      }
+    },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]).session(session || null)
+
+  return Math.max(0, (target.stock || 0) - (allocated ? allocated.quantity : 0))
+}
+
+/**
+ * Apply a stock change to a product or one of its variants
+ * Variant changes also move the product-level total so the roll-up stays consistent.
+ *
+ * @param {Object} params
+ * @param {String|ObjectId} params.productId - Product ID
+ * @param {String|ObjectId} [params.variantId] - Variant ID
+ * @param {Number} params.quantity - Signed quantity (negative to decrement)
+ * @param {String} params.reason - Ledger reason (sale, cancellation_restore, manual_adjustment, restock, return, refund_restock)
+ * @param {String|ObjectId} [params.actor] - User who made the change (omit for system changes)
+ * @param {String} [params.actorType] - admin | customer | system
+ * @param {String|ObjectId} [params.orderId] - Related order
+ * @param {String|ObjectId} [params.locationId] - Location the units arrive at / leave from
+ * @param {String} [params.reference] - External reference (e.g. supplier delivery note)
+ * @param {String} [params.note] - Free-text note
+ * @param {Boolean} [params.preventNegative=false] - Refuse decrements below zero (product and location)
+ * @param {ClientSession} [params.session] - MongoDB session for transactional updates
+ * @returns {Promise<Object|null>} { product, movement } or null if not found / would go negative
+ */
+const adjustStock = async ({
+  productId,
+  variantId,
+  quantity,
+  reason,
+  actor,
+  actorType,
+  orderId,
+  locationId,
+  reference,
+  note,
+  preventNegative = false,
+  session
+}) => {
+  const guard = preventNegative && quantity < 0 ? { $gte: -quantity } : undefined
+
+  let filter
+  let update
+  if (variantId) {
+    filter = {
+      _id: productId,
+      variants: { $elemMatch: { _id: variantId, ...(guard && { stock: guard }) } }
+    }
+    update = { $inc: { 'variants.$.stock': quantity, stock: quantity } }
+  } else {
+    filter = { _id: productId, ...(guard && { stock: guard }) }
+    update = { $inc: { stock: quantity } }
+  }
+
+  let locationStock = null
+  if (locationId) {
+    locationStock = await changeLocationStock({ locationId, productId, variantId, quantity, session })
+    if (!locationStock) {
+      if (preventNegative) return null
+      // Location counts were never set up for this item - book against the total only
+      logger.warn('Location stock too low, booking change without location:', {
+        productId,
+        variantId,
+        locationId,
+        quantity,
+        reason
+      })
+    }
+  }
+
+  const result = await applyStockChange({
+    filter,
+    update,
+    productId,
+    variantId,
+    quantity,
+    movement: {
+      reason,
+      actor,
+      actorType,
+      orderId,
+      locationId: locationStock ? locationId : null,
+      locationBalanceAfter: locationStock ? locationStock.quantity : undefined,
+      reference,
+      note
+    },
+    session
+  })
+
+  if (!result && locationStock) {
+    // Product update did not apply - undo the location change
+    await LocationStock.updateOne(
+      locationStockFilter(locationId, productId, variantId),
+      { $inc: { quantity: -quantity } },
+      { session }
+    )
+  }
+
+  return result
+}
+
+/**
+ * Set stock to an absolute level (admin stock count / product edit)
+ * Records the difference as a single ledger movement.
+ *
+ * @param {Object} params - productId, variantId, level, reason, actor, note, session
+ * @returns {Promise<Object|null>} { product, movement }, { unchanged: true } or null if not found
+ */
+const setStockLevel = async ({ productId, variantId, level, reason = 'manual_adjustment', actor, note, session }) => {
+  const product = await Product.findById(productId).select('stock variants').session(session || null)
+  if (!product) return null
+
+  const target = variantId ? product.findVariant(variantId) : product
+  if (!target) return null
+
+  const delta = level - (target.stock || 0)
+  if (delta === 0) {
+    return { unchanged: true }
+  }
+
+  return adjustStock({ productId, variantId, quantity: delta, reason, actor, note, session })
+}
+
+/**
+ * Filter value matching a stock counter as read
+ * Legacy documents may not have the field yet.
+ */
+const counterMatch = (value) => value || { $in: [0, null] }
+
+/**
+ * Save a product edit that replaces its variants (admin product edit)
+ *
+ * Stock and holds are not editable here: each variant keeps the counters it
+ * has when the write lands, new variants start empty and the stock of removed
+ * variants is written off in the ledger. Checkouts and stock movements change
+ * those counters with atomic updates at any time, so the save only matches
+ * while every counter is still what was read - otherwise it re-reads and tries
+ * again, like reserveStock. Variants with units held by unpaid orders cannot be
+ * removed.
+ *
+ * @param {String|ObjectId} productId - Product ID
+ * @param {Object} params
+ * @param {Array} params.variants - Requested variants (_id to keep an existing one; stock is ignored)
+ * @param {Object} [params.updates] - Other product fields to set
+ * @param {String|ObjectId} params.actor - Admin making the edit
+ * @returns {Promise<Object>} { product } or { error: { status, message, code } }
+ */
+const replaceVariants = async (productId, { variants, updates = {}, actor }) => {
+  for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+    const product = await Product.findById(productId)
+    if (!product) {
+      return { error: { status: 404, message: 'Product not found', code: 'PRODUCT_NOT_FOUND' } }
+    }
+
+    // Requested stock is ignored - kept variants take their current counters below
+    const kept = variants.map(({ _id, ...variant }) => {
+      const current = (_id && product.findVariant(_id)) ||
+        product.variants.find(existing => existing.sku === variant.sku)
+      return { variant, current }
+    })
+    const keptIds = new Set(kept.filter(({ current }) => current).map(({ current }) => String(current._id)))
+    const removed = product.variants.filter(variant => !keptIds.has(String(variant._id)))
+
+    const held = removed.find(variant => variant.reserved > 0)
+    if (held) {
+      return {
+        error: {
+          status: 409,
+          message: `Variant ${held.sku} has units held by unpaid orders and cannot be removed yet`,
+          code: 'VARIANT_HAS_RESERVATIONS'
+        }
+      }
+    }
+
+    // Write off what removed variants still have, then start over from their new counters
+    const stocked = removed.filter(variant => variant.stock > 0)
+    if (stocked.length > 0) {
+      for (const variant of stocked) {
+        await setStockLevel({ productId, variantId: variant._id, level: 0, actor, note: 'Variant removed from product' })
+      }
+      continue
+    }
+
+    const where = { stock: counterMatch(product.stock), reserved: counterMatch(product.reserved) }
+    if (product.variants.length > 0) {
+      where.variants = {
+        $all: product.variants.map(variant => ({
+          $elemMatch: { _id: variant._id, stock: counterMatch(variant.stock), reserved: counterMatch(variant.reserved) }
+        }))
+      }
+    }
+
+    product.set({
+      ...updates,
+      variants: kept.map(({ variant, current }) => current
+        ? { ...variant, _id: current._id, stock: current.stock, reserved: current.reserved }
+        : { ...variant, stock: 0, reserved: 0 })
+    })
+    product.$where = where
+
+    try {
+      // save() so the price/stock roll-up hook runs
+      await product.save()
+      return { product }
+    } catch (error) {
+      // A counter (or another edit) changed since the read
+      if (error.name !== 'DocumentNotFoundError' && error.name !== 'VersionError') {
+        throw error
+      }
+    }
+  }
+
+  return {
+    error: {
+      status: 409,
+      message: 'Stock for this product kept changing - please try again',
+      code: 'PRODUCT_UPDATE_CONFLICT'
+    }
+  }
+}
+
+/**
+ * Place a hold on available stock
+ *
+ * Uses an optimistic compare-and-set on (stock, reserved) so two checkouts can never
+ * both hold the last unit: the update only applies if nobody changed the counters
+ * since they were read, otherwise it re-reads and tries again.
+ *
+ * @param {Object} params
+ * @param {String|ObjectId} params.productId - Product ID
+ * @param {String|ObjectId} [params.variantId] - Variant ID
+ * @param {Number} params.quantity - Units to hold
+ * @param {ClientSession} [params.session] - MongoDB session
+ * @returns {Promise<Boolean>} true if the hold was placed, false if not enough stock
+ */
+const reserveStock = async ({ productId, variantId, quantity, session }) => {
+  for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+    const product = await Product.findById(productId)
+      .select('stock reserved variants')
+      .session(session || null)
+
+    if (!product) return false
+
+    const target = variantId ? product.findVariant(variantId) : product
+    if (!target || getAvailableStock(target) < quantity) {
+      return false
+    }
+
+    const reservedMatch = counterMatch(target.reserved)
+    const filter = variantId
+      ? {
+          _id: productId,
+          variants: { $elemMatch: { _id: variantId, stock: target.stock, reserved: reservedMatch } }
+        }
+      : { _id: productId, stock: target.stock, reserved: reservedMatch }
+
+    const update = variantId
+      ? { $inc: { 'variants.$.reserved': quantity, reserved: quantity } }
+      : { $inc: { reserved: quantity } }
+
+    const result = await Product.updateOne(filter, update, { session })
+    if (result.modifiedCount === 1) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Release a hold (abandoned, expired or cancelled order)
+ * @param {Object} params - Same as reserveStock
+ * @returns {Promise<Object>} Update result
+ */
+const releaseReservation = async ({ productId, variantId, quantity, session }) => {
+  if (variantId) {
+    return Product.updateOne(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, reserved: { $gte: quantity } } } },
+      { $inc: { 'variants.$.reserved': -quantity, reserved: -quantity } },
+      { session }
+    )
+  }
+
+  return Product.updateOne(
+    { _id: productId, reserved: { $gte: quantity } },
+    { $inc: { reserved: -quantity } },
+    { session }
+  )
+}
+
+/**
+ * Turn a hold into a sale: units leave both the on-hand and the held counters
+ * @param {Object} params - Same as reserveStock, plus orderId for the ledger and the
+ *   fulfilment locationId (locationHeld when the units were also held there)
+ * @returns {Promise<Object|null>} { product, movement }
+ */
+const commitReservation = async ({ productId, variantId, quantity, orderId, locationId, locationHeld = false, session }) => {
+  let locationStock = null
+  if (locationId) {
+    const locationFilter = locationStockFilter(locationId, productId, variantId)
+    locationStock = locationHeld
+      ? await LocationStock.findOneAndUpdate(
+        { ...locationFilter, quantity: { $gte: quantity }, reserved: { $gte: quantity } },
+        { $inc: { quantity: -quantity, reserved: -quantity } },
+        { new: true, session }
+      )
+      : await changeLocationStock({ locationId, productId, variantId, quantity: -quantity, session })
+
+    if (!locationStock) {
+      logger.warn('Sale not deducted from location - not enough units recorded there:', {
+        productId,
+        variantId,
+        locationId,
+        orderId
+      })
+    }
+  }
+
+  const filter = variantId ? { _id: productId, 'variants._id': variantId } : { _id: productId }
+  const update = variantId
+    ? { $inc: { 'variants.$.stock': -quantity, 'variants.$.reserved': -quantity, stock: -quantity, reserved: -quantity } }
+    : { $inc: { stock: -quantity, reserved: -quantity } }
+
+  return applyStockChange({
+    filter,
+    update,
+    productId,
+    variantId,
+    quantity: -quantity,
+    movement: {
+      reason: 'sale',
+      orderId,
+      locationId: locationStock ? locationId : null,
+      locationBalanceAfter: locationStock ? locationStock.quantity : undefined
+    },
+    session
+  })
+}
+
+/**
+ * Stock lines for order items
+ * Bundle lines become one line per component (component quantity x bundles
+ * ordered); other lines are used as they are.
+ *
+ * @param {Array} items - Order items ({ productId, variantId, quantity, name, bundleComponents })
+ * @returns {Array} Lines ({ productId, variantId, quantity, name })
+ */
+const toStockLines = (items) => {
+  return items.flatMap(item => {
+    if (!item.bundleComponents || item.bundleComponents.length === 0) {
+      return [item]
+    }
+    return item.bundleComponents.map(component => ({
+      productId: component.productId,
+      variantId: component.variantId || null,
+      quantity: component.quantity * item.quantity,
+      name: `${component.name || 'Component'} (${item.name})`
+    }))
+  })
+}
+
+/**
+ * Hold stock for every line of an order, all or nothing
+ * If any line cannot be held, holds already placed for earlier lines are released.
+ * Pickup orders also hold the units at the pickup location. Bundles are held
+ * as their components.
+ *
+ * @param {Array} items - Order items ({ productId, variantId, quantity, name, bundleComponents })
+ * @param {Object} [options]
+ * @param {String|ObjectId} [options.locationId] - Pickup location to hold at
+ * @returns {Promise<Object>} { success: true } or { success: false, item, atLocation }
+ */
+const reserveOrderItems = async (items, { locationId } = {}) => {
+  const held = []
+  let failure = null
+
+  for (const item of toStockLines(items)) {
+    const line = { productId: item.productId, variantId: item.variantId, quantity: item.quantity }
+
+    if (!await reserveStock(line)) {
+      failure = { item, atLocation: false }
+      break
+    }
+
+    if (locationId && !await reserveLocationStock({ ...line, locationId })) {
+      await releaseReservation(line)
+      failure = { item, atLocation: true }
+      break
+    }
+
+    held.push(line)
+  }
+
+  if (!failure) {
+    return { success: true }
+  }
+
+  await releaseOrderItems(held, { locationId })
+  return { success: false, ...failure }
+}
+
+/**
+ * Release every hold placed for an order
+ * @param {Array} items - Order items
+ * @param {Object} [options]
+ * @param {String|ObjectId} [options.locationId] - Pickup location the units were also held at
+ * @param {ClientSession} [options.session] - MongoDB session
+ */
+const releaseOrderItems = async (items, { locationId, session } = {}) => {
+  for (const item of toStockLines(items)) {
+    const line = { productId: item.productId, variantId: item.variantId, quantity: item.quantity, session }
+    await releaseReservation(line)
+    if (locationId) {
+      await releaseLocationReservation({ ...line, locationId })
+    }
+  }
+}
+
+/**
+ * Decrement stock for a paid order
+ * Orders whose hold is still in place convert it into a sale; orders without a
+ * hold (legacy orders, or holds released by the sweeper before payment arrived)
+ * decrement on-hand stock directly. Units leave the order's fulfilment location.
+ * Bundles decrement their components.
+ *
+ * @param {Object} order - Order document (reservation.status is updated in place)
+ * @param {ClientSession} [session] - MongoDB session
+ */
+const fulfillOrderStock = async (order, session) => {
+  const hasHold = order.reservation && order.reservation.status === 'held'
+  const locationId = order.fulfillmentLocationId || null
+  // Pickup orders hold their units at the pickup location as well
+  const locationHeld = hasHold && Boolean(order.pickupLocationId)
+
+  for (const item of toStockLines(order.items)) {
+    if (hasHold) {
+      await commitReservation({
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        orderId: order._id,
+        locationId,
+        locationHeld,
+        session
+      })
+    } else {
+      await adjustStock({
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: -item.quantity,
+        reason: 'sale',
+        orderId: order._id,
+        locationId,
+        session
+      })
+    }
+  }
+
+  order.reservation.status = 'committed'
+}
+
+/**
+ * Move units between locations
+ * The company-wide total does not change. Units can come from another location
+ * or, when fromLocationId is null, from stock not yet assigned to a location.
+ *
+ * @param {Object} params
+ * @param {String|ObjectId} params.productId - Product ID
+ * @param {String|ObjectId} [params.variantId] - Variant ID
+ * @param {String|ObjectId} [params.fromLocationId] - Source location (null for unallocated stock)
+ * @param {String|ObjectId} params.toLocationId - Destination location
+ * @param {Number} params.quantity - Units to move
+ * @param {String|ObjectId} params.actor - Admin making the transfer
+ * @param {String} [params.reference] - Transfer reference (e.g. waybill number)
+ * @param {String} [params.note] - Free-text note
+ * @returns {Promise<Object>} { movements } or { error: { status, message, code } }
+ */
+const transferStock = async ({ productId, variantId, fromLocationId, toLocationId, quantity, actor, reference, note }) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    const product = await Product.findById(productId).select('stock variants').session(session)
+    const target = variantId ? product.findVariant(variantId) : product
+
+    let source = null
+    if (fromLocationId) {
+      source = await changeLocationStock({ locationId: fromLocationId, productId, variantId, quantity: -quantity, session })
+      if (!source) {
+        await session.abortTransaction()
+        return {
+          error: { status: 400, message: 'Not enough unheld units at the source location', code: 'INSUFFICIENT_LOCATION_STOCK' }
+        }
+      }
+    } else if (await getUnallocatedStock(target, productId, variantId, session) < quantity) {
+      await session.abortTransaction()
+      return {
+        error: { status: 400, message: 'Not enough unallocated units to transfer', code: 'INSUFFICIENT_UNALLOCATED_STOCK' }
+      }
+    }
+
+    const destination = await changeLocationStock({ locationId: toLocationId, productId, variantId, quantity, session })
+
+    const entry = {
+      productId,
+      variantId: variantId || null,
+      balanceAfter: target.stock,
+      actor,
+      actorType: 'admin',
+      reference,
+      note
+    }
+    const entries = [
+      { ...entry, reason: 'transfer_in', quantity, locationId: toLocationId, locationBalanceAfter: destination.quantity }
+    ]
+    if (source) {
+      entries.unshift({ ...entry, reason: 'transfer_out', quantity: -quantity, locationId: fromLocationId, locationBalanceAfter: source.quantity })
+    }
+
+    // ordered: true is required when creating several documents inside a transaction
+    const movements = await InventoryMovement.create(entries, { session, ordered: true })
+
+    await session.commitTransaction()
+    return { movements }
+  } catch (error) {
+    await session.abortTransaction()
+    throw error
+  } finally {
+    session.endSession()
+  }
+}
+
+/**
+ * Pickup locations that can supply every line of a basket
+ *
+ * @param {Array} items - Lines ({ productId, variantId, quantity, bundleComponents })
+ * @returns {Promise<Array>} Active pickup locations, each with hasAllItems and
+ *   unavailableItems (lines it cannot cover), locations that can supply everything first
+ */
+const getPickupAvailability = async (basketItems) => {
+  const items = toStockLines(basketItems)
+  const locations = await Location.find({ active: true, pickupEnabled: true })
+    .sort({ name: 1 })
+    .lean()
+
+  if (locations.length === 0) {
+    return []
+  }
+
+  const levels = await LocationStock.find({
+    locationId: { $in: locations.map(location => location._id) },
+    productId: { $in: items.map(item => item.productId) }
+  }).lean()
+
+  const levelKey = (locationId, productId, variantId) => `${locationId}:${productId}:${variantId || ''}`
+  const available = new Map(levels.map(level => [
+    levelKey(level.locationId, level.productId, level.variantId),
+    Math.max(0, level.quantity - (level.reserved || 0))
+  ]))
+
+  return locations
+    .map(location => {
+      const unavailableItems = items
+        .filter(item => (available.get(levelKey(location._id, item.productId, item.variantId)) || 0) < item.quantity)
+        .map(item => ({
+          productId: item.productId,
+          variantId: item.variantId || null,
+          requested: item.quantity,
+          available: available.get(levelKey(location._id, item.productId, item.variantId)) || 0
+        }))
+
+      return { ...location, hasAllItems: unavailableItems.length === 0, unavailableItems }
+    })
+    .sort((a, b) => Number(b.hasAllItems) - Number(a.hasAllItems))
+}
+
+module.exports = {
+  getAvailableStock,
+  toStorefrontStock,
+  resolvePurchasable,
+  toStockLines,
+  adjustStock,
+  setStockLevel,
+  replaceVariants,
+  reserveStock,
+  releaseReservation,
+  commitReservation,
+  reserveOrderItems,
+  releaseOrderItems,
+  fulfillOrderStock,
+  getUnallocatedStock,
+  transferStock,
+  getPickupAvailability
+}
@@ -0,0 +1,542 @@
+const mongoose = require('mongoose')
+const PDFDocument = require('pdfkit')
+const Invoice = require('../models/Invoice')
+const { roundMoney } = require('./taxService')
+const logger = require('../utils/logger')
+
+/**
+ * INVOICE SERVICE
+ *
+ * KRA tax invoices for paid orders. An invoice copies everything it prints
+ * (seller, buyer, lines, VAT breakdown, payment) when it is issued, and is then
+ * fixed: corrections void it and issue a replacement with a new number. Each
+ * order has at most one issued invoice at a time (unique partial index).
+ *
+ * Invoices are issued when payment is confirmed (attached to the confirmation
+ * email), or on first download for orders paid before invoicing existed.
+ */
+
+// Seller details printed on every invoice
+const getSellerDetails = () => ({
+  name: process.env.COMPANY_NAME || 'Sun Mega Limited',
+  kraPin: process.env.COMPANY_KRA_PIN,
+  address: process.env.COMPANY_ADDRESS,
+  phone: process.env.COMPANY_PHONE,
+  email: process.env.COMPANY_EMAIL || 'support@sunmega.co.ke'
+})
+
+const formatAddress = (address) => {
+  return [address.street, address.city, address.state, address.zipCode, address.country]
+    .filter(Boolean)
+    .join(', ')
+}
+
+/**
+ * Invoice fields for an order, as they stand now
+ * @param {Object} order - Order document
+ * @returns {Object} Seller, buyer, lines, totals and payment
+ */
+const buildInvoiceFields = (order) => {
+  const billing = order.billingDetails || {}
+  const address = order.shippingAddress
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    seller: getSellerDetails(),
+    buyer: {
+      name: address.name,
+      companyName: billing.companyName || undefined,
+      kraPin: billing.kraPin || undefined,
+      address: billing.address || formatAddress(address),
+      email: address.email,
+      phone: address.phone
+    },
+    items: order.items.map(item => ({
+      name: item.variantName ? `${item.name} - ${item.variantName}` : item.name,
+      sku: item.sku,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      discount: item.discount || 0,
+      total: roundMoney(item.total - (item.discount || 0)),
+      taxClass: item.taxClass,
+      taxRate: item.taxRate,
+      taxAmount: item.taxAmount
+    })),
+    subtotal: order.subtotal,
+    discountTotal: order.discountTotal,
+    shipping: order.shipping,
+    tax: order.tax,
+    pricesIncludeTax: order.pricesIncludeTax !== false,
+    taxBreakdown: (order.taxBreakdown || []).map(entry => ({
+      name: entry.name,
+      rate: entry.rate,
+      taxableAmount: entry.taxableAmount,
+      tax: entry.tax
+    })),
+    total: order.total,
+    payment: {
+      method: order.paymentMethod,
+      reference: order.paymentId,
+      paidAt: order.paidAt || order.updatedAt
+    }
+  }
+}
+
+/**
+ * Current (non-void) invoice of an order
+ * @param {String|ObjectId} orderId
+ * @returns {Promise<Object|null>} Invoice document
+ */
+const findCurrentInvoice = (orderId) => {
+  return Invoice.findOne({ orderId, status: 'issued' })
+}
+
+/**
+ * Issue an invoice for a paid order
+ * If another request issued one first, that invoice is returned instead. The
+ * number is taken in the same transaction as the insert, so losing that race
+ * gives the number back and the series has no gaps.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} [params]
+ * @param {String|ObjectId} [params.issuedBy] - Admin issuing it (null for automatic)
+ * @param {String|ObjectId} [params.replaces] - Voided invoice being replaced
+ * @returns {Promise<Object>} Invoice document
+ */
+const issueInvoice = async (order, { issuedBy = null, replaces = null } = {}) => {
+  let invoice
+  try {
+    // transaction() retries transient errors, e.g. two invoices taking the year's number at once
+    await mongoose.connection.transaction(async (session) => {
+      [invoice] = await Invoice.create([{
+        ...buildInvoiceFields(order),
+        issuedBy,
+        replaces
+      }], { session })
+    })
+  } catch (error) {
+    // Duplicate key on the one-issued-invoice-per-order index: already issued
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.orderId) {
+      return findCurrentInvoice(order._id)
+    }
+    throw error
+  }
+
+  logger.info('Invoice issued:', {
+    invoiceNumber: invoice.invoiceNumber,
+    orderNumber: order.orderNumber,
+    replaces
+  })
+  return invoice
+}
+
+/**
+ * The order's current invoice, issuing it if the order is paid and has none
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { invoice } or { error: { status, message, code } }
+ */
+const getOrCreateInvoice = async (order) => {
+  const existing = await findCurrentInvoice(order._id)
+  if (existing) {
+    return { invoice: existing }
+  }
+
+  if (order.paymentStatus !== 'paid') {
+    return {
+      error: {
+        status: 400,
+        message: 'An invoice is only available once the order has been paid',
+        code: 'ORDER_NOT_PAID'
+      }
+    }
+  }
+
+  return { invoice: await issueInvoice(order) }
+}
+
+/**
+ * Void an invoice
+ * @param {Object} invoice - Invoice document
+ * @param {Object} params - actor, reason
+ * @returns {Promise<Object>} { invoice } or { error }
+ */
+const voidInvoice = async (invoice, { actor, reason }) => {
+  if (invoice.status === 'void') {
+    return {
+      error: {
+        status: 409,
+        message: `Invoice ${invoice.invoiceNumber} is already void`,
+        code: 'INVOICE_ALREADY_VOID'
+      }
+    }
+  }
+
+  invoice.status = 'void'
+  invoice.voidedAt = new Date()
+  invoice.voidedBy = actor
+  invoice.voidReason = reason
+  await invoice.save()
+
+  logger.info('Invoice voided:', {
+    invoiceNumber: invoice.invoiceNumber,
+    orderNumber: invoice.orderNumber,
+    actor,
+    reason
+  })
+  return { invoice }
+}
+
+/**
+ * Replace an order's invoice with a fresh one
+ * Voids the current invoice (if any) and issues a new number from the order as
+ * it stands - e.g. after the customer's company details were corrected.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} params
+ * @param {String|ObjectId} params.actor - Admin regenerating it
+ * @param {String} [params.reason] - Recorded on the voided invoice
+ * @param {Object} [params.billingDetails] - New buyer details, saved on the order first
+ * @returns {Promise<Object>} { invoice, voided } or { error }
+ */
+const regenerateInvoice = async (order, { actor, reason, billingDetails }) => {
+  if (order.paymentStatus !== 'paid') {
+    return {
+      error: {
+        status: 400,
+        message: 'Only paid orders can be invoiced',
+        code: 'ORDER_NOT_PAID'
+      }
+    }
+  }
+
+  if (billingDetails) {
+    order.billingDetails = billingDetails
+    await order.save()
+  }
+
+  const current = await findCurrentInvoice(order._id)
+  if (current) {
+    await voidInvoice(current, { actor, reason: reason || 'Regenerated' })
+  }
+
+  const invoice = await issueInvoice(order, {
+    issuedBy: actor,
+    replaces: current ? current._id : null
+  })
+  return { invoice, voided: current }
+}
+
+const formatAmount = (amount) => {
+  return Number(amount || 0).toLocaleString('en-KE', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })
+}
+
+const formatMoney = (amount, currency) => `${currency} ${formatAmount(amount)}`
+
+const formatDate = (date) => {
+  return date
+    ? new Date(date).toLocaleDateString('en-KE', { day: '2-digit', month: 'short', year: 'numeric' })
+    : '-'
+}
+
+const PAYMENT_METHOD_LABELS = {
+  manual: 'Manual refund',
+  pesapal: 'Pesapal',
+  mpesa: 'M-Pesa',
+  card: 'Card',
+  cash: 'Cash'
+}
+
+/**
+ * Start an A4 document and collect its output
+ * @param {String} title - PDF title metadata
+ * @returns {Object} { doc, buffer: Promise<Buffer> (resolves after doc.end()) }
+ */
+const createPdf = (title) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title } })
+  const buffer = new Promise((resolve, reject) => {
+    const chunks = []
+    doc.on('data', chunk => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+  })
+  return { doc, buffer }
+}
+
+/**
+ * Seller block and document title/numbers, then the buyer ("Bill to")
+ * @param {Object} doc - PDFDocument
+ * @param {Object} params - seller, buyer, title, meta (lines under the title)
+ * @returns {Number} y position below the buyer block
+ */
+const drawParties = (doc, { seller, buyer, title, meta }) => {
+  const left = doc.page.margins.left
+  const width = doc.page.width - doc.page.margins.right - left
+
+  // Header: seller on the left, document title and numbers on the right
+  doc.fontSize(16).font('Helvetica-Bold').text(seller.name, left, 50)
+  doc.fontSize(9).font('Helvetica')
+  ;[
+    seller.address,
+    seller.phone && `Tel: ${seller.phone}`,
+    seller.email,
+    seller.kraPin && `KRA PIN: ${seller.kraPin}`
+  ].filter(Boolean).forEach(line => doc.text(line, { width: width / 2 }))
+  const headerBottom = doc.y
+
+  doc.fontSize(18).font('Helvetica-Bold').text(title, left, 50, { width, align: 'right' })
+  doc.fontSize(9).font('Helvetica')
+  meta.filter(Boolean).forEach(line => doc.text(line, { width, align: 'right' }))
+  const metaBottom = doc.y
+
+  // Buyer
+  doc.fontSize(10).font('Helvetica-Bold').text('Bill to', left, Math.max(headerBottom, metaBottom) + 25)
+  doc.fontSize(9).font('Helvetica')
+  ;[
+    buyer.companyName,
+    buyer.companyName ? `Attn: ${buyer.name}` : buyer.name,
+    buyer.kraPin && `KRA PIN: ${buyer.kraPin}`,
+    buyer.address,
+    buyer.email,
+    buyer.phone
+  ].filter(Boolean).forEach(line => doc.text(line, { width: width / 2 }))
+  return doc.y
+}
+
+/**
+ * Row writer for tables and totals, starting a new page when one is full
+ * @param {Object} doc - PDFDocument
+ * @param {Number} startY - y position of the first row
+ * @returns {Object} { row(columns, cells, options), total(label, value, options), space(height), y() }
+ */
+const createRowWriter = (doc, startY) => {
+  const left = doc.page.margins.left
+  const right = doc.page.width - doc.page.margins.right
+  let y = startY
+
+  const ensureSpace = (height) => {
+    if (y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage()
+      y = doc.page.margins.top
+    }
+  }
+
+  return {
+    row: (columns, cells, { bold = false } = {}) => {
+      doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica')
+      const rowHeight = Math.max(...cells.map((cell, index) => (
+        doc.heightOfString(cell, { width: columns[index].width - 6 })
+      ))) + 8
+      ensureSpace(rowHeight)
+      let x = left
+      cells.forEach((cell, index) => {
+        doc.text(cell, x + 3, y + 4, { width: columns[index].width - 6, align: columns[index].align })
+        x += columns[index].width
+      })
+      y += rowHeight
+      doc.moveTo(left, y).lineTo(right, y).strokeColor('#e5e7eb').stroke()
+    },
+    total: (label, value, { bold = false } = {}) => {
+      ensureSpace(18)
+      doc.fontSize(bold ? 11 : 9).font(bold ? 'Helvetica-Bold' : 'Helvetica')
+      doc.text(label, left, y + 4, { width: right - left - 110, align: 'right' })
+      doc.text(value, right - 105, y + 4, { width: 105, align: 'right' })
+      y += bold ? 20 : 16
+    },
+    space: (height) => {
+      y += height
+    },
+    y: () => y
+  }
+}
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice document (replaces may be populated with invoiceNumber)
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice) => {
+  const { doc, buffer } = createPdf(`Tax Invoice ${invoice.invoiceNumber}`)
+
+  const left = doc.page.margins.left
+  const width = doc.page.width - doc.page.margins.right - left
+  const currency = invoice.currency
+
+  const partiesBottom = drawParties(doc, {
+    seller: invoice.seller,
+    buyer: invoice.buyer,
+    title: 'TAX INVOICE',
+    meta: [
+      `Invoice No: ${invoice.invoiceNumber}`,
+      `Date: ${formatDate(invoice.issuedAt)}`,
+      `Order No: ${invoice.orderNumber}`,
+      invoice.replaces && invoice.replaces.invoiceNumber && `Replaces: ${invoice.replaces.invoiceNumber}`
+    ]
+  })
+
+  if (invoice.status === 'void') {
+    doc.save()
+    doc.fontSize(90).font('Helvetica-Bold').fillColor('#dc2626').opacity(0.25)
+      .rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] })
+      .text('VOID', doc.page.width / 2 - 110, doc.page.height / 2 - 45, { lineBreak: false })
+    doc.restore()
+    doc.fillColor('black').opacity(1)
+  }
+
+  // Lines
+  const columns = [
+    { label: 'Description', width: 190, align: 'left' },
+    { label: 'Qty', width: 35, align: 'right' },
+    { label: 'Unit price', width: 75, align: 'right' },
+    { label: 'Discount', width: 60, align: 'right' },
+    { label: 'VAT', width: 50, align: 'right' },
+    { label: `Amount (${currency})`, width: width - 410, align: 'right' }
+  ]
+  const writer = createRowWriter(doc, partiesBottom + 20)
+  writer.row(columns, columns.map(column => column.label), { bold: true })
+  invoice.items.forEach(item => {
+    writer.row(columns, [
+      item.sku ? `${item.name}\nSKU ${item.sku}` : item.name,
+      String(item.quantity),
+      formatAmount(item.unitPrice),
+      item.discount ? formatAmount(item.discount) : '-',
+      `${item.taxRate || 0}%`,
+      formatAmount(item.total)
+    ])
+  })
+
+  // Totals
+  writer.space(6)
+  writer.total('Subtotal', formatMoney(invoice.subtotal, currency))
+  if (invoice.discountTotal > 0) {
+    writer.total('Discounts', `- ${formatMoney(invoice.discountTotal, currency)}`)
+  }
+  writer.total('Shipping', formatMoney(invoice.shipping, currency))
+  if (!invoice.pricesIncludeTax) {
+    writer.total('VAT', formatMoney(invoice.tax, currency))
+  }
+  writer.total('Total', formatMoney(invoice.total, currency), { bold: true })
+
+  // VAT analysis (KRA: taxable value and VAT per rate)
+  doc.fontSize(10).font('Helvetica-Bold').text('VAT analysis', left, writer.y() + 14)
+  doc.fontSize(9).font('Helvetica').moveDown(0.3)
+  invoice.taxBreakdown.forEach(entry => {
+    doc.text(`${entry.name}: taxable ${formatMoney(entry.taxableAmount, currency)}, VAT ${formatMoney(entry.tax, currency)}`)
+  })
+  doc.text(
+    invoice.pricesIncludeTax
+      ? `Prices include VAT. Total VAT: ${formatMoney(invoice.tax, currency)}`
+      : `VAT added to the prices above. Total VAT: ${formatMoney(invoice.tax, currency)}`
+  )
+
+  // Payment
+  doc.fontSize(10).font('Helvetica-Bold').text('Payment', left, doc.y + 14)
+  doc.fontSize(9).font('Helvetica')
+  ;[
+    `Method: ${PAYMENT_METHOD_LABELS[invoice.payment.method] || invoice.payment.method || '-'}`,
+    `Reference: ${invoice.payment.reference || '-'}`,
+    `Paid on: ${formatDate(invoice.payment.paidAt)}`
+  ].forEach(line => doc.text(line))
+
+  if (invoice.status === 'void') {
+    doc.moveDown().font('Helvetica-Bold').fillColor('#dc2626')
+      .text(`Voided on ${formatDate(invoice.voidedAt)}${invoice.voidReason ? `: ${invoice.voidReason}` : ''}`)
+      .fillColor('black')
+  }
+
+  doc.end()
+  return buffer
+}
+
+/**
+ * Render a refund's credit note as a PDF
+ * @param {Object} refund - Completed Refund document
+ * @param {Object} params
+ * @param {Object} params.order - Order document (buyer details when there is no invoice)
+ * @param {Object} [params.invoice] - Invoice the credit note is raised against
+ * @returns {Promise<Buffer>}
+ */
+const renderCreditNotePdf = (refund, { order, invoice }) => {
+  const { doc, buffer } = createPdf(`Credit Note ${refund.creditNoteNumber}`)
+
+  const left = doc.page.margins.left
+  const width = doc.page.width - doc.page.margins.right - left
+  const currency = refund.currency
+
+  const partiesBottom = drawParties(doc, {
+    seller: invoice ? invoice.seller : getSellerDetails(),
+    buyer: invoice ? invoice.buyer : buildInvoiceFields(order).buyer,
+    title: 'CREDIT NOTE',
+    meta: [
+      `Credit Note No: ${refund.creditNoteNumber}`,
+      `Date: ${formatDate(refund.completedAt)}`,
+      `Order No: ${refund.orderNumber}`,
+      invoice && `Against invoice: ${invoice.invoiceNumber}`
+    ]
+  })
+
+  const columns = [
+    { label: 'Description', width: 300, align: 'left' },
+    { label: 'Qty', width: 50, align: 'right' },
+    { label: 'VAT', width: 70, align: 'right' },
+    { label: `Amount (${currency})`, width: width - 420, align: 'right' }
+  ]
+  const writer = createRowWriter(doc, partiesBottom + 20)
+  writer.row(columns, columns.map(column => column.label), { bold: true })
+  if (refund.items.length > 0) {
+    refund.items.forEach(item => {
+      writer.row(columns, [
+        item.sku ? `${item.name}\nSKU ${item.sku}` : item.name,
+        String(item.quantity),
+        formatAmount(item.tax),
+        formatAmount(item.amount)
+      ])
+    })
+  } else {
+    writer.row(columns, [refund.type === 'full' ? 'Full refund of the order' : 'Refund', '-', formatAmount(refund.tax), formatAmount(refund.amount)])
+  }
+
+  writer.space(6)
+  writer.total('VAT credited', formatMoney(refund.tax, currency))
+  writer.total('Total credited', formatMoney(refund.amount, currency), { bold: true })
+
+  doc.fontSize(10).font('Helvetica-Bold').text('Reason', left, writer.y() + 14)
+  doc.fontSize(9).font('Helvetica').text(refund.reason)
+
+  doc.fontSize(10).font('Helvetica-Bold').text('Refund', left, doc.y + 14)
+  doc.fontSize(9).font('Helvetica')
+  ;[
+    `Paid back via: ${PAYMENT_METHOD_LABELS[refund.provider] || refund.provider}`,
+    refund.paymentReference && `Original payment: ${refund.paymentReference}`,
+    refund.providerReference && `Refund reference: ${refund.providerReference}`
+  ].filter(Boolean).forEach(line => doc.text(line))
+
+  doc.end()
+  return buffer
+}
+
+/**
+ * Invoice PDF as an email attachment
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Object>} { filename, content }
+ */
+const getInvoiceAttachment = async (invoice) => {
+  return {
+    filename: `${invoice.invoiceNumber}.pdf`,
+    content: await renderInvoicePdf(invoice)
+  }
+}
+
+module.exports = {
+  findCurrentInvoice,
+  issueInvoice,
+  getOrCreateInvoice,
+  voidInvoice,
+  regenerateInvoice,
+  renderInvoicePdf,
+  renderCreditNotePdf,
+  getInvoiceAttachment
+}
@@ -0,0 +1,93 @@
+const crypto = require('crypto')
+const Lock = require('../models/Lock')
+const { getRedisClient } = require('../src/config/redis')
+
+/**
+ * LOCK SERVICE
+ *
+ * Distributed locks for work that must not run twice at once across server
+ * instances (e.g. applying a payment). Redis (SET NX PX) is used when it is
+ * connected, the locks collection otherwise. Every lock expires, so a crashed
+ * holder never blocks the key for longer than its TTL.
+ */
+
+const DEFAULT_TTL_MS = 60 * 1000
+const DEFAULT_WAIT_MS = 10 * 1000
+const RETRY_DELAY_MS = 250
+
+// Delete the key only while it still holds our token
+const REDIS_RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const getReadyRedis = () => {
+  const client = getRedisClient()
+  return client && client.isReady ? client : null
+}
+
+/**
+ * Try once to take a lock
+ * @returns {Promise<Boolean>}
+ */
+const tryAcquire = async (key, owner, ttlMs) => {
+  const redis = getReadyRedis()
+  if (redis) {
+    return await redis.set(`lock:${key}`, owner, { NX: true, PX: ttlMs }) === 'OK'
+  }
+
+  // Takes the lock if it is free or expired; a live lock makes the upsert hit the unique _id
+  const now = new Date()
+  try {
+    await Lock.findOneAndUpdate(
+      { _id: key, expiresAt: { $lte: now } },
+      { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+      { upsert: true }
+    )
+    return true
+  } catch (error) {
+    if (error.code === 11000) {
+      return false
+    }
+    throw error
+  }
+}
+
+const release = async (key, owner) => {
+  const redis = getReadyRedis()
+  if (redis) {
+    await redis.eval(REDIS_RELEASE_SCRIPT, { keys: [`lock:${key}`], arguments: [owner] })
+    return
+  }
+  await Lock.deleteOne({ _id: key, owner })
+}
+
+/**
+ * Take a lock, waiting for the current holder to finish
+ *
+ * @param {String} key - What is being locked (e.g. "payment:pesapal:abc-123")
+ * @param {Object} [options]
+ * @param {Number} [options.ttlMs] - Lock lifetime; the work must finish well within it
+ * @param {Number} [options.waitMs] - How long to wait for a held lock
+ * @returns {Promise<Function|null>} Async release function, or null if the lock stayed held
+ */
+const acquireLock = async (key, { ttlMs = DEFAULT_TTL_MS, waitMs = DEFAULT_WAIT_MS } = {}) => {
+  const owner = crypto.randomBytes(16).toString('hex')
+  const deadline = Date.now() + waitMs
+
+  while (!(await tryAcquire(key, owner, ttlMs))) {
+    if (Date.now() >= deadline) {
+      return null
+    }
+    await sleep(RETRY_DELAY_MS)
+  }
+
+  return () => release(key, owner)
+}
+
+module.exports = {
+  acquireLock
+}
@@ -0,0 +1,275 @@
+const axios = require('axios')
+const crypto = require('crypto')
+const logger = require('../utils/logger')
+
+/**
+ * M-Pesa Service
+ * Safaricom Daraja API - Lipa na M-Pesa Online (STK Push)
+ *
+ * The customer gets a PIN prompt on their phone; Daraja posts the result to
+ * CALLBACK_URL. Callbacks are not signed, so the callback URL carries a secret
+ * (MPESA_CALLBACK_TOKEN) and results are matched to the order by
+ * CheckoutRequestID. MPESA_BASE_URL points the service at another Daraja
+ * endpoint, e.g. scripts/mockDarajaServer.js.
+ */
+
+const MPESA_BASE_URL = process.env.MPESA_BASE_URL || (process.env.MPESA_ENVIRONMENT === 'production'
+  ? 'https://api.safaricom.co.ke'
+  : 'https://sandbox.safaricom.co.ke')
+
+const CONSUMER_KEY = process.env.MPESA_CONSUMER_KEY
+const CONSUMER_SECRET = process.env.MPESA_CONSUMER_SECRET
+const SHORTCODE = process.env.MPESA_SHORTCODE
+const PASSKEY = process.env.MPESA_PASSKEY
+// CustomerPayBillOnline (paybill) or CustomerBuyGoodsOnline (till - set MPESA_TILL_NUMBER)
+const TRANSACTION_TYPE = process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline'
+const PARTY_B = process.env.MPESA_TILL_NUMBER || SHORTCODE
+const CALLBACK_TOKEN = process.env.MPESA_CALLBACK_TOKEN
+const CALLBACK_URL = process.env.MPESA_CALLBACK_URL || (process.env.BACKEND_URL ? `${process.env.BACKEND_URL}/api/payments/mpesa/callback` : null)
+
+// STK result codes the customer can simply retry after
+const CANCELLED_RESULT_CODES = [1032, 1037] // Cancelled by user, phone unreachable
+
+// Daraja answers a status query for an unfinished payment with this error
+const STK_PENDING_ERROR_CODE = '500.001.1001'
+
+let accessToken = null
+let tokenExpiry = null
+
+/**
+ * Get Daraja access token
+ */
+const getAccessToken = async () => {
+  try {
+    if (accessToken && tokenExpiry && Date.now() < tokenExpiry) {
+      return accessToken
+    }
+
+    const response = await axios.get(
+      `${MPESA_BASE_URL}/oauth/v1/generate?grant_type=client_credentials`,
+      {
+        auth: {
+          username: CONSUMER_KEY,
+          password: CONSUMER_SECRET
+        }
+      }
+    )
+
+    if (response.data && response.data.access_token) {
+      accessToken = response.data.access_token
+      // Refresh 5 minutes before Daraja expires the token (usually 3599 seconds)
+      tokenExpiry = Date.now() + ((parseInt(response.data.expires_in) || 3599) - 300) * 1000
+      return accessToken
+    }
+
+    throw new Error('Failed to get access token')
+  } catch (error) {
+    logger.error('M-Pesa getAccessToken error:', error.response?.data || error.message)
+    throw error
+  }
+}
+
+/**
+ * Timestamp and password for STK requests
+ * Daraja expects East Africa Time (UTC+3) as YYYYMMDDHHmmss.
+ */
+const getStkCredentials = (now = new Date()) => {
+  const timestamp = new Date(now.getTime() + 3 * 60 * 60 * 1000)
+    .toISOString()
+    .replace(/[-:T]/g, '')
+    .slice(0, 14)
+  const password = Buffer.from(`${SHORTCODE}${PASSKEY}${timestamp}`).toString('base64')
+  return { timestamp, password }
+}
+
+/**
+ * Normalise a Kenyan mobile number to 2547XXXXXXXX / 2541XXXXXXXX
+ * @param {String} phoneNumber - e.g. 0712 345 678, +254712345678
+ * @returns {String|null} null if it is not a Safaricom-format mobile number
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  const digits = String(phoneNumber || '').replace(/[^\d]/g, '')
+  const local = digits.replace(/^(254|0)/, '')
+  return /^[17]\d{8}$/.test(local) ? `254${local}` : null
+}
+
+/**
+ * Amount to request for an order total
+ * STK Push only takes whole shillings, so cents are rounded up.
+ * @param {Number} total - Order total
+ * @returns {Number}
+ */
+const getStkAmount = (total) => Math.ceil(total)
+
+/**
+ * Send an STK Push prompt to the customer's phone
+ * @param {Object} params
+ * @param {String} params.phoneNumber - Normalised number (2547XXXXXXXX)
+ * @param {Number} params.amount - Whole shillings
+ * @param {String} params.reference - Account reference shown to the customer (order number)
+ * @param {String} params.description - Transaction description
+ * @returns {Object} { merchantRequestId, checkoutRequestId, customerMessage }
+ */
+const initiateStkPush = async ({ phoneNumber, amount, reference, description }) => {
+  try {
+    if (!CALLBACK_URL) {
+      throw new Error('MPESA_CALLBACK_URL or BACKEND_URL must be set')
+    }
+
+    const token = await getAccessToken()
+    const { timestamp, password } = getStkCredentials()
+    const callbackUrl = CALLBACK_TOKEN
+      ? `${CALLBACK_URL}?token=${encodeURIComponent(CALLBACK_TOKEN)}`
+      : CALLBACK_URL
+
+    const response = await axios.post(
+      `${MPESA_BASE_URL}/mpesa/stkpush/v1/processrequest`,
+      {
+        BusinessShortCode: SHORTCODE,
+        Password: password,
+        Timestamp: timestamp,
+        TransactionType: TRANSACTION_TYPE,
+        Amount: amount,
+        PartyA: phoneNumber,
+        PartyB: PARTY_B,
+        PhoneNumber: phoneNumber,
+        CallBackURL: callbackUrl,
+        AccountReference: reference.slice(0, 12), // Daraja limit
+        TransactionDesc: (description || 'Payment').slice(0, 13) // Daraja limit
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+
+    if (response.data && response.data.ResponseCode === '0') {
+      return {
+        success: true,
+        merchantRequestId: response.data.MerchantRequestID,
+        checkoutRequestId: response.data.CheckoutRequestID,
+        customerMessage: response.data.CustomerMessage
+      }
+    }
+
+    throw new Error(response.data?.ResponseDescription || 'Failed to initiate STK Push')
+  } catch (error) {
+    logger.error('M-Pesa initiateStkPush error:', error.response?.data || error.message)
+    throw error
+  }
+}
+
+/**
+ * Map an STK result code to a payment outcome
+ * @param {Number|String} resultCode
+ * @returns {String} completed | cancelled | failed
+ */
+const getResultStatus = (resultCode) => {
+  const code = parseInt(resultCode)
+  if (code === 0) return 'completed'
+  return CANCELLED_RESULT_CODES.includes(code) ? 'cancelled' : 'failed'
+}
+
+/**
+ * Query the result of an STK Push
+ * @param {String} checkoutRequestId - CheckoutRequestID from initiateStkPush
+ * @returns {Object} { status: pending | completed | cancelled | failed, resultCode, resultDesc }
+ */
+const queryStkStatus = async (checkoutRequestId) => {
+  try {
+    const token = await getAccessToken()
+    const { timestamp, password } = getStkCredentials()
+
+    const response = await axios.post(
+      `${MPESA_BASE_URL}/mpesa/stkpushquery/v1/query`,
+      {
+        BusinessShortCode: SHORTCODE,
+        Password: password,
+        Timestamp: timestamp,
+        CheckoutRequestID: checkoutRequestId
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    )
+
+    return {
+      success: true,
+      status: getResultStatus(response.data.ResultCode),
+      resultCode: parseInt(response.data.ResultCode),
+      resultDesc: response.data.ResultDesc,
+      checkoutRequestId
+    }
+  } catch (error) {
+    if (error.response?.data?.errorCode === STK_PENDING_ERROR_CODE) {
+      return {
+        success: true,
+        status: 'pending',
+        resultCode: null,
+        resultDesc: error.response.data.errorMessage,
+        checkoutRequestId
+      }
+    }
+    logger.error('M-Pesa queryStkStatus error:', error.response?.data || error.message)
+    throw error
+  }
+}
+
+/**
+ * Read an STK callback body
+ * @param {Object} body - Request body posted by Daraja
+ * @returns {Object|null} null if it is not an STK callback
+ */
+const parseStkCallback = (body) => {
+  const callback = body && body.Body && body.Body.stkCallback
+  if (!callback || !callback.CheckoutRequestID) {
+    return null
+  }
+
+  // CallbackMetadata is only sent for successful payments
+  const metadata = {}
+  for (const item of (callback.CallbackMetadata && callback.CallbackMetadata.Item) || []) {
+    metadata[item.Name] = item.Value
+  }
+
+  return {
+    merchantRequestId: callback.MerchantRequestID,
+    checkoutRequestId: callback.CheckoutRequestID,
+    resultCode: parseInt(callback.ResultCode),
+    resultDesc: callback.ResultDesc,
+    status: getResultStatus(callback.ResultCode),
+    amount: metadata.Amount,
+    receiptNumber: metadata.MpesaReceiptNumber,
+    phoneNumber: metadata.PhoneNumber ? String(metadata.PhoneNumber) : undefined,
+    transactionDate: metadata.TransactionDate ? String(metadata.TransactionDate) : undefined
+  }
+}
+
+/**
+ * Check the secret a callback URL was called with
+ * Without MPESA_CALLBACK_TOKEN every callback is accepted (sandbox only).
+ * @param {String} token - ?token= from the callback request
+ * @returns {Boolean}
+ */
+const verifyCallbackToken = (token) => {
+  if (!CALLBACK_TOKEN) {
+    return process.env.NODE_ENV !== 'production'
+  }
+  const expected = Buffer.from(CALLBACK_TOKEN)
+  const given = Buffer.from(String(token || ''))
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  getStkAmount,
+  initiateStkPush,
+  queryStkStatus,
+  parseStkCallback,
+  verifyCallbackToken
+}
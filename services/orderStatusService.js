@@ -0,0 +1,226 @@
+const Shipment = require('../models/Shipment')
+const User = require('../models/User')
+const { adjustStock, releaseOrderItems, toStockLines } = require('./inventoryService')
+const { getOrderRecipient } = require('./guestOrderService')
+const { getRestockedQuantities } = require('./refundService')
+const { releaseOrderRedemptions } = require('./promotionService')
+const { sendOrderShippedEmail } = require('../utils/emailService')
+const logger = require('../utils/logger')
+
+/**
+ * ORDER STATUS SERVICE
+ *
+ * The order state machine. Every orderStatus change goes through
+ * transitionOrder (or recordStatusChange for system changes made as part of a
+ * larger update, e.g. payment confirmation), which:
+ * - refuses transitions not listed in ORDER_TRANSITIONS (a delivered order
+ *   never goes back to pending)
+ * - runs the side effects of entering a status (stock and promotion
+ *   redemptions given back on cancel, shipping email on ship)
+ * - appends an entry to Order.statusHistory (actor, time, from/to and note)
+ */
+
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'shipped', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+}
+
+/**
+ * Whether an order may move from one status to another
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @returns {Boolean}
+ */
+const canTransition = (from, to) => {
+  return (ORDER_TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * Append a status change to the order's timeline and set the new status
+ * Does not check the transition or save the order.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} change
+ * @param {String} change.to - New status
+ * @param {String|ObjectId} [change.actor] - User making the change
+ * @param {String} [change.actorType] - customer | admin | system
+ * @param {String} [change.note] - Shown on the timeline
+ */
+const recordStatusChange = (order, { to, actor, actorType, note }) => {
+  order.statusHistory.push({
+    from: order.orderStatus,
+    to,
+    actor: actor || null,
+    actorType: actorType || (actor ? 'admin' : 'system'),
+    note
+  })
+  order.orderStatus = to
+}
+
+/**
+ * Give back the stock a cancelled order took or held
+ * Orders whose stock was taken (paid, or confirmed for payment on delivery) put
+ * it back at the fulfilment location, less any units a refund already
+ * restocked. Orders still holding stock release the hold.
+ *
+ * @param {Object} order - Order document (reservation.status is updated in place)
+ * @param {Object} params - actor, actorType
+ */
+const restoreOrderStock = async (order, { actor, actorType }) => {
+  const reservationStatus = order.reservation ? order.reservation.status : 'none'
+  // Paid orders from before reservations took their stock without one
+  const stockTaken = reservationStatus === 'committed' ||
+    (reservationStatus === 'none' && order.paymentStatus === 'paid')
+
+  if (stockTaken) {
+    const restocked = order.refundedTotal > 0 ? await getRestockedQuantities(order._id) : new Map()
+    for (const item of toStockLines(order.items)) {
+      const key = `${item.productId}:${item.variantId || ''}`
+      const alreadyBack = Math.min(restocked.get(key) || 0, item.quantity)
+      restocked.set(key, (restocked.get(key) || 0) - alreadyBack)
+      if (item.quantity - alreadyBack <= 0) continue
+
+      await adjustStock({
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.quantity - alreadyBack,
+        reason: 'cancellation_restore',
+        actor,
+        actorType,
+        orderId: order._id,
+        locationId: order.fulfillmentLocationId
+      })
+    }
+  } else if (reservationStatus === 'held') {
+    await releaseOrderItems(order.items, { locationId: order.pickupLocationId })
+    order.reservation.status = 'released'
+  }
+}
+
+/**
+ * Email the customer that their order (or part of it) is on its way
+ * Failures are logged - the status change has already been saved.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} [params]
+ * @param {Object} [params.shipment] - Shipment sent (carrier and tracking link)
+ * @param {Boolean} [params.partial] - More shipments will follow
+ */
+const notifyShipped = async (order, { shipment, partial } = {}) => {
+  try {
+    const user = order.userId ? await User.findById(order.userId).select('firstName email') : null
+    await sendOrderShippedEmail(order, getOrderRecipient(order, user), { shipment, partial })
+  } catch (error) {
+    logger.error('Order shipped email failed:', { orderId: order._id, error })
+  }
+}
+
+/**
+ * Move an order to a new status
+ *
+ * @param {Object} order - Order document
+ * @param {String} to - Requested status
+ * @param {Object} [params]
+ * @param {String|ObjectId} [params.actor] - User making the change
+ * @param {String} [params.actorType] - customer | admin | system
+ * @param {String} [params.note] - Shown on the timeline
+ * @param {String} [params.trackingNumber] - Courier tracking number (when shipping)
+ * @param {Object} [params.shipment] - Shipment that completed the order (when shipping)
+ * @returns {Promise<Object>} { order } or { error: { status, message, code } }
+ */
+const transitionOrder = async (order, to, { actor, actorType, note, trackingNumber, shipment } = {}) => {
+  const from = order.orderStatus
+
+  if (!canTransition(from, to)) {
+    return {
+      error: {
+        status: 409,
+        message: `Order cannot move from ${from} to ${to}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        allowed: ORDER_TRANSITIONS[from] || []
+      }
+    }
+  }
+
+  // Parcels already with a courier cannot be cancelled - refund them instead
+  if (to === 'cancelled' && await Shipment.exists({ orderId: order._id })) {
+    return {
+      error: {
+        status: 409,
+        message: 'Part of this order has already shipped - refund the order instead',
+        code: 'ORDER_PARTIALLY_SHIPPED'
+      }
+    }
+  }
+
+  const now = new Date()
+  if (to === 'cancelled') {
+    await restoreOrderStock(order, { actor, actorType })
+    await releaseOrderRedemptions(order)
+    order.cancelledAt = now
+  } else if (to === 'shipped') {
+    order.shippedAt = now
+  } else if (to === 'delivered') {
+    order.deliveredAt = now
+  }
+
+  if (trackingNumber) {
+    order.trackingNumber = trackingNumber
+  }
+
+  recordStatusChange(order, { to, actor, actorType, note })
+  await order.save()
+
+  logger.info('Order status changed:', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    from,
+    to,
+    actor: actor || 'system'
+  })
+
+  if (to === 'shipped') {
+    await notifyShipped(order, { shipment })
+  }
+
+  return { order }
+}
+
+/**
+ * Customer-facing tracking timeline
+ * Orders placed before status history was kept get their creation and current
+ * status instead.
+ *
+ * @param {Object} order - Order document
+ * @returns {Array} [{ status, from, at, note, by }], oldest first
+ */
+const getOrderTimeline = (order) => {
+  if (order.statusHistory && order.statusHistory.length > 0) {
+    return order.statusHistory.map(entry => ({
+      status: entry.to,
+      from: entry.from,
+      at: entry.at,
+      note: entry.note,
+      by: entry.actorType
+    }))
+  }
+
+  const timeline = [{ status: 'pending', from: null, at: order.createdAt, by: 'customer' }]
+  if (order.orderStatus !== 'pending') {
+    timeline.push({ status: order.orderStatus, from: null, at: order.updatedAt, by: 'system' })
+  }
+  return timeline
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  canTransition,
+  recordStatusChange,
+  transitionOrder,
+  notifyShipped,
+  getOrderTimeline
+}
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose')
+const Cart = require('../models/Cart')
+const User = require('../models/User')
+const { fulfillOrderStock } = require('./inventoryService')
+const { recordStatusChange } = require('./orderStatusService')
+const { recordOrderRedemptions } = require('./promotionService')
+const { getOrCreateInvoice, getInvoiceAttachment } = require('./invoiceService')
+const { getOrderRecipient } = require('./guestOrderService')
+const { defaultCartFilter } = require('./cartService')
+const { sendOrderConfirmationEmail } = require('../utils/emailService')
+const logger = require('../utils/logger')
+
+/**
+ * PAYMENT FULFILMENT SERVICE
+ *
+ * What happens once a payment provider confirms an order is paid, whichever
+ * provider it was (services/paymentService.js):
+ * 1. in one transaction - the checkout stock hold becomes a sale, promotion
+ *    redemptions are counted, the order is marked paid and confirmed, the cart
+ *    it came from is emptied and the payment attempt is marked completed
+ * 2. after commit - the tax invoice is issued and emailed with the order
+ *    confirmation (failures are logged, the payment stands)
+ *
+ * Pay-on-delivery orders take their stock and clear the cart when they are
+ * confirmed (acceptPayOnDeliveryOrder); being paid later only marks them paid.
+ */
+
+const AMOUNT_TOLERANCE = 0.01 // Rounding allowance when comparing paid amounts
+
+/**
+ * Whether a provider-reported amount covers the order
+ * @param {Number|String} paidAmount - Amount the provider says was paid
+ * @param {Number} expectedAmount - Amount that was requested
+ * @returns {Boolean}
+ */
+const amountMatches = (paidAmount, expectedAmount) => {
+  return Math.abs(parseFloat(paidAmount || 0) - parseFloat(expectedAmount)) <= AMOUNT_TOLERANCE
+}
+
+/**
+ * Cart an order was placed from (guest or user cart)
+ * Orders from before guest checkout only know the user, whose default cart it was.
+ */
+const findOrderCart = (order, session) => {
+  const query = order.cartId ? Cart.findById(order.cartId) : Cart.findOne(defaultCartFilter(order.userId))
+  return query.session(session)
+}
+
+/**
+ * Issue the order's tax invoice and email the order confirmation with it attached
+ * An invoice failure still sends the confirmation; the invoice can be downloaded later.
+ */
+const sendPaymentConfirmation = async (order) => {
+  let attachments = []
+  try {
+    const { invoice } = await getOrCreateInvoice(order)
+    attachments = [await getInvoiceAttachment(invoice)]
+  } catch (invoiceError) {
+    logger.error('Error issuing invoice:', { orderId: order._id, error: invoiceError })
+  }
+
+  const user = order.userId ? await User.findById(order.userId) : null
+  await sendOrderConfirmationEmail(order, getOrderRecipient(order, user), { attachments })
+}
+
+/**
+ * Take an order's stock and empty its cart (inside the caller's transaction)
+ */
+const takeOrder = async (order, session) => {
+  // 1. Turn the checkout stock hold into a sale
+  await fulfillOrderStock(order, session)
+
+  // 2. Count promotion redemptions now that the order is going ahead
+  await recordOrderRedemptions(order, session)
+
+  // 3. Clear the cart the order came from
+  const cart = await findOrderCart(order, session)
+  if (cart) {
+    cart.items = []
+    cart.couponCode = undefined
+    await cart.save({ session })
+  }
+}
+
+/**
+ * Run work in a transaction, logging how it ended
+ */
+const runFulfillment = async (order, source, work, details = {}) => {
+  const session = await mongoose.startSession()
+  session.startTransaction()
+
+  try {
+    await work(session)
+
+    // Commit transaction - all or nothing
+    await session.commitTransaction()
+    logger.info(`${source} fulfillment completed (transaction committed):`, {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      ...details
+    })
+  } catch (transactionError) {
+    await session.abortTransaction()
+    logger.error(`CRITICAL: ${source} fulfillment transaction failed:`, {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      error: transactionError
+    })
+    throw transactionError
+  } finally {
+    session.endSession()
+  }
+}
+
+/**
+ * Fulfil an order whose payment has been confirmed
+ *
+ * @param {Object} order - Order document (not yet paid)
+ * @param {Object} params
+ * @param {Object} params.payment - Payment document, saved with the order
+ * @param {String} params.paymentId - Provider transaction ID (Order.paymentId)
+ * @param {String} [params.paymentReference] - Receipt or confirmation code
+ * @param {Number} params.amount - Amount paid
+ * @param {String} params.source - Where the confirmation came from, for the logs (e.g. 'Pesapal IPN')
+ */
+const fulfillPaidOrder = async (order, { payment, paymentId, paymentReference, amount, source }) => {
+  // Pay-on-delivery orders already took their stock when they were confirmed
+  const alreadyTaken = order.reservation && order.reservation.status === 'committed'
+
+  await runFulfillment(order, source, async (session) => {
+    if (!alreadyTaken) {
+      await takeOrder(order, session)
+    }
+
+    order.paymentStatus = 'paid'
+    order.paidAt = new Date()
+    if (order.orderStatus === 'pending') {
+      recordStatusChange(order, { to: 'confirmed', note: 'Payment received' })
+    }
+    order.paymentId = paymentId
+    if (paymentReference) {
+      order.paymentReference = paymentReference
+    }
+    await order.save({ session })
+    await payment.save({ session })
+  }, { amount })
+
+  // Invoice and confirmation email (outside transaction - non-critical)
+  try {
+    await sendPaymentConfirmation(order)
+  } catch (emailError) {
+    logger.error('Error sending order confirmation email:', emailError)
+  }
+}
+
+/**
+ * Confirm an order that will be paid on delivery or collection
+ * The order goes ahead unpaid; the confirmation email goes out without an invoice.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} payment - Pending Payment document, saved with the order
+ */
+const acceptPayOnDeliveryOrder = async (order, payment) => {
+  await runFulfillment(order, 'Pay on delivery', async (session) => {
+    await takeOrder(order, session)
+
+    if (order.orderStatus === 'pending') {
+      recordStatusChange(order, { to: 'confirmed', note: 'Confirmed - payment on delivery' })
+    }
+    await order.save({ session })
+    await payment.save({ session })
+  })
+
+  try {
+    const user = order.userId ? await User.findById(order.userId) : null
+    await sendOrderConfirmationEmail(order, getOrderRecipient(order, user))
+  } catch (emailError) {
+    logger.error('Error sending order confirmation email:', emailError)
+  }
+}
+
+module.exports = {
+  AMOUNT_TOLERANCE,
+  amountMatches,
+  fulfillPaidOrder,
+  acceptPayOnDeliveryOrder
+}
@@ -0,0 +1,25 @@
+/**
+ * Cash on delivery provider
+ * Nothing to call out to: the order is confirmed unpaid, and staff record the
+ * cash when the rider or pickup counter collects it
+ * (POST /api/admin/payments/:id/confirm).
+ */
+
+module.exports = {
+  label: 'Cash on delivery',
+  payOnDelivery: true,
+
+  initiate: async ({ order }) => ({
+    response: {
+      message: order.deliveryMethod === 'pickup'
+        ? 'Pay in cash when you collect your order.'
+        : 'Pay in cash when your order is delivered.'
+    }
+  }),
+
+  // Collection is recorded by staff, so the payment stands as last recorded
+  verify: async ({ payment }) => ({
+    status: payment.status,
+    providerStatus: payment.providerStatus
+  })
+}
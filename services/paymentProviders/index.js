@@ -0,0 +1,81 @@
+const pesapal = require('./pesapal')
+const mpesa = require('./mpesa')
+const cash = require('./cash')
+
+/**
+ * PAYMENT PROVIDERS
+ *
+ * Registry of the providers orders are paid through. services/paymentService.js
+ * drives them; controllers never call a provider directly.
+ *
+ * PROVIDER INTERFACE:
+ * - label: shown in logs and on the admin payment list
+ * - initiate({ order, payment, params, previous }) => { trackingId?, phoneNumber?, response } | { error }
+ *   starts the payment. response goes back to the customer (redirect URL,
+ *   message); { error } rejects the request without recording an attempt.
+ *   Throws when the provider cannot be reached.
+ * - verify({ payment }) => { status, providerStatus, amount?, providerReference?, failureReason? }
+ *   asks the provider where a payment stands. status is pending | completed |
+ *   failed | cancelled; providerStatus is the provider's own wording.
+ * - parseWebhook({ query, body, headers, type }) => { trackingId, merchantReference?, result? } | { error }
+ *   reads a notification. Without a result the payment is verified instead.
+ * - webhookResponse(outcome) => { status, body } (optional) - reply in the
+ *   format the provider expects; outcome is { error } or { outcome }
+ * - refund({ order, payment, refund, username }) => { reference } (optional) -
+ *   refunds of providers without it are paid back manually
+ * - getAmount(order) (optional) - amount to request, order.total by default
+ * - payOnDelivery (optional) - the order is confirmed unpaid and staff record
+ *   the payment when they collect it
+ */
+
+const providers = {
+  pesapal,
+  mpesa,
+  cash
+}
+
+// Provider that takes each Order.paymentMethod
+const methodProviders = {
+  pesapal: 'pesapal',
+  card: 'pesapal', // Card payments go through Pesapal's hosted page
+  mpesa: 'mpesa',
+  cash: 'cash'
+}
+
+/**
+ * Register (or replace) a payment provider
+ * @param {String} name - Stored on payments as Payment.provider
+ * @param {Object} provider - See PROVIDER INTERFACE above
+ * @param {Object} [options]
+ * @param {Array} [options.methods] - Order.paymentMethod values it should take
+ */
+const registerPaymentProvider = (name, provider, { methods = [] } = {}) => {
+  providers[name] = provider
+  for (const method of methods) {
+    methodProviders[method] = name
+  }
+}
+
+/**
+ * Provider by name
+ * @param {String} name
+ * @returns {Object|null}
+ */
+const getPaymentProvider = (name) => {
+  return providers[name] || null
+}
+
+/**
+ * Name of the provider that takes a payment method
+ * @param {String} paymentMethod - Order.paymentMethod
+ * @returns {String|null}
+ */
+const getProviderName = (paymentMethod) => {
+  return methodProviders[paymentMethod] || null
+}
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+  getProviderName
+}
@@ -0,0 +1,112 @@
+const {
+  normalizePhoneNumber,
+  getStkAmount,
+  initiateStkPush,
+  queryStkStatus,
+  parseStkCallback,
+  verifyCallbackToken
+} = require('../mpesaService')
+
+/**
+ * M-Pesa provider (Daraja STK Push)
+ * The customer approves a PIN prompt on their phone; Daraja posts the result
+ * to the callback, which carries the amount and receipt number.
+ */
+
+const ACCEPTED = { ResultCode: 0, ResultDesc: 'Accepted' }
+
+module.exports = {
+  label: 'M-Pesa',
+
+  getAmount: (order) => getStkAmount(order.total),
+
+  initiate: async ({ order, payment, params, previous }) => {
+    const phoneNumber = normalizePhoneNumber(params.phoneNumber || order.shippingAddress.phone)
+    if (!phoneNumber) {
+      return {
+        error: {
+          status: 400,
+          message: 'Enter a valid Safaricom number, e.g. 0712 345 678',
+          code: 'INVALID_PHONE_NUMBER'
+        }
+      }
+    }
+
+    // Only one prompt at a time, so the customer does not pay twice
+    if (previous && previous.trackingId) {
+      const previousStatus = await queryStkStatus(previous.trackingId).catch(() => null)
+      if (previousStatus && previousStatus.status === 'pending') {
+        return {
+          error: {
+            status: 409,
+            message: 'A payment request is already waiting on your phone. Complete or cancel it first.',
+            code: 'STK_PUSH_PENDING'
+          }
+        }
+      }
+    }
+
+    const stkResponse = await initiateStkPush({
+      phoneNumber,
+      amount: payment.amount,
+      reference: order.orderNumber,
+      description: `Order ${order.orderNumber}`
+    })
+
+    return {
+      trackingId: stkResponse.checkoutRequestId,
+      phoneNumber,
+      response: {
+        checkoutRequestId: stkResponse.checkoutRequestId,
+        message: stkResponse.customerMessage || 'Check your phone and enter your M-Pesa PIN to complete payment.'
+      }
+    }
+  },
+
+  /**
+   * The STK query has no amount or receipt, but a prompt can only be paid for
+   * the amount it asked for
+   */
+  verify: async ({ payment }) => {
+    const stkStatus = await queryStkStatus(payment.trackingId)
+    return {
+      status: stkStatus.status,
+      providerStatus: stkStatus.resultCode === null ? 'PENDING' : String(stkStatus.resultCode),
+      amount: stkStatus.status === 'completed' ? payment.amount : undefined,
+      failureReason: stkStatus.status === 'completed' ? undefined : stkStatus.resultDesc
+    }
+  },
+
+  parseWebhook: ({ query, body }) => {
+    if (!verifyCallbackToken(query.token)) {
+      return { error: { status: 403, message: 'Invalid callback token', code: 'INVALID_CALLBACK_TOKEN' } }
+    }
+
+    const callback = parseStkCallback(body)
+    if (!callback) {
+      return { error: { status: 400, message: 'Invalid callback', code: 'INVALID_CALLBACK' } }
+    }
+
+    return {
+      trackingId: callback.checkoutRequestId,
+      result: {
+        status: callback.status,
+        providerStatus: String(callback.resultCode),
+        amount: callback.amount,
+        providerReference: callback.receiptNumber,
+        failureReason: callback.status === 'completed' ? undefined : callback.resultDesc
+      }
+    }
+  },
+
+  /**
+   * Daraja does not retry callbacks - acknowledge everything that could be
+   * read, even when it is ignored
+   */
+  webhookResponse: ({ error }) => {
+    if (error && ['INVALID_CALLBACK_TOKEN', 'INVALID_CALLBACK'].includes(error.code)) {
+      return { status: error.status, body: { ResultCode: 1, ResultDesc: error.message } }
+    }
+    return { status: 200, body: ACCEPTED }
+  }
+}
@@ -0,0 +1,89 @@
+const { submitOrder, getPaymentStatus, requestRefund } = require('../pesapalService')
+
+/**
+ * Pesapal provider
+ * The customer pays on Pesapal's hosted page (M-Pesa, Airtel Money, cards).
+ * Notifications (browser callback and IPN) only carry the OrderTrackingId; the
+ * outcome is always read back from Pesapal's transaction status.
+ */
+
+// payment_status_description values; anything else is still pending
+const PAYMENT_STATUSES = {
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  INVALID: 'failed',
+  REVERSED: 'failed'
+}
+
+module.exports = {
+  label: 'Pesapal',
+
+  initiate: async ({ order }) => {
+    const paymentResponse = await submitOrder({
+      orderId: order._id.toString(),
+      amount: order.total,
+      currency: 'KES',
+      description: `Payment for order ${order.orderNumber}`,
+      customerEmail: order.shippingAddress.email,
+      customerPhone: order.shippingAddress.phone,
+      customerName: order.shippingAddress.name,
+      reference: order.orderNumber
+    })
+
+    return {
+      trackingId: paymentResponse.orderTrackingId,
+      response: {
+        redirectUrl: paymentResponse.redirectUrl,
+        orderTrackingId: paymentResponse.orderTrackingId,
+        message: 'Payment initiated successfully. Redirect to Pesapal to complete payment.'
+      }
+    }
+  },
+
+  verify: async ({ payment }) => {
+    const paymentStatus = await getPaymentStatus(payment.trackingId)
+    const providerStatus = (paymentStatus.paymentStatus || '').toUpperCase()
+
+    return {
+      status: PAYMENT_STATUSES[providerStatus] || 'pending',
+      providerStatus,
+      amount: paymentStatus.amount,
+      providerReference: paymentStatus.confirmationCode,
+      failureReason: PAYMENT_STATUSES[providerStatus] === 'failed' ? `Pesapal reported ${providerStatus}` : undefined
+    }
+  },
+
+  parseWebhook: ({ query, body }) => {
+    const { OrderTrackingId, OrderMerchantReference } = { ...query, ...body }
+    if (!OrderTrackingId) {
+      return { error: { status: 400, message: 'Missing tracking ID', code: 'MISSING_TRACKING_ID' } }
+    }
+    return { trackingId: OrderTrackingId, merchantReference: OrderMerchantReference }
+  },
+
+  /**
+   * Pesapal refunds by payment confirmation code, looked up from the
+   * transaction when the payment did not record one
+   */
+  refund: async ({ order, payment, refund, username }) => {
+    let confirmationCode = payment && payment.providerReference
+    if (!confirmationCode) {
+      const trackingId = payment ? payment.trackingId : order.paymentId
+      if (!trackingId) {
+        throw new Error('Order has no Pesapal transaction')
+      }
+      confirmationCode = (await getPaymentStatus(trackingId)).confirmationCode
+    }
+    if (!confirmationCode) {
+      throw new Error('Pesapal did not return a confirmation code for this payment')
+    }
+
+    await requestRefund({
+      confirmationCode,
+      amount: refund.amount,
+      username,
+      remarks: refund.reason
+    })
+    return { reference: confirmationCode }
+  }
+}
@@ -0,0 +1,271 @@
+const Order = require('../models/Order')
+const Payment = require('../models/Payment')
+const { getPaymentProvider, getProviderName } = require('./paymentProviders')
+const { findProviderPayment, settlePayment } = require('./paymentService')
+const { amountMatches } = require('./paymentFulfillmentService')
+const { getPaymentStatus } = require('./pesapalService')
+const { canTransition, transitionOrder } = require('./orderStatusService')
+const { roundMoney } = require('./taxService')
+const logger = require('../utils/logger')
+
+/**
+ * PAYMENT RECONCILIATION SERVICE
+ *
+ * Catches payments whose notification never arrived (the customer closed the
+ * Pesapal window, the IPN was lost):
+ * - reconcilePayment asks the provider where a stale pending attempt stands
+ *   and applies the answer through paymentService.settlePayment, exactly as a
+ *   webhook would. Attempts still pending after PAYMENT_EXPIRE_AFTER_HOURS are
+ *   given up: the attempt is cancelled, and the order waiting on it is
+ *   cancelled and its stock hold released.
+ * - buildReconciliationReport compares a day's paid Pesapal orders with what
+ *   Pesapal reports for each of them.
+ */
+
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 15
+const EXPIRE_AFTER_HOURS = parseInt(process.env.PAYMENT_EXPIRE_AFTER_HOURS) || 24
+const UNTRACKED_BATCH_SIZE = 100
+
+// Reports follow the Kenyan calendar day (EAT, no daylight saving)
+const REPORT_UTC_OFFSET_MS = 3 * 60 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Pending attempts started before this are due for a check with their provider
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+const getReconcileCutoff = (now = new Date()) => {
+  return new Date(now.getTime() - RECONCILE_AFTER_MINUTES * 60 * 1000)
+}
+
+/**
+ * Record attempts for processing orders from before payments were recorded,
+ * so they are reconciled like any other
+ * @param {Date} cutoff - Only orders last changed before this
+ * @returns {Promise<Number>} Attempts recorded
+ */
+const recordUntrackedPayments = async (cutoff) => {
+  const orders = await Order.find({
+    paymentStatus: 'processing',
+    paymentId: { $type: 'string' },
+    updatedAt: { $lte: cutoff }
+  })
+    .select('paymentId paymentMethod')
+    .sort({ updatedAt: 1 })
+    .limit(UNTRACKED_BATCH_SIZE)
+    .lean()
+
+  const tracked = new Set(await Payment.distinct('trackingId', {
+    trackingId: { $in: orders.map(order => order.paymentId) }
+  }))
+
+  let recorded = 0
+  for (const order of orders) {
+    if (tracked.has(order.paymentId)) continue
+    if (await findProviderPayment(getProviderName(order.paymentMethod), order.paymentId)) {
+      recorded++
+    }
+  }
+  return recorded
+}
+
+/**
+ * Give up on the order an expired attempt was for
+ * Orders that moved on to another attempt (or got paid) are left alone.
+ */
+const expireOrder = async (order, payment) => {
+  if (order.paymentId !== payment.trackingId || order.paymentStatus === 'paid' ||
+      !canTransition(order.orderStatus, 'cancelled')) {
+    return
+  }
+
+  const result = await transitionOrder(order, 'cancelled', {
+    actorType: 'system',
+    note: `Payment not completed within ${EXPIRE_AFTER_HOURS} hours`
+  })
+  if (result.error) {
+    logger.error('Could not cancel expired unpaid order:', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      error: result.error.message
+    })
+    return
+  }
+
+  logger.info('Expired unpaid order cancelled:', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    trackingId: payment.trackingId
+  })
+}
+
+/**
+ * Check a pending payment attempt with its provider and apply the result
+ *
+ * @param {Object} payment - Pending Payment document
+ * @param {Object} [params]
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} { order, payment, outcome, expired } or { error }
+ */
+const reconcilePayment = async (payment, { now = new Date() } = {}) => {
+  const provider = getPaymentProvider(payment.provider)
+  if (!provider || provider.payOnDelivery) {
+    return { payment, outcome: 'skipped', expired: false }
+  }
+
+  const expiresAt = new Date(payment.createdAt.getTime() + EXPIRE_AFTER_HOURS * 60 * 60 * 1000)
+  let expired = false
+
+  const settled = await settlePayment(payment, async (current) => {
+    const result = await provider.verify({ payment: current })
+    if (result.status === 'pending' && expiresAt <= now) {
+      expired = true
+      return {
+        ...result,
+        status: 'cancelled',
+        failureReason: `Not completed within ${EXPIRE_AFTER_HOURS} hours`
+      }
+    }
+    return result
+  }, { source: 'payment reconciliation' })
+
+  if (settled.error) {
+    return settled
+  }
+
+  if (expired && settled.outcome === 'failed') {
+    await expireOrder(settled.order, settled.payment)
+  }
+
+  return { ...settled, expired }
+}
+
+/**
+ * Report date (YYYY-MM-DD) a number of days before now
+ * @param {Date} [now]
+ * @param {Number} [daysAgo] - 1 for yesterday
+ * @returns {String}
+ */
+const getReportDate = (now = new Date(), daysAgo = 1) => {
+  return new Date(now.getTime() + REPORT_UTC_OFFSET_MS - daysAgo * DAY_MS).toISOString().slice(0, 10)
+}
+
+/**
+ * Hour of the day (0-23) in East Africa Time
+ * @param {Date} [now]
+ * @returns {Number}
+ */
+const getReportHour = (now = new Date()) => {
+  return new Date(now.getTime() + REPORT_UTC_OFFSET_MS).getUTCHours()
+}
+
+/**
+ * Compare a day's paid orders with what the payment providers report
+ *
+ * Pesapal is asked about every paid Pesapal order of the day. An order is
+ * listed to check when Pesapal does not report it completed for the order
+ * total, and so is any Pesapal payment completed that day that no paid order
+ * accounts for (a second payment, a payment for a cancelled order).
+ *
+ * @param {String} date - YYYY-MM-DD (East Africa Time)
+ * @returns {Promise<Object>} { date, from, to, pesapal, byProvider, pendingPayments }
+ */
+const buildReconciliationReport = async (date) => {
+  const from = new Date(new Date(`${date}T00:00:00Z`).getTime() - REPORT_UTC_OFFSET_MS)
+  const to = new Date(from.getTime() + DAY_MS)
+
+  const orders = await Order.find({
+    paidAt: { $gte: from, $lt: to },
+    paymentStatus: { $in: ['paid', 'refunded'] }
+  })
+    .select('orderNumber paymentMethod paymentId total')
+    .sort({ paidAt: 1 })
+    .lean()
+
+  const byProvider = new Map()
+  const pesapal = { orders: 0, orderTotal: 0, pesapalTotal: 0, difference: 0, discrepancies: [] }
+  const paidTrackingIds = new Set()
+
+  for (const order of orders) {
+    const providerName = getProviderName(order.paymentMethod) || order.paymentMethod
+    const provider = getPaymentProvider(providerName)
+    const line = byProvider.get(providerName) || {
+      provider: providerName,
+      label: provider ? provider.label : providerName,
+      orders: 0,
+      total: 0
+    }
+    line.orders++
+    line.total = roundMoney(line.total + order.total)
+    byProvider.set(providerName, line)
+
+    if (providerName !== 'pesapal') continue
+
+    pesapal.orders++
+    pesapal.orderTotal += order.total
+    paidTrackingIds.add(order.paymentId)
+
+    const discrepancy = { orderNumber: order.orderNumber, orderTotal: order.total, pesapalAmount: null }
+    let status
+    try {
+      status = await getPaymentStatus(order.paymentId)
+    } catch (error) {
+      pesapal.discrepancies.push({ ...discrepancy, reason: 'Pesapal status unavailable' })
+      continue
+    }
+
+    const pesapalStatus = (status.paymentStatus || '').toUpperCase()
+    const amount = parseFloat(status.amount || 0)
+    if (pesapalStatus !== 'COMPLETED') {
+      pesapal.discrepancies.push({ ...discrepancy, pesapalAmount: amount, reason: `Pesapal reports ${pesapalStatus || 'no status'}` })
+      continue
+    }
+
+    pesapal.pesapalTotal += amount
+    if (!amountMatches(amount, order.total)) {
+      pesapal.discrepancies.push({ ...discrepancy, pesapalAmount: amount, reason: 'Amount differs' })
+    }
+  }
+
+  // Money Pesapal took that no paid order accounts for
+  const unmatched = await Payment.find({
+    provider: 'pesapal',
+    status: 'completed',
+    completedAt: { $gte: from, $lt: to }
+  })
+    .select('orderNumber trackingId paidAmount')
+    .lean()
+  for (const payment of unmatched) {
+    if (paidTrackingIds.has(payment.trackingId)) continue
+    pesapal.pesapalTotal += payment.paidAmount || 0
+    pesapal.discrepancies.push({
+      orderNumber: payment.orderNumber,
+      orderTotal: 0,
+      pesapalAmount: payment.paidAmount || 0,
+      reason: 'Payment not matched to a paid order - refund required'
+    })
+  }
+
+  pesapal.orderTotal = roundMoney(pesapal.orderTotal)
+  pesapal.pesapalTotal = roundMoney(pesapal.pesapalTotal)
+  pesapal.difference = roundMoney(pesapal.pesapalTotal - pesapal.orderTotal)
+
+  return {
+    date,
+    from,
+    to,
+    pesapal,
+    byProvider: Array.from(byProvider.values()),
+    pendingPayments: await Payment.countDocuments({ status: 'pending', trackingId: { $type: 'string' } })
+  }
+}
+
+module.exports = {
+  getReconcileCutoff,
+  recordUntrackedPayments,
+  reconcilePayment,
+  getReportDate,
+  getReportHour,
+  buildReconciliationReport
+}
@@ -0,0 +1,505 @@
+const Order = require('../models/Order')
+const Payment = require('../models/Payment')
+const ProcessedEvent = require('../models/ProcessedEvent')
+const User = require('../models/User')
+const { getPaymentProvider, getProviderName } = require('./paymentProviders')
+const { amountMatches, fulfillPaidOrder, acceptPayOnDeliveryOrder } = require('./paymentFulfillmentService')
+const { acquireLock } = require('./lockService')
+const { sendPaymentAlertEmail } = require('../utils/emailService')
+const logger = require('../utils/logger')
+
+/**
+ * PAYMENT SERVICE
+ *
+ * Runs payments through the provider registered for the order's payment method
+ * (services/paymentProviders) and records every attempt as a Payment.
+ *
+ * - initiatePayment starts a new attempt; the order's paymentId points at the
+ *   latest one, so a result for an older attempt never changes the order.
+ * - A provider result (webhook, browser callback, staff confirmation) goes
+ *   through settlePayment: completed payments of the right amount fulfil the
+ *   order, anything else only updates the attempt.
+ * - IDEMPOTENCY: settlePayment holds a distributed lock on the payment while
+ *   it applies a result (services/lockService.js), and records each settled
+ *   event (tracking ID + status) as a ProcessedEvent. Concurrent and repeated
+ *   notifications of the same event wait for, then reuse, the first outcome -
+ *   stock, redemptions and the confirmation email happen exactly once.
+ * - Pay-on-delivery providers confirm the order unpaid; staff confirm the
+ *   payment when they collect it.
+ * - Money that cannot simply be kept (wrong amount, a second payment, payment
+ *   for a cancelled order) is escalated to admins by email.
+ */
+
+// Payment statuses that end an event; pending notifications change nothing and are not recorded
+const SETTLED_STATUSES = ['completed', 'failed', 'cancelled']
+
+// What admins are asked to do about each escalated outcome
+const PAYMENT_ISSUES = {
+  amount_mismatch: {
+    title: 'Payment amount mismatch',
+    action: 'The order was not fulfilled. Check the payment with the provider, then refund it or collect the difference.'
+  },
+  duplicate: {
+    title: 'Duplicate payment',
+    action: 'The order was already paid through another attempt. Refund this payment through the provider.'
+  },
+  paid_after_cancel: {
+    title: 'Payment for a cancelled order',
+    action: 'The order was cancelled before this payment completed. Refund the payment through the provider, or contact the customer.'
+  }
+}
+
+const paymentError = (status, message, code) => ({ error: { status, message, code } })
+
+/**
+ * Email admins about a payment that needs a person
+ * Failures are logged - the payment has already been recorded.
+ */
+const escalatePaymentIssue = async (outcome, { order, payment, source }) => {
+  try {
+    const admins = await User.find({ role: 'admin' }).select('email').lean()
+    if (admins.length === 0) {
+      logger.warn('No admin users to escalate payment issue to:', { outcome, orderNumber: order.orderNumber })
+      return
+    }
+    await sendPaymentAlertEmail(admins.map(admin => admin.email), {
+      ...PAYMENT_ISSUES[outcome],
+      order,
+      payment,
+      source
+    })
+  } catch (error) {
+    logger.error('Payment alert email failed:', { outcome, orderNumber: order.orderNumber, error })
+  }
+}
+
+/**
+ * Latest payment attempt of an order
+ * @param {ObjectId} orderId
+ * @returns {Promise<Object|null>}
+ */
+const getLatestPayment = (orderId) => {
+  return Payment.findOne({ orderId }).sort({ createdAt: -1 })
+}
+
+/**
+ * Whether a payment is the attempt the order is waiting on
+ */
+const isLatestAttempt = (order, payment) => {
+  return !order.paymentId || order.paymentId === (payment.trackingId || payment._id.toString())
+}
+
+/**
+ * Start a payment attempt for an order
+ *
+ * @param {Object} order - Order document (checked payable by the caller)
+ * @param {Object} params
+ * @param {Object} [params.params] - Request fields the provider may use (e.g. phoneNumber)
+ * @param {ObjectId} [params.actor] - Customer starting the payment (null for guests)
+ * @returns {Promise<Object>} { payment, provider, response } or { error }
+ */
+const initiatePayment = async (order, { params = {}, actor = null } = {}) => {
+  const providerName = getProviderName(order.paymentMethod)
+  const provider = getPaymentProvider(providerName)
+  if (!provider) {
+    return paymentError(400, `Payment method ${order.paymentMethod} is not available`, 'PAYMENT_METHOD_UNAVAILABLE')
+  }
+
+  const previous = await Payment.findOne({ orderId: order._id, provider: providerName, status: 'pending' })
+    .sort({ createdAt: -1 })
+  if (previous && provider.payOnDelivery) {
+    return paymentError(409, 'This order is already confirmed for payment on delivery', 'ALREADY_CONFIRMED')
+  }
+
+  const payment = new Payment({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    provider: providerName,
+    method: order.paymentMethod,
+    attempt: await Payment.countDocuments({ orderId: order._id }) + 1,
+    amount: provider.getAmount ? provider.getAmount(order) : order.total,
+    initiatedBy: actor
+  })
+
+  let result
+  try {
+    result = await provider.initiate({ order, payment, params, previous })
+  } catch (error) {
+    payment.status = 'failed'
+    payment.failureReason = error.response?.data?.message || error.message
+    payment.failedAt = new Date()
+    await payment.save()
+
+    logger.error('Payment initiation failed at provider:', {
+      orderNumber: order.orderNumber,
+      provider: providerName,
+      error: payment.failureReason
+    })
+    return paymentError(502, 'Payment could not be started. Please try again.', 'PAYMENT_INITIATION_FAILED')
+  }
+
+  if (result.error) {
+    return result
+  }
+
+  payment.trackingId = result.trackingId
+  payment.phoneNumber = result.phoneNumber
+  payment.status = 'pending'
+
+  if (provider.payOnDelivery) {
+    await acceptPayOnDeliveryOrder(order, payment)
+  } else {
+    order.paymentId = payment.trackingId
+    order.paymentStatus = 'processing'
+    await order.save()
+    await payment.save()
+  }
+
+  logger.info('Payment initiated:', {
+    orderNumber: order.orderNumber,
+    provider: providerName,
+    attempt: payment.attempt,
+    trackingId: payment.trackingId
+  })
+
+  return { payment, provider: providerName, response: result.response }
+}
+
+/**
+ * Apply what a provider reported about a payment attempt
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} result - { status, providerStatus, amount?, providerReference?, failureReason? }
+ * @param {Object} params
+ * @param {String} params.source - Where the result came from, for the logs (e.g. 'Pesapal IPN')
+ * @param {ObjectId} [params.confirmedBy] - Staff recording a manual payment
+ * @returns {Promise<Object>} { order, payment, outcome } - outcome is paid | already_paid |
+ *   duplicate | paid_after_cancel | amount_mismatch | failed | pending, or { error } when the order is gone
+ */
+const applyPaymentResult = async (payment, result, { source, confirmedBy } = {}) => {
+  const order = await Order.findById(payment.orderId)
+  if (!order) {
+    return paymentError(404, 'Order not found', 'ORDER_NOT_FOUND')
+  }
+
+  payment.providerStatus = result.providerStatus
+  payment.lastCheckedAt = new Date()
+  if (result.providerReference) {
+    payment.providerReference = result.providerReference
+  }
+
+  // IDEMPOTENCY CHECK: this attempt was already applied
+  if (payment.status === 'completed') {
+    await payment.save()
+    return { order, payment, outcome: 'already_paid' }
+  }
+
+  if (result.status === 'completed') {
+    payment.paidAmount = parseFloat(result.amount || 0)
+
+    // AMOUNT VERIFICATION: the amount paid must be the amount requested
+    if (!amountMatches(payment.paidAmount, payment.amount)) {
+      logger.error(`Amount mismatch in ${source}:`, {
+        paidAmount: payment.paidAmount,
+        requestedAmount: payment.amount,
+        providerReference: payment.providerReference,
+        orderId: order._id,
+        orderNumber: order.orderNumber
+      })
+      payment.status = 'failed'
+      payment.failureReason = 'Paid amount does not match the amount requested'
+      payment.failedAt = new Date()
+      await payment.save()
+
+      if (order.paymentStatus !== 'paid' && isLatestAttempt(order, payment)) {
+        order.paymentStatus = 'failed'
+        await order.save()
+      }
+      await escalatePaymentIssue('amount_mismatch', { order, payment, source })
+      return { order, payment, outcome: 'amount_mismatch' }
+    }
+
+    payment.status = 'completed'
+    payment.completedAt = new Date()
+    if (confirmedBy) {
+      payment.confirmedBy = confirmedBy
+    }
+
+    // Another attempt already paid, or the order was cancelled meanwhile - the money has to go back
+    const alreadyPaid = ['paid', 'refunded'].includes(order.paymentStatus)
+    if (alreadyPaid || order.orderStatus === 'cancelled') {
+      const outcome = alreadyPaid ? 'duplicate' : 'paid_after_cancel'
+      await payment.save()
+      logger.error(`${PAYMENT_ISSUES[outcome].title} in ${source} - refund required:`, {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        provider: payment.provider,
+        trackingId: payment.trackingId,
+        amount: payment.paidAmount
+      })
+      await escalatePaymentIssue(outcome, { order, payment, source })
+      return { order, payment, outcome }
+    }
+
+    await fulfillPaidOrder(order, {
+      payment,
+      paymentId: payment.trackingId || payment._id.toString(),
+      paymentReference: payment.providerReference,
+      amount: payment.paidAmount,
+      source
+    })
+    return { order, payment, outcome: 'paid' }
+  }
+
+  if (['failed', 'cancelled'].includes(result.status)) {
+    // Cancelled, timed out, declined - the customer can try again
+    payment.status = result.status
+    payment.failureReason = result.failureReason
+    payment.failedAt = new Date()
+    await payment.save()
+
+    if (order.paymentStatus === 'processing' && isLatestAttempt(order, payment)) {
+      order.paymentStatus = 'failed'
+      await order.save()
+    }
+    return { order, payment, outcome: 'failed' }
+  }
+
+  await payment.save()
+  return { order, payment, outcome: 'pending' }
+}
+
+/**
+ * Apply a provider result to a payment attempt, once per settled event
+ *
+ * @param {Object} payment - Payment document
+ * @param {Function} getResult - async (payment) => provider result, read once the lock is held
+ * @param {Object} params
+ * @param {String} params.source - Where the result came from, for the logs (e.g. 'Pesapal IPN')
+ * @param {ObjectId} [params.confirmedBy] - Staff recording a manual payment
+ * @returns {Promise<Object>} { order, payment, outcome, duplicate? } or { error }
+ */
+const settlePayment = async (payment, getResult, { source, confirmedBy } = {}) => {
+  const trackingId = payment.trackingId || payment._id.toString()
+  const release = await acquireLock(`payment:${payment.provider}:${trackingId}`)
+  if (!release) {
+    logger.warn(`Payment still being processed, ${source} not applied:`, { provider: payment.provider, trackingId })
+    return paymentError(409, 'This payment is already being processed. Please try again shortly.', 'PAYMENT_IN_PROGRESS')
+  }
+
+  try {
+    // Re-read under the lock - the previous holder may have changed it
+    const current = await Payment.findById(payment._id)
+    const result = await getResult(current)
+
+    const eventKey = SETTLED_STATUSES.includes(result.status)
+      ? `${current.provider}:${trackingId}:${result.status}`
+      : null
+
+    if (eventKey) {
+      const processed = await ProcessedEvent.findById(eventKey)
+      if (processed) {
+        logger.info(`Payment event already processed (idempotent check in ${source}):`, {
+          key: eventKey,
+          outcome: processed.outcome,
+          firstSource: processed.source
+        })
+        const order = await Order.findById(current.orderId)
+        return { order, payment: current, outcome: processed.outcome, duplicate: true }
+      }
+    }
+
+    const applied = await applyPaymentResult(current, result, { source, confirmedBy })
+
+    if (eventKey && !applied.error) {
+      await ProcessedEvent.create({
+        _id: eventKey,
+        provider: current.provider,
+        trackingId,
+        status: result.status,
+        outcome: applied.outcome,
+        source,
+        orderId: current.orderId,
+        paymentId: current._id
+      })
+    }
+    return applied
+  } finally {
+    await release()
+  }
+}
+
+/**
+ * Payment attempt with a provider's tracking ID
+ * Orders paid for before payments were recorded only know the tracking ID, so
+ * their attempt is recorded the first time it is looked up.
+ *
+ * @param {String} providerName - Payment provider
+ * @param {String} trackingId - Provider's transaction ID (Order.paymentId)
+ * @returns {Promise<Object|null>} Payment document
+ */
+const findProviderPayment = async (providerName, trackingId) => {
+  const payment = await Payment.findOne({ provider: providerName, trackingId })
+  if (payment) {
+    return payment
+  }
+
+  const order = await Order.findOne({ paymentId: trackingId })
+  if (!order || getProviderName(order.paymentMethod) !== providerName) {
+    return null
+  }
+
+  const provider = getPaymentProvider(providerName)
+  try {
+    return await Payment.create({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      provider: providerName,
+      method: order.paymentMethod,
+      amount: provider.getAmount ? provider.getAmount(order) : order.total,
+      status: 'pending',
+      trackingId,
+      initiatedBy: order.userId,
+      createdAt: order.updatedAt // Roughly when the attempt was started
+    })
+  } catch (error) {
+    // A concurrent notification recorded it first
+    if (error.code === 11000) {
+      return Payment.findOne({ provider: providerName, trackingId })
+    }
+    throw error
+  }
+}
+
+/**
+ * Handle a provider notification (webhook, IPN, browser callback)
+ *
+ * @param {String} providerName - Payment provider
+ * @param {Object} request - { query, body, headers, type }
+ * @returns {Promise<Object>} { order, payment, outcome } or { error }
+ */
+const handleWebhook = async (providerName, { query = {}, body = {}, headers = {}, type = 'webhook' }) => {
+  const provider = getPaymentProvider(providerName)
+  if (!provider || !provider.parseWebhook) {
+    return paymentError(404, 'Unknown payment provider', 'UNKNOWN_PROVIDER')
+  }
+
+  const parsed = provider.parseWebhook({ query, body, headers, type })
+  if (parsed.error) {
+    logger.warn(`${provider.label} ${type} rejected:`, parsed.error)
+    return parsed
+  }
+
+  logger.info(`${provider.label} ${type} received:`, {
+    trackingId: parsed.trackingId,
+    merchantReference: parsed.merchantReference
+  })
+
+  const payment = await findProviderPayment(providerName, parsed.trackingId)
+  if (!payment) {
+    logger.error(`Payment not found for ${provider.label} ${type}:`, {
+      trackingId: parsed.trackingId,
+      merchantReference: parsed.merchantReference
+    })
+    return paymentError(404, 'Order not found', 'ORDER_NOT_FOUND')
+  }
+
+  if (parsed.merchantReference && parsed.merchantReference !== payment.orderNumber) {
+    logger.error(`${provider.label} ${type} reference mismatch:`, {
+      trackingId: parsed.trackingId,
+      merchantReference: parsed.merchantReference,
+      orderNumber: payment.orderNumber
+    })
+    return paymentError(400, 'Order reference does not match the payment', 'REFERENCE_MISMATCH')
+  }
+
+  // Notifications without a result are verified with the provider
+  const applied = await settlePayment(
+    payment,
+    (current) => parsed.result || provider.verify({ payment: current }),
+    { source: `${provider.label} ${type}` }
+  )
+  if (applied.error) {
+    return applied
+  }
+
+  logger.info('Order payment status updated:', {
+    orderId: applied.order._id,
+    outcome: applied.outcome,
+    paymentStatus: applied.order.paymentStatus,
+    orderStatus: applied.order.orderStatus
+  })
+
+  if (applied.outcome === 'amount_mismatch') {
+    return { ...applied, error: { status: 400, message: 'Payment amount does not match order total', code: 'AMOUNT_MISMATCH' } }
+  }
+  return applied
+}
+
+/**
+ * Where an order's payment stands (READ-ONLY)
+ * A pending attempt is checked with its provider; the order's own state stays
+ * authoritative and is not changed.
+ *
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} { payment, providerStatus }
+ */
+const checkPayment = async (order) => {
+  const payment = await getLatestPayment(order._id)
+  let providerStatus = null
+
+  if (payment && payment.status === 'pending' && payment.trackingId) {
+    const provider = getPaymentProvider(payment.provider)
+    try {
+      providerStatus = await provider.verify({ payment })
+    } catch (error) {
+      // Do NOT fail - backend order state is still authoritative
+      logger.error(`Error checking payment status with ${provider.label}:`, error)
+    }
+  }
+
+  return { payment, providerStatus }
+}
+
+/**
+ * Record a payment collected by staff (cash on delivery)
+ *
+ * @param {Object} payment - Pending Payment document
+ * @param {Object} params
+ * @param {Object} params.actor - Admin user ({ id, email })
+ * @param {String} [params.reference] - Receipt number
+ * @param {Number} [params.amount] - Amount collected, the amount due by default
+ * @returns {Promise<Object>} { order, payment, outcome } or { error }
+ */
+const confirmManualPayment = async (payment, { actor, reference, amount }) => {
+  const provider = getPaymentProvider(payment.provider)
+  if (!provider || !provider.payOnDelivery) {
+    return paymentError(400, `${provider ? provider.label : payment.provider} payments are confirmed by the provider`, 'NOT_MANUAL_PAYMENT')
+  }
+  if (payment.status !== 'pending') {
+    return paymentError(400, `Cannot confirm a ${payment.status} payment`, 'PAYMENT_NOT_PENDING')
+  }
+
+  // A wrong amount is a typo to correct, not a failed payment
+  const collected = amount === undefined ? payment.amount : amount
+  if (!amountMatches(collected, payment.amount)) {
+    return paymentError(400, `Amount collected must be KES ${payment.amount.toLocaleString()}`, 'AMOUNT_MISMATCH')
+  }
+
+  return settlePayment(payment, async () => ({
+    status: 'completed',
+    providerStatus: 'COLLECTED',
+    amount: collected,
+    providerReference: reference
+  }), { source: 'manual confirmation', confirmedBy: actor.id })
+}
+
+module.exports = {
+  getLatestPayment,
+  findProviderPayment,
+  initiatePayment,
+  settlePayment,
+  handleWebhook,
+  checkPayment,
+  confirmManualPayment
+}
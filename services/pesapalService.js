@@ -1,27 +1,38 @@
 const axios = require('axios')
 const crypto = require('crypto')
+const Setting = require('../models/Setting')
 const logger = require('../utils/logger')
 
 /**
  * Pesapal Service
  * Handles all Pesapal API interactions
+ *
+ * IPN: Pesapal only sends payment notifications to a URL registered with its
+ * RegisterIPN endpoint, and every order must carry the ipn_id it returned as
+ * notification_id. The registration is stored in settings ("pesapal_ipn") and
+ * made on first use - or again whenever the IPN URL changes.
  */
 
-const PESAPAL_BASE_URL = process.env.PESAPAL_ENVIRONMENT === 'production'
+// PESAPAL_BASE_URL points at another server (e.g. scripts/mockPesapalServer.js)
+const PESAPAL_BASE_URL = process.env.PESAPAL_BASE_URL || (process.env.PESAPAL_ENVIRONMENT === 'production'
   ? 'https://pay.pesapal.com/v3'
-  : 'https://cybqa.pesapal.com/pesapalv3'
+  : 'https://cybqa.pesapal.com/pesapalv3')
 
 const CONSUMER_KEY = process.env.PESAPAL_CONSUMER_KEY
 const CONSUMER_SECRET = process.env.PESAPAL_CONSUMER_SECRET
 // Construct callback URL from BACKEND_URL if PESAPAL_CALLBACK_URL not set
 const CALLBACK_URL = process.env.PESAPAL_CALLBACK_URL || (process.env.BACKEND_URL ? `${process.env.BACKEND_URL}/api/payments/pesapal/callback` : null)
 
+const IPN_URL = process.env.PESAPAL_IPN_URL || (process.env.BACKEND_URL ? `${process.env.BACKEND_URL}/api/payments/pesapal/ipn` : null)
+const IPN_SETTING_KEY = 'pesapal_ipn'
+
 if (!CALLBACK_URL) {
   throw new Error('PESAPAL_CALLBACK_URL or BACKEND_URL must be set')
 }
 
 let accessToken = null
 let tokenExpiry = null
+let pendingRegistration = null // Registration in progress, shared by concurrent orders
 
 /**
  * Get Pesapal access token
@@ -61,6 +72,138 @@ const getAccessToken = async () => {
   }
 }
 
+/**
+ * Register a URL for Pesapal to send IPNs to
+ * @param {Object} [options]
+ * @param {String} [options.url] - Defaults to this API's IPN route
+ * @param {String} [options.notificationType] - GET or POST
+ * @returns {Object} { ipnId, url, notificationType, createdAt }
+ */
+const registerIPN = async ({ url = IPN_URL, notificationType = 'POST' } = {}) => {
+  try {
+    const token = await getAccessToken()
+
+    const response = await axios.post(
+      `${PESAPAL_BASE_URL}/api/URLSetup/RegisterIPN`,
+      {
+        url,
+        ipn_notification_type: notificationType
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        }
+      }
+    )
+
+    if (response.data && response.data.ipn_id) {
+      return {
+        ipnId: response.data.ipn_id,
+        url: response.data.url,
+        notificationType,
+        createdAt: response.data.created_date
+      }
+    }
+
+    throw new Error(response.data?.error?.message || 'Failed to register IPN URL')
+  } catch (error) {
+    logger.error('Pesapal registerIPN error:', error.response?.data || error.message)
+    throw error
+  }
+}
+
+/**
+ * IPN URLs registered with this Pesapal account
+ * @returns {Array} [{ ipnId, url, notificationType, status, createdAt }]
+ */
+const getRegisteredIPNs = async () => {
+  try {
+    const token = await getAccessToken()
+
+    const response = await axios.get(
+      `${PESAPAL_BASE_URL}/api/URLSetup/GetIpnList`,
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'application/json'
+        }
+      }
+    )
+
+    if (Array.isArray(response.data)) {
+      return response.data.map(ipn => ({
+        ipnId: ipn.ipn_id,
+        url: ipn.url,
+        notificationType: ipn.ipn_notification_type_description,
+        status: ipn.ipn_status_description,
+        createdAt: ipn.created_date
+      }))
+    }
+
+    throw new Error(response.data?.error?.message || 'Failed to list IPN URLs')
+  } catch (error) {
+    logger.error('Pesapal getRegisteredIPNs error:', error.response?.data || error.message)
+    throw error
+  }
+}
+
+/**
+ * Stored IPN registration, if it is for the current IPN URL
+ * Read on every order (not cached), so a re-registration made through any
+ * server instance is used by all of them straight away.
+ *
+ * @returns {Object|null} { ipnId, url, notificationType, registeredAt }
+ */
+const getIPNRegistration = async () => {
+  const setting = await Setting.findById(IPN_SETTING_KEY).lean()
+  const registration = setting ? setting.value : null
+  return registration && registration.url === IPN_URL ? registration : null
+}
+
+const saveIPNRegistration = async ({ ipnId, url, notificationType }) => {
+  const value = { ipnId, url, notificationType, registeredAt: new Date() }
+  await Setting.findByIdAndUpdate(IPN_SETTING_KEY, { value }, { upsert: true })
+
+  logger.info('Pesapal IPN registration saved:', { ipnId, url })
+  return value
+}
+
+/**
+ * IPN registration to send orders with, registering the IPN URL if needed
+ * An active registration of the same URL (e.g. made from the Pesapal
+ * dashboard) is reused rather than registering it again.
+ *
+ * @param {Object} [options]
+ * @param {Boolean} [options.force] - Register again even if one is stored
+ * @returns {Object} { ipnId, url, notificationType, registeredAt }
+ */
+const ensureIPNRegistration = async ({ force = false } = {}) => {
+  if (!force) {
+    const stored = await getIPNRegistration()
+    if (stored) {
+      return stored
+    }
+  }
+
+  if (!IPN_URL) {
+    throw new Error('PESAPAL_IPN_URL or BACKEND_URL must be set to register the Pesapal IPN URL')
+  }
+
+  if (!pendingRegistration) {
+    pendingRegistration = (async () => {
+      const existing = force
+        ? null
+        : (await getRegisteredIPNs()).find(ipn => ipn.url === IPN_URL && ipn.status !== 'Inactive')
+      return saveIPNRegistration(existing || await registerIPN({ url: IPN_URL }))
+    })().finally(() => {
+      pendingRegistration = null
+    })
+  }
+  return pendingRegistration
+}
+
 /**
  * Submit payment order to Pesapal
  * @param {Object} orderData - Order data
@@ -69,6 +212,7 @@ const getAccessToken = async () => {
 const submitOrder = async (orderData) => {
   try {
     const token = await getAccessToken()
+    const { ipnId } = await ensureIPNRegistration()
 
     const {
       orderId,
@@ -88,7 +232,7 @@ const submitOrder = async (orderData) => {
       description: description,
       callback_url: CALLBACK_URL,
       redirect_mode: 'PARENT_WINDOW',
-      notification_id: reference || orderId,
+      notification_id: ipnId,
       billing_address: {
         email_address: customerEmail,
         phone_number: customerPhone,
@@ -160,7 +304,8 @@ const getPaymentStatus = async (orderTrackingId) => {
         amount: response.data.amount,
         currency: response.data.currency_code,
         merchantReference: response.data.merchant_reference,
-        orderTrackingId: response.data.order_tracking_id
+        orderTrackingId: response.data.order_tracking_id,
+        confirmationCode: response.data.confirmation_code
       }
     }
 
@@ -199,7 +344,8 @@ const verifyIPN = async (orderTrackingId, orderMerchantReference) => {
         amount: response.data.amount,
         currency: response.data.currency_code,
         merchantReference: response.data.merchant_reference,
-        orderTrackingId: response.data.order_tracking_id
+        orderTrackingId: response.data.order_tracking_id,
+        confirmationCode: response.data.confirmation_code
       }
     }
 
@@ -210,10 +356,62 @@ const verifyIPN = async (orderTrackingId, orderMerchantReference) => {
   }
 }
 
+/**
+ * Request a refund of a completed payment
+ * Pesapal reviews the request and pays the customer back on the original
+ * payment method; a 200 status means the request was accepted.
+ *
+ * @param {Object} refundData
+ * @param {String} refundData.confirmationCode - Payment confirmation code (from getPaymentStatus)
+ * @param {Number} refundData.amount - Amount to refund
+ * @param {String} refundData.username - Who requested the refund
+ * @param {String} refundData.remarks - Reason
+ * @returns {Object} { success, message }
+ */
+const requestRefund = async ({ confirmationCode, amount, username, remarks }) => {
+  try {
+    const token = await getAccessToken()
+
+    const response = await axios.post(
+      `${PESAPAL_BASE_URL}/api/Transactions/RefundRequest`,
+      {
+        confirmation_code: confirmationCode,
+        amount: String(amount),
+        username,
+        remarks
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        }
+      }
+    )
+
+    if (response.data && String(response.data.status) === '200') {
+      return {
+        success: true,
+        message: response.data.message
+      }
+    }
+
+    throw new Error(response.data?.message || 'Pesapal refused the refund request')
+  } catch (error) {
+    logger.error('Pesapal requestRefund error:', error.response?.data || error.message)
+    throw error
+  }
+}
+
 module.exports = {
   submitOrder,
   getPaymentStatus,
   verifyIPN,
+  requestRefund,
+  registerIPN,
+  getRegisteredIPNs,
+  getIPNRegistration,
+  ensureIPNRegistration,
   getAccessToken
 }
 
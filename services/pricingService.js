@@ -0,0 +1,164 @@
+const { resolvePurchasable } = require('./inventoryService')
+const { calculateShipping } = require('./shippingService')
+const { calculateTax, roundMoney } = require('./taxService')
+const { applyPromotions } = require('./promotionService')
+
+/**
+ * PRICING SERVICE
+ *
+ * The one pipeline that turns cart lines into money: catalogue price per line,
+ * promotions, shipping, then VAT on the discounted amounts. The cart preview and
+ * order creation both call priceCartItems, so the totals a customer sees in the
+ * cart are the totals stored on the order (and later printed on the invoice).
+ */
+
+/**
+ * Product details copied onto an order line
+ * Orders keep these so they still render after the product is edited or deleted.
+ *
+ * @param {Object} product - Product document
+ * @param {Object|null} variant - Selected variant
+ * @returns {Object} { slug, image, category, specifications, variantOptions, shippingClass }
+ */
+const snapshotProduct = (product, variant) => {
+  const plainProduct = typeof product.toObject === 'function' ? product.toObject() : product
+  const specifications = Object.fromEntries(
+    Object.entries(plainProduct.specifications || {}).filter(([, value]) => typeof value === 'string' && value)
+  )
+  const variantImages = variant && variant.images && variant.images.length > 0 ? variant.images : null
+
+  return {
+    slug: product.slug,
+    image: (variantImages || product.images || [])[0],
+    category: product.category,
+    specifications,
+    variantOptions: variant && variant.options instanceof Map ? Object.fromEntries(variant.options) : (variant ? variant.options : undefined),
+    shippingClass: product.shippingClass
+  }
+}
+
+/**
+ * Price cart lines
+ *
+ * @param {Object} params
+ * @param {Array} params.items - Cart items with productId populated
+ * @param {Object} [params.shippingAddress] - Needed for home-delivery shipping; without it
+ *   shipping is left out of the totals (shippingQuote is null)
+ * @param {String} [params.deliveryMethod='home'] - home | pickup
+ * @param {String} [params.couponCode] - Coupon code saved on the cart
+ * @param {String|ObjectId} [params.userId] - Customer (per-user promotion limits)
+ * @returns {Promise<Object>} Pricing ({ lines, items, subtotal, discounts, discountTotal, couponError,
+ *   shipping, shippingQuote, tax, taxBreakdown, pricesIncludeTax, total })
+ *   or { error: { status, message, code } }
+ */
+const priceCartItems = async ({ items, shippingAddress, deliveryMethod = 'home', couponCode, userId }) => {
+  const lines = []
+
+  for (const cartItem of items) {
+    const product = cartItem.productId
+
+    if (!product || !product.active) {
+      return {
+        error: {
+          status: 400,
+          message: `Product ${product?.name || 'Unknown'} is no longer available`,
+          code: 'PRODUCT_UNAVAILABLE'
+        }
+      }
+    }
+
+    // Resolve the selected variant (if any) - price, stock and SKU come from it
+    const purchasable = resolvePurchasable(product, cartItem.variantId)
+    if (purchasable.error) {
+      return {
+        error: {
+          status: 400,
+          message: `${product.name}: ${purchasable.error.message}`,
+          code: 'PRODUCT_UNAVAILABLE'
+        }
+      }
+    }
+
+    // ✅ Backend-authoritative pricing
+    lines.push({
+      cartItem,
+      product,
+      purchasable,
+      quantity: cartItem.quantity,
+      price: purchasable.price,
+      total: roundMoney(purchasable.price * cartItem.quantity)
+    })
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.total, 0))
+
+  const promotions = await applyPromotions({ lines, subtotal, couponCode, userId })
+
+  let shippingQuote = null
+  if (deliveryMethod === 'pickup' || shippingAddress) {
+    shippingQuote = await calculateShipping({
+      lines: lines.map(line => ({ product: line.product, quantity: line.quantity, price: line.price })),
+      address: shippingAddress || {},
+      deliveryMethod
+    })
+    if (shippingQuote.error) {
+      return { error: shippingQuote.error }
+    }
+  }
+  const shipping = shippingQuote ? shippingQuote.amount : 0
+
+  // Free-shipping promotions waive whatever the shipping engine charged
+  const discounts = promotions.discounts.map(discount => (
+    discount.discountType === 'free_shipping' ? { ...discount, amount: shipping } : discount
+  ))
+  const shippingDiscount = promotions.freeShipping ? shipping : 0
+  const discountTotal = roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0))
+
+  const taxes = await calculateTax({
+    lines: lines.map((line, index) => ({
+      amount: roundMoney(line.total - promotions.lineDiscounts[index]),
+      taxClass: line.product.taxClass
+    })),
+    shipping: roundMoney(shipping - shippingDiscount)
+  })
+
+  const orderItems = lines.map((line, index) => ({
+    productId: line.product._id,
+    name: line.product.name,
+    variantId: line.purchasable.variant ? line.purchasable.variant._id : null,
+    variantName: line.purchasable.variant ? line.purchasable.variant.name : undefined,
+    sku: line.purchasable.sku,
+    ...snapshotProduct(line.product, line.purchasable.variant),
+    bundleComponents: line.purchasable.components,
+    quantity: line.quantity,
+    price: line.price,
+    total: line.total,
+    discount: promotions.lineDiscounts[index],
+    taxClass: taxes.lines[index].taxClass,
+    taxRate: taxes.lines[index].taxRate,
+    taxAmount: taxes.lines[index].tax
+  }))
+
+  return {
+    lines,
+    items: orderItems,
+    subtotal,
+    discounts,
+    discountTotal,
+    couponCode: couponCode || undefined,
+    couponError: promotions.couponError,
+    shipping,
+    shippingQuote,
+    tax: taxes.tax,
+    taxBreakdown: taxes.breakdown,
+    pricesIncludeTax: taxes.pricesIncludeTax,
+    // Inclusive prices: subtotal + shipping - discounts already contain the VAT.
+    // Exclusive: VAT is added on top of the discounted amounts.
+    total: taxes.gross
+  }
+}
+
+module.exports = {
+  snapshotProduct,
+  priceCartItems
+}
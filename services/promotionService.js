@@ -0,0 +1,298 @@
+const Promotion = require('../models/Promotion')
+const PromotionRedemption = require('../models/PromotionRedemption')
+const { roundMoney } = require('./taxService')
+const logger = require('../utils/logger')
+
+/**
+ * PROMOTION SERVICE
+ *
+ * Works out which promotions apply to a set of priced lines and how much each
+ * one takes off. Called from the pricing pipeline, so cart preview and order
+ * creation always agree.
+ *
+ * RULES:
+ * - Every qualifying automatic promotion applies, oldest first
+ * - At most one coupon code per cart, applied after the automatic promotions
+ * - Each discount is taken from what is left of the eligible lines after the
+ *   previous ones, so stacked promotions never discount a line below zero
+ * - Line discounts are spread over eligible lines in proportion to their totals,
+ *   which keeps VAT correct per line
+ * - free_shipping waives the shipping fee (the amount is known once shipping is quoted)
+ */
+
+/**
+ * Query for promotions running at a given time
+ * @param {Date} now
+ * @returns {Object} MongoDB filter
+ */
+const runningFilter = (now) => ({
+  active: true,
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+    { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+  ]
+})
+
+const normalizeCode = (code) => (code || '').trim().toUpperCase()
+
+/**
+ * Whether a line falls inside a promotion's scope
+ * @param {Object} promotion - Promotion
+ * @param {Object} line - Priced line ({ product, total })
+ * @returns {Boolean}
+ */
+const isLineInScope = (promotion, line) => {
+  const { appliesTo = 'order', categories = [], productIds = [] } = promotion.scope || {}
+
+  if (appliesTo === 'categories') {
+    return categories.includes(line.product.category)
+  }
+  if (appliesTo === 'products') {
+    return productIds.some(productId => String(productId) === String(line.product._id))
+  }
+  return true
+}
+
+/**
+ * Check a promotion's conditions against the cart
+ *
+ * @param {Object} promotion - Promotion
+ * @param {Object} context - { lines, subtotal, userId, now }
+ * @returns {Promise<Object>} { eligible: true } or { eligible: false, code, message }
+ */
+const checkEligibility = async (promotion, { lines, subtotal, userId, now = new Date() }) => {
+  const reject = (code, message) => ({ eligible: false, code, message })
+
+  if (!promotion.active) {
+    return reject('COUPON_INACTIVE', 'This code is no longer active')
+  }
+  if (promotion.startsAt && promotion.startsAt > now) {
+    return reject('COUPON_NOT_STARTED', 'This code is not valid yet')
+  }
+  if (promotion.endsAt && promotion.endsAt <= now) {
+    return reject('COUPON_EXPIRED', 'This code has expired')
+  }
+  if (promotion.usageLimit !== null && promotion.usageLimit !== undefined &&
+    promotion.redemptionCount >= promotion.usageLimit) {
+    return reject('COUPON_USAGE_LIMIT_REACHED', 'This code has been fully redeemed')
+  }
+
+  const conditions = promotion.conditions || {}
+  if (conditions.minSubtotal && subtotal < conditions.minSubtotal) {
+    return reject(
+      'COUPON_MIN_SPEND_NOT_MET',
+      `Spend at least KES ${conditions.minSubtotal.toLocaleString()} to use this code`
+    )
+  }
+
+  const requiredCategories = conditions.requiredCategories || []
+  const missingCategory = requiredCategories.find(
+    category => !lines.some(line => line.product.category === category)
+  )
+  if (missingCategory) {
+    return reject('COUPON_CONDITIONS_NOT_MET', `Add a product from ${missingCategory} to use this code`)
+  }
+
+  const requiredProductIds = conditions.requiredProductIds || []
+  const missingProduct = requiredProductIds.some(
+    productId => !lines.some(line => String(line.product._id) === String(productId))
+  )
+  if (missingProduct) {
+    return reject('COUPON_CONDITIONS_NOT_MET', 'Your cart does not contain the products this code requires')
+  }
+
+  if (promotion.discountType !== 'free_shipping' && !lines.some(line => isLineInScope(promotion, line))) {
+    return reject('COUPON_NOT_APPLICABLE', 'This code does not apply to any item in your cart')
+  }
+
+  if (promotion.usageLimitPerUser) {
+    if (!userId) {
+      return reject('COUPON_LOGIN_REQUIRED', 'Please sign in to use this code')
+    }
+    const used = await PromotionRedemption.countDocuments({ promotionId: promotion._id, userId })
+    if (used >= promotion.usageLimitPerUser) {
+      return reject('COUPON_USER_LIMIT_REACHED', 'You have already used this code')
+    }
+  }
+
+  return { eligible: true }
+}
+
+/**
+ * Take a line-level discount from the remaining line amounts
+ *
+ * @param {Object} promotion - percentage or fixed_amount promotion
+ * @param {Array} lines - Priced lines ({ product, total })
+ * @param {Array<Number>} lineDiscounts - Discount already taken per line (updated in place)
+ * @returns {Number} Amount taken
+ */
+const allocateLineDiscount = (promotion, lines, lineDiscounts) => {
+  const eligible = lines
+    .map((line, index) => ({ index, remaining: roundMoney(line.total - lineDiscounts[index]) }))
+    .filter(({ index, remaining }) => remaining > 0 && isLineInScope(promotion, lines[index]))
+
+  const eligibleTotal = roundMoney(eligible.reduce((sum, { remaining }) => sum + remaining, 0))
+  if (eligibleTotal <= 0) return 0
+
+  let amount = promotion.discountType === 'percentage'
+    ? eligibleTotal * promotion.value / 100
+    : promotion.value
+  if (promotion.maxDiscount !== null && promotion.maxDiscount !== undefined) {
+    amount = Math.min(amount, promotion.maxDiscount)
+  }
+  amount = roundMoney(Math.min(amount, eligibleTotal))
+
+  // Spread proportionally; the last line takes the rounding remainder
+  let allocated = 0
+  eligible.forEach(({ index, remaining }, position) => {
+    const share = position === eligible.length - 1
+      ? roundMoney(amount - allocated)
+      : roundMoney(amount * remaining / eligibleTotal)
+    lineDiscounts[index] = roundMoney(lineDiscounts[index] + share)
+    allocated = roundMoney(allocated + share)
+  })
+
+  return amount
+}
+
+/**
+ * Work out the promotions that apply to priced lines
+ *
+ * @param {Object} params
+ * @param {Array} params.lines - Priced lines ({ product, quantity, total })
+ * @param {Number} params.subtotal - Sum of line totals before discounts
+ * @param {String} [params.couponCode] - Coupon code saved on the cart
+ * @param {String|ObjectId} [params.userId] - Customer (for per-user limits)
+ * @returns {Promise<Object>} {
+ *   discounts: [{ promotionId, code, name, discountType, amount }] (free_shipping amount is 0 until shipping is known),
+ *   lineDiscounts: [Number] per line,
+ *   freeShipping: Boolean,
+ *   couponError: { code, message } | null
+ * }
+ */
+const applyPromotions = async ({ lines, subtotal, couponCode, userId }) => {
+  const now = new Date()
+  const lineDiscounts = lines.map(() => 0)
+  const discounts = []
+  let freeShipping = false
+  let couponError = null
+
+  const automatic = await Promotion.find({
+    ...runningFilter(now),
+    code: { $in: [null, ''] }
+  }).sort({ createdAt: 1 })
+
+  const candidates = automatic.map(promotion => ({ promotion, isCoupon: false }))
+
+  const code = normalizeCode(couponCode)
+  if (code) {
+    const coupon = await Promotion.findOne({ code })
+    if (!coupon) {
+      couponError = { code: 'COUPON_NOT_FOUND', message: 'This code is not valid' }
+    } else {
+      candidates.push({ promotion: coupon, isCoupon: true })
+    }
+  }
+
+  for (const { promotion, isCoupon } of candidates) {
+    const eligibility = await checkEligibility(promotion, { lines, subtotal, userId, now })
+    if (!eligibility.eligible) {
+      if (isCoupon) {
+        couponError = { code: eligibility.code, message: eligibility.message }
+      }
+      continue
+    }
+
+    let amount = 0
+    if (promotion.discountType === 'free_shipping') {
+      freeShipping = true
+    } else {
+      amount = allocateLineDiscount(promotion, lines, lineDiscounts)
+      if (amount <= 0 && !isCoupon) continue
+    }
+
+    discounts.push({
+      promotionId: promotion._id,
+      code: promotion.code || undefined,
+      name: promotion.name,
+      discountType: promotion.discountType,
+      amount
+    })
+  }
+
+  return { discounts, lineDiscounts, freeShipping, couponError }
+}
+
+/**
+ * Record the promotions used on a paid order
+ * Idempotent per promotion and order, so a repeated payment notification does
+ * not count the same order twice.
+ *
+ * @param {Object} order - Paid order
+ * @param {ClientSession} [session] - MongoDB session (payment fulfilment transaction)
+ */
+const recordOrderRedemptions = async (order, session) => {
+  for (const discount of order.discounts || []) {
+    if (!discount.promotionId) continue
+
+    const result = await PromotionRedemption.updateOne(
+      { promotionId: discount.promotionId, orderId: order._id },
+      {
+        $setOnInsert: {
+          code: discount.code,
+          userId: order.userId,
+          discountAmount: discount.amount
+        }
+      },
+      { upsert: true, session }
+    )
+
+    if (result.upsertedCount === 1) {
+      await Promotion.updateOne(
+        { _id: discount.promotionId },
+        { $inc: { redemptionCount: 1 } },
+        { session }
+      )
+      logger.info('Promotion redeemed:', {
+        promotionId: discount.promotionId,
+        code: discount.code,
+        orderId: order._id,
+        amount: discount.amount
+      })
+    }
+  }
+}
+
+/**
+ * Give back the promotions used on a cancelled order
+ * The redemptions are removed, so the order no longer counts towards usage or
+ * per-customer limits.
+ *
+ * @param {Object} order - Cancelled order
+ */
+const releaseOrderRedemptions = async (order) => {
+  const redemptions = await PromotionRedemption.find({ orderId: order._id }).select('promotionId code')
+
+  for (const redemption of redemptions) {
+    const result = await PromotionRedemption.deleteOne({ _id: redemption._id })
+    if (result.deletedCount !== 1) continue
+
+    await Promotion.updateOne(
+      { _id: redemption.promotionId, redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } }
+    )
+    logger.info('Promotion redemption released:', {
+      promotionId: redemption.promotionId,
+      code: redemption.code,
+      orderId: order._id
+    })
+  }
+}
+
+module.exports = {
+  normalizeCode,
+  checkEligibility,
+  applyPromotions,
+  recordOrderRedemptions,
+  releaseOrderRedemptions
+}
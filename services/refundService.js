@@ -0,0 +1,334 @@
+const Order = require('../models/Order')
+const Payment = require('../models/Payment')
+const Refund = require('../models/Refund')
+const User = require('../models/User')
+const { adjustStock, toStockLines } = require('./inventoryService')
+const { findCurrentInvoice, renderCreditNotePdf } = require('./invoiceService')
+const { getPaymentProvider, getProviderName } = require('./paymentProviders')
+const { getOrderRecipient } = require('./guestOrderService')
+const { nextNumber } = require('./sequenceService')
+const { roundMoney } = require('./taxService')
+const { sendRefundEmail } = require('../utils/emailService')
+const logger = require('../utils/logger')
+
+/**
+ * REFUND SERVICE
+ *
+ * Full and partial refunds of paid orders. A refund is priced from the order's
+ * line snapshots (net of promotion discounts), or given as an amount. The
+ * amount is reserved on Order.refundedTotal before the provider is called, so
+ * concurrent refunds can never exceed what was paid; a provider failure gives
+ * the reservation back.
+ *
+ * Completed refunds get a credit note number (credit_note sequence), optionally
+ * put the refunded items back into stock, and the customer is emailed the
+ * credit note. Once the whole order total is refunded, paymentStatus becomes
+ * 'refunded'.
+ *
+ * PROVIDERS: refunds are paid back through the payment provider that took the
+ * payment (services/paymentProviders). Providers without refunds (cash on
+ * delivery) use the manual provider - support pays the customer back outside
+ * the system and the refund is recorded as completed.
+ */
+
+const AMOUNT_TOLERANCE = 0.005
+
+const manualRefunds = {
+  refund: async () => ({ reference: null })
+}
+
+/**
+ * Provider name used to refund a payment
+ * @param {Object} order - Order document
+ * @param {Object} [payment] - Completed Payment of the order
+ * @returns {String} Payment provider name, or 'manual'
+ */
+const getRefundProviderName = (order, payment) => {
+  const providerName = payment ? payment.provider : getProviderName(order.paymentMethod)
+  const provider = getPaymentProvider(providerName)
+  return provider && provider.refund ? providerName : 'manual'
+}
+
+const refundError = (status, message, code) => ({ error: { status, message, code } })
+
+/**
+ * Units already refunded per order line (pending and completed refunds)
+ * @param {Array} refunds - Refunds of the order
+ * @returns {Map} orderItemId -> quantity
+ */
+const getRefundedQuantities = (refunds) => {
+  const quantities = new Map()
+  refunds.forEach(refund => {
+    refund.items.forEach(item => {
+      const key = String(item.orderItemId)
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity)
+    })
+  })
+  return quantities
+}
+
+/**
+ * Price refund lines from the order's line snapshots
+ * Each unit is worth the line total less its promotion discount; the last
+ * units of a line take whatever rounding left over.
+ *
+ * @param {Object} order - Order document
+ * @param {Array} requested - [{ itemId, quantity }]
+ * @param {Map} refundedQuantities - From getRefundedQuantities
+ * @returns {Object} { lines, amount, tax } or { error }
+ */
+const buildRefundLines = (order, requested, refundedQuantities) => {
+  const lines = []
+  for (const { itemId, quantity } of requested) {
+    const item = order.items.id(itemId)
+    if (!item) {
+      return refundError(400, `Order line ${itemId} not found`, 'INVALID_REFUND_ITEM')
+    }
+
+    const alreadyRefunded = refundedQuantities.get(String(item._id)) || 0
+    const remaining = item.quantity - alreadyRefunded
+    if (quantity > remaining) {
+      return refundError(
+        400,
+        `Only ${remaining} of ${item.name} can still be refunded`,
+        'REFUND_QUANTITY_EXCEEDED'
+      )
+    }
+
+    const lineNet = item.total - (item.discount || 0)
+    const unitNet = lineNet / item.quantity
+    const unitTax = (item.taxAmount || 0) / item.quantity
+    const isLast = quantity === remaining
+    const net = isLast ? lineNet - unitNet * alreadyRefunded : unitNet * quantity
+    const tax = roundMoney(isLast ? item.taxAmount - unitTax * alreadyRefunded : unitTax * quantity)
+
+    lines.push({
+      orderItemId: item._id,
+      productId: item.productId,
+      variantId: item.variantId,
+      name: item.variantName ? `${item.name} - ${item.variantName}` : item.name,
+      sku: item.sku,
+      quantity,
+      // Exclusive prices: the customer paid the VAT on top of the line
+      amount: roundMoney(order.pricesIncludeTax === false ? net + tax : net),
+      tax,
+      bundleComponents: item.bundleComponents && item.bundleComponents.length ? item.bundleComponents : undefined
+    })
+  }
+
+  return {
+    lines,
+    amount: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)),
+    tax: roundMoney(lines.reduce((sum, line) => sum + line.tax, 0))
+  }
+}
+
+/**
+ * Put refunded items back into stock at the order's fulfilment location
+ * @param {Object} order - Order document
+ * @param {Object} refund - Refund document with items
+ * @param {String|ObjectId} actor - Admin
+ */
+const restockRefund = async (order, refund, actor) => {
+  for (const line of toStockLines(refund.items)) {
+    await adjustStock({
+      productId: line.productId,
+      variantId: line.variantId,
+      quantity: line.quantity,
+      reason: 'refund_restock',
+      actor,
+      actorType: 'admin',
+      orderId: order._id,
+      locationId: order.fulfillmentLocationId,
+      note: refund.creditNoteNumber
+    })
+  }
+}
+
+/**
+ * Email the customer their credit note (failures are logged)
+ * @param {Object} order - Order document
+ * @param {Object} refund - Completed Refund document
+ * @param {Object} [invoice] - Invoice credited
+ */
+const notifyRefund = async (order, refund, invoice) => {
+  try {
+    const user = order.userId ? await User.findById(order.userId).select('firstName email') : null
+    const pdf = await renderCreditNotePdf(refund, { order, invoice })
+    await sendRefundEmail(order, getOrderRecipient(order, user), refund, {
+      attachments: [{ filename: `${refund.creditNoteNumber}.pdf`, content: pdf }]
+    })
+  } catch (error) {
+    logger.error('Refund email failed:', { refundId: refund._id, error })
+  }
+}
+
+/**
+ * Refund a paid order
+ *
+ * @param {Object} order - Order document
+ * @param {Object} params
+ * @param {Boolean} [params.full] - Refund everything not refunded yet (lines and shipping)
+ * @param {Array} [params.items] - [{ itemId, quantity }] lines to refund
+ * @param {Number} [params.amount] - Amount to refund (overrides the lines' value, e.g. less a restocking fee)
+ * @param {String} params.reason - Printed on the credit note
+ * @param {String} [params.note] - Internal note
+ * @param {Boolean} [params.restock] - Put the refunded items back into stock
+ * @param {Object} params.actor - Admin user ({ id, email })
+ * @returns {Promise<Object>} { refund } or { error: { status, message, code } }
+ */
+const createRefund = async (order, { full, items = [], amount, reason, note, restock = false, actor }) => {
+  if (order.paymentStatus !== 'paid') {
+    return refundError(400, 'Only paid orders can be refunded', 'ORDER_NOT_PAID')
+  }
+
+  const existing = await Refund.find({ orderId: order._id, status: { $in: ['pending', 'completed'] } })
+  const refundedQuantities = getRefundedQuantities(existing)
+  const balance = roundMoney(order.total - (order.refundedTotal || 0))
+
+  let lines = []
+  let refundAmount
+  let refundTax
+  if (full) {
+    // Every line not refunded yet; the amount is the whole remaining balance (includes shipping)
+    const remaining = order.items
+      .map(item => ({ itemId: item._id, quantity: item.quantity - (refundedQuantities.get(String(item._id)) || 0) }))
+      .filter(line => line.quantity > 0)
+    const priced = buildRefundLines(order, remaining, refundedQuantities)
+    if (priced.error) return priced
+    lines = priced.lines
+    refundAmount = balance
+    refundTax = roundMoney(order.tax - existing.reduce((sum, refund) => sum + (refund.tax || 0), 0))
+  } else if (items.length > 0) {
+    const priced = buildRefundLines(order, items, refundedQuantities)
+    if (priced.error) return priced
+    lines = priced.lines
+    refundAmount = amount !== undefined ? roundMoney(amount) : priced.amount
+    refundTax = priced.amount > 0 ? roundMoney(priced.tax * refundAmount / priced.amount) : 0
+  } else {
+    refundAmount = roundMoney(amount || 0)
+    refundTax = order.total > 0 ? roundMoney(order.tax * refundAmount / order.total) : 0
+  }
+
+  if (refundAmount <= 0) {
+    return refundError(400, 'Nothing left to refund on this order', 'NOTHING_TO_REFUND')
+  }
+
+  const invoice = await findCurrentInvoice(order._id)
+  const payment = await Payment.findOne({ orderId: order._id, status: 'completed' }).sort({ completedAt: -1 })
+  const providerName = getRefundProviderName(order, payment)
+
+  // Reserve the amount - refuses if another refund took the balance meanwhile
+  const reserved = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: 'paid',
+      $expr: { $lte: [{ $add: ['$refundedTotal', refundAmount] }, { $add: ['$total', AMOUNT_TOLERANCE] }] }
+    },
+    { $inc: { refundedTotal: refundAmount } },
+    { new: true }
+  )
+  if (!reserved) {
+    return refundError(
+      400,
+      `Refund exceeds the refundable balance of KES ${balance.toLocaleString()}`,
+      'REFUND_AMOUNT_EXCEEDED'
+    )
+  }
+
+  let refund
+  try {
+    refund = await Refund.create({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      invoiceId: invoice ? invoice._id : null,
+      type: full || refundAmount >= balance - AMOUNT_TOLERANCE ? 'full' : 'partial',
+      items: lines,
+      amount: refundAmount,
+      tax: refundTax,
+      reason,
+      note,
+      restock,
+      provider: providerName,
+      paymentReference: payment ? payment.trackingId : order.paymentId,
+      requestedBy: actor.id
+    })
+  } catch (error) {
+    // No refund was recorded - give the reserved amount back
+    await Order.updateOne({ _id: order._id }, { $inc: { refundedTotal: -refundAmount } })
+    throw error
+  }
+
+  try {
+    const provider = providerName === 'manual' ? manualRefunds : getPaymentProvider(providerName)
+    const result = await provider.refund({ order, payment, refund, username: actor.email })
+    refund.providerReference = result.reference || undefined
+  } catch (error) {
+    refund.status = 'failed'
+    refund.failureReason = error.response?.data?.message || error.message
+    await refund.save()
+    await Order.updateOne({ _id: order._id }, { $inc: { refundedTotal: -refundAmount } })
+
+    logger.error('Refund failed at provider:', {
+      orderNumber: order.orderNumber,
+      provider: providerName,
+      amount: refundAmount,
+      error: refund.failureReason
+    })
+    return refundError(502, `Refund could not be completed: ${refund.failureReason}`, 'REFUND_PROVIDER_FAILED')
+  }
+
+  refund.status = 'completed'
+  refund.completedAt = new Date()
+  refund.creditNoteNumber = await nextNumber('credit_note')
+
+  // Cancelled orders already had their stock restored on cancellation
+  if (restock && lines.length > 0 && order.orderStatus !== 'cancelled') {
+    await restockRefund(order, refund, actor.id)
+    refund.restocked = true
+  }
+  await refund.save()
+
+  // Fully refunded once the refunds reach the order total
+  await Order.updateOne(
+    {
+      _id: order._id,
+      paymentStatus: 'paid',
+      $expr: { $gte: [{ $add: ['$refundedTotal', AMOUNT_TOLERANCE] }, '$total'] }
+    },
+    { paymentStatus: 'refunded' }
+  )
+
+  logger.info('Order refunded:', {
+    orderNumber: order.orderNumber,
+    creditNoteNumber: refund.creditNoteNumber,
+    amount: refundAmount,
+    provider: providerName,
+    restocked: refund.restocked,
+    actor: actor.id
+  })
+
+  await notifyRefund(order, refund, invoice)
+  return { refund }
+}
+
+/**
+ * Units of each product/variant put back into stock by refunds of an order
+ * @param {String|ObjectId} orderId
+ * @returns {Promise<Map>} "productId:variantId" -> quantity
+ */
+const getRestockedQuantities = async (orderId) => {
+  const refunds = await Refund.find({ orderId, restocked: true }).select('items').lean()
+  const quantities = new Map()
+  toStockLines(refunds.flatMap(refund => refund.items)).forEach(line => {
+    const key = `${line.productId}:${line.variantId || ''}`
+    quantities.set(key, (quantities.get(key) || 0) + line.quantity)
+  })
+  return quantities
+}
+
+module.exports = {
+  getRefundProviderName,
+  createRefund,
+  getRestockedQuantities
+}
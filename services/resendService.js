@@ -19,10 +19,11 @@ const resend = resendApiKey ? new Resend(resendApiKey) : null
  * @param {string} options.from - Sender email
  * @param {string} options.subject - Email subject
  * @param {string} options.html - Email HTML content
+ * @param {Array} [options.attachments] - [{ filename, content (Buffer) }]
  * @returns {Promise<Object>} { success: boolean, messageId?: string, error?: string }
  * @throws {Error} If Resend API key is not configured or send fails
  */
-const sendEmail = async ({ to, from, subject, html }) => {
+const sendEmail = async ({ to, from, subject, html, attachments }) => {
   if (!resend) {
     throw new Error('Resend API key not configured')
   }
@@ -36,7 +37,8 @@ const sendEmail = async ({ to, from, subject, html }) => {
       from,
       to,
       subject,
-      html
+      html,
+      ...(attachments && attachments.length ? { attachments } : {})
     })
 
     if (result.error) {
@@ -0,0 +1,81 @@
+const Counter = require('../models/Counter')
+
+/**
+ * SEQUENCE SERVICE
+ *
+ * Human-readable document numbers (orders, invoices, quotes, credit notes, claims)
+ * from atomic counters: PREFIX-YEAR-NNNNNN, e.g. SM-2026-000123. Each type
+ * restarts at 1 every calendar year in East Africa Time, whatever the server's
+ * timezone.
+ *
+ * CONCURRENCY: The counter is advanced with a single findOneAndUpdate $inc, so
+ * two requests can never get the same number.
+ * GAPS: Pass the session of the transaction that creates the document - if the
+ * create fails, the transaction aborts and the number is handed out again.
+ * Numbers taken outside a transaction are only lost if the create itself fails.
+ */
+
+const SEQUENCES = {
+  order: { prefix: process.env.ORDER_NUMBER_PREFIX || 'SM' },
+  invoice: { prefix: process.env.INVOICE_NUMBER_PREFIX || 'INV' },
+  quote: { prefix: process.env.QUOTE_NUMBER_PREFIX || 'QT' },
+  credit_note: { prefix: process.env.CREDIT_NOTE_NUMBER_PREFIX || 'CN' },
+  claim: { prefix: process.env.CLAIM_NUMBER_PREFIX || 'RMA' }
+}
+
+const SEQUENCE_PADDING = parseInt(process.env.SEQUENCE_NUMBER_PADDING) || 6
+
+// East Africa Time (UTC+3, no daylight saving)
+const EAT_UTC_OFFSET_MS = 3 * 60 * 60 * 1000
+
+/**
+ * Advance a counter and return its new value
+ * @param {String} key - Counter key
+ * @param {ClientSession} [session] - MongoDB session (rolls the number back if the transaction aborts)
+ * @returns {Promise<Number>}
+ */
+const nextSequence = async (key, session) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  )
+  return counter.seq
+}
+
+/**
+ * Format a document number
+ * @param {String} prefix - e.g. "SM"
+ * @param {Number} year - Four-digit year
+ * @param {Number} seq - Sequence value
+ * @returns {String} e.g. "SM-2026-000123"
+ */
+const formatNumber = (prefix, year, seq) => {
+  return `${prefix}-${year}-${String(seq).padStart(SEQUENCE_PADDING, '0')}`
+}
+
+/**
+ * Next number for a document type
+ * @param {String} type - order | invoice | quote | credit_note | claim
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - MongoDB session
+ * @param {Date} [options.date=now] - Date whose year (in East Africa Time) the number belongs to
+ * @returns {Promise<String>} Formatted number
+ */
+const nextNumber = async (type, { session, date = new Date() } = {}) => {
+  const sequence = SEQUENCES[type]
+  if (!sequence) {
+    throw new Error(`Unknown sequence type: ${type}`)
+  }
+
+  const year = new Date(date.getTime() + EAT_UTC_OFFSET_MS).getUTCFullYear()
+  const seq = await nextSequence(`${type}:${year}`, session)
+  return formatNumber(sequence.prefix, year, seq)
+}
+
+module.exports = {
+  SEQUENCES,
+  nextSequence,
+  formatNumber,
+  nextNumber
+}
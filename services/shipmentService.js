@@ -0,0 +1,326 @@
+const Order = require('../models/Order')
+const Shipment = require('../models/Shipment')
+const { getCourierAdapter } = require('./courierService')
+const { transitionOrder, notifyShipped } = require('./orderStatusService')
+const logger = require('../utils/logger')
+
+/**
+ * SHIPMENT SERVICE
+ *
+ * Ships home-delivery orders in one or more parcels (partial fulfilment).
+ *
+ * - The first shipment of a confirmed order moves it to processing; the
+ *   shipment that covers the last unshipped units moves it to shipped. Every
+ *   shipment emails the customer its carrier and tracking link.
+ * - Tracking events come from the courier adapter (syncShipmentTracking) or are
+ *   added by staff. A shipment takes the status of its latest event; once every
+ *   shipment of a shipped order is delivered, the order is delivered.
+ */
+
+const ORDER_SHIPPABLE_STATUSES = ['confirmed', 'processing', 'shipped']
+
+// No further tracking events are recorded for these
+const CLOSED_STATUSES = ['delivered', 'returned']
+
+const shipmentError = (status, message, code) => ({ error: { status, message, code } })
+
+/**
+ * Units of each order line already shipped
+ * @param {ObjectId} orderId
+ * @returns {Promise<Map>} orderItemId -> quantity
+ */
+const getShippedQuantities = async (orderId) => {
+  const shipments = await Shipment.find({ orderId }).select('items').lean()
+  const shipped = new Map()
+  for (const shipment of shipments) {
+    for (const item of shipment.items) {
+      const key = item.orderItemId.toString()
+      shipped.set(key, (shipped.get(key) || 0) + item.quantity)
+    }
+  }
+  return shipped
+}
+
+/**
+ * Shipments of an order as shown to the customer, oldest first
+ * @param {ObjectId} orderId
+ * @returns {Promise<Array>}
+ */
+const getOrderShipments = (orderId) => {
+  return Shipment.find({ orderId })
+    .select('carrier carrierName trackingNumber trackingUrl status shippedAt deliveredAt items events')
+    .sort({ createdAt: 1 })
+    .lean()
+}
+
+/**
+ * Order lines for a new shipment
+ * @returns {Object} { lines, fullyShipped } or { error }
+ */
+const buildShipmentLines = (order, items, shipped) => {
+  const requested = items
+    ? items.map(({ itemId, quantity }) => ({ item: order.items.id(itemId), itemId, quantity }))
+    : order.items.map(item => ({ item, quantity: item.quantity - (shipped.get(item._id.toString()) || 0) }))
+      .filter(({ quantity }) => quantity > 0)
+
+  const lines = []
+  for (const { item, itemId, quantity } of requested) {
+    if (!item) {
+      return shipmentError(404, `Order line ${itemId} not found`, 'ORDER_ITEM_NOT_FOUND')
+    }
+    const remaining = item.quantity - (shipped.get(item._id.toString()) || 0)
+    if (quantity > remaining) {
+      return shipmentError(
+        400,
+        `Only ${remaining} of ${item.name} ${remaining === 1 ? 'is' : 'are'} left to ship`,
+        'SHIPMENT_QUANTITY_EXCEEDED'
+      )
+    }
+
+    lines.push({
+      orderItemId: item._id,
+      productId: item.productId,
+      variantId: item.variantId,
+      name: item.variantName ? `${item.name} - ${item.variantName}` : item.name,
+      sku: item.sku,
+      quantity
+    })
+    shipped.set(item._id.toString(), (shipped.get(item._id.toString()) || 0) + quantity)
+  }
+
+  if (lines.length === 0) {
+    return shipmentError(409, 'Every item on this order has already shipped', 'NOTHING_TO_SHIP')
+  }
+
+  const fullyShipped = order.items.every(item => (shipped.get(item._id.toString()) || 0) >= item.quantity)
+  return { lines, fullyShipped }
+}
+
+/**
+ * Ship some or all of an order's remaining items
+ *
+ * @param {Object} order - Order document
+ * @param {Object} params
+ * @param {String} params.carrier - Courier adapter code
+ * @param {String} [params.trackingNumber] - Required unless the courier books parcels itself
+ * @param {Array} [params.items] - [{ itemId, quantity }]; everything not shipped yet when omitted
+ * @param {String} [params.note] - Shown on the order timeline
+ * @param {Object} params.actor - Admin user ({ id, email })
+ * @returns {Promise<Object>} { shipment, order } or { error }
+ */
+const createShipment = async (order, { carrier, trackingNumber, items, note, actor }) => {
+  if (order.deliveryMethod === 'pickup') {
+    return shipmentError(400, 'Pickup orders are collected in store, not shipped', 'PICKUP_ORDER')
+  }
+  if (!ORDER_SHIPPABLE_STATUSES.includes(order.orderStatus)) {
+    return shipmentError(409, `A ${order.orderStatus} order cannot be shipped`, 'ORDER_NOT_SHIPPABLE')
+  }
+
+  const adapter = getCourierAdapter(carrier)
+  if (!adapter) {
+    return shipmentError(400, `Unknown carrier: ${carrier}`, 'UNKNOWN_CARRIER')
+  }
+  if (!trackingNumber && typeof adapter.createShipment !== 'function') {
+    return shipmentError(400, `Enter the ${adapter.name} tracking number`, 'TRACKING_NUMBER_REQUIRED')
+  }
+
+  const shipped = await getShippedQuantities(order._id)
+  const built = buildShipmentLines(order, items, shipped)
+  if (built.error) return built
+
+  const shipment = new Shipment({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    items: built.lines,
+    carrier,
+    carrierName: adapter.name,
+    createdBy: actor.id
+  })
+
+  let trackingUrl
+  if (!trackingNumber) {
+    try {
+      const booking = await adapter.createShipment({ shipment, order })
+      trackingNumber = booking.trackingNumber
+      trackingUrl = booking.trackingUrl
+      shipment.carrierReference = booking.reference
+    } catch (error) {
+      logger.error('Courier booking failed:', { orderNumber: order.orderNumber, carrier, error: error.message })
+      return shipmentError(502, `${adapter.name} could not book the shipment: ${error.message}`, 'COURIER_BOOKING_FAILED')
+    }
+  }
+
+  shipment.trackingNumber = trackingNumber
+  shipment.trackingUrl = trackingUrl || adapter.trackingUrl(trackingNumber) || undefined
+  shipment.events.push({
+    status: 'shipped',
+    description: `Handed to ${adapter.name}`,
+    at: shipment.shippedAt,
+    source: 'admin'
+  })
+  await shipment.save()
+
+  logger.info('Shipment created:', {
+    orderNumber: order.orderNumber,
+    carrier,
+    trackingNumber,
+    items: built.lines.length,
+    fullyShipped: built.fullyShipped,
+    actor: actor.id
+  })
+
+  // Order.trackingNumber keeps the latest parcel for older clients
+  order.trackingNumber = trackingNumber
+
+  if (built.fullyShipped && order.orderStatus !== 'shipped') {
+    const result = await transitionOrder(order, 'shipped', {
+      actor: actor.id,
+      actorType: 'admin',
+      note,
+      shipment
+    })
+    if (result.error) return result
+    return { shipment, order }
+  }
+
+  if (order.orderStatus === 'confirmed') {
+    const result = await transitionOrder(order, 'processing', {
+      actor: actor.id,
+      actorType: 'admin',
+      note: note || `Partially shipped with ${adapter.name}`
+    })
+    if (result.error) return result
+  } else {
+    await order.save()
+  }
+
+  await notifyShipped(order, { shipment, partial: !built.fullyShipped })
+  return { shipment, order }
+}
+
+/**
+ * Deliver an order once every shipment of it is delivered
+ * @param {ObjectId} orderId
+ */
+const completeOrderDelivery = async (orderId) => {
+  const order = await Order.findById(orderId)
+  if (!order || order.orderStatus !== 'shipped') return
+
+  const undelivered = await Shipment.exists({ orderId, status: { $ne: 'delivered' } })
+  if (undelivered) return
+
+  const result = await transitionOrder(order, 'delivered', {
+    actorType: 'system',
+    note: 'All shipments delivered'
+  })
+  if (result.error) {
+    logger.error('Order delivery transition failed:', { orderId, error: result.error })
+  }
+}
+
+/**
+ * Add tracking events to a shipment
+ * Events already recorded (same status, time and description) are skipped.
+ *
+ * @param {Object} shipment - Shipment document
+ * @param {Array} events - [{ status, description, location, at }]
+ * @param {Object} [params]
+ * @param {String} [params.source] - carrier | admin
+ * @returns {Promise<Object>} { shipment, added }
+ */
+const recordTrackingEvents = async (shipment, events, { source = 'carrier' } = {}) => {
+  const wasDelivered = shipment.status === 'delivered'
+  const eventKey = (event) => `${event.status}|${new Date(event.at).getTime()}|${event.description || ''}`
+  const known = new Set(shipment.events.map(eventKey))
+
+  let added = 0
+  for (const event of events) {
+    const entry = { ...event, at: event.at ? new Date(event.at) : new Date(), source }
+    if (known.has(eventKey(entry))) continue
+    known.add(eventKey(entry))
+    shipment.events.push(entry)
+    added++
+  }
+
+  if (added > 0) {
+    shipment.events.sort((a, b) => a.at - b.at)
+    const latest = shipment.events[shipment.events.length - 1]
+    shipment.status = latest.status
+    if (latest.status === 'delivered' && !shipment.deliveredAt) {
+      shipment.deliveredAt = latest.at
+    }
+  }
+  await shipment.save()
+
+  if (added > 0) {
+    logger.info('Shipment tracking updated:', {
+      orderNumber: shipment.orderNumber,
+      trackingNumber: shipment.trackingNumber,
+      status: shipment.status,
+      added
+    })
+  }
+
+  if (!wasDelivered && shipment.status === 'delivered') {
+    await completeOrderDelivery(shipment.orderId)
+  }
+
+  return { shipment, added }
+}
+
+/**
+ * Record a tracking event entered by staff
+ *
+ * @param {Object} shipment - Shipment document
+ * @param {Object} event - { status, description, location, at }
+ * @returns {Promise<Object>} { shipment } or { error }
+ */
+const addTrackingEvent = async (shipment, event) => {
+  if (CLOSED_STATUSES.includes(shipment.status)) {
+    return shipmentError(409, `Shipment is already ${shipment.status}`, 'SHIPMENT_CLOSED')
+  }
+
+  await recordTrackingEvents(shipment, [event], { source: 'admin' })
+  return { shipment }
+}
+
+/**
+ * Pull the latest tracking events from the courier
+ *
+ * @param {Object} shipment - Shipment document
+ * @returns {Promise<Object>} { shipment, added } or { error }
+ */
+const syncShipmentTracking = async (shipment) => {
+  const adapter = getCourierAdapter(shipment.carrier)
+  if (!adapter || typeof adapter.getTracking !== 'function') {
+    return shipmentError(400, `${shipment.carrierName} tracking is updated by hand`, 'TRACKING_NOT_SUPPORTED')
+  }
+  if (CLOSED_STATUSES.includes(shipment.status)) {
+    return { shipment, added: 0 }
+  }
+
+  let tracking
+  try {
+    tracking = await adapter.getTracking({ shipment })
+  } catch (error) {
+    logger.error('Courier tracking lookup failed:', {
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      error: error.message
+    })
+    return shipmentError(502, `${shipment.carrierName} tracking is unavailable: ${error.message}`, 'COURIER_TRACKING_FAILED')
+  }
+
+  shipment.lastSyncedAt = new Date()
+  return recordTrackingEvents(shipment, tracking.events || [], { source: 'carrier' })
+}
+
+module.exports = {
+  CLOSED_STATUSES,
+  getShippedQuantities,
+  getOrderShipments,
+  createShipment,
+  recordTrackingEvents,
+  addTrackingEvent,
+  syncShipmentTracking
+}
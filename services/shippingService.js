@@ -0,0 +1,253 @@
+const Product = require('../models/Product')
+const ShippingZone = require('../models/ShippingZone')
+const { resolvePurchasable } = require('./inventoryService')
+
+/**
+ * SHIPPING SERVICE
+ *
+ * Calculates home-delivery fees from the configured shipping zones.
+ * Used by both the checkout quote endpoint and order creation so the customer
+ * is always charged what they were quoted.
+ *
+ * RATE FORMULA (per order):
+ *   baseRate
+ *   + perKgRate x max(0, chargeable weight - includedWeightKg)
+ *   + class surcharge x units, for every line whose product has a surcharged shipping class
+ *
+ * Chargeable weight is the larger of the actual weight (specifications.weight)
+ * and the volumetric weight (specifications.dimensions). When the order subtotal
+ * reaches the zone's free-shipping threshold, the base and weight charges are
+ * waived; class surcharges (e.g. dangerous goods handling) still apply.
+ * Pickup orders are always free.
+ */
+
+// Courier volumetric divisor: cm³ per kg
+const VOLUMETRIC_DIVISOR = 5000
+
+const WEIGHT_UNITS_KG = {
+  kg: 1,
+  kgs: 1,
+  kilogram: 1,
+  kilograms: 1,
+  g: 0.001,
+  gram: 0.001,
+  grams: 0.001,
+  lb: 0.453592,
+  lbs: 0.453592,
+  pound: 0.453592,
+  pounds: 0.453592
+}
+
+const LENGTH_UNITS_CM = {
+  mm: 0.1,
+  cm: 1,
+  m: 100
+}
+
+/**
+ * Parse a weight specification into kilograms
+ * Accepts values like "150 kg", "12.5KG", "800 g" or "33 lbs". Values without a
+ * unit are taken as kilograms.
+ *
+ * @param {String} value - specifications.weight
+ * @returns {Number|null} Weight in kg, or null if it cannot be read
+ */
+const parseWeightKg = (value) => {
+  if (!value || typeof value !== 'string') return null
+
+  const match = value.trim().toLowerCase().match(/^([\d.,]+)\s*([a-z]*)/)
+  if (!match) return null
+
+  const amount = parseFloat(match[1].replace(/,/g, ''))
+  const factor = match[2] ? WEIGHT_UNITS_KG[match[2]] : 1
+  if (isNaN(amount) || !factor) return null
+
+  return amount * factor
+}
+
+/**
+ * Parse a dimensions specification into centimetres
+ * Accepts "L x W x H unit" (x, X, × or *). Values without a unit are taken as
+ * millimetres, which is how the catalogue records them.
+ *
+ * @param {String} value - specifications.dimensions
+ * @returns {Array<Number>|null} [length, width, height] in cm, or null if it cannot be read
+ */
+const parseDimensionsCm = (value) => {
+  if (!value || typeof value !== 'string') return null
+
+  const match = value.trim().toLowerCase()
+    .match(/^([\d.]+)\s*[x×*]\s*([\d.]+)\s*[x×*]\s*([\d.]+)\s*(mm|cm|m)?\b/)
+  if (!match) return null
+
+  const factor = LENGTH_UNITS_CM[match[4] || 'mm']
+  const sides = [match[1], match[2], match[3]].map(side => parseFloat(side) * factor)
+  if (sides.some(side => isNaN(side))) return null
+
+  return sides
+}
+
+/**
+ * Chargeable weight of one unit of a product
+ * @param {Object} product - Product (document or plain object)
+ * @returns {Number} kg (0 when neither weight nor dimensions are recorded)
+ */
+const getUnitChargeableWeightKg = (product) => {
+  const specifications = product.specifications || {}
+  const actual = parseWeightKg(specifications.weight) || 0
+
+  const dimensions = parseDimensionsCm(specifications.dimensions)
+  const volumetric = dimensions
+    ? (dimensions[0] * dimensions[1] * dimensions[2]) / VOLUMETRIC_DIVISOR
+    : 0
+
+  return Math.max(actual, volumetric)
+}
+
+/**
+ * Find the zone serving an address
+ * City matches win over county matches; anything else falls back to the default zone.
+ *
+ * @param {Object} address - { city, state } (state holds the county, as in Order.shippingAddress)
+ * @returns {Promise<Object|null>} Zone (plain object) or null if the address is not served
+ */
+const findZoneForAddress = async (address = {}) => {
+  const city = (address.city || '').trim().toLowerCase()
+  const county = (address.county || address.state || '').trim().toLowerCase()
+
+  const zones = await ShippingZone.find({ active: true }).lean()
+
+  return zones.find(zone => city && zone.cities.includes(city)) ||
+    zones.find(zone => county && zone.counties.includes(county)) ||
+    zones.find(zone => zone.isDefault) ||
+    null
+}
+
+/**
+ * Calculate the shipping fee for a set of order lines
+ *
+ * @param {Object} params
+ * @param {Array} params.lines - [{ product, quantity, price }] (product needs specifications and shippingClass)
+ * @param {Object} params.address - Shipping address ({ city, state })
+ * @param {String} [params.deliveryMethod='home'] - home | pickup
+ * @returns {Promise<Object>} Quote ({ amount, zone, chargeableWeightKg, freeShippingApplied, ... })
+ *   or { error: { status, message, code } }
+ */
+const calculateShipping = async ({ lines, address, deliveryMethod = 'home' }) => {
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0)
+
+  if (deliveryMethod === 'pickup') {
+    return {
+      amount: 0,
+      deliveryMethod,
+      zone: null,
+      subtotal,
+      chargeableWeightKg: 0,
+      freeShippingApplied: false,
+      breakdown: { base: 0, weight: 0, surcharges: 0 }
+    }
+  }
+
+  const zone = await findZoneForAddress(address)
+  if (!zone) {
+    return {
+      error: {
+        status: 400,
+        message: `Home delivery is not available to ${address.city || 'this address'} yet. Please choose pickup.`,
+        code: 'SHIPPING_UNAVAILABLE'
+      }
+    }
+  }
+
+  const chargeableWeightKg = lines.reduce(
+    (sum, line) => sum + getUnitChargeableWeightKg(line.product) * line.quantity,
+    0
+  )
+
+  if (zone.maxWeightKg !== null && zone.maxWeightKg !== undefined && chargeableWeightKg > zone.maxWeightKg) {
+    return {
+      error: {
+        status: 400,
+        message: `This order (${Math.ceil(chargeableWeightKg)} kg) exceeds the ${zone.maxWeightKg} kg delivery limit for ${zone.name}. Please choose pickup or contact us for freight delivery.`,
+        code: 'SHIPPING_WEIGHT_LIMIT_EXCEEDED'
+      }
+    }
+  }
+
+  const surchargeByClass = new Map((zone.classSurcharges || []).map(surcharge => [surcharge.shippingClass, surcharge.amount]))
+  const surcharges = lines.reduce(
+    (sum, line) => sum + (surchargeByClass.get(line.product.shippingClass || 'standard') || 0) * line.quantity,
+    0
+  )
+
+  const hasThreshold = zone.freeShippingThreshold !== null && zone.freeShippingThreshold !== undefined
+  const freeShippingApplied = hasThreshold && subtotal >= zone.freeShippingThreshold
+
+  const base = freeShippingApplied ? 0 : zone.baseRate
+  const weight = freeShippingApplied
+    ? 0
+    : Math.max(0, chargeableWeightKg - (zone.includedWeightKg || 0)) * (zone.perKgRate || 0)
+
+  return {
+    amount: Math.ceil(base + weight + surcharges), // Whole shillings
+    deliveryMethod,
+    zone: {
+      _id: zone._id,
+      name: zone.name,
+      estimatedDays: zone.estimatedDays
+    },
+    subtotal,
+    chargeableWeightKg: Math.round(chargeableWeightKg * 100) / 100,
+    freeShippingApplied,
+    freeShippingThreshold: hasThreshold ? zone.freeShippingThreshold : null,
+    amountToFreeShipping: hasThreshold && !freeShippingApplied ? zone.freeShippingThreshold - subtotal : 0,
+    breakdown: {
+      base,
+      weight: Math.ceil(weight),
+      surcharges
+    }
+  }
+}
+
+/**
+ * Load products for requested lines (quote endpoint)
+ * Prices come from the catalogue, never from the client.
+ *
+ * @param {Array} items - [{ productId, variantId, quantity }]
+ * @returns {Promise<Object>} { lines } or { error: { status, message, code } }
+ */
+const buildShippingLines = async (items) => {
+  const products = await Product.find({
+    _id: { $in: items.map(item => item.productId) },
+    active: true
+  })
+  const productsById = new Map(products.map(product => [String(product._id), product]))
+
+  const lines = []
+  for (const item of items) {
+    const product = productsById.get(String(item.productId))
+    if (!product) {
+      return {
+        error: { status: 404, message: 'Product not found or unavailable', code: 'PRODUCT_NOT_FOUND' }
+      }
+    }
+
+    const purchasable = resolvePurchasable(product, item.variantId)
+    if (purchasable.error) {
+      return { error: purchasable.error }
+    }
+
+    lines.push({ product, quantity: item.quantity, price: purchasable.price })
+  }
+
+  return { lines }
+}
+
+module.exports = {
+  parseWeightKg,
+  parseDimensionsCm,
+  getUnitChargeableWeightKg,
+  findZoneForAddress,
+  calculateShipping,
+  buildShippingLines
+}
@@ -0,0 +1,119 @@
+const TaxRate = require('../models/TaxRate')
+
+/**
+ * TAX SERVICE
+ *
+ * Kenyan VAT per tax class:
+ * - standard:   16% (default)
+ * - zero_rated: 0%, but still reported as a taxable supply
+ * - exempt:     no VAT, reported separately
+ *
+ * Rates are configurable per class (TaxRate collection). Catalogue prices are
+ * VAT-inclusive unless PRICES_INCLUDE_TAX=false, in which case VAT is added on top.
+ */
+
+const DEFAULT_TAX_RATES = {
+  standard: { name: 'VAT 16%', rate: 16 },
+  zero_rated: { name: 'VAT 0% (zero-rated)', rate: 0 },
+  exempt: { name: 'VAT exempt', rate: 0 }
+}
+
+// Delivery is a standard-rated service
+const SHIPPING_TAX_CLASS = 'standard'
+
+/**
+ * Whether catalogue prices already include VAT
+ * @returns {Boolean}
+ */
+const pricesIncludeTax = () => process.env.PRICES_INCLUDE_TAX !== 'false'
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Current rate for every tax class (stored rates over statutory defaults)
+ * @returns {Promise<Object>} { [taxClass]: { name, rate } }
+ */
+const getTaxRates = async () => {
+  const stored = await TaxRate.find().lean()
+  const rates = { ...DEFAULT_TAX_RATES }
+  stored.forEach(taxRate => {
+    rates[taxRate.taxClass] = { name: taxRate.name, rate: taxRate.rate }
+  })
+  return rates
+}
+
+/**
+ * Split an amount into net and VAT
+ * @param {Number} amount - Line amount as priced in the catalogue
+ * @param {Number} rate - Percentage
+ * @param {Boolean} inclusive - Whether amount already includes VAT
+ * @returns {Object} { net, tax, gross }
+ */
+const splitTax = (amount, rate, inclusive) => {
+  if (inclusive) {
+    const tax = roundMoney(amount * rate / (100 + rate))
+    return { net: roundMoney(amount - tax), tax, gross: roundMoney(amount) }
+  }
+
+  const tax = roundMoney(amount * rate / 100)
+  return { net: roundMoney(amount), tax, gross: roundMoney(amount + tax) }
+}
+
+/**
+ * Calculate VAT for priced lines
+ *
+ * @param {Object} params
+ * @param {Array} params.lines - [{ amount, taxClass }] amounts as priced in the catalogue
+ * @param {Number} [params.shipping=0] - Shipping fee (same inclusive/exclusive basis)
+ * @param {Object} [params.rates] - Rates from getTaxRates (loaded when omitted)
+ * @param {Boolean} [params.inclusive] - Override PRICES_INCLUDE_TAX
+ * @returns {Promise<Object>} {
+ *   pricesIncludeTax,
+ *   lines: [{ taxClass, taxRate, net, tax, gross }] (same order as input),
+ *   shipping: { taxClass, taxRate, net, tax, gross },
+ *   breakdown: [{ taxClass, name, rate, taxableAmount, tax }],
+ *   tax, net, gross
+ * }
+ */
+const calculateTax = async ({ lines, shipping = 0, rates, inclusive = pricesIncludeTax() }) => {
+  const taxRates = rates || await getTaxRates()
+  const breakdown = new Map()
+
+  const apply = (amount, taxClass) => {
+    const { name, rate } = taxRates[taxClass] || taxRates.standard
+    const split = splitTax(amount, rate, inclusive)
+
+    const entry = breakdown.get(taxClass) || { taxClass, name, rate, taxableAmount: 0, tax: 0 }
+    entry.taxableAmount = roundMoney(entry.taxableAmount + split.net)
+    entry.tax = roundMoney(entry.tax + split.tax)
+    breakdown.set(taxClass, entry)
+
+    return { taxClass, taxRate: rate, ...split }
+  }
+
+  const taxedLines = lines.map(line => apply(line.amount, line.taxClass || 'standard'))
+  const taxedShipping = shipping > 0
+    ? apply(shipping, SHIPPING_TAX_CLASS)
+    : { taxClass: SHIPPING_TAX_CLASS, taxRate: (taxRates[SHIPPING_TAX_CLASS] || {}).rate || 0, net: 0, tax: 0, gross: 0 }
+
+  const all = [...taxedLines, taxedShipping]
+
+  return {
+    pricesIncludeTax: inclusive,
+    lines: taxedLines,
+    shipping: taxedShipping,
+    breakdown: Array.from(breakdown.values()),
+    tax: roundMoney(all.reduce((sum, line) => sum + line.tax, 0)),
+    net: roundMoney(all.reduce((sum, line) => sum + line.net, 0)),
+    gross: roundMoney(all.reduce((sum, line) => sum + line.gross, 0))
+  }
+}
+
+module.exports = {
+  DEFAULT_TAX_RATES,
+  pricesIncludeTax,
+  roundMoney,
+  getTaxRates,
+  splitTax,
+  calculateTax
+}
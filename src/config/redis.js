@@ -5,7 +5,7 @@
  * If REDIS_URL is not set, Redis operations will gracefully fail.
  */
 
-const logger = require('../utils/logger')
+const logger = require('../../utils/logger')
 
 let redisClient = null
 
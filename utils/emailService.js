@@ -144,11 +144,12 @@ const createEmailTemplate = ({ title, content, complianceText }) => {
  * @param {string} options.from - Sender email
  * @param {string} options.subject - Email subject
  * @param {string} options.html - Email HTML content
+ * @param {Array} [options.attachments] - [{ filename, content (Buffer) }]
  * @returns {Promise<Object>} { success: boolean, messageId?: string }
  */
-const _sendEmail = async ({ to, from, subject, html }) => {
+const _sendEmail = async ({ to, from, subject, html, attachments }) => {
   try {
-    const result = await resendSendEmail({ to, from, subject, html })
+    const result = await resendSendEmail({ to, from, subject, html, attachments })
     logger.info(`Email sent successfully to ${to}: ${result.messageId}`)
     return { success: true, messageId: result.messageId }
   } catch (error) {
@@ -210,7 +211,7 @@ const sendContactNotification = async (contactData) => {
  * From: no-reply@sunmega.co.ke (EMAIL_NO_REPLY)
  */
 const sendQuoteNotification = async (quoteData) => {
-  const { name, email, phone, location, systemSize, installationDate, contact, type } = quoteData
+  const { quoteNumber, name, email, phone, location, systemSize, installationDate, contact, type } = quoteData
 
   if (!EMAIL_ROUTING.QUOTES) {
     logger.warn('EMAIL_QUOTES not configured, skipping quote notification email')
@@ -223,6 +224,7 @@ const sendQuoteNotification = async (quoteData) => {
     <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f9fafb; border-radius: 6px; padding: 20px; margin-bottom: 24px;">
       <tr>
         <td>
+          ${quoteNumber ? `<p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Quote Number:</strong> <span style="color: #374151;">${quoteNumber}</span></p>` : ''}
           ${name ? `<p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Name:</strong> <span style="color: #374151;">${name}</span></p>` : ''}
           ${email ? `<p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Email:</strong> <a href="mailto:${email}" style="color: #16a34a; text-decoration: none;">${email}</a></p>` : ''}
           ${phone ? `<p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Phone:</strong> <span style="color: #374151;">${phone}</span></p>` : ''}
@@ -401,18 +403,33 @@ const sendPasswordResetEmail = async (user, token) => {
 /**
  * Send order confirmation email
  * From: no-reply@sunmega.co.ke (EMAIL_NO_REPLY)
+ * Paid orders attach the tax invoice PDF (options.attachments)
  */
-const sendOrderConfirmationEmail = async (order, user) => {
-  const orderUrl = `${process.env.FRONTEND_URL}/orders/${order._id}`
+const sendOrderConfirmationEmail = async (order, user, { attachments } = {}) => {
+  // Guest orders have no account page - link to the order lookup instead
+  const orderUrl = order.userId
+    ? `${process.env.FRONTEND_URL}/orders/${order._id}`
+    : `${process.env.FRONTEND_URL}/orders/lookup?orderNumber=${encodeURIComponent(order.orderNumber)}`
   
   const itemsHtml = order.items.map(item => `
     <tr>
-      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; color: #374151;">${item.name}</td>
+      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; color: #374151;">${item.name}${item.variantName ? ` - ${item.variantName}` : ''}${item.sku ? `<br><span style="color: #6b7280; font-size: 12px;">SKU ${item.sku}</span>` : ''}</td>
       <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center; color: #374151;">${item.quantity}</td>
       <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: right; color: #374151;">KES ${item.price.toLocaleString()}</td>
       <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: right; color: #111827; font-weight: 600;">KES ${item.total.toLocaleString()}</td>
     </tr>
   `).join('')
+
+  // One VAT row per rate; inclusive prices show the VAT contained in the total
+  const taxLabelSuffix = order.pricesIncludeTax === false ? '' : ' (included)'
+  const taxHtml = (order.taxBreakdown || [])
+    .filter(entry => entry.tax > 0)
+    .map(entry => `
+        <tr>
+          <td colspan="3" style="padding: 12px; text-align: right; color: #374151;">${entry.name}${taxLabelSuffix}:</td>
+          <td style="padding: 12px; text-align: right; color: #374151;">KES ${entry.tax.toLocaleString()}</td>
+        </tr>
+    `).join('')
   
   const content = `
     <p style="margin: 0 0 24px 0;">Hello ${user.firstName},</p>
@@ -451,10 +468,16 @@ const sendOrderConfirmationEmail = async (order, user) => {
           <td colspan="3" style="padding: 12px; text-align: right; font-weight: 600; color: #111827; border-top: 2px solid #e5e7eb;">Subtotal:</td>
           <td style="padding: 12px; text-align: right; font-weight: 600; color: #111827; border-top: 2px solid #e5e7eb;">KES ${order.subtotal.toLocaleString()}</td>
         </tr>
+        ${order.discountTotal > 0 ? `
+        <tr>
+          <td colspan="3" style="padding: 12px; text-align: right; font-weight: 600; color: #111827;">Discounts${(order.discounts || []).length ? ` (${order.discounts.map(discount => discount.code || discount.name).join(', ')})` : ''}:</td>
+          <td style="padding: 12px; text-align: right; font-weight: 600; color: #16a34a;">- KES ${order.discountTotal.toLocaleString()}</td>
+        </tr>` : ''}
         <tr>
           <td colspan="3" style="padding: 12px; text-align: right; font-weight: 600; color: #111827;">Shipping:</td>
           <td style="padding: 12px; text-align: right; font-weight: 600; color: #111827;">KES ${order.shipping.toLocaleString()}</td>
         </tr>
+        ${taxHtml}
         <tr>
           <td colspan="3" style="padding: 12px; text-align: right; font-weight: 700; color: #111827; font-size: 16px; border-top: 2px solid #e5e7eb;">Total:</td>
           <td style="padding: 12px; text-align: right; font-weight: 700; color: #16a34a; font-size: 16px; border-top: 2px solid #e5e7eb;">KES ${order.total.toLocaleString()}</td>
@@ -486,6 +509,8 @@ const sendOrderConfirmationEmail = async (order, user) => {
       </tr>
     </table>
     
+    ${attachments && attachments.length ? `
+    <p style="margin: 0 0 16px 0; color: #6b7280; font-size: 14px;">Your tax invoice is attached to this email.</p>` : ''}
     <p style="margin: 0 0 16px 0; color: #6b7280; font-size: 14px;">We'll send you another email when your order ships.</p>
     <p style="margin: 0; color: #6b7280; font-size: 14px;">If you have any questions, please contact our support team at <a href="mailto:${SUPPORT_EMAIL}" style="color: #16a34a; text-decoration: none;">${SUPPORT_EMAIL}</a>.</p>
   `
@@ -500,6 +525,305 @@ const sendOrderConfirmationEmail = async (order, user) => {
     to: user.email,
     from: EMAIL_FROM,
     subject: `Order Confirmation #${order.orderNumber} - ${BRAND_NAME}`,
+    html,
+    attachments
+  })
+}
+
+/**
+ * Send guest order lookup link
+ * From: no-reply@sunmega.co.ke (EMAIL_NO_REPLY)
+ */
+const sendGuestOrderAccessEmail = async (order, token, expiresInDays) => {
+  const lookupUrl = `${process.env.FRONTEND_URL}/orders/guest/${encodeURIComponent(order.orderNumber)}?token=${token}`
+  const firstName = (order.shippingAddress.name || '').split(' ')[0] || 'Customer'
+
+  const content = `
+    <p style="margin: 0 0 24px 0;">Hello ${firstName},</p>
+    
+    <p style="margin: 0 0 24px 0;">Thank you for your order <strong>#${order.orderNumber}</strong> (KES ${order.total.toLocaleString()}). Use the button below to complete payment and follow your order - no account needed:</p>
+    
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
+      <tr>
+        <td align="center" style="padding: 0 0 24px 0;">
+          <a href="${lookupUrl}" style="display: inline-block; padding: 14px 32px; background-color: #16a34a; color: #ffffff; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">View Your Order</a>
+        </td>
+      </tr>
+    </table>
+    
+    <p style="margin: 0 0 24px 0; color: #6b7280; font-size: 14px;">Or copy and paste this link into your browser:</p>
+    <p style="margin: 0 0 24px 0; word-break: break-all; color: #16a34a; font-size: 14px;">${lookupUrl}</p>
+    
+    <p style="margin: 0 0 16px 0; color: #6b7280; font-size: 14px;">This link works for ${expiresInDays} days. Anyone with the link can see this order, so please don't share it.</p>
+    <p style="margin: 0; color: #6b7280; font-size: 14px;">Create an account with ${order.shippingAddress.email} and verify your email to keep all your orders in one place.</p>
+  `
+
+  const html = createEmailTemplate({
+    title: `Your Order #${order.orderNumber}`,
+    content,
+    complianceText: `You are receiving this email because you placed an order on ${BRAND_NAME} as a guest.`
+  })
+
+  return _sendEmail({
+    to: order.shippingAddress.email,
+    from: EMAIL_FROM,
+    subject: `Your Order #${order.orderNumber} - ${BRAND_NAME}`,
+    html
+  })
+}
+
+/**
+ * Send order shipped notification
+ * With a shipment, shows its carrier and tracking link; partial shipments
+ * also list the items in the parcel.
+ * From: no-reply@sunmega.co.ke (EMAIL_NO_REPLY)
+ */
+const sendOrderShippedEmail = async (order, recipient, { shipment, partial = false } = {}) => {
+  const orderUrl = order.userId
+    ? `${process.env.FRONTEND_URL}/orders/${order._id}`
+    : `${process.env.FRONTEND_URL}/orders/lookup?orderNumber=${encodeURIComponent(order.orderNumber)}`
+
+  const trackingNumber = shipment ? shipment.trackingNumber : order.trackingNumber
+  const trackingHtml = shipment && shipment.trackingUrl
+    ? `<a href="${shipment.trackingUrl}" style="color: #16a34a; text-decoration: none;">${trackingNumber}</a>`
+    : `<span style="color: #374151;">${trackingNumber}</span>`
+  const itemsHtml = partial
+    ? shipment.items.map(item => `
+          <p style="margin: 8px 0 0 0; color: #374151;">${item.quantity} x ${item.name}</p>`).join('')
+    : ''
+
+  const content = `
+    <p style="margin: 0 0 24px 0;">Hello ${recipient.firstName},</p>
+    
+    <p style="margin: 0 0 24px 0;">Good news - ${partial ? 'part of ' : ''}your order <strong>#${order.orderNumber}</strong> is on its way.${partial ? ' The rest will follow in a separate shipment.' : ''}</p>
+    ${trackingNumber ? `
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f9fafb; border-radius: 6px; padding: 20px; margin-bottom: 32px;">
+      <tr>
+        <td>${shipment ? `
+          <p style="margin: 0 0 8px 0;"><strong style="color: #111827;">Courier:</strong> <span style="color: #374151;">${shipment.carrierName}</span></p>` : ''}
+          <p style="margin: 0;"><strong style="color: #111827;">Tracking Number:</strong> ${trackingHtml}</p>${itemsHtml ? `
+          <p style="margin: 16px 0 0 0;"><strong style="color: #111827;">In this shipment:</strong></p>${itemsHtml}` : ''}
+        </td>
+      </tr>
+    </table>` : ''}
+    
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%">
+      <tr>
+        <td align="center" style="padding: 0 0 24px 0;">
+          <a href="${orderUrl}" style="display: inline-block; padding: 14px 32px; background-color: #16a34a; color: #ffffff; text-decoration: none; border-radius: 6px; font-weight: 600; font-size: 16px;">Track Your Order</a>
+        </td>
+      </tr>
+    </table>
+    
+    <p style="margin: 0; color: #6b7280; font-size: 14px;">If you have any questions, please contact our support team at <a href="mailto:${SUPPORT_EMAIL}" style="color: #16a34a; text-decoration: none;">${SUPPORT_EMAIL}</a>.</p>
+  `
+
+  const html = createEmailTemplate({
+    title: `Order #${order.orderNumber} Shipped`,
+    content,
+    complianceText: `You are receiving this email because you placed an order on ${BRAND_NAME}.`
+  })
+
+  return _sendEmail({
+    to: recipient.email,
+    from: EMAIL_FROM,
+    subject: `Your Order #${order.orderNumber} Has ${partial ? 'Partially ' : ''}Shipped - ${BRAND_NAME}`,
+    html
+  })
+}
+
+/**
+ * Send refund confirmation with the credit note attached
+ * From: no-reply@sunmega.co.ke (EMAIL_NO_REPLY)
+ */
+const sendRefundEmail = async (order, recipient, refund, { attachments } = {}) => {
+  const itemsHtml = refund.items.map(item => `
+          <p style="margin: 0 0 8px 0; color: #374151;">${item.quantity} x ${item.name}</p>`).join('')
+
+  const content = `
+    <p style="margin: 0 0 24px 0;">Hello ${recipient.firstName},</p>
+    
+    <p style="margin: 0 0 24px 0;">We've refunded <strong>KES ${refund.amount.toLocaleString()}</strong> on your order <strong>#${order.orderNumber}</strong>.</p>
+    
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f9fafb; border-radius: 6px; padding: 20px; margin-bottom: 32px;">
+      <tr>
+        <td>
+          <p style="margin: 0 0 8px 0;"><strong style="color: #111827;">Credit Note:</strong> <span style="color: #374151;">${refund.creditNoteNumber}</span></p>
+          <p style="margin: 0 0 ${itemsHtml ? '16px' : '0'} 0;"><strong style="color: #111827;">Reason:</strong> <span style="color: #374151;">${refund.reason}</span></p>
+          ${itemsHtml}
+        </td>
+      </tr>
+    </table>
+    
+    <p style="margin: 0 0 16px 0; color: #6b7280; font-size: 14px;">The money goes back to the payment method you used; depending on your provider it can take a few working days to show. Your credit note is attached to this email.</p>
+    <p style="margin: 0; color: #6b7280; font-size: 14px;">If you have any questions, please contact our support team at <a href="mailto:${SUPPORT_EMAIL}" style="color: #16a34a; text-decoration: none;">${SUPPORT_EMAIL}</a>.</p>
+  `
+
+  const html = createEmailTemplate({
+    title: `Refund for Order #${order.orderNumber}`,
+    content,
+    complianceText: `You are receiving this email because you placed an order on ${BRAND_NAME}.`
+  })
+
+  return _sendEmail({
+    to: recipient.email,
+    from: EMAIL_FROM,
+    subject: `Refund for Order #${order.orderNumber} - ${BRAND_NAME}`,
+    html,
+    attachments
+  })
+}
+
+// What each claim status means for the customer
+const CLAIM_STATUS_MESSAGES = {
+  submitted: "We've received your claim and will review it shortly.",
+  approved: 'Your claim has been approved. Please send or bring the item to us with the claim number visible on the package.',
+  rejected: "Unfortunately we couldn't accept your claim.",
+  inspecting: "We've received the item and our technicians are inspecting it.",
+  repairing: 'Your item is being repaired.',
+  replacing: "We're sending you a replacement.",
+  refunding: "We're refunding you for this item. You'll receive a separate email with your credit note.",
+  closed: 'Your claim has been closed.'
+}
+
+/**
+ * Send a return / warranty claim status update
+ * From: no-reply@sunmega.co.ke (EMAIL_NO_REPLY)
+ */
+const sendClaimUpdateEmail = async (claim, recipient, { note } = {}) => {
+  const claimType = claim.type === 'warranty' ? 'Warranty claim' : 'Return'
+
+  const content = `
+    <p style="margin: 0 0 24px 0;">Hello ${recipient.firstName},</p>
+    
+    <p style="margin: 0 0 24px 0;">${CLAIM_STATUS_MESSAGES[claim.status] || `Your claim is now ${claim.status}.`}</p>
+    
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f9fafb; border-radius: 6px; padding: 20px; margin-bottom: 32px;">
+      <tr>
+        <td>
+          <p style="margin: 0 0 8px 0;"><strong style="color: #111827;">${claimType}:</strong> <span style="color: #374151;">${claim.claimNumber}</span></p>
+          <p style="margin: 0 0 8px 0;"><strong style="color: #111827;">Order:</strong> <span style="color: #374151;">#${claim.orderNumber}</span></p>
+          <p style="margin: 0 0 8px 0;"><strong style="color: #111827;">Item:</strong> <span style="color: #374151;">${claim.quantity} x ${claim.name}</span></p>
+          ${claim.warranty && claim.warranty.expiresAt ? `<p style="margin: 0 0 8px 0;"><strong style="color: #111827;">Warranty until:</strong> <span style="color: #374151;">${new Date(claim.warranty.expiresAt).toLocaleDateString()}</span></p>` : ''}
+          <p style="margin: 0;"><strong style="color: #111827;">Status:</strong> <span style="color: #374151; text-transform: capitalize;">${claim.status}</span></p>
+        </td>
+      </tr>
+    </table>
+    ${note ? `
+    <p style="margin: 0 0 24px 0;"><strong style="color: #111827;">Note from our team:</strong> ${note}</p>` : ''}
+    
+    <p style="margin: 0; color: #6b7280; font-size: 14px;">If you have any questions, reply to <a href="mailto:${SUPPORT_EMAIL}" style="color: #16a34a; text-decoration: none;">${SUPPORT_EMAIL}</a> quoting ${claim.claimNumber}.</p>
+  `
+
+  const html = createEmailTemplate({
+    title: `${claimType} ${claim.claimNumber}`,
+    content,
+    complianceText: `You are receiving this email because you opened a claim on an order from ${BRAND_NAME}.`
+  })
+
+  return _sendEmail({
+    to: recipient.email,
+    from: EMAIL_FROM,
+    subject: `${claimType} ${claim.claimNumber}: ${claim.status} - ${BRAND_NAME}`,
+    html
+  })
+}
+
+/**
+ * Alert admins to a payment that needs a person (refund, mismatch)
+ * From: no-reply@sunmega.co.ke (EMAIL_NO_REPLY)
+ */
+const sendPaymentAlertEmail = async (recipients, { title, action, order, payment, source }) => {
+  const content = `
+    <p style="margin: 0 0 24px 0;">${action}</p>
+    
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f9fafb; border-radius: 6px; padding: 20px; margin-bottom: 24px;">
+      <tr>
+        <td>
+          <p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Order:</strong> <span style="color: #374151;">#${order.orderNumber} (${order.orderStatus}, payment ${order.paymentStatus})</span></p>
+          <p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Provider:</strong> <span style="color: #374151;">${payment.provider}</span></p>
+          ${payment.trackingId ? `<p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Tracking ID:</strong> <span style="color: #374151;">${payment.trackingId}</span></p>` : ''}
+          ${payment.providerReference ? `<p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Reference:</strong> <span style="color: #374151;">${payment.providerReference}</span></p>` : ''}
+          <p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Requested:</strong> <span style="color: #374151;">KES ${payment.amount.toLocaleString()}</span></p>
+          <p style="margin: 0;"><strong style="color: #111827;">Paid:</strong> <span style="color: #374151;">KES ${(payment.paidAmount || 0).toLocaleString()}</span></p>
+        </td>
+      </tr>
+    </table>
+    
+    <p style="margin: 0; color: #6b7280; font-size: 14px;">Reported by ${source} on ${new Date().toLocaleString()}.</p>
+  `
+
+  const html = createEmailTemplate({
+    title,
+    content,
+    complianceText: null
+  })
+
+  return _sendEmail({
+    to: recipients,
+    from: EMAIL_FROM,
+    subject: `${title}: Order #${order.orderNumber}`,
+    html
+  })
+}
+
+/**
+ * Send the daily payment reconciliation report to admins
+ * From: no-reply@sunmega.co.ke (EMAIL_NO_REPLY)
+ */
+const sendPaymentReconciliationEmail = async (recipients, report) => {
+  const { pesapal } = report
+  const methodsHtml = report.byProvider.map(line => `
+          <p style="margin: 0 0 8px 0; color: #374151;">${line.label}: ${line.orders} order${line.orders === 1 ? '' : 's'}, KES ${line.total.toLocaleString()}</p>`).join('')
+  const discrepanciesHtml = pesapal.discrepancies.map(line => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; color: #374151;">#${line.orderNumber}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; color: #374151; text-align: right;">${line.orderTotal.toLocaleString()}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; color: #374151; text-align: right;">${line.pesapalAmount === null ? '-' : line.pesapalAmount.toLocaleString()}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; color: #374151;">${line.reason}</td>
+      </tr>`).join('')
+
+  const content = `
+    <p style="margin: 0 0 24px 0;">Payments for ${report.date} (East Africa Time).</p>
+    
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="background-color: #f9fafb; border-radius: 6px; padding: 20px; margin-bottom: 24px;">
+      <tr>
+        <td>
+          <p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Pesapal orders:</strong> <span style="color: #374151;">${pesapal.orders}</span></p>
+          <p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Paid order total:</strong> <span style="color: #374151;">KES ${pesapal.orderTotal.toLocaleString()}</span></p>
+          <p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Pesapal total:</strong> <span style="color: #374151;">KES ${pesapal.pesapalTotal.toLocaleString()}</span></p>
+          <p style="margin: 0;"><strong style="color: #111827;">Difference:</strong> <span style="color: ${pesapal.difference === 0 ? '#374151' : '#dc2626'};">KES ${pesapal.difference.toLocaleString()}</span></p>
+        </td>
+      </tr>
+    </table>
+    ${discrepanciesHtml ? `
+    <p style="margin: 0 0 12px 0;"><strong style="color: #111827;">Orders to check</strong></p>
+    <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin-bottom: 24px; font-size: 14px;">
+      <tr>
+        <th style="padding: 8px; text-align: left; color: #111827;">Order</th>
+        <th style="padding: 8px; text-align: right; color: #111827;">Order (KES)</th>
+        <th style="padding: 8px; text-align: right; color: #111827;">Pesapal (KES)</th>
+        <th style="padding: 8px; text-align: left; color: #111827;">Issue</th>
+      </tr>${discrepanciesHtml}
+    </table>` : ''}
+    
+    <p style="margin: 0 0 12px 0;"><strong style="color: #111827;">All paid orders by payment provider</strong></p>
+    <div style="margin: 0 0 24px 0;">${methodsHtml || '<p style="margin: 0; color: #374151;">No paid orders.</p>'}
+    </div>
+    
+    <p style="margin: 0; color: #6b7280; font-size: 14px;">Payments still awaiting the provider: ${report.pendingPayments}.</p>
+  `
+
+  const html = createEmailTemplate({
+    title: `Payment Reconciliation ${report.date}`,
+    content,
+    complianceText: null
+  })
+
+  return _sendEmail({
+    to: recipients,
+    from: EMAIL_FROM,
+    subject: `Payment reconciliation ${report.date}${pesapal.discrepancies.length ? ` - ${pesapal.discrepancies.length} to check` : ''}`,
     html
   })
 }
@@ -511,5 +835,11 @@ module.exports = {
   sendSystemEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendOrderConfirmationEmail
+  sendOrderConfirmationEmail,
+  sendGuestOrderAccessEmail,
+  sendOrderShippedEmail,
+  sendRefundEmail,
+  sendClaimUpdateEmail,
+  sendPaymentAlertEmail,
+  sendPaymentReconciliationEmail
 }